@@ -47,6 +47,7 @@ const Scopes = {
   READ_WORK_PERIOD_PAYMENT: 'read:taas-workPeriodPayments',
   CREATE_WORK_PERIOD_PAYMENT: 'create:taas-workPeriodPayments',
   UPDATE_WORK_PERIOD_PAYMENT: 'update:taas-workPeriodPayments',
+  APPROVE_WORK_PERIOD_PAYMENT: 'approve:taas-workPeriodPayments',
   ALL_WORK_PERIOD_PAYMENT: 'all:taas-workPeriodPayments',
   // interview
   READ_INTERVIEW: 'read:taas-interviews',
@@ -63,7 +64,28 @@ const Scopes = {
   READ_USER_MEETING_SETTINGS: 'read:taas-userMeetingsSettings',
   CREATE_USER_MEETING_SETTINGS: 'create:taas-userMeetingsSettings',
   UPDATE_USER_MEETING_SETTINGS: 'update:taas-userMeetingsSettings',
-  ALL_USER_MEETING_SETTINGS: 'all:taas-userMeetingsSettings'
+  ALL_USER_MEETING_SETTINGS: 'all:taas-userMeetingsSettings',
+  // invoice
+  READ_INVOICE: 'read:taas-invoices',
+  CREATE_INVOICE: 'create:taas-invoices',
+  UPDATE_INVOICE: 'update:taas-invoices',
+  ALL_INVOICE: 'all:taas-invoices',
+  // scheduled job
+  READ_SCHEDULED_JOB: 'read:taas-scheduledJobs',
+  UPDATE_SCHEDULED_JOB: 'update:taas-scheduledJobs',
+  ALL_SCHEDULED_JOB: 'all:taas-scheduledJobs',
+  // holiday
+  READ_HOLIDAY: 'read:taas-holidays',
+  CREATE_HOLIDAY: 'create:taas-holidays',
+  UPDATE_HOLIDAY: 'update:taas-holidays',
+  DELETE_HOLIDAY: 'delete:taas-holidays',
+  ALL_HOLIDAY: 'all:taas-holidays',
+  // time off
+  READ_TIME_OFF: 'read:taas-timeOffs',
+  CREATE_TIME_OFF: 'create:taas-timeOffs',
+  UPDATE_TIME_OFF: 'update:taas-timeOffs',
+  DELETE_TIME_OFF: 'delete:taas-timeOffs',
+  ALL_TIME_OFF: 'all:taas-timeOffs'
 
 }
 
@@ -76,9 +98,30 @@ const Interviews = {
     Rescheduled: 'Rescheduled',
     Completed: 'Completed',
     Cancelled: 'Cancelled',
-    Expired: 'Expired'
+    Expired: 'Expired',
+    NoShow: 'No Show'
+  },
+  // who failed to attend the interview with "No Show" status
+  NoShowBy: {
+    Host: 'host',
+    Guest: 'guest',
+    Both: 'both'
   },
   MaxAllowedCount: 3,
+  SchedulingProvider: {
+    Nylas: 'nylas',
+    Local: 'local'
+  },
+  Feedback: {
+    Recommendation: {
+      StrongHire: 'strong-hire',
+      Hire: 'hire',
+      NoHire: 'no-hire',
+      StrongNoHire: 'strong-no-hire'
+    },
+    MinRating: 1,
+    MaxRating: 5
+  },
   Nylas: {
     Days: {
       Monday: 'M',
@@ -116,19 +159,90 @@ const AggregatePaymentStatus = {
  */
 const WorkPeriodPaymentStatus = {
   COMPLETED: 'completed',
+  PENDING_APPROVAL: 'pending-approval',
   SCHEDULED: 'scheduled',
   IN_PROGRESS: 'in-progress',
   FAILED: 'failed',
   CANCELLED: 'cancelled'
 }
 
+/**
+ * `WorkPeriodPayment.type` - possible values
+ * - regular: pays the days or hours worked during the work period
+ * - adjustment: pays the explicit amount, like a bonus, a reimbursement or a correction,
+ *   it's not counted in the days and hours paid of the work period
+ */
+const WorkPeriodPaymentType = {
+  REGULAR: 'regular',
+  ADJUSTMENT: 'adjustment'
+}
+
+/**
+ * `WorkPeriodPayment.reasonCode` - possible values of the adjustment payments
+ */
+const WorkPeriodPaymentReasonCode = {
+  BONUS: 'bonus',
+  REIMBURSEMENT: 'reimbursement',
+  CORRECTION: 'correction'
+}
+
+/**
+ * `WorkPeriod.timesheetStatus` - possible values
+ *
+ * The member submits the days worked, then the customer approves or disputes them.
+ * A disputed timesheet could be submitted again.
+ */
+const WorkPeriodTimesheetStatus = {
+  NONE: 'none',
+  SUBMITTED: 'submitted',
+  APPROVED: 'approved',
+  DISPUTED: 'disputed'
+}
+
+/**
+ * `WorkPeriod.clawbackStatus` - possible values
+ *
+ * When the resource booking is cancelled the paid days or hours after the cancellation
+ * are flagged to be reviewed, then the admin resolves them.
+ */
+const WorkPeriodClawbackStatus = {
+  PENDING_REVIEW: 'pending-review',
+  RESOLVED: 'resolved'
+}
+
+/**
+ * The rate types of the job and resource booking.
+ * The work periods of the hourly rate resource bookings are paid by hours instead of days.
+ */
+const RateType = {
+  HOURLY: 'hourly',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  ANNUAL: 'annual'
+}
+
+/**
+ * `ResourceBookingExtension.status` - possible values
+ *
+ * The customer requests the extension, then the admin approves or rejects it.
+ * The pending extension could be cancelled by the requester.
+ */
+const ResourceBookingExtensionStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled'
+}
+
 /**
  * The rules how to determine WorkPeriod.paymentStatus based on the payments
  *
  * The top rule has priority over the bottom rules.
+ * For the hourly rate work periods the hours worked and paid are used instead of the days.
  */
 const PaymentStatusRules = [
-  { paymentStatus: AggregatePaymentStatus.IN_PROGRESS, condition: { hasWorkPeriodPaymentStatus: [WorkPeriodPaymentStatus.SCHEDULED, WorkPeriodPaymentStatus.IN_PROGRESS] } },
+  { paymentStatus: AggregatePaymentStatus.IN_PROGRESS, condition: { hasWorkPeriodPaymentStatus: [WorkPeriodPaymentStatus.PENDING_APPROVAL, WorkPeriodPaymentStatus.SCHEDULED, WorkPeriodPaymentStatus.IN_PROGRESS] } },
   { paymentStatus: AggregatePaymentStatus.COMPLETED, condition: { hasWorkPeriodPaymentStatus: [WorkPeriodPaymentStatus.COMPLETED], hasDueDays: false } },
   { paymentStatus: AggregatePaymentStatus.PARTIALLY_COMPLETED, condition: { hasWorkPeriodPaymentStatus: [WorkPeriodPaymentStatus.COMPLETED], hasDueDays: true } },
   { paymentStatus: AggregatePaymentStatus.PENDING, condition: { hasDueDays: true } },
@@ -143,6 +257,7 @@ const PaymentStatusRules = [
  * - paymentStatus
  */
 const ActiveWorkPeriodPaymentStatuses = [
+  WorkPeriodPaymentStatus.PENDING_APPROVAL,
   WorkPeriodPaymentStatus.SCHEDULED,
   WorkPeriodPaymentStatus.IN_PROGRESS,
   WorkPeriodPaymentStatus.COMPLETED
@@ -169,17 +284,210 @@ const PaymentSchedulerStatus = {
   ASSIGN_MEMBER: 'assign-member',
   ACTIVATE_CHALLENGE: 'activate-challenge',
   GET_USER_ID: 'get-userId',
-  CLOSE_CHALLENGE: 'close-challenge'
+  CLOSE_CHALLENGE: 'close-challenge',
+  CREATE_LEDGER_ENTRY: 'create-ledger-entry',
+  SETTLE_LEDGER_ENTRY: 'settle-ledger-entry',
+  EXPORT_PAYOUT: 'export-payout'
+}
+
+/**
+ * The payout providers which pay the members, selected per billing account
+ * - challenge: pays through the Topcoder task challenge
+ * - ledger: records the payout in the local ledger
+ * - file-export: exports the payout to the CSV batch file for the bank
+ */
+const PayoutProvider = {
+  CHALLENGE: 'challenge',
+  LEDGER: 'ledger',
+  FILE_EXPORT: 'file-export'
+}
+
+/**
+ * The ordered steps of the payout providers, the first step creates the payout
+ */
+const PayoutProviderSteps = {
+  [PayoutProvider.CHALLENGE]: [
+    PaymentSchedulerStatus.CREATE_CHALLENGE,
+    PaymentSchedulerStatus.ASSIGN_MEMBER,
+    PaymentSchedulerStatus.ACTIVATE_CHALLENGE,
+    PaymentSchedulerStatus.GET_USER_ID,
+    PaymentSchedulerStatus.CLOSE_CHALLENGE
+  ],
+  [PayoutProvider.LEDGER]: [
+    PaymentSchedulerStatus.CREATE_LEDGER_ENTRY,
+    PaymentSchedulerStatus.SETTLE_LEDGER_ENTRY
+  ],
+  [PayoutProvider.FILE_EXPORT]: [
+    PaymentSchedulerStatus.EXPORT_PAYOUT
+  ]
+}
+
+const PayoutLedgerEntryStatus = {
+  PENDING: 'pending',
+  SETTLED: 'settled'
+}
+
+/**
+ * `EventOutbox.status` - possible values
+ */
+const EventOutboxStatus = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed'
+}
+
+/**
+ * `ScheduledJobRun.status` - possible values
+ */
+const ScheduledJobRunStatus = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+}
+
+/**
+ * `ScheduledJobRun.trigger` - possible values
+ */
+const ScheduledJobRunTrigger = {
+  SCHEDULE: 'schedule',
+  MANUAL: 'manual'
+}
+
+/**
+ * `Invoice.status` - possible values
+ */
+const InvoiceStatus = {
+  DRAFT: 'draft',
+  ISSUED: 'issued',
+  VOID: 'void'
+}
+
+/**
+ * The statuses an Invoice is allowed to move to from its current status
+ */
+const InvoiceStatusTransitions = {
+  [InvoiceStatus.DRAFT]: [InvoiceStatus.ISSUED, InvoiceStatus.VOID],
+  [InvoiceStatus.ISSUED]: [InvoiceStatus.VOID],
+  [InvoiceStatus.VOID]: []
 }
 
 const JobStatus = {
   OPEN: 'open'
 }
 
+/**
+ * `JobCandidate.status` - possible values
+ */
 const JobCandidateStatus = {
-  INTERVIEW: 'interview'
+  APPLIED: 'applied',
+  SKILLS_TEST: 'skills-test',
+  PHONE_SCREEN: 'phone-screen',
+  OPEN: 'open',
+  INTERVIEW: 'interview',
+  SELECTED: 'selected',
+  OFFERED: 'offered',
+  PLACED: 'placed',
+  CLIENT_REJECTED_SCREENING: 'client rejected - screening',
+  CLIENT_REJECTED_INTERVIEW: 'client rejected - interview',
+  REJECTED_OTHER: 'rejected - other',
+  REJECTED_PRE_SCREEN: 'rejected-pre-screen',
+  TOPCODER_REJECTED: 'topcoder-rejected',
+  WITHDRAWN: 'withdrawn',
+  WITHDRAWN_PRESCREEN: 'withdrawn-prescreen',
+  JOB_CLOSED: 'job-closed',
+  CANCELLED: 'cancelled'
 }
 
+// the statuses which close the candidacy before the candidate is presented to the client
+const JobCandidatePreScreenClosedStatuses = [
+  JobCandidateStatus.REJECTED_PRE_SCREEN,
+  JobCandidateStatus.TOPCODER_REJECTED,
+  JobCandidateStatus.WITHDRAWN_PRESCREEN,
+  JobCandidateStatus.JOB_CLOSED,
+  JobCandidateStatus.CANCELLED
+]
+
+// the statuses which close the candidacy after the candidate is presented to the client
+const JobCandidateClosedStatuses = [
+  JobCandidateStatus.REJECTED_OTHER,
+  JobCandidateStatus.WITHDRAWN,
+  JobCandidateStatus.JOB_CLOSED,
+  JobCandidateStatus.CANCELLED
+]
+
+/**
+ * The statuses a JobCandidate is allowed to move to from its current status.
+ * Keeping the same status is not a transition and is always allowed.
+ */
+const JobCandidateStatusTransitions = {
+  [JobCandidateStatus.APPLIED]: [
+    JobCandidateStatus.SKILLS_TEST,
+    JobCandidateStatus.PHONE_SCREEN,
+    JobCandidateStatus.OPEN,
+    ...JobCandidatePreScreenClosedStatuses
+  ],
+  [JobCandidateStatus.SKILLS_TEST]: [
+    JobCandidateStatus.PHONE_SCREEN,
+    JobCandidateStatus.OPEN,
+    ...JobCandidatePreScreenClosedStatuses
+  ],
+  [JobCandidateStatus.PHONE_SCREEN]: [
+    JobCandidateStatus.SKILLS_TEST,
+    JobCandidateStatus.OPEN,
+    ...JobCandidatePreScreenClosedStatuses
+  ],
+  [JobCandidateStatus.OPEN]: [
+    JobCandidateStatus.INTERVIEW,
+    JobCandidateStatus.SELECTED,
+    JobCandidateStatus.PLACED,
+    JobCandidateStatus.CLIENT_REJECTED_SCREENING,
+    JobCandidateStatus.TOPCODER_REJECTED,
+    ...JobCandidateClosedStatuses
+  ],
+  [JobCandidateStatus.INTERVIEW]: [
+    JobCandidateStatus.SELECTED,
+    JobCandidateStatus.OFFERED,
+    JobCandidateStatus.PLACED,
+    JobCandidateStatus.CLIENT_REJECTED_INTERVIEW,
+    ...JobCandidateClosedStatuses
+  ],
+  [JobCandidateStatus.SELECTED]: [
+    JobCandidateStatus.INTERVIEW,
+    JobCandidateStatus.OFFERED,
+    JobCandidateStatus.PLACED,
+    JobCandidateStatus.CLIENT_REJECTED_INTERVIEW,
+    ...JobCandidateClosedStatuses
+  ],
+  [JobCandidateStatus.OFFERED]: [
+    JobCandidateStatus.PLACED,
+    ...JobCandidateClosedStatuses
+  ],
+  [JobCandidateStatus.PLACED]: [
+    JobCandidateStatus.CANCELLED
+  ],
+  [JobCandidateStatus.CLIENT_REJECTED_SCREENING]: [],
+  [JobCandidateStatus.CLIENT_REJECTED_INTERVIEW]: [],
+  [JobCandidateStatus.REJECTED_OTHER]: [],
+  [JobCandidateStatus.REJECTED_PRE_SCREEN]: [],
+  [JobCandidateStatus.TOPCODER_REJECTED]: [],
+  [JobCandidateStatus.WITHDRAWN]: [],
+  [JobCandidateStatus.WITHDRAWN_PRESCREEN]: [],
+  [JobCandidateStatus.JOB_CLOSED]: [],
+  [JobCandidateStatus.CANCELLED]: []
+}
+
+// the stages of job candidate funnel in order, used by the funnel metrics of a job
+const JobCandidateFunnelStages = [
+  JobCandidateStatus.APPLIED,
+  JobCandidateStatus.SKILLS_TEST,
+  JobCandidateStatus.PHONE_SCREEN,
+  JobCandidateStatus.OPEN,
+  JobCandidateStatus.INTERVIEW,
+  JobCandidateStatus.SELECTED,
+  JobCandidateStatus.OFFERED,
+  JobCandidateStatus.PLACED
+]
+
 const SearchUsers = {
   SEARCH_USERS_PAGE_SIZE: 5
 }
@@ -205,13 +513,29 @@ module.exports = {
   AggregatePaymentStatus,
   WorkPeriodPaymentStatus,
   WorkPeriodPaymentUpdateStatus,
+  WorkPeriodPaymentType,
+  WorkPeriodPaymentReasonCode,
+  WorkPeriodTimesheetStatus,
+  WorkPeriodClawbackStatus,
+  RateType,
+  ResourceBookingExtensionStatus,
   PaymentSchedulerStatus,
+  PayoutProvider,
+  PayoutProviderSteps,
+  PayoutLedgerEntryStatus,
   PaymentProcessingSwitch,
   PaymentStatusRules,
+  InvoiceStatus,
+  InvoiceStatusTransitions,
+  EventOutboxStatus,
+  ScheduledJobRunStatus,
+  ScheduledJobRunTrigger,
   WeeklySurveySwitch,
   ActiveWorkPeriodPaymentStatuses,
   JobStatus,
   JobCandidateStatus,
+  JobCandidateStatusTransitions,
+  JobCandidateFunnelStages,
   SearchUsers,
   NylasVirtualCalendarProvider,
   ZoomLinkType
@@ -9,14 +9,9 @@ const express = require('express')
 const cors = require('cors')
 const HttpStatus = require('http-status-codes')
 const interceptor = require('express-interceptor')
-const schedule = require('node-schedule')
 const logger = require('./src/common/logger')
 const eventHandlers = require('./src/eventHandlers')
-const interviewService = require('./src/services/InterviewService')
-const { processScheduler } = require('./src/services/PaymentSchedulerService')
-const { sendSurveys } = require('./src/services/SurveyService')
-const notificationSchedulerService = require('./src/services/NotificationsSchedulerService')
-const { WeeklySurveySwitch } = require('./app-constants')
+const scheduledJobService = require('./src/services/ScheduledJobService')
 
 // setup express app
 const app = express()
@@ -27,12 +22,12 @@ app.use(cors({
 }))
 app.use((...args) => {
   const [req, res, next] = args
-  // For test nylas webhook, we need raw buffer
+  // For test nylas and zoom webhooks, we need raw buffer
   // Here i sCustom Middleware to compute rawBody. Unfortunately using
   // JSON.stringify(req.body) will remove spaces and newlines, so verification
   // will fail. We must add this middleware to ensure we're computing the correct
   // signature
-  if (req.path.match(/\/taas-teams\/nylas-webhooks/i)) {
+  if (req.path.match(/\/taas-teams\/(nylas|zoom)-webhooks/i)) {
     req.rawBody = ''
     req.on('data', (chunk) => (req.rawBody += chunk))
     req.on('error', () => res.status(500).send('Error parsing body'))
@@ -124,23 +119,8 @@ app.use((err, req, res, next) => {
 const server = app.listen(app.get('port'), () => {
   logger.info({ component: 'app', message: `Express server listening on port ${app.get('port')}` })
   eventHandlers.init()
-  // schedule updateCompletedInterviews to run every hour
-  schedule.scheduleJob(config.CRON_UPDATE_COMPLETED_INTERVIEWS, interviewService.updateCompletedInterviews)
-  // schedule sendSurveys
-  if (WeeklySurveySwitch.ON === config.WEEKLY_SURVEY.SWITCH) {
-    schedule.scheduleJob(config.WEEKLY_SURVEY.CRON, sendSurveys)
-  }
-  // schedule payment processing
-  schedule.scheduleJob(config.PAYMENT_PROCESSING.CRON, processScheduler)
-
-  schedule.scheduleJob(config.CRON_CANDIDATE_REVIEW, notificationSchedulerService.sendCandidatesAvailableNotifications)
-  schedule.scheduleJob(config.CRON_INTERVIEW_COMING_UP, notificationSchedulerService.sendInterviewComingUpNotifications)
-  schedule.scheduleJob(config.CRON_INTERVIEW_COMPLETED, notificationSchedulerService.sendInterviewCompletedNotifications)
-  schedule.scheduleJob(config.CRON_POST_INTERVIEW, notificationSchedulerService.sendPostInterviewActionNotifications)
-  schedule.scheduleJob(config.CRON_UPCOMING_RESOURCE_BOOKING, notificationSchedulerService.sendResourceBookingExpirationNotifications)
-
-  schedule.scheduleJob(config.CRON_INTERVIEW_EXPIRED, notificationSchedulerService.sendInterviewExpiredNotifications)
-  schedule.scheduleJob(config.CRON_INTERVIEW_SCHEDULE_REMINDER, notificationSchedulerService.sendInterviewScheduleReminderNotifications)
+  // register and schedule the jobs
+  scheduledJobService.init().catch(err => logger.logFullError(err, { component: 'app', context: 'scheduledJobService.init' }))
 })
 
 if (process.env.NODE_ENV === 'test') {
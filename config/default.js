@@ -57,6 +57,8 @@ module.exports = {
 
   // the default path for importing and exporting data
   DEFAULT_DATA_FILE_PATH: './data/demo-data.json',
+  // the default path for importing holidays
+  HOLIDAYS_DATA_FILE_PATH: './data/holidays.json',
 
   esConfig: {
     // the elasticsearch host
@@ -121,6 +123,8 @@ module.exports = {
   TAAS_RESOURCE_BOOKING_UPDATE_TOPIC: process.env.TAAS_RESOURCE_BOOKING_UPDATE_TOPIC || 'taas.resourcebooking.update',
   // the delete resource booking entity Kafka message topic
   TAAS_RESOURCE_BOOKING_DELETE_TOPIC: process.env.TAAS_RESOURCE_BOOKING_DELETE_TOPIC || 'taas.resourcebooking.delete',
+  // the cancel resource booking Kafka message topic, the message includes the summary of the cancellation
+  TAAS_RESOURCE_BOOKING_CANCEL_TOPIC: process.env.TAAS_RESOURCE_BOOKING_CANCEL_TOPIC || 'taas.resourcebooking.cancel',
   // topics for work period service
   // the create work period entity Kafka message topic
   TAAS_WORK_PERIOD_CREATE_TOPIC: process.env.TAAS_WORK_PERIOD_CREATE_TOPIC || 'taas.workperiod.create',
@@ -149,6 +153,11 @@ module.exports = {
   TAAS_ROLE_UPDATE_TOPIC: process.env.TAAS_ROLE_UPDATE_TOPIC || 'taas.role.update',
   // the delete role entity Kafka message topic
   TAAS_ROLE_DELETE_TOPIC: process.env.TAAS_ROLE_DELETE_TOPIC || 'taas.role.delete',
+  // topics for invoice service
+  // the create invoice entity Kafka message topic
+  TAAS_INVOICE_CREATE_TOPIC: process.env.TAAS_INVOICE_CREATE_TOPIC || 'taas.invoice.create',
+  // the update invoice entity Kafka message topic
+  TAAS_INVOICE_UPDATE_TOPIC: process.env.TAAS_INVOICE_UPDATE_TOPIC || 'taas.invoice.update',
   // the create team entity message topic, only used for eventHandler
   TAAS_TEAM_CREATE_TOPIC: process.env.TAAS_TEAM_CREATE_TOPIC || 'taas.team.create',
   // special kafka topics
@@ -211,6 +220,34 @@ module.exports = {
     SURVEY_MASTER_MESSAGE_ID: process.env.WEEKLY_SURVEY_SURVEY_MASTER_MESSAGE_ID || '',
     SURVEY_CONTACT_GROUP_ID: process.env.WEEKLY_SURVEY_SURVEY_CONTACT_GROUP_ID || ''
   },
+  // scheduled jobs config
+  SCHEDULER: {
+    // how long a job is leased to the instance running it, moment duration format
+    // the lease is renewed every half of the duration while the job is running and released once the run is finished,
+    // so it only expires when an instance dies while running a job
+    LEASE_DURATION: process.env.SCHEDULER_LEASE_DURATION || 'PT1H',
+    // the identifier of the current instance, used as the lease owner
+    INSTANCE_ID: process.env.SCHEDULER_INSTANCE_ID,
+    // the cron config of removing the old runs from the run history
+    CLEANUP_CRON: process.env.SCHEDULER_CLEANUP_CRON || '0 0 2 * * *',
+    // how long the runs are kept in the run history, moment duration format
+    RUN_RETENTION: process.env.SCHEDULER_RUN_RETENTION || 'P30D'
+  },
+  // transactional outbox config, the events are saved into db first and then relayed to bus API
+  EVENT_OUTBOX: {
+    // the outbox relay cron config, it publishes the events failed to be relayed immediately
+    CRON: process.env.EVENT_OUTBOX_CRON || '*/30 * * * * *',
+    // the number of events relayed by one time
+    BATCH_SIZE: parseInt(process.env.EVENT_OUTBOX_BATCH_SIZE || 100),
+    // the number of max retry before an event is marked as failed
+    MAX_RETRY_COUNT: parseInt(process.env.EVENT_OUTBOX_MAX_RETRY_COUNT || 10),
+    // the time of retry base delay, unit: ms
+    RETRY_BASE_DELAY: parseInt(process.env.EVENT_OUTBOX_RETRY_BASE_DELAY || 1000),
+    // the time of retry max delay, unit: ms
+    RETRY_MAX_DELAY: parseInt(process.env.EVENT_OUTBOX_RETRY_MAX_DELAY || 3600000),
+    // how long the sent events are kept in db, moment duration format
+    RETENTION: process.env.EVENT_OUTBOX_RETENTION || 'P7D'
+  },
   // payment scheduler config
   PAYMENT_PROCESSING: {
     // switch off actual API calls in Payment Scheduler
@@ -244,10 +281,42 @@ module.exports = {
     // the fix delay after step of assign member, unit: ms
     FIX_DELAY_STEP_ASSIGN_MEMBER: parseInt(process.env.PAYMENT_PROCESSING_FIX_DELAY_STEP_ASSIGN_MEMBER || process.env.PAYMENT_PROCESSING_FIX_DELAY_STEP || 500),
     // the fix delay after step of activate challenge, unit: ms
-    FIX_DELAY_STEP_ACTIVATE_CHALLENGE: parseInt(process.env.PAYMENT_PROCESSING_FIX_DELAY_STEP_ACTIVATE_CHALLENGE || process.env.PAYMENT_PROCESSING_FIX_DELAY_STEP || 500)
+    FIX_DELAY_STEP_ACTIVATE_CHALLENGE: parseInt(process.env.PAYMENT_PROCESSING_FIX_DELAY_STEP_ACTIVATE_CHALLENGE || process.env.PAYMENT_PROCESSING_FIX_DELAY_STEP || 500),
+    // the default payout provider: `challenge`, `ledger` or `file-export`
+    PROVIDER: process.env.PAYMENT_PROCESSING_PROVIDER || 'challenge',
+    // the payout providers of the billing accounts which don't use the default one,
+    // in the format of `billingAccountId:provider` separated by comma, for example `80000069:ledger,80000071:file-export`
+    BILLING_ACCOUNT_PROVIDERS: Object.fromEntries((process.env.PAYMENT_PROCESSING_BILLING_ACCOUNT_PROVIDERS || '')
+      .split(',').filter(item => item).map(item => item.trim().split(':'))),
+    // the directory of the CSV batch files exported by the `file-export` payout provider
+    EXPORT_DIR: process.env.PAYMENT_PROCESSING_EXPORT_DIR || 'payout-exports'
+  },
+  PAYMENT_APPROVAL: {
+    // the payments with the amount not more than the threshold are scheduled without the approval
+    THRESHOLD: parseFloat(process.env.PAYMENT_APPROVAL_THRESHOLD || 0),
+    // the thresholds of the billing accounts which don't use the default one,
+    // in the format of `billingAccountId:threshold` separated by comma, for example `80000069:100,80000071:0`
+    BILLING_ACCOUNT_THRESHOLDS: Object.fromEntries((process.env.PAYMENT_APPROVAL_BILLING_ACCOUNT_THRESHOLDS || '')
+      .split(',').filter(item => item).map(item => {
+        const [billingAccountId, threshold] = item.trim().split(':')
+        return [billingAccountId, parseFloat(threshold)]
+      }))
   },
+  // The secret key for the token which creates the previewed work period payments,
+  // the payments cannot be previewed or committed in bulk if it's not set
+  PAYMENT_PREVIEW_SECRET: process.env.PAYMENT_PREVIEW_SECRET,
+  // The work period payment preview token expiry time
+  PAYMENT_PREVIEW_TOKEN_EXPIRY: process.env.PAYMENT_PREVIEW_TOKEN_EXPIRY || '1h',
   // if a job reach this critier, system will automatically withdrawn other job applications.
   JOBS_HOUR_PER_WEEK: 20,
+  // the weekly hours of the hourly rate resource bookings when the job doesn't specify hoursPerWeek
+  DEFAULT_HOURS_PER_WEEK: parseInt(process.env.DEFAULT_HOURS_PER_WEEK || 40),
+  // the number of weeks forecast from the start date when the forecast doesn't specify the end date
+  FORECAST_WEEKS: parseInt(process.env.FORECAST_WEEKS || 12),
+  // the number of seconds the forecast of the team is cached for the team detail
+  FORECAST_CACHE_TIME: parseInt(process.env.FORECAST_CACHE_TIME || 300),
+  // the share of the member's time taken by the fractional job which doesn't specify hoursPerWeek
+  FRACTIONAL_WORKLOAD_ALLOCATION: parseFloat(process.env.FRACTIONAL_WORKLOAD_ALLOCATION || 0.5),
   // the mapping includes the status transformation when auto-withdrawn feature is performed on job candidates.
   WITHDRAWN_STATUS_CHANGE_MAPPING: {
     applied: 'withdrawn-prescreen',
@@ -280,6 +349,16 @@ module.exports = {
   TAAS_NOTIFICATION_JOB_CREATED_SENDGRID_TEMPLATE_ID: process.env.TAAS_NOTIFICATION_JOB_CREATED_SENDGRID_TEMPLATE_ID,
   // the email notification sendgrid template id of resource placed
   TAAS_NOTIFICATION_RESOURCE_BOOKING_PLACED_SENDGRID_TEMPLATE_ID: process.env.TAAS_NOTIFICATION_RESOURCE_BOOKING_PLACED_SENDGRID_TEMPLATE_ID,
+  // the email notification sendgrid template id of timesheet submitted for customer
+  TAAS_NOTIFICATION_TIMESHEET_SUBMITTED_SENDGRID_TEMPLATE_ID: process.env.TAAS_NOTIFICATION_TIMESHEET_SUBMITTED_SENDGRID_TEMPLATE_ID,
+  // the email notification sendgrid template id of timesheet approved for member
+  TAAS_NOTIFICATION_TIMESHEET_APPROVED_SENDGRID_TEMPLATE_ID: process.env.TAAS_NOTIFICATION_TIMESHEET_APPROVED_SENDGRID_TEMPLATE_ID,
+  // the email notification sendgrid template id of timesheet disputed for member
+  TAAS_NOTIFICATION_TIMESHEET_DISPUTED_SENDGRID_TEMPLATE_ID: process.env.TAAS_NOTIFICATION_TIMESHEET_DISPUTED_SENDGRID_TEMPLATE_ID,
+  // the email notification sendgrid template id of resource booking cancelled
+  TAAS_NOTIFICATION_RESOURCE_BOOKING_CANCELLED_SENDGRID_TEMPLATE_ID: process.env.TAAS_NOTIFICATION_RESOURCE_BOOKING_CANCELLED_SENDGRID_TEMPLATE_ID,
+  // the email notification sendgrid template id of the clawback review of cancelled resource booking for admins
+  TAAS_NOTIFICATION_RESOURCE_BOOKING_CLAWBACK_REVIEW_SENDGRID_TEMPLATE_ID: process.env.TAAS_NOTIFICATION_RESOURCE_BOOKING_CLAWBACK_REVIEW_SENDGRID_TEMPLATE_ID,
   // the email notification sendgrid template id of interviews overlapping
   TAAS_NOTIFICATION_INTERVIEWS_OVERLAPPING_SENDGRID_TEMPLATE_ID: process.env.TAAS_NOTIFICATION_INTERVIEWS_OVERLAPPING_SENDGRID_TEMPLATE_ID,
   // the email notification sendgrid template id of job candidate selected
@@ -338,6 +417,18 @@ module.exports = {
   INTERVIEW_REMINDER_FREQUENCY: parseInt(process.env.INTERVIEW_REMINDER_FREQUENCY) || 1,
   // How far in the feature we may allow scheduling interview, unit: day
   INTERVIEW_AVAILABLE_DAYS_IN_FEATURE: parseInt(process.env.INTERVIEW_AVAILABLE_DAYS_IN_FEATURE) || 15,
+  // The provider of interview scheduling: `nylas` uses Nylas scheduling pages, `local` uses the built-in slot engine
+  INTERVIEW_SCHEDULING_PROVIDER: process.env.INTERVIEW_SCHEDULING_PROVIDER || 'nylas',
+  // The step between the start times of the offered interview slots, used by the built-in slot engine
+  INTERVIEW_SLOT_STEP: process.env.INTERVIEW_SLOT_STEP || 'PT30M',
+  // The minimum time between now and the offered interview slots, used by the built-in slot engine
+  INTERVIEW_SLOT_MIN_NOTICE: process.env.INTERVIEW_SLOT_MIN_NOTICE || 'PT2H',
+  // The secret key for interview booking token
+  INTERVIEW_BOOKING_SECRET: process.env.INTERVIEW_BOOKING_SECRET || 'interview-booking-secret',
+  // The interview booking token expiry time
+  INTERVIEW_BOOKING_TOKEN_EXPIRY: process.env.INTERVIEW_BOOKING_TOKEN_EXPIRY || '30d',
+  // The secret key for interview calendar feed token, the token doesn't expire and is revoked by rotating the feed url
+  INTERVIEW_CALENDAR_FEED_SECRET: process.env.INTERVIEW_CALENDAR_FEED_SECRET || 'interview-calendar-feed-secret',
   // The time before resource booking expiry when we should start sending notifications
   RESOURCE_BOOKING_EXPIRY_TIME: process.env.RESOURCE_BOOKING_EXPIRY_TIME || 'P21D',
   // The match window for fetching post interview actions
@@ -345,6 +436,8 @@ module.exports = {
   // The Stripe
   STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY,
   CURRENCY: process.env.CURRENCY || 'usd',
+  // the currency used for customer invoices
+  INVOICE_CURRENCY: process.env.INVOICE_CURRENCY || 'USD',
   // RCRM base URL
   RCRM_APP_URL: process.env.RCRM_APP_URL || 'https://app.recruitcrm.io',
 
@@ -356,11 +449,14 @@ module.exports = {
   // We don't have to keep it secret, we use this JWT token just to compress data, not to secure it
   NYLAS_CONNECT_CALENDAR_JWT_SECRET: process.env.NYLAS_CONNECT_CALENDAR_JWT_SECRET || 'secret',
 
-  // Zoom JWT credentials
+  // Zoom JWT credentials, the accounts picked for the meetings being created are reserved in memory,
+  // so only a single API instance should create the meetings
   ZOOM_ACCOUNTS: process.env.ZOOM_ACCOUNTS,
 
   // The secret key for get zoom link token
   ZOOM_LINK_SECRET: process.env.ZOOM_LINK_SECRET || 'zoom-link-secret',
   // The get zoom link token expiry time
-  ZOOM_LINK_TOKEN_EXPIRY: process.env.ZOOM_LINK_TOKEN_EXPIRY || '180d'
+  ZOOM_LINK_TOKEN_EXPIRY: process.env.ZOOM_LINK_TOKEN_EXPIRY || '180d',
+  // The secret token of Zoom webhooks, if it's set the interviews are completed using the meeting attendance from the webhooks
+  ZOOM_WEBHOOK_SECRET_TOKEN: process.env.ZOOM_WEBHOOK_SECRET_TOKEN
 }
@@ -224,6 +224,41 @@ module.exports = {
       recipients: [],
       from: config.NOTIFICATION_SENDER_EMAIL,
       sendgridTemplateId: config.TAAS_NOTIFICATION_RESOURCE_BOOKING_PLACED_SENDGRID_TEMPLATE_ID
+    },
+    'taas.notification.timesheet-submitted': {
+      subject: 'Timesheet of {{userHandle}} is ready for review',
+      body: '',
+      recipients: [],
+      from: config.NOTIFICATION_SENDER_EMAIL,
+      sendgridTemplateId: config.TAAS_NOTIFICATION_TIMESHEET_SUBMITTED_SENDGRID_TEMPLATE_ID
+    },
+    'taas.notification.timesheet-approved': {
+      subject: 'Your timesheet for the week of {{startDate}} is approved',
+      body: '',
+      recipients: [],
+      from: config.NOTIFICATION_SENDER_EMAIL,
+      sendgridTemplateId: config.TAAS_NOTIFICATION_TIMESHEET_APPROVED_SENDGRID_TEMPLATE_ID
+    },
+    'taas.notification.timesheet-disputed': {
+      subject: 'Your timesheet for the week of {{startDate}} is disputed',
+      body: '',
+      recipients: [],
+      from: config.NOTIFICATION_SENDER_EMAIL,
+      sendgridTemplateId: config.TAAS_NOTIFICATION_TIMESHEET_DISPUTED_SENDGRID_TEMPLATE_ID
+    },
+    'taas.notification.resource-booking-cancelled': {
+      subject: 'The engagement of {{userHandle}} in team {{teamName}} is cancelled',
+      body: '',
+      recipients: [],
+      from: config.NOTIFICATION_SENDER_EMAIL,
+      sendgridTemplateId: config.TAAS_NOTIFICATION_RESOURCE_BOOKING_CANCELLED_SENDGRID_TEMPLATE_ID
+    },
+    'taas.notification.resource-booking-clawback-review': {
+      subject: 'Topcoder - Clawback of {{userHandle}} in team {{teamName}} is pending review',
+      body: '',
+      recipients: config.NOTIFICATION_OPS_EMAILS,
+      from: config.NOTIFICATION_SENDER_EMAIL,
+      sendgridTemplateId: config.TAAS_NOTIFICATION_RESOURCE_BOOKING_CLAWBACK_REVIEW_SENDGRID_TEMPLATE_ID
     }
   }
 }
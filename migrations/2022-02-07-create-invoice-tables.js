@@ -0,0 +1,198 @@
+/**
+ * Create invoices and invoice_line_items tables
+ */
+
+const config = require('config')
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.createTable('invoices', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false,
+          defaultValue: Sequelize.UUIDV4
+        },
+        billingAccountId: {
+          field: 'billing_account_id',
+          type: Sequelize.BIGINT,
+          allowNull: false
+        },
+        periodStart: {
+          field: 'period_start',
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        periodEnd: {
+          field: 'period_end',
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.ENUM(
+            'draft',
+            'issued',
+            'void'
+          ),
+          allowNull: false
+        },
+        currency: {
+          type: Sequelize.STRING(3),
+          allowNull: false
+        },
+        totalDays: {
+          field: 'total_days',
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        totalAmount: {
+          field: 'total_amount',
+          type: Sequelize.DOUBLE,
+          allowNull: false
+        },
+        issuedAt: {
+          field: 'issued_at',
+          type: Sequelize.DATE
+        },
+        voidedAt: {
+          field: 'voided_at',
+          type: Sequelize.DATE
+        },
+        createdBy: {
+          field: 'created_by',
+          type: Sequelize.UUID,
+          allowNull: false
+        },
+        updatedBy: {
+          field: 'updated_by',
+          type: Sequelize.UUID
+        },
+        createdAt: {
+          field: 'created_at',
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          field: 'updated_at',
+          type: Sequelize.DATE
+        },
+        deletedAt: {
+          field: 'deleted_at',
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: config.DB_SCHEMA_NAME,
+        transaction
+      })
+      await queryInterface.createTable('invoice_line_items', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false,
+          defaultValue: Sequelize.UUIDV4
+        },
+        invoiceId: {
+          field: 'invoice_id',
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'invoices',
+              schema: config.DB_SCHEMA_NAME
+            },
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        resourceBookingId: {
+          field: 'resource_booking_id',
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'resource_bookings',
+              schema: config.DB_SCHEMA_NAME
+            },
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        workPeriodIds: {
+          field: 'work_period_ids',
+          type: Sequelize.ARRAY({
+            type: Sequelize.UUID
+          }),
+          allowNull: false
+        },
+        projectId: {
+          field: 'project_id',
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        jobId: {
+          field: 'job_id',
+          type: Sequelize.UUID
+        },
+        userHandle: {
+          field: 'user_handle',
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        customerRate: {
+          field: 'customer_rate',
+          type: Sequelize.FLOAT,
+          allowNull: false
+        },
+        rateType: {
+          field: 'rate_type',
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        days: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        amount: {
+          type: Sequelize.DOUBLE,
+          allowNull: false
+        },
+        createdAt: {
+          field: 'created_at',
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          field: 'updated_at',
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: config.DB_SCHEMA_NAME,
+        transaction
+      })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.dropTable({
+        tableName: 'invoice_line_items',
+        schema: config.DB_SCHEMA_NAME
+      }, { transaction })
+      await queryInterface.dropTable({
+        tableName: 'invoices',
+        schema: config.DB_SCHEMA_NAME
+      }, { transaction })
+      await queryInterface.sequelize.query(`DROP TYPE IF EXISTS ${config.DB_SCHEMA_NAME}.enum_invoices_status`, { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Create event_outbox table, the events are saved in the same transaction as the entity changes
+ */
+
+const config = require('config')
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.createTable('event_outbox', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        topic: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        entityKey: {
+          field: 'entity_key',
+          type: Sequelize.STRING(255)
+        },
+        payload: {
+          type: Sequelize.JSONB,
+          allowNull: false
+        },
+        options: {
+          type: Sequelize.JSONB
+        },
+        status: {
+          type: Sequelize.ENUM(
+            'pending',
+            'sent',
+            'failed'
+          ),
+          allowNull: false
+        },
+        attempts: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        lastError: {
+          field: 'last_error',
+          type: Sequelize.STRING(1000)
+        },
+        nextAttemptAt: {
+          field: 'next_attempt_at',
+          type: Sequelize.DATE
+        },
+        sentAt: {
+          field: 'sent_at',
+          type: Sequelize.DATE
+        },
+        createdAt: {
+          field: 'created_at',
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          field: 'updated_at',
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: config.DB_SCHEMA_NAME,
+        transaction
+      })
+      await queryInterface.addIndex({
+        tableName: 'event_outbox',
+        schema: config.DB_SCHEMA_NAME
+      }, ['status', 'entity_key'], { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    const table = { schema: config.DB_SCHEMA_NAME, tableName: 'event_outbox' }
+    const statusTypeName = `${table.schema}.enum_${table.tableName}_status`
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.dropTable(table, { transaction })
+      // drop enum type for status column
+      await queryInterface.sequelize.query(`DROP TYPE ${statusTypeName}`, { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  }
+}
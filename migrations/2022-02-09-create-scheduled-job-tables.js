@@ -0,0 +1,153 @@
+/**
+ * Create scheduled_jobs and scheduled_job_runs tables
+ */
+
+const config = require('config')
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.createTable('scheduled_jobs', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false,
+          defaultValue: Sequelize.UUIDV4
+        },
+        name: {
+          type: Sequelize.STRING(255),
+          allowNull: false,
+          unique: true
+        },
+        cron: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        enabled: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        leaseOwner: {
+          field: 'lease_owner',
+          type: Sequelize.STRING(255)
+        },
+        leaseExpiresAt: {
+          field: 'lease_expires_at',
+          type: Sequelize.DATE
+        },
+        lastRunAt: {
+          field: 'last_run_at',
+          type: Sequelize.DATE
+        },
+        lastRunStatus: {
+          field: 'last_run_status',
+          type: Sequelize.STRING(255)
+        },
+        createdAt: {
+          field: 'created_at',
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          field: 'updated_at',
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: config.DB_SCHEMA_NAME,
+        transaction
+      })
+      await queryInterface.createTable('scheduled_job_runs', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false,
+          defaultValue: Sequelize.UUIDV4
+        },
+        jobName: {
+          field: 'job_name',
+          type: Sequelize.STRING(255),
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'scheduled_jobs',
+              schema: config.DB_SCHEMA_NAME
+            },
+            key: 'name'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        trigger: {
+          type: Sequelize.ENUM(
+            'schedule',
+            'manual'
+          ),
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.ENUM(
+            'running',
+            'completed',
+            'failed'
+          ),
+          allowNull: false
+        },
+        instanceId: {
+          field: 'instance_id',
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        startedAt: {
+          field: 'started_at',
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        finishedAt: {
+          field: 'finished_at',
+          type: Sequelize.DATE
+        },
+        error: {
+          type: Sequelize.STRING(1000)
+        },
+        createdBy: {
+          field: 'created_by',
+          type: Sequelize.UUID
+        },
+        createdAt: {
+          field: 'created_at',
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          field: 'updated_at',
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: config.DB_SCHEMA_NAME,
+        transaction
+      })
+      await queryInterface.addIndex({
+        tableName: 'scheduled_job_runs',
+        schema: config.DB_SCHEMA_NAME
+      }, ['job_name', 'started_at'], { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.dropTable({ tableName: 'scheduled_job_runs', schema: config.DB_SCHEMA_NAME }, { transaction })
+      await queryInterface.dropTable({ tableName: 'scheduled_jobs', schema: config.DB_SCHEMA_NAME }, { transaction })
+      // drop enum types for trigger and status columns
+      await queryInterface.sequelize.query(`DROP TYPE ${config.DB_SCHEMA_NAME}.enum_scheduled_job_runs_trigger`, { transaction })
+      await queryInterface.sequelize.query(`DROP TYPE ${config.DB_SCHEMA_NAME}.enum_scheduled_job_runs_status`, { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Create job_candidate_status_histories table and record the current status of the existing job candidates
+ */
+
+const config = require('config')
+const _ = require('lodash')
+const { v4: uuid } = require('uuid')
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.createTable('job_candidate_status_histories', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false,
+          defaultValue: Sequelize.UUIDV4
+        },
+        jobCandidateId: {
+          field: 'job_candidate_id',
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'job_candidates',
+              schema: config.DB_SCHEMA_NAME
+            },
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        jobId: {
+          field: 'job_id',
+          type: Sequelize.UUID,
+          allowNull: false
+        },
+        fromStatus: {
+          field: 'from_status',
+          type: Sequelize.STRING(255)
+        },
+        toStatus: {
+          field: 'to_status',
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        changedBy: {
+          field: 'changed_by',
+          type: Sequelize.UUID,
+          allowNull: false
+        },
+        changedAt: {
+          field: 'changed_at',
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        createdAt: {
+          field: 'created_at',
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          field: 'updated_at',
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: config.DB_SCHEMA_NAME,
+        transaction
+      })
+      await queryInterface.addIndex({
+        tableName: 'job_candidate_status_histories',
+        schema: config.DB_SCHEMA_NAME
+      }, ['job_candidate_id', 'changed_at'], { transaction })
+      await queryInterface.addIndex({
+        tableName: 'job_candidate_status_histories',
+        schema: config.DB_SCHEMA_NAME
+      }, ['job_id'], { transaction })
+
+      // the previous statuses are unknown, so only the current status of every job candidate is recorded
+      const [jobCandidates] = await queryInterface.sequelize.query(
+        `SELECT id, job_id, status, created_by, updated_by, created_at, updated_at FROM ${config.DB_SCHEMA_NAME}.job_candidates WHERE deleted_at IS NULL`,
+        { transaction }
+      )
+      const now = new Date()
+      const records = _.map(jobCandidates, jobCandidate => ({
+        id: uuid(),
+        job_candidate_id: jobCandidate.id,
+        job_id: jobCandidate.job_id,
+        from_status: null,
+        to_status: jobCandidate.status,
+        changed_by: jobCandidate.updated_by || jobCandidate.created_by,
+        changed_at: jobCandidate.updated_at || jobCandidate.created_at,
+        created_at: now,
+        updated_at: now
+      }))
+      if (records.length) {
+        await queryInterface.bulkInsert({ tableName: 'job_candidate_status_histories', schema: config.DB_SCHEMA_NAME }, records, { transaction })
+      }
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable({ tableName: 'job_candidate_status_histories', schema: config.DB_SCHEMA_NAME })
+  }
+}
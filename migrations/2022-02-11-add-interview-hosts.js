@@ -0,0 +1,26 @@
+const config = require('config')
+
+/*
+ * Add hosts to the Interview model, the existing interviews get their single host as the required one.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const interviewsTable = { tableName: 'interviews', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.addColumn(interviewsTable, 'hosts', { type: Sequelize.JSONB, allowNull: false, defaultValue: [] }, { transaction })
+      await queryInterface.sequelize.query(
+        `UPDATE ${config.DB_SCHEMA_NAME}.interviews SET hosts = jsonb_build_array(jsonb_build_object('userId', "hostUserId", 'required', true))`,
+        { transaction }
+      )
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    const interviewsTable = { tableName: 'interviews', schema: config.DB_SCHEMA_NAME }
+    await queryInterface.removeColumn(interviewsTable, 'hosts')
+  }
+}
@@ -0,0 +1,37 @@
+const config = require('config')
+
+/*
+ * Add schedulingProvider to the Interview model, the nylas page fields are not set for the built-in scheduling.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const interviewsTable = { tableName: 'interviews', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.addColumn(interviewsTable, 'scheduling_provider', { type: Sequelize.STRING(255), allowNull: false, defaultValue: 'nylas' }, { transaction })
+      await queryInterface.changeColumn(interviewsTable, 'nylas_page_id', { type: Sequelize.STRING(255), allowNull: true }, { transaction })
+      await queryInterface.changeColumn(interviewsTable, 'nylas_page_slug', { type: Sequelize.STRING(255), allowNull: true }, { transaction })
+      await queryInterface.changeColumn(interviewsTable, 'nylas_calendar_id', { type: Sequelize.STRING(255), allowNull: true }, { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    const interviewsTable = { tableName: 'interviews', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      // the interviews scheduled by the built-in scheduling cannot be kept without nylas page fields
+      await queryInterface.bulkDelete(interviewsTable, { scheduling_provider: 'local' }, { transaction })
+      await queryInterface.removeColumn(interviewsTable, 'scheduling_provider', { transaction })
+      await queryInterface.changeColumn(interviewsTable, 'nylas_page_id', { type: Sequelize.STRING(255), allowNull: false }, { transaction })
+      await queryInterface.changeColumn(interviewsTable, 'nylas_page_slug', { type: Sequelize.STRING(255), allowNull: false }, { transaction })
+      await queryInterface.changeColumn(interviewsTable, 'nylas_calendar_id', { type: Sequelize.STRING(255), allowNull: false }, { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  }
+}
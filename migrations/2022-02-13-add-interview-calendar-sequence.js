@@ -0,0 +1,15 @@
+const config = require('config')
+
+/*
+ * Add calendarSequence to the Interview model, it's used to update the sent calendar events.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const interviewsTable = { tableName: 'interviews', schema: config.DB_SCHEMA_NAME }
+    await queryInterface.addColumn(interviewsTable, 'calendar_sequence', { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 })
+  },
+  down: async (queryInterface, Sequelize) => {
+    const interviewsTable = { tableName: 'interviews', schema: config.DB_SCHEMA_NAME }
+    await queryInterface.removeColumn(interviewsTable, 'calendar_sequence')
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Create interview_feedbacks table and add feedback_summary to the job candidates
+ */
+
+const config = require('config')
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.createTable('interview_feedbacks', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false,
+          defaultValue: Sequelize.UUIDV4
+        },
+        interviewId: {
+          field: 'interview_id',
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'interviews',
+              schema: config.DB_SCHEMA_NAME
+            },
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        jobCandidateId: {
+          field: 'job_candidate_id',
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'job_candidates',
+              schema: config.DB_SCHEMA_NAME
+            },
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        hostUserId: {
+          field: 'host_user_id',
+          type: Sequelize.UUID,
+          allowNull: false
+        },
+        ratings: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        recommendation: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        comment: {
+          type: Sequelize.TEXT
+        },
+        createdBy: {
+          field: 'created_by',
+          type: Sequelize.UUID,
+          allowNull: false
+        },
+        updatedBy: {
+          field: 'updated_by',
+          type: Sequelize.UUID
+        },
+        createdAt: {
+          field: 'created_at',
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          field: 'updated_at',
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: config.DB_SCHEMA_NAME,
+        transaction
+      })
+      await queryInterface.addIndex({
+        tableName: 'interview_feedbacks',
+        schema: config.DB_SCHEMA_NAME
+      }, ['interview_id', 'host_user_id'], { unique: true, transaction })
+      await queryInterface.addIndex({
+        tableName: 'interview_feedbacks',
+        schema: config.DB_SCHEMA_NAME
+      }, ['job_candidate_id'], { transaction })
+      await queryInterface.addColumn({ tableName: 'job_candidates', schema: config.DB_SCHEMA_NAME }, 'feedback_summary',
+        { type: Sequelize.JSONB },
+        { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.removeColumn({ tableName: 'job_candidates', schema: config.DB_SCHEMA_NAME }, 'feedback_summary', { transaction })
+      await queryInterface.dropTable({ tableName: 'interview_feedbacks', schema: config.DB_SCHEMA_NAME }, { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  }
+}
@@ -0,0 +1,41 @@
+const config = require('config')
+
+/*
+ * Add "No Show" interview status and the Zoom meeting attendance to the Interview model.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const interviewsTable = { tableName: 'interviews', schema: config.DB_SCHEMA_NAME }
+    // the enum value cannot be added inside the transaction
+    await queryInterface.sequelize.query(`ALTER TYPE ${config.DB_SCHEMA_NAME}.enum_interviews_status ADD VALUE IF NOT EXISTS 'No Show'`)
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.addColumn(interviewsTable, 'attendance', { type: Sequelize.JSONB, allowNull: false, defaultValue: {} }, { transaction })
+      await queryInterface.addColumn(interviewsTable, 'no_show_by', { type: Sequelize.STRING(255) }, { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    const interviewsTable = { tableName: 'interviews', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.sequelize.query(
+        `UPDATE ${config.DB_SCHEMA_NAME}.interviews SET status = 'Completed' WHERE status = 'No Show'`,
+        { transaction }
+      )
+      await queryInterface.removeColumn(interviewsTable, 'attendance', { transaction })
+      await queryInterface.removeColumn(interviewsTable, 'no_show_by', { transaction })
+      await queryInterface.sequelize.query(
+        `DELETE FROM pg_enum WHERE enumlabel = 'No Show' AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'enum_interviews_status')`,
+        { transaction }
+      )
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  }
+}
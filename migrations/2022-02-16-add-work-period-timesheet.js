@@ -0,0 +1,44 @@
+const config = require('config')
+
+/*
+ * Add the timesheet submission and approval fields to the WorkPeriod model.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const workPeriodsTable = { tableName: 'work_periods', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.addColumn(workPeriodsTable, 'timesheet_status', { type: Sequelize.STRING(50), allowNull: false, defaultValue: 'none' }, { transaction })
+      await queryInterface.addColumn(workPeriodsTable, 'timesheet_submitted_at', { type: Sequelize.DATE }, { transaction })
+      await queryInterface.addColumn(workPeriodsTable, 'timesheet_submitted_by', { type: Sequelize.UUID }, { transaction })
+      await queryInterface.addColumn(workPeriodsTable, 'timesheet_reviewed_at', { type: Sequelize.DATE }, { transaction })
+      await queryInterface.addColumn(workPeriodsTable, 'timesheet_reviewed_by', { type: Sequelize.UUID }, { transaction })
+      await queryInterface.addColumn(workPeriodsTable, 'timesheet_comment', { type: Sequelize.STRING(1000) }, { transaction })
+      // the past work periods were already managed without timesheets, so they stay payable
+      await queryInterface.sequelize.query(
+        `UPDATE ${config.DB_SCHEMA_NAME}.work_periods SET timesheet_status = 'approved' WHERE end_date < CURRENT_DATE`,
+        { transaction }
+      )
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    const workPeriodsTable = { tableName: 'work_periods', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.removeColumn(workPeriodsTable, 'timesheet_status', { transaction })
+      await queryInterface.removeColumn(workPeriodsTable, 'timesheet_submitted_at', { transaction })
+      await queryInterface.removeColumn(workPeriodsTable, 'timesheet_submitted_by', { transaction })
+      await queryInterface.removeColumn(workPeriodsTable, 'timesheet_reviewed_at', { transaction })
+      await queryInterface.removeColumn(workPeriodsTable, 'timesheet_reviewed_by', { transaction })
+      await queryInterface.removeColumn(workPeriodsTable, 'timesheet_comment', { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  }
+}
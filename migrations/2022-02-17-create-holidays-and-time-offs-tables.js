@@ -0,0 +1,126 @@
+/**
+ * Create holidays and time_offs tables and add holiday_region to the resource bookings
+ */
+
+const config = require('config')
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.createTable('holidays', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false,
+          defaultValue: Sequelize.UUIDV4
+        },
+        region: {
+          type: Sequelize.STRING(10),
+          allowNull: false
+        },
+        date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        name: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        createdBy: {
+          field: 'created_by',
+          type: Sequelize.UUID,
+          allowNull: false
+        },
+        updatedBy: {
+          field: 'updated_by',
+          type: Sequelize.UUID
+        },
+        createdAt: {
+          field: 'created_at',
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          field: 'updated_at',
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: config.DB_SCHEMA_NAME,
+        transaction
+      })
+      await queryInterface.addIndex({
+        tableName: 'holidays',
+        schema: config.DB_SCHEMA_NAME
+      }, ['region', 'date'], { unique: true, transaction })
+      await queryInterface.createTable('time_offs', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false,
+          defaultValue: Sequelize.UUIDV4
+        },
+        userId: {
+          field: 'user_id',
+          type: Sequelize.UUID,
+          allowNull: false
+        },
+        startDate: {
+          field: 'start_date',
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        endDate: {
+          field: 'end_date',
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        reason: {
+          type: Sequelize.STRING(255)
+        },
+        createdBy: {
+          field: 'created_by',
+          type: Sequelize.UUID,
+          allowNull: false
+        },
+        updatedBy: {
+          field: 'updated_by',
+          type: Sequelize.UUID
+        },
+        createdAt: {
+          field: 'created_at',
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          field: 'updated_at',
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: config.DB_SCHEMA_NAME,
+        transaction
+      })
+      await queryInterface.addIndex({
+        tableName: 'time_offs',
+        schema: config.DB_SCHEMA_NAME
+      }, ['user_id'], { transaction })
+      await queryInterface.addColumn({ tableName: 'resource_bookings', schema: config.DB_SCHEMA_NAME }, 'holiday_region',
+        { type: Sequelize.STRING(10) },
+        { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.removeColumn({ tableName: 'resource_bookings', schema: config.DB_SCHEMA_NAME }, 'holiday_region', { transaction })
+      await queryInterface.dropTable({ tableName: 'time_offs', schema: config.DB_SCHEMA_NAME }, { transaction })
+      await queryInterface.dropTable({ tableName: 'holidays', schema: config.DB_SCHEMA_NAME }, { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  }
+}
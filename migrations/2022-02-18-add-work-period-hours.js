@@ -0,0 +1,46 @@
+const config = require('config')
+
+/*
+ * Add the hours worked and paid to the WorkPeriod model, and the hours paid to the WorkPeriodPayment model
+ * for the hourly rate resource bookings.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const workPeriodsTable = { tableName: 'work_periods', schema: config.DB_SCHEMA_NAME }
+    const workPeriodPaymentsTable = { tableName: 'work_period_payments', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.addColumn(workPeriodsTable, 'hours_worked', { type: Sequelize.FLOAT }, { transaction })
+      await queryInterface.addColumn(workPeriodsTable, 'hours_paid', { type: Sequelize.FLOAT, allowNull: false, defaultValue: 0 }, { transaction })
+      await queryInterface.addColumn(workPeriodPaymentsTable, 'hours', { type: Sequelize.FLOAT }, { transaction })
+      // the days of the existent hourly work periods are converted to hours using the weekly hours of the job
+      await queryInterface.sequelize.query(
+        `UPDATE ${config.DB_SCHEMA_NAME}.work_periods wp
+          SET hours_worked = ROUND((wp.days_worked * COALESCE(j.hours_per_week, ${config.DEFAULT_HOURS_PER_WEEK}) / 5.0)::numeric, 2),
+            hours_paid = ROUND((wp.days_paid * COALESCE(j.hours_per_week, ${config.DEFAULT_HOURS_PER_WEEK}) / 5.0)::numeric, 2)
+          FROM ${config.DB_SCHEMA_NAME}.resource_bookings rb
+          LEFT JOIN ${config.DB_SCHEMA_NAME}.jobs j ON j.id = rb.job_id
+          WHERE wp.resource_booking_id = rb.id AND rb.rate_type = 'hourly'`,
+        { transaction }
+      )
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    const workPeriodsTable = { tableName: 'work_periods', schema: config.DB_SCHEMA_NAME }
+    const workPeriodPaymentsTable = { tableName: 'work_period_payments', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.removeColumn(workPeriodsTable, 'hours_worked', { transaction })
+      await queryInterface.removeColumn(workPeriodsTable, 'hours_paid', { transaction })
+      await queryInterface.removeColumn(workPeriodPaymentsTable, 'hours', { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  }
+}
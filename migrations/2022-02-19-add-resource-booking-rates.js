@@ -0,0 +1,35 @@
+const config = require('config')
+
+/*
+ * Add the rate schedule to the ResourceBooking model,
+ * the current rates of the existent resource bookings become effective from the start date.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const table = { tableName: 'resource_bookings', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.addColumn(table, 'rates', { type: Sequelize.JSONB, allowNull: false, defaultValue: [] }, { transaction })
+      await queryInterface.sequelize.query(
+        `UPDATE ${config.DB_SCHEMA_NAME}.resource_bookings
+          SET rates = jsonb_build_array(jsonb_build_object(
+            'effectiveFrom', TO_CHAR(COALESCE(start_date, created_at::date), 'YYYY-MM-DD'),
+            'memberRate', member_rate,
+            'customerRate', customer_rate,
+            'createdAt', COALESCE(updated_at, created_at),
+            'createdBy', COALESCE(updated_by, created_by)
+          ))
+          WHERE member_rate IS NOT NULL OR customer_rate IS NOT NULL`,
+        { transaction }
+      )
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    const table = { tableName: 'resource_bookings', schema: config.DB_SCHEMA_NAME }
+    await queryInterface.removeColumn(table, 'rates')
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Create resource_booking_extensions table
+ */
+
+const config = require('config')
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.createTable('resource_booking_extensions', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false,
+          defaultValue: Sequelize.UUIDV4
+        },
+        resourceBookingId: {
+          field: 'resource_booking_id',
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'resource_bookings',
+              schema: config.DB_SCHEMA_NAME
+            },
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        previousEndDate: {
+          field: 'previous_end_date',
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        endDate: {
+          field: 'end_date',
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        memberRate: {
+          field: 'member_rate',
+          type: Sequelize.FLOAT
+        },
+        customerRate: {
+          field: 'customer_rate',
+          type: Sequelize.FLOAT
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        comment: {
+          type: Sequelize.STRING(1000)
+        },
+        reviewComment: {
+          field: 'review_comment',
+          type: Sequelize.STRING(1000)
+        },
+        reviewedBy: {
+          field: 'reviewed_by',
+          type: Sequelize.UUID
+        },
+        reviewedAt: {
+          field: 'reviewed_at',
+          type: Sequelize.DATE
+        },
+        createdBy: {
+          field: 'created_by',
+          type: Sequelize.UUID,
+          allowNull: false
+        },
+        updatedBy: {
+          field: 'updated_by',
+          type: Sequelize.UUID
+        },
+        createdAt: {
+          field: 'created_at',
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          field: 'updated_at',
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: config.DB_SCHEMA_NAME,
+        transaction
+      })
+      await queryInterface.addIndex({
+        tableName: 'resource_booking_extensions',
+        schema: config.DB_SCHEMA_NAME
+      }, ['resource_booking_id'], { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable({ tableName: 'resource_booking_extensions', schema: config.DB_SCHEMA_NAME })
+  }
+}
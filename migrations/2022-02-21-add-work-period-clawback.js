@@ -0,0 +1,36 @@
+const config = require('config')
+
+/*
+ * Add the clawback fields to the WorkPeriod model,
+ * the paid days and hours after the cancellation of the resource booking are flagged for review.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const table = { tableName: 'work_periods', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.addColumn(table, 'clawback_status', { type: Sequelize.STRING(20) }, { transaction })
+      await queryInterface.addColumn(table, 'clawback_days', { type: Sequelize.INTEGER }, { transaction })
+      await queryInterface.addColumn(table, 'clawback_hours', { type: Sequelize.FLOAT }, { transaction })
+      await queryInterface.addColumn(table, 'clawback_amount', { type: Sequelize.FLOAT }, { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    const table = { tableName: 'work_periods', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.removeColumn(table, 'clawback_status', { transaction })
+      await queryInterface.removeColumn(table, 'clawback_days', { transaction })
+      await queryInterface.removeColumn(table, 'clawback_hours', { transaction })
+      await queryInterface.removeColumn(table, 'clawback_amount', { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  }
+}
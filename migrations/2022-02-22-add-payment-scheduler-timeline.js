@@ -0,0 +1,32 @@
+const config = require('config')
+
+/*
+ * Add the timeline and lastError fields to the PaymentScheduler model,
+ * the failed payments are retried from the last successful step.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const table = { tableName: 'payment_schedulers', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.addColumn(table, 'timeline', { type: Sequelize.JSONB, allowNull: false, defaultValue: [] }, { transaction })
+      await queryInterface.addColumn(table, 'last_error', { type: Sequelize.JSONB }, { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    const table = { tableName: 'payment_schedulers', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.removeColumn(table, 'timeline', { transaction })
+      await queryInterface.removeColumn(table, 'last_error', { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  }
+}
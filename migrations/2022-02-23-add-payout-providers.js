@@ -0,0 +1,101 @@
+const config = require('config')
+
+/*
+ * Add the payout provider to the PaymentScheduler model and create the payout_ledger_entries table,
+ * the payments are paid through the challenge, the local ledger or the exported CSV batch files.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const table = { tableName: 'payment_schedulers', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.addColumn(table, 'provider', { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'challenge' }, { transaction })
+      await queryInterface.addColumn(table, 'payout_id', { type: Sequelize.UUID }, { transaction })
+      await queryInterface.changeColumn(table, 'challenge_id', { type: Sequelize.UUID, allowNull: true }, { transaction })
+      await queryInterface.createTable('payout_ledger_entries', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false,
+          defaultValue: Sequelize.UUIDV4
+        },
+        workPeriodPaymentId: {
+          field: 'work_period_payment_id',
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'work_period_payments',
+              schema: config.DB_SCHEMA_NAME
+            },
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        billingAccountId: {
+          field: 'billing_account_id',
+          type: Sequelize.BIGINT,
+          allowNull: false
+        },
+        userHandle: {
+          field: 'user_handle',
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        amount: {
+          type: Sequelize.DOUBLE,
+          allowNull: false
+        },
+        description: {
+          type: Sequelize.STRING(255)
+        },
+        status: {
+          type: Sequelize.ENUM('pending', 'settled'),
+          allowNull: false
+        },
+        settledAt: {
+          field: 'settled_at',
+          type: Sequelize.DATE
+        },
+        createdAt: {
+          field: 'created_at',
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          field: 'updated_at',
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: config.DB_SCHEMA_NAME,
+        transaction
+      })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+    // the enum values could not be added in the transaction
+    await queryInterface.sequelize.query(`ALTER TYPE ${config.DB_SCHEMA_NAME}.enum_payment_schedulers_step ADD VALUE 'create-ledger-entry'`)
+    await queryInterface.sequelize.query(`ALTER TYPE ${config.DB_SCHEMA_NAME}.enum_payment_schedulers_step ADD VALUE 'settle-ledger-entry'`)
+    await queryInterface.sequelize.query(`ALTER TYPE ${config.DB_SCHEMA_NAME}.enum_payment_schedulers_step ADD VALUE 'export-payout'`)
+  },
+  down: async (queryInterface, Sequelize) => {
+    const table = { tableName: 'payment_schedulers', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.dropTable({ tableName: 'payout_ledger_entries', schema: config.DB_SCHEMA_NAME }, { transaction })
+      await queryInterface.sequelize.query(`DROP TYPE ${config.DB_SCHEMA_NAME}.enum_payout_ledger_entries_status`, { transaction })
+      await queryInterface.sequelize.query(`DELETE FROM ${config.DB_SCHEMA_NAME}.payment_schedulers WHERE provider != 'challenge'`, { transaction })
+      await queryInterface.sequelize.query(`DELETE FROM pg_enum WHERE enumlabel in ('create-ledger-entry', 'settle-ledger-entry', 'export-payout') AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'enum_payment_schedulers_step')`,
+        { transaction })
+      await queryInterface.removeColumn(table, 'provider', { transaction })
+      await queryInterface.removeColumn(table, 'payout_id', { transaction })
+      await queryInterface.changeColumn(table, 'challenge_id', { type: Sequelize.UUID, allowNull: false }, { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  }
+}
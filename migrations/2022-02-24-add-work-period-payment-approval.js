@@ -0,0 +1,37 @@
+const config = require('config')
+
+/*
+ * Add the approval fields and the `pending-approval` status to the WorkPeriodPayment model,
+ * the payments above the approval threshold are scheduled only after another user approves them.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const table = { tableName: 'work_period_payments', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.addColumn(table, 'approved_by', { type: Sequelize.UUID }, { transaction })
+      await queryInterface.addColumn(table, 'approved_at', { type: Sequelize.DATE }, { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+    // the enum value could not be added in the transaction
+    await queryInterface.sequelize.query(`ALTER TYPE ${config.DB_SCHEMA_NAME}.enum_work_period_payments_status ADD VALUE 'pending-approval'`)
+  },
+  down: async (queryInterface, Sequelize) => {
+    const table = { tableName: 'work_period_payments', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.sequelize.query(`UPDATE ${config.DB_SCHEMA_NAME}.work_period_payments SET status = 'cancelled' WHERE status = 'pending-approval'`, { transaction })
+      await queryInterface.sequelize.query(`DELETE FROM pg_enum WHERE enumlabel = 'pending-approval' AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'enum_work_period_payments_status')`,
+        { transaction })
+      await queryInterface.removeColumn(table, 'approved_by', { transaction })
+      await queryInterface.removeColumn(table, 'approved_at', { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  }
+}
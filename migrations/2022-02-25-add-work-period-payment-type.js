@@ -0,0 +1,34 @@
+const config = require('config')
+
+/*
+ * Add the type, the reason code and the comment to the WorkPeriodPayment model,
+ * the adjustment payments pay the explicit amount like a bonus, a reimbursement or a correction.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const table = { tableName: 'work_period_payments', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.addColumn(table, 'type', { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'regular' }, { transaction })
+      await queryInterface.addColumn(table, 'reason_code', { type: Sequelize.STRING(20) }, { transaction })
+      await queryInterface.addColumn(table, 'comment', { type: Sequelize.STRING(1000) }, { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    const table = { tableName: 'work_period_payments', schema: config.DB_SCHEMA_NAME }
+    const transaction = await queryInterface.sequelize.transaction()
+    try {
+      await queryInterface.removeColumn(table, 'type', { transaction })
+      await queryInterface.removeColumn(table, 'reason_code', { transaction })
+      await queryInterface.removeColumn(table, 'comment', { transaction })
+      await transaction.commit()
+    } catch (err) {
+      await transaction.rollback()
+      throw err
+    }
+  }
+}
@@ -0,0 +1,16 @@
+const config = require('config')
+
+/*
+ * Add the time when the event is handled locally to the EventOutbox model,
+ * the events are handled locally once even if the bus API call is retried.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const table = { tableName: 'event_outbox', schema: config.DB_SCHEMA_NAME }
+    await queryInterface.addColumn(table, 'handled_at', { type: Sequelize.DATE })
+  },
+  down: async (queryInterface, Sequelize) => {
+    const table = { tableName: 'event_outbox', schema: config.DB_SCHEMA_NAME }
+    await queryInterface.removeColumn(table, 'handled_at')
+  }
+}
@@ -0,0 +1,27 @@
+const config = require('config')
+
+/*
+ * Only one draft or issued invoice is allowed for a billing account and month,
+ * so a draft cannot be generated next to the issued invoice.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addIndex({
+      tableName: 'invoices',
+      schema: config.DB_SCHEMA_NAME
+    }, ['billing_account_id', 'period_start'], {
+      name: 'invoices_billing_account_id_period_start',
+      unique: true,
+      where: {
+        status: { [Sequelize.Op.ne]: 'void' },
+        deleted_at: null
+      }
+    })
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex({
+      tableName: 'invoices',
+      schema: config.DB_SCHEMA_NAME
+    }, 'invoices_billing_account_id_period_start')
+  }
+}
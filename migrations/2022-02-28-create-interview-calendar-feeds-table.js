@@ -0,0 +1,43 @@
+/**
+ * Create interview_calendar_feeds table, which keeps the key of the calendar feed token of every user,
+ * so the feed token doesn't expire and could be revoked by rotating the key.
+ */
+
+const config = require('config')
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('interview_calendar_feeds', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4
+      },
+      userId: {
+        field: 'user_id',
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true
+      },
+      feedKey: {
+        field: 'feed_key',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      createdAt: {
+        field: 'created_at',
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        field: 'updated_at',
+        type: Sequelize.DATE
+      }
+    }, {
+      schema: config.DB_SCHEMA_NAME
+    })
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable({ tableName: 'interview_calendar_feeds', schema: config.DB_SCHEMA_NAME })
+  }
+}
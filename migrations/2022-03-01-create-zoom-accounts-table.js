@@ -0,0 +1,43 @@
+/**
+ * Create zoom_accounts table, which keeps the accounts picked for the meetings which are not saved to the interviews yet,
+ * the account rows are locked while picking the account, so all the API instances see the same reservations.
+ */
+
+const config = require('config')
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('zoom_accounts', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4
+      },
+      apiKey: {
+        field: 'api_key',
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        unique: true
+      },
+      reservations: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      createdAt: {
+        field: 'created_at',
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        field: 'updated_at',
+        type: Sequelize.DATE
+      }
+    }, {
+      schema: config.DB_SCHEMA_NAME
+    })
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable({ tableName: 'zoom_accounts', schema: config.DB_SCHEMA_NAME })
+  }
+}
@@ -0,0 +1,14 @@
+const config = require('config')
+
+/*
+ * Add the `changedBy` field to the WorkPeriodPayment model, which keeps the user who last changed
+ * the amount, days, hours or billingAccountId of the payment, so that user is not allowed to approve it.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn({ tableName: 'work_period_payments', schema: config.DB_SCHEMA_NAME }, 'changed_by', { type: Sequelize.UUID })
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn({ tableName: 'work_period_payments', schema: config.DB_SCHEMA_NAME }, 'changed_by')
+  }
+}
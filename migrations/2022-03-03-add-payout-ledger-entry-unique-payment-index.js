@@ -0,0 +1,23 @@
+const config = require('config')
+
+/*
+ * Only one ledger entry is allowed for a work period payment,
+ * so the payout of the payment processed at the same time by two instances cannot be created twice.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addIndex({
+      tableName: 'payout_ledger_entries',
+      schema: config.DB_SCHEMA_NAME
+    }, ['work_period_payment_id'], {
+      name: 'payout_ledger_entries_work_period_payment_id',
+      unique: true
+    })
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex({
+      tableName: 'payout_ledger_entries',
+      schema: config.DB_SCHEMA_NAME
+    }, 'payout_ledger_entries_work_period_payment_id')
+  }
+}
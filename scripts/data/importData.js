@@ -2,7 +2,7 @@
  * Import data from a json file into the db and index it in Elasticsearch
  */
 const config = require('config')
-const { Interview, WorkPeriod, WorkPeriodPayment } = require('../../src/models')
+const { Interview, InterviewFeedback, JobCandidateStatusHistory, WorkPeriod, WorkPeriodPayment, InvoiceLineItem } = require('../../src/models')
 const logger = require('../../src/common/logger')
 const helper = require('../../src/common/helper')
 
@@ -10,7 +10,14 @@ const jobCandidateModelOpts = {
   modelName: 'JobCandidate',
   include: [{
     model: Interview,
-    as: 'interviews'
+    as: 'interviews',
+    include: [{
+      model: InterviewFeedback,
+      as: 'feedback'
+    }]
+  }, {
+    model: JobCandidateStatusHistory,
+    as: 'statusHistory'
   }]
 }
 
@@ -26,9 +33,17 @@ const resourceBookingModelOpts = {
   }]
 }
 
+const invoiceModelOpts = {
+  modelName: 'Invoice',
+  include: [{
+    model: InvoiceLineItem,
+    as: 'lineItems'
+  }]
+}
+
 const filePath = helper.getParamFromCliArgs() || config.DEFAULT_DATA_FILE_PATH
 const userPrompt = `WARNING: this would remove existing data. Are you sure you want to import data from a json file with the path ${filePath}?`
-const dataModels = ['Job', jobCandidateModelOpts, resourceBookingModelOpts, 'Role', 'UserMeetingSettings']
+const dataModels = ['Job', jobCandidateModelOpts, resourceBookingModelOpts, invoiceModelOpts, 'Role', 'UserMeetingSettings', 'Holiday', 'TimeOff', 'ResourceBookingExtension']
 
 async function importData () {
   await helper.promptUser(userPrompt, async () => {
@@ -38,7 +38,12 @@ const templateFileMap = {
   [config.TAAS_NOTIFICATION_INTERVIEW_RESCHEDULED_HOST_SENDGRID_TEMPLATE_ID]: handlebars.compile(fs.readFileSync('./data/notification-email-templates/taas.notification.interview-rescheduled-host.html', 'utf8')),
   [config.TAAS_NOTIFICATION_INTERVIEW_RESCHEDULED_GUEST_SENDGRID_TEMPLATE_ID]: handlebars.compile(fs.readFileSync('./data/notification-email-templates/taas.notification.interview-rescheduled-guest.html', 'utf8')),
   [config.TAAS_NOTIFICATION_INTERVIEW_CANCELLED_HOST_SENDGRID_TEMPLATE_ID]: handlebars.compile(fs.readFileSync('./data/notification-email-templates/taas.notification.interview-cancelled-host.html', 'utf8')),
-  [config.TAAS_NOTIFICATION_INTERVIEW_CANCELLED_GUEST_SENDGRID_TEMPLATE_ID]: handlebars.compile(fs.readFileSync('./data/notification-email-templates/taas.notification.interview-cancelled-guest.html', 'utf8'))
+  [config.TAAS_NOTIFICATION_INTERVIEW_CANCELLED_GUEST_SENDGRID_TEMPLATE_ID]: handlebars.compile(fs.readFileSync('./data/notification-email-templates/taas.notification.interview-cancelled-guest.html', 'utf8')),
+  [config.TAAS_NOTIFICATION_TIMESHEET_SUBMITTED_SENDGRID_TEMPLATE_ID]: handlebars.compile(fs.readFileSync('./data/notification-email-templates/taas.notification.timesheet-submitted.html', 'utf8')),
+  [config.TAAS_NOTIFICATION_TIMESHEET_APPROVED_SENDGRID_TEMPLATE_ID]: handlebars.compile(fs.readFileSync('./data/notification-email-templates/taas.notification.timesheet-approved.html', 'utf8')),
+  [config.TAAS_NOTIFICATION_TIMESHEET_DISPUTED_SENDGRID_TEMPLATE_ID]: handlebars.compile(fs.readFileSync('./data/notification-email-templates/taas.notification.timesheet-disputed.html', 'utf8')),
+  [config.TAAS_NOTIFICATION_RESOURCE_BOOKING_CANCELLED_SENDGRID_TEMPLATE_ID]: handlebars.compile(fs.readFileSync('./data/notification-email-templates/taas.notification.resource-booking-cancelled.html', 'utf8')),
+  [config.TAAS_NOTIFICATION_RESOURCE_BOOKING_CLAWBACK_REVIEW_SENDGRID_TEMPLATE_ID]: handlebars.compile(fs.readFileSync('./data/notification-email-templates/taas.notification.resource-booking-clawback-review.html', 'utf8'))
 }
 
 /**
@@ -0,0 +1,42 @@
+/**
+ * Import holidays from a json file into the db.
+ * The holidays are matched by region and date, the existent ones are updated and the others are created.
+ * The work periods which include the imported holidays are recalculated.
+ */
+require('../../src/bootstrap')
+const config = require('config')
+const fs = require('fs')
+const { Holiday } = require('../../src/models')
+const logger = require('../../src/common/logger')
+const helper = require('../../src/common/helper')
+const HolidayService = require('../../src/services/HolidayService')
+
+const filePath = helper.getParamFromCliArgs() || config.HOLIDAYS_DATA_FILE_PATH
+
+async function importHolidays () {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File with path ${filePath} does not exist`)
+  }
+  const holidays = JSON.parse(fs.readFileSync(filePath).toString())
+  const currentUser = helper.getAuditM2Muser()
+  let created = 0
+  let updated = 0
+  for (const holiday of holidays) {
+    const existent = await Holiday.findOne({ where: { region: holiday.region, date: holiday.date }, raw: true })
+    if (!existent) {
+      await HolidayService.createHoliday(currentUser, holiday)
+      created++
+    } else if (existent.name !== holiday.name) {
+      await HolidayService.partiallyUpdateHoliday(currentUser, existent.id, { name: holiday.name })
+      updated++
+    }
+  }
+  logger.info({ component: 'importHolidays', message: `Holidays imported from ${filePath}: created ${created}, updated ${updated}, unchanged ${holidays.length - created - updated}` })
+}
+
+importHolidays().then(() => {
+  process.exit(0)
+}).catch(err => {
+  logger.logFullError(err, { component: 'importHolidays' })
+  process.exit(1)
+})
@@ -3,25 +3,28 @@ const Joi = require('joi')
 const config = require('config')
 const path = require('path')
 const _ = require('lodash')
-const { Interviews, AggregatePaymentStatus, WorkPeriodPaymentStatus, WorkPeriodPaymentUpdateStatus, PaymentProcessingSwitch, WeeklySurveySwitch } = require('../app-constants')
+const { Interviews, AggregatePaymentStatus, WorkPeriodPaymentStatus, WorkPeriodPaymentUpdateStatus, InvoiceStatus, JobCandidateStatus, RateType, PaymentProcessingSwitch, PayoutProvider, WeeklySurveySwitch } = require('../app-constants')
 const logger = require('./common/logger')
 
 const allowedInterviewStatuses = _.values(Interviews.Status)
 
 Joi.page = () => Joi.number().integer().min(1).default(1)
 Joi.perPage = () => Joi.number().integer().min(1).default(20)
-Joi.rateType = () => Joi.string().valid('hourly', 'daily', 'weekly', 'monthly', 'annual')
+Joi.rateType = () => Joi.string().valid(..._.values(RateType))
 Joi.jobStatus = () => Joi.string().valid('sourcing', 'in-review', 'assigned', 'closed', 'cancelled')
 Joi.jobRcrmStatus = () => Joi.string().valid('Open', 'On Hold', 'Canceled', 'Draft', 'Closed', 'Did not Post').allow(null)
 Joi.jobTag = () => Joi.string().valid('New', '$$$', 'Hot').allow('')
 Joi.resourceBookingStatus = () => Joi.string().valid('placed', 'closed', 'cancelled')
 Joi.workload = () => Joi.string().valid('full-time', 'fractional')
-Joi.jobCandidateStatus = () => Joi.string().valid('open', 'placed', 'selected', 'client rejected - screening', 'client rejected - interview', 'rejected - other', 'cancelled', 'interview', 'topcoder-rejected', 'applied', 'rejected-pre-screen', 'skills-test', 'skills-test', 'phone-screen', 'job-closed', 'offered', 'withdrawn', 'withdrawn-prescreen')
+Joi.jobCandidateStatus = () => Joi.string().valid(..._.values(JobCandidateStatus))
 Joi.title = () => Joi.string().max(128)
 Joi.paymentStatus = () => Joi.string().valid(..._.values(AggregatePaymentStatus))
 Joi.interviewStatus = () => Joi.string().valid(...allowedInterviewStatuses)
 Joi.workPeriodPaymentStatus = () => Joi.string().valid(..._.values(WorkPeriodPaymentStatus))
 Joi.workPeriodPaymentUpdateStatus = () => Joi.string().valid(..._.values(WorkPeriodPaymentUpdateStatus))
+Joi.invoiceStatus = () => Joi.string().valid(..._.values(InvoiceStatus))
+// the ISO 3166 code of the country like "US", or of the country subdivision like "US-CA"
+Joi.holidayRegion = () => Joi.string().uppercase().pattern(/^[A-Z]{2}(-[A-Z0-9]{1,3})?$/)
 // Empty string is not allowed by Joi by default and must be enabled with allow('').
 // See https://joi.dev/api/?v=17.3.0#string fro details why it's like this.
 // In many cases we would like to allow empty string to make it easier to create UI for editing data.
@@ -54,9 +57,18 @@ const paymentProcessingSwitchSchema = Joi.string().label('PAYMENT_PROCESSING_SWI
 const weeklySurveySwitchSchema = Joi.string().label('WEEKLY_SURVEY_SWITCH').valid(
   ...Object.values(WeeklySurveySwitch)
 )
+const payoutProviderSchema = Joi.string().valid(
+  ...Object.values(PayoutProvider)
+)
+const interviewSchedulingProviderSchema = Joi.string().label('INTERVIEW_SCHEDULING_PROVIDER').valid(
+  ...Object.values(Interviews.SchedulingProvider)
+)
 try {
   Joi.attempt(config.PAYMENT_PROCESSING.SWITCH, paymentProcessingSwitchSchema)
+  Joi.attempt(config.PAYMENT_PROCESSING.PROVIDER, payoutProviderSchema.label('PAYMENT_PROCESSING_PROVIDER'))
+  Joi.attempt(config.PAYMENT_PROCESSING.BILLING_ACCOUNT_PROVIDERS, Joi.object().pattern(/^\d+$/, payoutProviderSchema).label('PAYMENT_PROCESSING_BILLING_ACCOUNT_PROVIDERS'))
   Joi.attempt(config.WEEKLY_SURVEY.SWITCH, weeklySurveySwitchSchema)
+  Joi.attempt(config.INTERVIEW_SCHEDULING_PROVIDER, interviewSchedulingProviderSchema)
 } catch (err) {
   console.error(err.message)
   process.exit(1)
@@ -11,6 +11,7 @@ const AWS = require('aws-sdk')
 const config = require('config')
 const HttpStatus = require('http-status-codes')
 const _ = require('lodash')
+const { Op } = require('sequelize')
 const request = require('superagent')
 const elasticsearch = require('@elastic/elasticsearch')
 const {
@@ -22,7 +23,7 @@ const models = require('../models')
 const eventDispatcher = require('./eventDispatcher')
 const busApi = require('@topcoder-platform/topcoder-bus-api-wrapper')
 const moment = require('moment-timezone')
-const { PaymentStatusRules, SearchUsers, InterviewEventHandlerTimeout } = require('../../app-constants')
+const { PaymentStatusRules, JobCandidateStatusTransitions, SearchUsers, InterviewEventHandlerTimeout, EventOutboxStatus, Interviews, WorkPeriodPaymentType } = require('../../app-constants')
 const emailTemplateConfig = require('../../config/email_template.config')
 const { Mutex, withTimeout } = require('async-mutex')
 const jwt = require('jsonwebtoken')
@@ -138,10 +139,26 @@ esIndexPropertyMapping[config.get('esConfig.ES_INDEX_JOB_CANDIDATE')] = {
   externalId: { type: 'keyword' },
   resume: { type: 'text' },
   remark: { type: 'keyword' },
+  feedbackSummary: {
+    properties: {
+      feedbackCount: { type: 'integer' },
+      averageRating: { type: 'float' },
+      skills: {
+        type: 'nested',
+        properties: {
+          skillId: { type: 'keyword' },
+          averageRating: { type: 'float' },
+          ratingCount: { type: 'integer' }
+        }
+      },
+      recommendations: { type: 'object' }
+    }
+  },
   interviews: {
     type: 'nested',
     properties: {
       id: { type: 'keyword' },
+      schedulingProvider: { type: 'keyword' },
       nylasPageId: { type: 'keyword' },
       nylasPageSlug: { type: 'keyword' },
       nylasCalendarId: { type: 'keyword' },
@@ -156,11 +173,28 @@ esIndexPropertyMapping[config.get('esConfig.ES_INDEX_JOB_CANDIDATE')] = {
         }
       },
       hostUserId: { type: 'keyword' },
+      hosts: {
+        type: 'nested',
+        properties: {
+          userId: { type: 'keyword' },
+          required: { type: 'boolean' }
+        }
+      },
       expireTimestamp: { type: 'date' },
       jobCandidateId: { type: 'keyword' },
       duration: { type: 'integer' },
       startTimestamp: { type: 'date' },
       endTimestamp: { type: 'date' },
+      calendarSequence: { type: 'integer' },
+      attendance: {
+        properties: {
+          startedAt: { type: 'date' },
+          endedAt: { type: 'date' },
+          hostJoinedAt: { type: 'date' },
+          guestJoinedAt: { type: 'date' }
+        }
+      },
+      noShowBy: { type: 'keyword' },
       round: { type: 'integer' },
       status: { type: 'keyword' },
       createdAt: { type: 'date' },
@@ -187,6 +221,17 @@ esIndexPropertyMapping[config.get('esConfig.ES_INDEX_RESOURCE_BOOKING')] = {
   sendWeeklySurvey: { type: 'boolean' },
   rateType: { type: 'keyword' },
   billingAccountId: { type: 'integer', null_value: 0 },
+  holidayRegion: { type: 'keyword' },
+  rates: {
+    type: 'nested',
+    properties: {
+      effectiveFrom: { type: 'date', format: 'yyyy-MM-dd' },
+      memberRate: { type: 'float' },
+      customerRate: { type: 'float' },
+      createdAt: { type: 'date' },
+      createdBy: { type: 'keyword' }
+    }
+  },
   workPeriods: {
     type: 'nested',
     properties: {
@@ -210,17 +255,33 @@ esIndexPropertyMapping[config.get('esConfig.ES_INDEX_RESOURCE_BOOKING')] = {
       endDate: { type: 'date', format: 'yyyy-MM-dd' },
       daysWorked: { type: 'integer' },
       daysPaid: { type: 'integer' },
+      hoursWorked: { type: 'float' },
+      hoursPaid: { type: 'float' },
       paymentTotal: { type: 'float' },
       paymentStatus: { type: 'keyword' },
+      timesheetStatus: { type: 'keyword' },
+      timesheetSubmittedAt: { type: 'date' },
+      timesheetSubmittedBy: { type: 'keyword' },
+      timesheetReviewedAt: { type: 'date' },
+      timesheetReviewedBy: { type: 'keyword' },
+      timesheetComment: { type: 'text' },
+      clawbackStatus: { type: 'keyword' },
+      clawbackDays: { type: 'integer' },
+      clawbackHours: { type: 'float' },
+      clawbackAmount: { type: 'float' },
       payments: {
         type: 'nested',
         properties: {
           id: { type: 'keyword' },
           workPeriodId: { type: 'keyword' },
           challengeId: { type: 'keyword' },
+          type: { type: 'keyword' },
+          reasonCode: { type: 'keyword' },
+          comment: { type: 'text' },
           memberRate: { type: 'float' },
           customerRate: { type: 'float' },
           days: { type: 'integer' },
+          hours: { type: 'float' },
           amount: { type: 'float' },
           status: { type: 'keyword' },
           statusDetails: {
@@ -234,6 +295,9 @@ esIndexPropertyMapping[config.get('esConfig.ES_INDEX_RESOURCE_BOOKING')] = {
             }
           },
           billingAccountId: { type: 'integer' },
+          approvedBy: { type: 'keyword' },
+          approvedAt: { type: 'date' },
+          changedBy: { type: 'keyword' },
           createdAt: { type: 'date' },
           createdBy: { type: 'keyword' },
           updatedAt: { type: 'date' },
@@ -976,32 +1040,123 @@ async function getUserByExternalId (externalId) {
 }
 
 /**
- * Send Kafka event message
+ * Send Kafka event message through the transactional outbox.
+ * The event is saved into the outbox first, so it could be relayed by `relayEvent` later if the bus API call fails.
+ * If `options.transaction` is provided, the event is saved within the transaction and relayed after it is committed.
  * @params {String} topic the topic name
  * @params {Object} payload the payload
  * @params {Object} options the extra options to control the function
  */
 async function postEvent (topic, payload, options = {}) {
+  const transaction = options.transaction
+  const eventOptions = _.omit(options, ['transaction'])
   logger.debug({
     component: 'helper',
     context: 'postEvent',
-    message: `Posting event to Kafka topic ${topic}, ${JSON.stringify(
+    message: `Saving event of Kafka topic ${topic} into outbox, ${JSON.stringify(
       payload
     )}`
   })
-  const client = getBusApiClient()
-  const message = {
+  const event = await models.EventOutbox.create({
     topic,
-    originator: config.KAFKA_MESSAGE_ORIGINATOR,
-    timestamp: new Date().toISOString(),
-    'mime-type': 'application/json',
-    payload
-  }
-  if (options.key) {
-    message.key = options.key
+    // events with the same entity key are relayed in the order they are saved
+    entityKey: eventOptions.key || _.get(payload, 'id', null),
+    payload,
+    options: eventOptions,
+    status: EventOutboxStatus.PENDING
+  }, { transaction })
+  if (transaction) {
+    // the data is committed already, so the failure of relaying is only logged and the outbox relay retries it
+    transaction.afterCommit(() => relayEvent(event.id, { payload, options: eventOptions }).catch(err => {
+      logger.logFullError(err, { component: 'helper', context: 'postEvent' })
+    }))
+  } else {
+    await relayEvent(event.id, { payload, options: eventOptions })
+  }
+}
+
+/**
+ * Relay an event saved in the outbox to the bus API and then handle it locally.
+ * The event is skipped if it's already relayed or locked by other processor,
+ * and it's not sent until the earlier pending events with the same entity key are sent.
+ * If the bus API call fails, the event is kept pending and retried with backoff until it reaches the max retry count.
+ * The event is handled locally only once: when it's posted, even if the bus API call fails
+ * or has to wait for the earlier events, or when it's relayed later if it was not handled yet.
+ * @params {Number} id the event id
+ * @params {Object} original the original payload and options, used instead of the saved JSON if provided
+ * @returns {Boolean} whether the event is relayed
+ */
+async function relayEvent (id, original) {
+  const { MAX_RETRY_COUNT, RETRY_BASE_DELAY, RETRY_MAX_DELAY } = config.EVENT_OUTBOX
+  let event
+  let relayed = false
+  let handled = false
+  await models.sequelize.transaction(async (t) => {
+    event = await models.EventOutbox.findOne({
+      where: { id, status: EventOutboxStatus.PENDING },
+      lock: t.LOCK.UPDATE,
+      skipLocked: true,
+      transaction: t
+    })
+    if (!event) {
+      return
+    }
+    if (event.entityKey) {
+      const earlierCount = await models.EventOutbox.count({
+        where: { entityKey: event.entityKey, status: EventOutboxStatus.PENDING, id: { [Op.lt]: event.id } },
+        transaction: t
+      })
+      if (earlierCount > 0) {
+        logger.debug({ component: 'helper', context: 'relayEvent', message: `event ${id} is waiting for earlier events of "${event.entityKey}"` })
+        // only the bus publish waits, the event being posted is handled locally right away
+        if (original && _.isNil(event.handledAt)) {
+          await event.update({ handledAt: new Date() }, { transaction: t })
+          handled = true
+        }
+        return
+      }
+    }
+    const message = {
+      topic: event.topic,
+      originator: config.KAFKA_MESSAGE_ORIGINATOR,
+      timestamp: new Date().toISOString(),
+      'mime-type': 'application/json',
+      payload: original ? original.payload : event.payload
+    }
+    if (_.get(event, 'options.key')) {
+      message.key = event.options.key
+    }
+    const attempts = event.attempts + 1
+    const isHandled = !_.isNil(event.handledAt)
+    const handledAt = isHandled ? event.handledAt : new Date()
+    try {
+      await getBusApiClient().postEvent(message)
+    } catch (err) {
+      logger.logFullError(err, { component: 'helper', context: 'relayEvent' })
+      const failed = attempts >= MAX_RETRY_COUNT
+      const delay = Math.min(RETRY_BASE_DELAY * Math.pow(2, attempts - 1), RETRY_MAX_DELAY)
+      // the event being posted is handled locally even if it's not sent yet
+      handled = !!original && !isHandled
+      await event.update({
+        attempts,
+        status: failed ? EventOutboxStatus.FAILED : EventOutboxStatus.PENDING,
+        lastError: _.truncate(err.message, { length: 1000 }),
+        nextAttemptAt: failed ? null : new Date(Date.now() + delay),
+        handledAt: handled ? handledAt : event.handledAt
+      }, { transaction: t })
+      if (failed) {
+        logger.error({ component: 'helper', context: 'relayEvent', message: `event ${id} of topic ${event.topic} failed after ${attempts} attempts` })
+      }
+      return
+    }
+    await event.update({ attempts, status: EventOutboxStatus.SENT, sentAt: new Date(), handledAt }, { transaction: t })
+    relayed = true
+    handled = !isHandled
+  })
+  if (handled) {
+    await eventDispatcher.handleEvent(event.topic, original ? { value: original.payload, options: original.options } : { value: event.payload, options: event.options })
   }
-  await client.postEvent(message)
-  await eventDispatcher.handleEvent(topic, { value: payload, options })
+  return relayed
 }
 
 /**
@@ -1885,13 +2040,63 @@ async function getChallengeResource (challengeId, memberHandle, roleId) {
   }
 }
 
+/**
+ * Get the holiday regions which apply to the region.
+ * The holidays of the country apply to all of its subdivisions.
+ * @param {String} region the region like "US" or "US-CA"
+ * @returns {Array<String>} the regions
+ */
+function _getHolidayRegions (region) {
+  const country = _.first(_.split(region, '-'))
+  return _.uniq([country, region])
+}
+
+/**
+ * Get the dates which the member doesn't work during the resource booking,
+ * which are the holidays of the resource booking region and the time off of the member.
+ * @param {Object} resourceBooking the resource booking
+ * @returns {Array<String>} the sorted dates in `YYYY-MM-DD` format
+ */
+async function getNonWorkingDates (resourceBooking) {
+  const { userId, holidayRegion, startDate, endDate } = resourceBooking
+  if (_.isNil(startDate) || _.isNil(endDate)) {
+    return []
+  }
+  const dates = []
+  if (holidayRegion) {
+    const holidays = await models.Holiday.findAll({
+      where: {
+        region: _getHolidayRegions(holidayRegion),
+        date: { [Op.between]: [startDate, endDate] }
+      },
+      raw: true
+    })
+    dates.push(..._.map(holidays, 'date'))
+  }
+  const timeOffs = await models.TimeOff.findAll({
+    where: {
+      userId,
+      startDate: { [Op.lte]: endDate },
+      endDate: { [Op.gte]: startDate }
+    },
+    raw: true
+  })
+  _.each(timeOffs, timeOff => {
+    for (const day = moment(timeOff.startDate); !day.isAfter(timeOff.endDate, 'day'); day.add(1, 'day')) {
+      dates.push(day.format('YYYY-MM-DD'))
+    }
+  })
+  return _.sortBy(_.uniq(dates))
+}
+
 /**
  * Populates workPeriods from start and end date of resource booking
  * @param {Date} start start date of the resource booking
  * @param {Date} end end date of the resource booking
+ * @param {Array<String>} nonWorkingDates the holidays and time off dates which are not counted in daysWorked
  * @returns {Array<{startDate:Date, endDate:Date, daysWorked:number}>} information about workPeriods
  */
-function extractWorkPeriods (start, end) {
+function extractWorkPeriods (start, end, nonWorkingDates = []) {
   // calculate maximum possible daysWorked for a week
   function getDaysWorked (week) {
     if (weeks === 1) {
@@ -1916,17 +2121,101 @@ function extractWorkPeriods (start, end) {
 
   const weeks = Math.round(moment.duration(endDate - startDate).asDays()) / 7
 
+  // only the week days inside the resource booking dates reduce daysWorked
+  const daysOff = _.uniq(_.map(_.filter(nonWorkingDates, date => {
+    const day = moment(date)
+    return day.get('day') >= 1 && day.get('day') <= 5 && !day.isBefore(start, 'day') && !day.isAfter(end, 'day')
+  }), date => moment(date).format('YYYY-MM-DD')))
+
   for (let i = 0; i < weeks; i++) {
+    const weekStart = startDate.format('YYYY-MM-DD')
+    const weekEnd = startDate.add(6, 'day').format('YYYY-MM-DD')
     periods.push({
-      startDate: startDate.format('YYYY-MM-DD'),
-      endDate: startDate.add(6, 'day').format('YYYY-MM-DD'),
-      daysWorked: getDaysWorked(i)
+      startDate: weekStart,
+      endDate: weekEnd,
+      daysWorked: getDaysWorked(i) - _.filter(daysOff, date => date >= weekStart && date <= weekEnd).length
     })
     startDate.add(1, 'day')
   }
   return periods
 }
 
+/**
+ * Get the share of the member's time taken by the job.
+ * The full-time job takes all the time, the fractional job takes its weekly hours
+ * compared to the full-time weekly hours.
+ * @param {Object} job the job, the resource bookings without job are full-time
+ * @returns {Number} the allocation, 1 for the full-time job
+ */
+function getWorkloadAllocation (job) {
+  if (_.get(job, 'workload') !== 'fractional') {
+    return 1
+  }
+  if (job.hoursPerWeek) {
+    return Math.min(job.hoursPerWeek / config.DEFAULT_HOURS_PER_WEEK, 1)
+  }
+  return config.FRACTIONAL_WORKLOAD_ALLOCATION
+}
+
+/**
+ * Get the peak of the total allocation of the overlapping resource bookings.
+ * The resource bookings without start or end date are open-ended.
+ * @param {Array<{startDate:String, endDate:String, allocation:number}>} resourceBookings the resource bookings
+ * @returns {Number} the highest total allocation on any day
+ */
+function getPeakAllocation (resourceBookings) {
+  const changes = []
+  _.each(resourceBookings, rb => {
+    changes.push({ date: rb.startDate ? moment(rb.startDate).format('YYYY-MM-DD') : '0000-01-01', allocation: rb.allocation })
+    if (rb.endDate) {
+      changes.push({ date: moment(rb.endDate).add(1, 'day').format('YYYY-MM-DD'), allocation: -rb.allocation })
+    }
+  })
+  let total = 0
+  let peak = 0
+  // the bookings which end on the previous day are released before the bookings which start on the day
+  _.each(_.sortBy(changes, ['date', 'allocation']), change => {
+    total += change.allocation
+    peak = Math.max(peak, total)
+  })
+  return _.round(peak, 2)
+}
+
+/**
+ * Get the rates of the resource booking which applied on the date.
+ * The rate schedule entry with the latest effectiveFrom not after the date is used,
+ * the dates before the first entry use the first entry.
+ * The resource bookings without rate schedule use their current rates.
+ * @param {Object} resourceBooking the resource booking with the rate schedule
+ * @param {Date} date the date
+ * @returns {{memberRate:number, customerRate:number}} the rates
+ */
+function getEffectiveRates (resourceBooking, date) {
+  const rates = _.sortBy(resourceBooking.rates, 'effectiveFrom')
+  if (!rates.length) {
+    return _.pick(resourceBooking, ['memberRate', 'customerRate'])
+  }
+  const day = moment(date).format('YYYY-MM-DD')
+  const rate = _.findLast(rates, entry => entry.effectiveFrom <= day) || rates[0]
+  return _.pick(rate, ['memberRate', 'customerRate'])
+}
+
+/**
+ * Add the rates to the rate schedule of the resource booking.
+ * The new entry is inserted by its effectiveFrom and only replaces the entry effective from the same date,
+ * so the entries effective later are kept.
+ * @param {Array<Object>} rates the rate schedule
+ * @param {Object} rate the rate entry with effectiveFrom, memberRate and customerRate
+ * @returns {Array<Object>} the new rate schedule sorted by effectiveFrom
+ */
+function addRateToSchedule (rates, rate) {
+  const effectiveFrom = moment(rate.effectiveFrom).format('YYYY-MM-DD')
+  return _.sortBy([
+    ..._.reject(rates, ['effectiveFrom', effectiveFrom]),
+    { ...rate, effectiveFrom }
+  ], 'effectiveFrom')
+}
+
 /**
  * Calculate the payment status of given workPeriod
  * @param {object} workPeriod workPeriod object with payments
@@ -1934,10 +2223,14 @@ function extractWorkPeriods (start, end) {
  * @throws {ConflictError} when no rule matches
  */
 function calculateWorkPeriodPaymentStatus (workPeriod) {
+  // the hourly work periods are paid by hours, so the rules are evaluated against the hours
+  const [worked, paid] = _.isNil(workPeriod.hoursWorked)
+    ? [workPeriod.daysWorked, workPeriod.daysPaid]
+    : [workPeriod.hoursWorked, _.defaultTo(workPeriod.hoursPaid, 0)]
   function matchRule (rule) {
     const actualState = {
-      daysWorked: workPeriod.daysWorked,
-      hasDueDays: workPeriod.daysWorked > workPeriod.daysPaid
+      daysWorked: worked,
+      hasDueDays: worked > paid
     }
     return _.every(_.keys(rule.condition), condition => {
       if (_.isArray(rule.condition[condition])) {
@@ -1956,6 +2249,44 @@ function calculateWorkPeriodPaymentStatus (workPeriod) {
   throw new errors.ConflictError('Cannot calculate payment status.')
 }
 
+/**
+ * Check if the job candidate status is allowed to be changed to the given status
+ * @param {string} fromStatus the current status
+ * @param {string} toStatus the new status
+ * @throws {ConflictError} when the transition is not allowed
+ */
+function checkJobCandidateStatusTransition (fromStatus, toStatus) {
+  if (fromStatus === toStatus) {
+    return
+  }
+  const nextStatuses = JobCandidateStatusTransitions[fromStatus] || []
+  if (!_.includes(nextStatuses, toStatus)) {
+    throw new errors.ConflictError(`Job candidate status cannot be changed from "${fromStatus}" to "${toStatus}". ` +
+      (nextStatuses.length ? `Allowed next statuses: ${_.map(nextStatuses, status => `"${status}"`).join(', ')}.` : `"${fromStatus}" is a final status.`))
+  }
+}
+
+/**
+ * Get the result of the interview from the Zoom meeting attendance.
+ * The interview is completed only if both the host and the guest joined the meeting.
+ * @param {Object} attendance the interview attendance
+ * @returns {Object} the interview status and who failed to attend
+ */
+function getInterviewAttendanceResult (attendance) {
+  const hostJoined = !!_.get(attendance, 'hostJoinedAt')
+  const guestJoined = !!_.get(attendance, 'guestJoinedAt')
+  if (hostJoined && guestJoined) {
+    return { status: Interviews.Status.Completed, noShowBy: null }
+  }
+  let noShowBy = Interviews.NoShowBy.Both
+  if (hostJoined) {
+    noShowBy = Interviews.NoShowBy.Guest
+  } else if (guestJoined) {
+    noShowBy = Interviews.NoShowBy.Host
+  }
+  return { status: Interviews.Status.NoShow, noShowBy }
+}
+
 /**
  * Returns the email address of specified (via handle) user.
  *
@@ -2173,6 +2504,43 @@ function formatDate (date) {
   }
 }
 
+/**
+ * Convert a list of records into CSV text
+ *
+ * @param {Array<Object>} rows the records to convert
+ * @param {Array<String>} fields the fields to export, also used as the header row
+ * @returns {String} the CSV text
+ */
+function convertToCSV (rows, fields) {
+  const escapeValue = (value) => {
+    if (_.isNil(value)) {
+      return ''
+    }
+    const str = _.isArray(value) ? value.join(';') : String(value)
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+  }
+  const lines = [_.map(fields, escapeValue).join(',')]
+  _.each(rows, row => {
+    lines.push(_.map(fields, field => escapeValue(_.get(row, field))).join(','))
+  })
+  return lines.join('\n')
+}
+
+/**
+ * Get the description of the payment of the work period,
+ * which is used as the challenge name or the payout description
+ *
+ * @param {Object} workPeriod the work period
+ * @param {Object} workPeriodPayment the work period payment, the adjustment payments are described by the reason code
+ * @returns {String} the payment description
+ */
+function getPaymentDescription (workPeriod, workPeriodPayment) {
+  const title = _.get(workPeriodPayment, 'type') === WorkPeriodPaymentType.ADJUSTMENT
+    ? `TaaS ${_.capitalize(workPeriodPayment.reasonCode)}`
+    : 'TaaS Payment'
+  return `${title} - ${workPeriod.userHandle} - Week Ending ${moment(workPeriod.endDate).format('D/M/YYYY')}`
+}
+
 /**
  * Runs code one by one for interview event handlers.
  *
@@ -2256,6 +2624,116 @@ function verifyZoomLinkToken (token) {
   }
 }
 
+/**
+ * Sign the token which allows the guest to book the interview using the built-in scheduling.
+ *
+ * @param {String} interviewId the interview id
+ * @returns {String} the token
+ */
+function signInterviewBookingToken (interviewId) {
+  return jwt.sign(
+    { id: interviewId },
+    config.INTERVIEW_BOOKING_SECRET,
+    {
+      algorithm: 'HS256',
+      expiresIn: config.INTERVIEW_BOOKING_TOKEN_EXPIRY
+    }
+  )
+}
+
+/**
+ * Verify interview booking token.
+ *
+ * @param {String} token the token to verify
+ * @returns data if token is valid
+ */
+function verifyInterviewBookingToken (token) {
+  try {
+    return jwt.verify(token, config.INTERVIEW_BOOKING_SECRET)
+  } catch (e) {
+    throw new errors.UnauthorizedError(`token invalid: ${e.message}`)
+  }
+}
+
+/**
+ * Sign the token which allows to get the interview calendar feed of the user.
+ * The token doesn't expire, so the subscribed calendars keep working,
+ * it's revoked once the feed key of the user is rotated.
+ *
+ * @param {String} userId the user id
+ * @param {String} feedKey the current feed key of the user
+ * @returns {String} the token
+ */
+function signInterviewCalendarFeedToken (userId, feedKey) {
+  return jwt.sign(
+    { userId, feedKey },
+    config.INTERVIEW_CALENDAR_FEED_SECRET,
+    {
+      algorithm: 'HS256'
+    }
+  )
+}
+
+/**
+ * Verify interview calendar feed token.
+ * The feed key in the token should be checked against the current feed key of the user.
+ *
+ * @param {String} token the token to verify
+ * @returns data if token is valid
+ */
+function verifyInterviewCalendarFeedToken (token) {
+  try {
+    return jwt.verify(token, config.INTERVIEW_CALENDAR_FEED_SECRET)
+  } catch (e) {
+    throw new errors.UnauthorizedError(`token invalid: ${e.message}`)
+  }
+}
+
+/**
+ * Check the secret of the work period payment preview token is configured.
+ * There is no default secret, otherwise anyone knowing it could sign the payments to create.
+ *
+ * @throws {InternalServerError} if PAYMENT_PREVIEW_SECRET is not set
+ */
+function checkWorkPeriodPaymentPreviewSecret () {
+  if (!config.PAYMENT_PREVIEW_SECRET) {
+    throw new errors.InternalServerError('PAYMENT_PREVIEW_SECRET is not configured, the work period payments cannot be previewed or committed in bulk.')
+  }
+}
+
+/**
+ * Sign the token which allows to create exactly the previewed work period payments.
+ *
+ * @param {Object} data the user id and the previewed payments
+ * @returns {String} the token
+ */
+function signWorkPeriodPaymentPreviewToken (data) {
+  checkWorkPeriodPaymentPreviewSecret()
+  return jwt.sign(
+    data,
+    config.PAYMENT_PREVIEW_SECRET,
+    {
+      algorithm: 'HS256',
+      expiresIn: config.PAYMENT_PREVIEW_TOKEN_EXPIRY
+    }
+  )
+}
+
+/**
+ * Verify work period payment preview token.
+ *
+ * @param {String} token the token to verify
+ * @returns data if token is valid
+ */
+function verifyWorkPeriodPaymentPreviewToken (token) {
+  checkWorkPeriodPaymentPreviewSecret()
+  try {
+    return jwt.verify(token, config.PAYMENT_PREVIEW_SECRET)
+  } catch (e) {
+    throw new errors.BadRequestError(`previewToken invalid: ${e.message}`)
+  }
+}
+
 module.exports = {
   encodeQueryString,
   getParamFromCliArgs,
@@ -2282,6 +2760,7 @@ module.exports = {
   getM2MToken,
   getM2MUbahnToken,
   postEvent,
+  relayEvent,
   postErrorEvent,
   getBusApiClient,
   isDocumentMissingException,
@@ -2312,8 +2791,15 @@ module.exports = {
   updateChallenge,
   createChallengeResource,
   getChallengeResource,
+  getNonWorkingDates,
   extractWorkPeriods,
+  getEffectiveRates,
+  addRateToSchedule,
+  getWorkloadAllocation,
+  getPeakAllocation,
   calculateWorkPeriodPaymentStatus,
+  checkJobCandidateStatusTransition,
+  getInterviewAttendanceResult,
   getUserByHandle,
   substituteStringByObject,
   createProject,
@@ -2323,11 +2809,19 @@ module.exports = {
   getEmailTemplatesForKey,
   formatDate,
   formatDateTimeEDT,
+  convertToCSV,
+  getPaymentDescription,
   getUserDetailsByUserUUID,
   runExclusiveCalendarConnectionHandler,
   waitForUnlockCalendarConnectionHandler,
   runExclusiveInterviewEventHandler,
   runExclusiveByNamedMutex,
   signZoomLink,
-  verifyZoomLinkToken
+  verifyZoomLinkToken,
+  signInterviewBookingToken,
+  verifyInterviewBookingToken,
+  signInterviewCalendarFeedToken,
+  verifyInterviewCalendarFeedToken,
+  signWorkPeriodPaymentPreviewToken,
+  verifyWorkPeriodPaymentPreviewToken
 }
@@ -0,0 +1,52 @@
+/**
+ * Controller for Holiday endpoints
+ */
+const HttpStatus = require('http-status-codes')
+const service = require('../services/HolidayService')
+const helper = require('../common/helper')
+
+/**
+ * Search holidays
+ * @param req the request
+ * @param res the response
+ */
+async function searchHolidays (req, res) {
+  const result = await service.searchHolidays(req.authUser, req.query)
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+/**
+ * Create holiday
+ * @param req the request
+ * @param res the response
+ */
+async function createHoliday (req, res) {
+  res.send(await service.createHoliday(req.authUser, req.body))
+}
+
+/**
+ * Partially update holiday by id
+ * @param req the request
+ * @param res the response
+ */
+async function partiallyUpdateHoliday (req, res) {
+  res.send(await service.partiallyUpdateHoliday(req.authUser, req.params.id, req.body))
+}
+
+/**
+ * Delete holiday by id
+ * @param req the request
+ * @param res the response
+ */
+async function deleteHoliday (req, res) {
+  await service.deleteHoliday(req.authUser, req.params.id)
+  res.status(HttpStatus.NO_CONTENT).end()
+}
+
+module.exports = {
+  searchHolidays,
+  createHoliday,
+  partiallyUpdateHoliday,
+  deleteHoliday
+}
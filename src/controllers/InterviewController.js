@@ -2,6 +2,8 @@
  * Controller for Interview endpoints
  */
 const service = require('../services/InterviewService')
+const localSchedulingService = require('../services/LocalSchedulingService')
+const calendarService = require('../services/InterviewCalendarService')
 const helper = require('../common/helper')
 
 /**
@@ -81,6 +83,52 @@ async function getZoomLink (req, res) {
   return res.redirect(zoomLink)
 }
 
+/**
+ * Get the open slots of interview scheduled by the built-in scheduling
+ * @param req the request
+ * @param res the response
+ */
+async function getInterviewSlots (req, res) {
+  res.send(await localSchedulingService.getInterviewSlots(req.params.id, req.query))
+}
+
+/**
+ * Book interview scheduled by the built-in scheduling
+ * @param req the request
+ * @param res the response
+ */
+async function bookInterview (req, res) {
+  res.send(await localSchedulingService.bookInterview(req.params.id, req.query, req.body))
+}
+
+/**
+ * Get the interview calendar feed url of the current user
+ * @param req the request
+ * @param res the response
+ */
+async function getCalendarFeedUrl (req, res) {
+  res.send(await calendarService.getCalendarFeedUrl(req.authUser))
+}
+
+/**
+ * Rotate the interview calendar feed url of the current user
+ * @param req the request
+ * @param res the response
+ */
+async function rotateCalendarFeedUrl (req, res) {
+  res.send(await calendarService.rotateCalendarFeedUrl(req.authUser))
+}
+
+/**
+ * Get the interview calendar feed of the user
+ * @param req the request
+ * @param res the response
+ */
+async function getCalendarFeed (req, res) {
+  const calendar = await calendarService.getCalendarFeed(req.params.userId, req.query)
+  res.type('text/calendar').send(calendar)
+}
+
 module.exports = {
   getInterviewByRound,
   getInterviewById,
@@ -89,5 +137,10 @@ module.exports = {
   partiallyUpdateInterviewById,
   searchInterviews,
   partiallyUpdateInterviewByWebhook,
-  getZoomLink
+  getZoomLink,
+  getInterviewSlots,
+  bookInterview,
+  getCalendarFeedUrl,
+  rotateCalendarFeedUrl,
+  getCalendarFeed
 }
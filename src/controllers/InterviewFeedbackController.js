@@ -0,0 +1,29 @@
+/**
+ * Controller for InterviewFeedback endpoints
+ */
+const service = require('../services/InterviewFeedbackService')
+
+/**
+ * Get the feedback of interview
+ * @param req the request
+ * @param res the response
+ */
+async function getInterviewFeedback (req, res) {
+  const { jobCandidateId, round } = req.params
+  res.send(await service.getInterviewFeedback(req.authUser, jobCandidateId, round))
+}
+
+/**
+ * Submit the feedback of interview
+ * @param req the request
+ * @param res the response
+ */
+async function submitInterviewFeedback (req, res) {
+  const { jobCandidateId, round } = req.params
+  res.send(await service.submitInterviewFeedback(req.authUser, jobCandidateId, round, req.body))
+}
+
+module.exports = {
+  getInterviewFeedback,
+  submitInterviewFeedback
+}
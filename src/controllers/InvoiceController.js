@@ -0,0 +1,65 @@
+/**
+ * Controller for Invoice endpoints
+ */
+const service = require('../services/InvoiceService')
+const helper = require('../common/helper')
+
+/**
+ * Get invoice by id
+ * @param req the request
+ * @param res the response
+ */
+async function getInvoice (req, res) {
+  res.send(await service.getInvoice(req.authUser, req.params.id))
+}
+
+/**
+ * Generate draft invoices for a month
+ * @param req the request
+ * @param res the response
+ */
+async function generateInvoices (req, res) {
+  res.send(await service.generateInvoices(req.authUser, req.body))
+}
+
+/**
+ * Partially update invoice by id
+ * @param req the request
+ * @param res the response
+ */
+async function partiallyUpdateInvoice (req, res) {
+  res.send(await service.partiallyUpdateInvoice(req.authUser, req.params.id, req.body))
+}
+
+/**
+ * Search invoices
+ * @param req the request
+ * @param res the response
+ */
+async function searchInvoices (req, res) {
+  const result = await service.searchInvoices(req.authUser, req.query)
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+/**
+ * Export invoice as JSON or CSV
+ * @param req the request
+ * @param res the response
+ */
+async function exportInvoice (req, res) {
+  const result = await service.exportInvoice(req.authUser, req.params.id, req.query.format)
+  if (req.query.format === 'csv') {
+    res.set('Content-Type', 'text/csv')
+    res.set('Content-Disposition', `attachment; filename="invoice-${req.params.id}.csv"`)
+  }
+  res.send(result)
+}
+
+module.exports = {
+  getInvoice,
+  generateInvoices,
+  partiallyUpdateInvoice,
+  searchInvoices,
+  exportInvoice
+}
@@ -74,6 +74,24 @@ async function downloadJobCandidateResume (req, res) {
   res.redirect(resumeUrl)
 }
 
+/**
+ * Get jobCandidate status history
+ * @param req the request
+ * @param res the response
+ */
+async function getJobCandidateStatusHistory (req, res) {
+  res.send(await service.getJobCandidateStatusHistory(req.authUser, req.params.id))
+}
+
+/**
+ * Get the allowed next statuses of jobCandidate
+ * @param req the request
+ * @param res the response
+ */
+async function getJobCandidateNextStatuses (req, res) {
+  res.send(await service.getJobCandidateNextStatuses(req.authUser, req.params.id))
+}
+
 module.exports = {
   getJobCandidate,
   createJobCandidate,
@@ -81,5 +99,7 @@ module.exports = {
   fullyUpdateJobCandidate,
   deleteJobCandidate,
   searchJobCandidates,
-  downloadJobCandidateResume
+  downloadJobCandidateResume,
+  getJobCandidateStatusHistory,
+  getJobCandidateNextStatuses
 }
@@ -64,11 +64,21 @@ async function searchJobs (req, res) {
   res.send(result.result)
 }
 
+/**
+ * Get the candidate funnel metrics of job
+ * @param req the request
+ * @param res the response
+ */
+async function getJobFunnel (req, res) {
+  res.send(await service.getJobFunnel(req.authUser, req.params.id))
+}
+
 module.exports = {
   getJob,
   createJob,
   partiallyUpdateJob,
   fullyUpdateJob,
   deleteJob,
-  searchJobs
+  searchJobs,
+  getJobFunnel
 }
@@ -0,0 +1,40 @@
+/**
+ * Controller for PaymentScheduler endpoints
+ */
+const service = require('../services/PaymentSchedulerService')
+const helper = require('../common/helper')
+
+/**
+ * Search payment schedulers
+ * @param req the request
+ * @param res the response
+ */
+async function searchPaymentSchedulers (req, res) {
+  const result = await service.searchPaymentSchedulers(req.authUser, req.query)
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+/**
+ * Get the payment scheduler timeline of workPeriodPayment
+ * @param req the request
+ * @param res the response
+ */
+async function getPaymentSchedulerTimeline (req, res) {
+  res.send(await service.getPaymentSchedulerTimeline(req.authUser, req.params.id))
+}
+
+/**
+ * Retry the failed workPeriodPayment
+ * @param req the request
+ * @param res the response
+ */
+async function retryWorkPeriodPayment (req, res) {
+  res.send(await service.retryWorkPeriodPayment(req.authUser, req.params.id))
+}
+
+module.exports = {
+  searchPaymentSchedulers,
+  getPaymentSchedulerTimeline,
+  retryWorkPeriodPayment
+}
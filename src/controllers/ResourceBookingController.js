@@ -52,6 +52,15 @@ async function deleteResourceBooking (req, res) {
   res.status(HttpStatus.NO_CONTENT).end()
 }
 
+/**
+ * Cancel resourceBooking by id
+ * @param req the request
+ * @param res the response
+ */
+async function cancelResourceBooking (req, res) {
+  res.send(await service.cancelResourceBooking(req.authUser, req.params.id, req.body))
+}
+
 /**
  * Search resourceBookings
  * @param req the request
@@ -64,11 +73,47 @@ async function searchResourceBookings (req, res) {
   res.send(result.result)
 }
 
+/**
+ * List over-allocated members
+ * @param req the request
+ * @param res the response
+ */
+async function getOverAllocatedMembers (req, res) {
+  res.send(await service.getOverAllocatedMembers(req.authUser, req.query))
+}
+
+/**
+ * Report the margins of resource bookings as JSON or CSV
+ * @param req the request
+ * @param res the response
+ */
+async function getMarginReport (req, res) {
+  const result = await service.getMarginReport(req.authUser, req.query)
+  if (req.query.format === 'csv') {
+    res.set('Content-Type', 'text/csv')
+    res.set('Content-Disposition', `attachment; filename="margins-${req.query.groupBy || 'project'}.csv"`)
+  }
+  res.send(result)
+}
+
+/**
+ * Forecast the customer spend and member payouts of resource bookings
+ * @param req the request
+ * @param res the response
+ */
+async function getForecast (req, res) {
+  res.send(await service.getForecast(req.authUser, req.query))
+}
+
 module.exports = {
   getResourceBooking,
   createResourceBooking,
   partiallyUpdateResourceBooking,
   fullyUpdateResourceBooking,
   deleteResourceBooking,
-  searchResourceBookings
+  cancelResourceBooking,
+  searchResourceBookings,
+  getOverAllocatedMembers,
+  getMarginReport,
+  getForecast
 }
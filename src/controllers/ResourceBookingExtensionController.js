@@ -0,0 +1,60 @@
+/**
+ * Controller for ResourceBookingExtension endpoints
+ */
+const service = require('../services/ResourceBookingExtensionService')
+const helper = require('../common/helper')
+
+/**
+ * Search extensions of resource booking
+ * @param req the request
+ * @param res the response
+ */
+async function searchResourceBookingExtensions (req, res) {
+  const result = await service.searchResourceBookingExtensions(req.authUser, req.params.id, req.query)
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+/**
+ * Create extension of resource booking
+ * @param req the request
+ * @param res the response
+ */
+async function createResourceBookingExtension (req, res) {
+  res.send(await service.createResourceBookingExtension(req.authUser, req.params.id, req.body))
+}
+
+/**
+ * Approve extension of resource booking
+ * @param req the request
+ * @param res the response
+ */
+async function approveResourceBookingExtension (req, res) {
+  res.send(await service.approveResourceBookingExtension(req.authUser, req.params.id, req.params.extensionId, req.body))
+}
+
+/**
+ * Reject extension of resource booking
+ * @param req the request
+ * @param res the response
+ */
+async function rejectResourceBookingExtension (req, res) {
+  res.send(await service.rejectResourceBookingExtension(req.authUser, req.params.id, req.params.extensionId, req.body))
+}
+
+/**
+ * Cancel extension of resource booking
+ * @param req the request
+ * @param res the response
+ */
+async function cancelResourceBookingExtension (req, res) {
+  res.send(await service.cancelResourceBookingExtension(req.authUser, req.params.id, req.params.extensionId))
+}
+
+module.exports = {
+  searchResourceBookingExtensions,
+  createResourceBookingExtension,
+  approveResourceBookingExtension,
+  rejectResourceBookingExtension,
+  cancelResourceBookingExtension
+}
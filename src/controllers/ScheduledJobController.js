@@ -0,0 +1,40 @@
+/**
+ * Controller for ScheduledJob endpoints
+ */
+const service = require('../services/ScheduledJobService')
+const helper = require('../common/helper')
+
+/**
+ * List scheduled jobs
+ * @param req the request
+ * @param res the response
+ */
+async function searchScheduledJobs (req, res) {
+  res.send(await service.searchScheduledJobs(req.authUser))
+}
+
+/**
+ * List the recent runs of a scheduled job
+ * @param req the request
+ * @param res the response
+ */
+async function searchScheduledJobRuns (req, res) {
+  const result = await service.searchScheduledJobRuns(req.authUser, req.params.name, req.query)
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+/**
+ * Trigger a scheduled job manually
+ * @param req the request
+ * @param res the response
+ */
+async function triggerScheduledJob (req, res) {
+  res.send(await service.triggerScheduledJob(req.authUser, req.params.name))
+}
+
+module.exports = {
+  searchScheduledJobs,
+  searchScheduledJobRuns,
+  triggerScheduledJob
+}
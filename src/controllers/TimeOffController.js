@@ -0,0 +1,52 @@
+/**
+ * Controller for TimeOff endpoints
+ */
+const HttpStatus = require('http-status-codes')
+const service = require('../services/TimeOffService')
+const helper = require('../common/helper')
+
+/**
+ * Search time offs
+ * @param req the request
+ * @param res the response
+ */
+async function searchTimeOffs (req, res) {
+  const result = await service.searchTimeOffs(req.authUser, req.query)
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+/**
+ * Create time off
+ * @param req the request
+ * @param res the response
+ */
+async function createTimeOff (req, res) {
+  res.send(await service.createTimeOff(req.authUser, req.body))
+}
+
+/**
+ * Partially update time off by id
+ * @param req the request
+ * @param res the response
+ */
+async function partiallyUpdateTimeOff (req, res) {
+  res.send(await service.partiallyUpdateTimeOff(req.authUser, req.params.id, req.body))
+}
+
+/**
+ * Delete time off by id
+ * @param req the request
+ * @param res the response
+ */
+async function deleteTimeOff (req, res) {
+  await service.deleteTimeOff(req.authUser, req.params.id)
+  res.status(HttpStatus.NO_CONTENT).end()
+}
+
+module.exports = {
+  searchTimeOffs,
+  createTimeOff,
+  partiallyUpdateTimeOff,
+  deleteTimeOff
+}
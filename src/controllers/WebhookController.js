@@ -2,6 +2,7 @@
  * Controller for webhook endpoints
  */
 const nylasWebhookService = require('../services/NylasWebhookService')
+const zoomWebhookService = require('../services/ZoomWebhookService')
 
 async function nylasWebhook (req, res) {
   await nylasWebhookService.nylasWebhook(req, res)
@@ -12,7 +13,12 @@ async function nylasWebhookCheck (req, res) {
   res.send(result)
 }
 
+async function zoomWebhook (req, res) {
+  await zoomWebhookService.zoomWebhook(req, res)
+}
+
 module.exports = {
   nylasWebhook,
-  nylasWebhookCheck
+  nylasWebhookCheck,
+  zoomWebhook
 }
@@ -22,6 +22,42 @@ async function partiallyUpdateWorkPeriod (req, res) {
   res.send(await service.partiallyUpdateWorkPeriod(req.authUser, req.params.id, req.body))
 }
 
+/**
+ * Submit the timesheet of workPeriod
+ * @param req the request
+ * @param res the response
+ */
+async function submitWorkPeriodTimesheet (req, res) {
+  res.send(await service.submitWorkPeriodTimesheet(req.authUser, req.params.id, req.body))
+}
+
+/**
+ * Approve the timesheet of workPeriod
+ * @param req the request
+ * @param res the response
+ */
+async function approveWorkPeriodTimesheet (req, res) {
+  res.send(await service.approveWorkPeriodTimesheet(req.authUser, req.params.id, req.body))
+}
+
+/**
+ * Dispute the timesheet of workPeriod
+ * @param req the request
+ * @param res the response
+ */
+async function disputeWorkPeriodTimesheet (req, res) {
+  res.send(await service.disputeWorkPeriodTimesheet(req.authUser, req.params.id, req.body))
+}
+
+/**
+ * Resolve clawback review of workPeriod
+ * @param req the request
+ * @param res the response
+ */
+async function resolveWorkPeriodClawback (req, res) {
+  res.send(await service.resolveWorkPeriodClawback(req.authUser, req.params.id))
+}
+
 /**
  * Search workPeriods
  * @param req the request
@@ -36,5 +72,9 @@ async function searchWorkPeriods (req, res) {
 module.exports = {
   getWorkPeriod,
   partiallyUpdateWorkPeriod,
+  submitWorkPeriodTimesheet,
+  approveWorkPeriodTimesheet,
+  disputeWorkPeriodTimesheet,
+  resolveWorkPeriodClawback,
   searchWorkPeriods
 }
@@ -28,7 +28,7 @@ async function createWorkPeriodPayment (req, res) {
  * @param res the response
  */
 async function createBulkOfWorkPeriodPayments (req, res) {
-  res.send(await service.createBulkOfWorkPeriodPayments(req.authUser, req.body))
+  res.send(await service.createBulkOfWorkPeriodPayments(req.authUser, req.body, req.query.preview))
 }
 
 /**
@@ -40,6 +40,24 @@ async function updateBulkOfWorkPeriodPayments (req, res) {
   res.send(await service.updateBulkOfWorkPeriodPayments(req.authUser, req.body))
 }
 
+/**
+ * Create adjustment workPeriodPayment
+ * @param req the request
+ * @param res the response
+ */
+async function createAdjustmentWorkPeriodPayment (req, res) {
+  res.send(await service.createAdjustmentWorkPeriodPayment(req.authUser, req.body))
+}
+
+/**
+ * Create the previewed workPeriodPayments
+ * @param req the request
+ * @param res the response
+ */
+async function commitWorkPeriodPaymentsPreview (req, res) {
+  res.send(await service.commitWorkPeriodPaymentsPreview(req.authUser, req.body.previewToken))
+}
+
 /**
  * Partially update workPeriodPayment by id
  * @param req the request
@@ -49,6 +67,24 @@ async function partiallyUpdateWorkPeriodPayment (req, res) {
   res.send(await service.partiallyUpdateWorkPeriodPayment(req.authUser, req.params.id, req.body))
 }
 
+/**
+ * Approve workPeriodPayment by id
+ * @param req the request
+ * @param res the response
+ */
+async function approveWorkPeriodPayment (req, res) {
+  res.send(await service.approveWorkPeriodPayment(req.authUser, req.params.id))
+}
+
+/**
+ * Approve workPeriodPayments in bulk
+ * @param req the request
+ * @param res the response
+ */
+async function approveBulkOfWorkPeriodPayments (req, res) {
+  res.send(await service.approveBulkOfWorkPeriodPayments(req.authUser, req.body.ids))
+}
+
 /**
  * Search workPeriodPayments
  * @param req the request
@@ -66,7 +102,7 @@ async function searchWorkPeriodPayments (req, res) {
  * @param res the response
  */
 async function createQueryWorkPeriodPayments (req, res) {
-  res.send(await service.createQueryWorkPeriodPayments(req.authUser, req.body))
+  res.send(await service.createQueryWorkPeriodPayments(req.authUser, req.body, req.query.preview))
 }
 
 module.exports = {
@@ -75,6 +111,10 @@ module.exports = {
   createBulkOfWorkPeriodPayments,
   updateBulkOfWorkPeriodPayments,
   createQueryWorkPeriodPayments,
+  createAdjustmentWorkPeriodPayment,
+  commitWorkPeriodPaymentsPreview,
   partiallyUpdateWorkPeriodPayment,
+  approveWorkPeriodPayment,
+  approveBulkOfWorkPeriodPayments,
   searchWorkPeriodPayments
 }
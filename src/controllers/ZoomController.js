@@ -0,0 +1,17 @@
+/**
+ * Controller for Zoom endpoints
+ */
+const service = require('../services/ZoomService')
+
+/**
+ * Get the utilization of the Zoom accounts pool
+ * @param req the request
+ * @param res the response
+ */
+async function getZoomAccountsUtilization (req, res) {
+  res.send(await service.getZoomAccountsUtilization(req.authUser, req.query))
+}
+
+module.exports = {
+  getZoomAccountsUtilization
+}
@@ -11,8 +11,9 @@ const logger = require('../common/logger')
 const helper = require('../common/helper')
 const Constants = require('../../app-constants')
 const notificationsSchedulerService = require('../services/NotificationsSchedulerService')
+const { getInterviewAttachment } = require('../services/InterviewCalendarService')
 const Interview = models.Interview
-const { generateZoomMeetingLink, updateZoomMeeting, cancelZoomMeeting } = require('../services/ZoomService')
+const { generateZoomMeetingLink, rescheduleZoomMeeting, cancelZoomMeeting } = require('../services/ZoomService')
 const { processUpdateInterview } = require('../esProcessors/InterviewProcessor')
 /**
  * Send interview invitaion notifications
@@ -44,7 +45,10 @@ async function sendInterviewInvitationNotifications (interview) {
         data: {
           ...data,
           subject: `${data.duration} minutes tech interview with ${data.guestFullName} for ${data.jobTitle} is requested by the Customer`,
-          nylasPageSlug: interview.nylasPageSlug
+          nylasPageSlug: interview.nylasPageSlug,
+          bookingToken: interview.schedulingProvider === Constants.Interviews.SchedulingProvider.Local
+            ? helper.signInterviewBookingToken(interview.id)
+            : undefined
         }
       })
     } else {
@@ -128,10 +132,13 @@ async function sendInterviewScheduledNotifications (payload) {
     const data = await notificationsSchedulerService.getDataForInterview(interviewEntity)
     if (!data) { return }
 
-    const { meeting, zoomAccountApiKey } = await generateZoomMeetingLink(interviewEntity.startTimestamp, interviewEntity.duration)
+    // the built-in scheduling creates the meeting when the interview is booked
+    if (!interviewEntity.zoomMeetingId) {
+      const { meeting, zoomAccountApiKey } = await generateZoomMeetingLink(interviewEntity.startTimestamp, interviewEntity.duration)
 
-    const updatedInterview = await interviewEntity.update({ zoomAccountApiKey, zoomMeetingId: meeting.id })
-    await processUpdateInterview(updatedInterview.toJSON())
+      const updatedInterview = await interviewEntity.update({ zoomAccountApiKey, zoomMeetingId: meeting.id })
+      await processUpdateInterview(updatedInterview.toJSON())
+    }
 
     const interviewCancelLink = `${config.TAAS_APP_BASE_URL}/interview/${interview.id}/cancel`
     const interviewRescheduleLink = `${config.TAAS_APP_BASE_URL}/interview/${interview.id}/reschedule`
@@ -144,7 +151,7 @@ async function sendInterviewScheduledNotifications (payload) {
 
     await notificationsSchedulerService.sendNotification({}, {
       template,
-      recipients: [{ email: data.hostEmail }],
+      recipients: _.map(data.hostEmails, email => ({ email })),
       data: {
         host: data.hostFullName,
         guest: data.guestFullName,
@@ -155,7 +162,8 @@ async function sendInterviewScheduledNotifications (payload) {
         hostTimezone: interviewEntity.hostTimezone,
         interviewCancelLink,
         interviewRescheduleLink
-      }
+      },
+      attachments: [getInterviewAttachment(interviewEntity, data, { zoomLink: hostZoomLink })]
     })
 
     if (!_.isEmpty(data.guestEmail)) {
@@ -167,7 +175,7 @@ async function sendInterviewScheduledNotifications (payload) {
         template,
         recipients: [{ email: data.guestEmail }],
         data: {
-          host: data.hostFullName,
+          host: data.hostFullNames,
           guest: data.guestFullName,
           jobTitle: data.jobTitle,
           zoomLink: guestZoomLink,
@@ -176,7 +184,8 @@ async function sendInterviewScheduledNotifications (payload) {
           guestTimezone,
           interviewCancelLink,
           interviewRescheduleLink
-        }
+        },
+        attachments: [getInterviewAttachment(interviewEntity, data, { zoomLink: guestZoomLink })]
       })
     } else {
       logger.error({
@@ -259,7 +268,12 @@ async function sendInterviewRescheduledNotifications (payload) {
     const data = await notificationsSchedulerService.getDataForInterview(interviewEntity)
     if (!data) { return }
 
-    await updateZoomMeeting(interviewEntity.startTimestamp, interviewEntity.duration, interviewEntity.zoomAccountApiKey, interviewEntity.zoomMeetingId)
+    // the meeting is moved to another Zoom account if its account is busy at the new time
+    const zoomMeeting = await rescheduleZoomMeeting(interviewEntity)
+    if (zoomMeeting.zoomMeetingId !== interviewEntity.zoomMeetingId) {
+      const updatedInterview = await interviewEntity.update(zoomMeeting)
+      await processUpdateInterview(updatedInterview.toJSON())
+    }
 
     const interviewCancelLink = `${config.TAAS_APP_BASE_URL}/interview/${interview.id}/cancel`
     const interviewRescheduleLink = `${config.TAAS_APP_BASE_URL}/interview/${interview.id}/reschedule`
@@ -272,7 +286,7 @@ async function sendInterviewRescheduledNotifications (payload) {
 
     await notificationsSchedulerService.sendNotification({}, {
       template,
-      recipients: [{ email: data.hostEmail }],
+      recipients: _.map(data.hostEmails, email => ({ email })),
       data: {
         host: data.hostFullName,
         guest: data.guestFullName,
@@ -284,7 +298,8 @@ async function sendInterviewRescheduledNotifications (payload) {
         hostTimezone: interviewEntity.hostTimezone,
         interviewCancelLink,
         interviewRescheduleLink
-      }
+      },
+      attachments: [getInterviewAttachment(interviewEntity, data, { zoomLink: hostZoomLink })]
     })
 
     if (!_.isEmpty(data.guestEmail)) {
@@ -296,7 +311,7 @@ async function sendInterviewRescheduledNotifications (payload) {
         template,
         recipients: [{ email: data.guestEmail }],
         data: {
-          host: data.hostFullName,
+          host: data.hostFullNames,
           guest: data.guestFullName,
           jobTitle: data.jobTitle,
           zoomLink: guestZoomLink,
@@ -306,7 +321,8 @@ async function sendInterviewRescheduledNotifications (payload) {
           guestTimezone,
           interviewCancelLink,
           interviewRescheduleLink
-        }
+        },
+        attachments: [getInterviewAttachment(interviewEntity, data, { zoomLink: guestZoomLink })]
       })
     } else {
       logger.error({
@@ -382,13 +398,14 @@ async function sendInterviewCancelledNotifications (payload) {
 
     await notificationsSchedulerService.sendNotification({}, {
       template,
-      recipients: [{ email: data.hostEmail }],
+      recipients: _.map(data.hostEmails, email => ({ email })),
       data: {
         host: data.hostFullName,
         guest: data.guestFullName,
         jobTitle: data.jobTitle,
         start: moment(interview.startTimestamp).tz(interviewEntity.hostTimezone).format(TIME_FORMAT) + ` ${interviewEntity.hostTimezone}`
-      }
+      },
+      attachments: [getInterviewAttachment(interviewEntity, data, { cancelled: true })]
     })
 
     if (!_.isEmpty(data.guestEmail)) {
@@ -400,11 +417,12 @@ async function sendInterviewCancelledNotifications (payload) {
         template,
         recipients: [{ email: data.guestEmail }],
         data: {
-          host: data.hostFullName,
+          host: data.hostFullNames,
           guest: data.guestFullName,
           jobTitle: data.jobTitle,
           start: moment(interview.startTimestamp).tz(guestTimezone).format(TIME_FORMAT) + ` ${guestTimezone}`
-        }
+        },
+        attachments: [getInterviewAttachment(interviewEntity, data, { cancelled: true })]
       })
     } else {
       logger.error({
@@ -436,13 +454,13 @@ async function sendInterviewCancelledNotifications (payload) {
  */
 async function checkOverlapping (payload) {
   const interview = payload.value
-  if (_.includes([Constants.Interviews.Status.Cancelled, Constants.Interviews.Status.Completed], interview.status)) {
+  if (_.includes([Constants.Interviews.Status.Cancelled, Constants.Interviews.Status.Completed, Constants.Interviews.Status.NoShow], interview.status)) {
     return
   }
   const overlappingInterview = await models.Interview.findAll({
     where: {
       [Op.and]: [{
-        status: _.values(_.omit(Constants.Interviews.Status, 'Completed', 'Cancelled'))
+        status: _.values(_.omit(Constants.Interviews.Status, 'Completed', 'Cancelled', 'NoShow'))
       }, {
         [Op.or]: [{
           startTimestamp: {
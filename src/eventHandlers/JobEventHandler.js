@@ -8,6 +8,7 @@ const _ = require('lodash')
 const models = require('../models')
 const logger = require('../common/logger')
 const helper = require('../common/helper')
+const { JobCandidateStatusTransitions } = require('../../app-constants')
 const JobCandidateService = require('../services/JobCandidateService')
 
 /**
@@ -39,8 +40,9 @@ async function cancelJob (payload) {
   const candidates = await models.JobCandidate.findAll({
     where: {
       jobId: job.id,
+      // only the candidates which are allowed to be cancelled
       status: {
-        [Op.not]: 'cancelled'
+        [Op.in]: _.keys(_.pickBy(JobCandidateStatusTransitions, nextStatuses => _.includes(nextStatuses, 'cancelled')))
       }
     }
   })
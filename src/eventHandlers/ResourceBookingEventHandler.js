@@ -8,10 +8,12 @@ const config = require('config')
 const models = require('../models')
 const logger = require('../common/logger')
 const helper = require('../common/helper')
-const { AggregatePaymentStatus } = require('../../app-constants')
+const { AggregatePaymentStatus, JobCandidateStatusTransitions, WorkPeriodTimesheetStatus } = require('../../app-constants')
 const JobService = require('../services/JobService')
 const JobCandidateService = require('../services/JobCandidateService')
 const WorkPeriodService = require('../services/WorkPeriodService')
+const WorkCalendarService = require('../services/WorkCalendarService')
+const notificationsSchedulerService = require('../services/NotificationsSchedulerService')
 const WorkPeriod = models.WorkPeriod
 
 /**
@@ -52,8 +54,9 @@ async function placeJobCandidate (payload) {
     where: {
       jobId: resourceBooking.jobId,
       userId: resourceBooking.userId,
+      // only the candidates which are allowed to be placed
       status: {
-        [Op.not]: 'placed'
+        [Op.in]: _.keys(_.pickBy(JobCandidateStatusTransitions, nextStatuses => _.includes(nextStatuses, 'placed')))
       }
     }
   })
@@ -204,8 +207,8 @@ async function createWorkPeriods (payload) {
     })
     return
   }
-  // collect dates of work periods
-  const workPeriodDates = helper.extractWorkPeriods(payload.value.startDate, payload.value.endDate)
+  // collect dates of work periods, the holidays and the time off of the member are not counted as working days
+  const workPeriodDates = await WorkCalendarService.extractWorkPeriods(payload.value)
   await _createWorkPeriods(workPeriodDates, payload.value.id)
   logger.debug({
     component: 'ResourceBookingEventHandler',
@@ -231,9 +234,8 @@ async function updateWorkPeriods (payload) {
     raw: true
   })
   // gather workPeriod dates
-  const newWorkPeriods = helper.extractWorkPeriods(
-    _.isUndefined(payload.value.startDate) ? payload.options.oldValue.startDate : payload.value.startDate,
-    _.isUndefined(payload.value.endDate) ? payload.options.oldValue.endDate : payload.value.endDate)
+  const resourceBooking = _.assign({}, payload.options.oldValue, _.omitBy(payload.value, _.isUndefined))
+  const newWorkPeriods = await WorkCalendarService.extractWorkPeriods(resourceBooking)
   // find which workPeriods should be removed
   const workPeriodsToRemove = _.differenceBy(workPeriods, newWorkPeriods, 'startDate')
   // find which workperiods should be created
@@ -283,6 +285,9 @@ async function updateWorkPeriods (payload) {
       workPeriodsToUpdate = [_.maxBy(workPeriodsToUpdate, 'daysWorked')]
     }
   }
+  // the work periods with the submitted or approved timesheet keep the days reported by the member
+  workPeriodsToUpdate = _.reject(workPeriodsToUpdate, wp => _.includes([WorkPeriodTimesheetStatus.SUBMITTED, WorkPeriodTimesheetStatus.APPROVED],
+    _.find(workPeriods, ['id', wp.id]).timesheetStatus))
   if (workPeriodsToRemove.length === 0 && workPeriodsToAdd.length === 0 && workPeriodsToUpdate.length === 0) {
     logger.debug({
       component: 'ResourceBookingEventHandler',
@@ -361,6 +366,7 @@ async function _createWorkPeriods (periods, resourceBookingId) {
         startDate: period.startDate,
         endDate: period.endDate,
         daysWorked: period.daysWorked,
+        hoursWorked: period.hoursWorked,
         paymentStatus: period.daysWorked === 0 ? AggregatePaymentStatus.NO_DAYS : AggregatePaymentStatus.PENDING
       })
   }
@@ -368,7 +374,7 @@ async function _createWorkPeriods (periods, resourceBookingId) {
 
 /**
  * Calls WorkPeriodService to update workPeriods
- * @param {Array<{daysWorked:number}>} periods work period data
+ * @param {Array<{daysWorked:number, hoursWorked:number}>} periods work period data
  * @returns {undefined}
  */
 async function _updateWorkPeriods (periods) {
@@ -376,7 +382,8 @@ async function _updateWorkPeriods (periods) {
     await WorkPeriodService.partiallyUpdateWorkPeriod(helper.getAuditM2Muser(),
       period.id,
       {
-        daysWorked: period.daysWorked
+        daysWorked: period.daysWorked,
+        hoursWorked: period.hoursWorked
       })
   }
 }
@@ -392,6 +399,67 @@ async function _deleteWorkPeriods (workPeriods) {
   }
 }
 
+/**
+ * When the holiday region or the rate type of a ResourceBooking is changed,
+ * daysWorked and hoursWorked of its workPeriods should be recalculated.
+ * @param {object} payload the event payload
+ * @returns {undefined}
+ */
+async function recalculateWorkPeriods (payload) {
+  const changed = _.some(['holidayRegion', 'rateType'], key =>
+    !_.isUndefined(payload.value[key]) && payload.value[key] !== payload.options.oldValue[key])
+  if (!changed) {
+    return
+  }
+  await WorkCalendarService.recalculateWorkPeriods(payload.value.id)
+  logger.debug({
+    component: 'ResourceBookingEventHandler',
+    context: 'recalculateWorkPeriods',
+    message: `WorkPeriods recalculated for resource booking with id: ${payload.value.id}`
+  })
+}
+
+/**
+ * When a ResourceBooking is cancelled, notify the project members with the last working day.
+ * The clawback is derived from the member rate which the customers are not allowed to see,
+ * so the clawback pending review is only sent to the admins.
+ *
+ * @param {Object} payload the event payload
+ * @returns {undefined}
+ */
+async function sendCancelledNotifications (payload) {
+  const resourceBooking = payload.value
+  const project = await helper.getProjectById(helper.getAuditM2Muser(), resourceBooking.projectId)
+  const user = await helper.getUserById(resourceBooking.userId)
+  const data = {
+    teamName: project.name,
+    teamUrl: `${config.TAAS_APP_URL}/${project.id}`,
+    userHandle: user.handle,
+    effectiveDate: resourceBooking.cancellation.effectiveDate
+  }
+  await notificationsSchedulerService.sendNotification({}, {
+    template: 'taas.notification.resource-booking-cancelled',
+    recipients: _.map(project.members, m => _.pick(m, 'userId')),
+    data: { ...data, reason: resourceBooking.cancellation.reason }
+  })
+  if (resourceBooking.cancellation.totalClawbackAmount > 0) {
+    // the recipients are the admins configured in the template
+    await notificationsSchedulerService.sendNotification({}, {
+      template: 'taas.notification.resource-booking-clawback-review',
+      data: {
+        ...data,
+        totalClawbackAmount: resourceBooking.cancellation.totalClawbackAmount,
+        clawbackWorkPeriods: resourceBooking.cancellation.clawbackWorkPeriods
+      }
+    })
+  }
+  logger.debug({
+    component: 'ResourceBookingEventHandler',
+    context: 'sendCancelledNotifications',
+    message: `send notifications, resourceBookingId: ${resourceBooking.id}, projectId: ${project.id}, userHandle: ${user.handle}`
+  })
+}
+
 /**
  * Process resource booking create event.
  *
@@ -415,6 +483,7 @@ async function processUpdate (payload) {
   await placeJobCandidate(payload)
   await assignJob(payload)
   await updateWorkPeriods(payload)
+  await recalculateWorkPeriods(payload)
   await sendPlacedNotifications(payload)
 }
 
@@ -428,8 +497,19 @@ async function processDelete (payload) {
   await deleteWorkPeriods(payload)
 }
 
+/**
+ * Process resource booking cancel event.
+ *
+ * @param {Object} payload the event payload
+ * @returns {undefined}
+ */
+async function processCancel (payload) {
+  await sendCancelledNotifications(payload)
+}
+
 module.exports = {
   processCreate,
   processUpdate,
-  processDelete
+  processDelete,
+  processCancel
 }
@@ -0,0 +1,79 @@
+/*
+ * Handle events for WorkPeriod.
+ */
+
+const _ = require('lodash')
+const config = require('config')
+const moment = require('moment')
+const logger = require('../common/logger')
+const helper = require('../common/helper')
+const { WorkPeriodTimesheetStatus } = require('../../app-constants')
+const notificationsSchedulerService = require('../services/NotificationsSchedulerService')
+
+// the notification template for each timesheet status
+const TimesheetNotificationTemplates = {
+  [WorkPeriodTimesheetStatus.SUBMITTED]: 'taas.notification.timesheet-submitted',
+  [WorkPeriodTimesheetStatus.APPROVED]: 'taas.notification.timesheet-approved',
+  [WorkPeriodTimesheetStatus.DISPUTED]: 'taas.notification.timesheet-disputed'
+}
+
+/**
+ * When the timesheet of WorkPeriod is submitted, notify the customer to review it.
+ * When the timesheet is approved or disputed, notify the member.
+ *
+ * @param {Object} payload the event payload
+ * @returns {undefined}
+ */
+async function sendTimesheetNotifications (payload) {
+  const workPeriod = payload.value
+  const oldValue = _.get(payload, 'options.oldValue', {})
+  const template = TimesheetNotificationTemplates[workPeriod.timesheetStatus]
+  // the timesheet could be submitted again before it's reviewed
+  const changed = workPeriod.timesheetStatus !== oldValue.timesheetStatus ||
+    (workPeriod.timesheetStatus === WorkPeriodTimesheetStatus.SUBMITTED && !moment(workPeriod.timesheetSubmittedAt).isSame(oldValue.timesheetSubmittedAt))
+  if (!template || !changed) {
+    logger.debug({
+      component: 'WorkPeriodEventHandler',
+      context: 'sendTimesheetNotifications',
+      message: 'timesheet not changed'
+    })
+    return
+  }
+  const project = await helper.getProjectById(helper.getAuditM2Muser(), workPeriod.projectId)
+  const recipients = workPeriod.timesheetStatus === WorkPeriodTimesheetStatus.SUBMITTED
+    ? _.map(project.members, m => _.pick(m, 'userId'))
+    : [{ handle: workPeriod.userHandle }]
+  await notificationsSchedulerService.sendNotification({}, {
+    template,
+    recipients,
+    data: {
+      teamName: project.name,
+      teamUrl: `${config.TAAS_APP_URL}/${project.id}`,
+      userHandle: workPeriod.userHandle,
+      startDate: workPeriod.startDate,
+      endDate: workPeriod.endDate,
+      daysWorked: workPeriod.daysWorked,
+      comment: workPeriod.timesheetComment,
+      applicationUrl: `${config.TAAS_APP_EARN_URL}?status=Active%20Gigs`
+    }
+  })
+  logger.debug({
+    component: 'WorkPeriodEventHandler',
+    context: 'sendTimesheetNotifications',
+    message: `send ${template} notification, workPeriodId: ${workPeriod.id}, projectId: ${project.id}, userHandle: ${workPeriod.userHandle}`
+  })
+}
+
+/**
+ * Process work period update event.
+ *
+ * @param {Object} payload the event payload
+ * @returns {undefined}
+ */
+async function processUpdate (payload) {
+  await sendTimesheetNotifications(payload)
+}
+
+module.exports = {
+  processUpdate
+}
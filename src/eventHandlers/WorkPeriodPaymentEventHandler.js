@@ -7,7 +7,7 @@ const config = require('config')
 const models = require('../models')
 const logger = require('../common/logger')
 const helper = require('../common/helper')
-const { ActiveWorkPeriodPaymentStatuses } = require('../../app-constants')
+const { ActiveWorkPeriodPaymentStatuses, WorkPeriodPaymentType } = require('../../app-constants')
 const WorkPeriod = models.WorkPeriod
 const {
   processUpdate: processUpdateEs
@@ -27,15 +27,23 @@ async function updateWorkPeriod (payload) {
   const workPeriod = workPeriodModel.toJSON()
   const data = {}
   data.daysPaid = 0
+  data.hoursPaid = 0
   data.paymentTotal = 0
   _.each(workPeriod.payments, payment => {
     if (_.includes(ActiveWorkPeriodPaymentStatuses, payment.status)) {
-      data.daysPaid += payment.days
+      // the adjustment payments don't pay the days or hours worked
+      if (payment.type !== WorkPeriodPaymentType.ADJUSTMENT) {
+        data.daysPaid += payment.days
+        data.hoursPaid += _.defaultTo(payment.hours, 0)
+      }
       data.paymentTotal += payment.amount
     }
   })
+  // avoid floating point errors when summing up the hours
+  data.hoursPaid = _.round(data.hoursPaid, 2)
   data.paymentStatus = helper.calculateWorkPeriodPaymentStatus(_.assign({}, workPeriod, data))
-  if (workPeriod.daysPaid === data.daysPaid && workPeriod.paymentTotal === data.paymentTotal && workPeriod.paymentStatus === data.paymentStatus) {
+  if (workPeriod.daysPaid === data.daysPaid && workPeriod.hoursPaid === data.hoursPaid &&
+    workPeriod.paymentTotal === data.paymentTotal && workPeriod.paymentStatus === data.paymentStatus) {
     logger.debug({
       component: 'WorkPeriodPaymentEventHandler',
       context: 'updateWorkPeriod',
@@ -53,6 +61,7 @@ async function updateWorkPeriod (payload) {
 
       entity = _.omit(entity, ['payments'])
       await processUpdateEs({ ...entity, key })
+      await helper.postEvent(config.TAAS_WORK_PERIOD_UPDATE_TOPIC, entity, { oldValue: workPeriod, key, transaction: t })
     })
   } catch (e) {
     if (entity) {
@@ -60,7 +69,6 @@ async function updateWorkPeriod (payload) {
     }
     throw e
   }
-  await helper.postEvent(config.TAAS_WORK_PERIOD_UPDATE_TOPIC, entity, { oldValue: workPeriod, key })
 
   logger.debug({
     component: 'WorkPeriodPaymentEventHandler',
@@ -9,6 +9,7 @@ const JobCandidateEventHandler = require('./JobCandidateEventHandler')
 const ResourceBookingEventHandler = require('./ResourceBookingEventHandler')
 const InterviewEventHandler = require('./InterviewEventHandler')
 const RoleEventHandler = require('./RoleEventHandler')
+const WorkPeriodEventHandler = require('./WorkPeriodEventHandler')
 const WorkPeriodPaymentEventHandler = require('./WorkPeriodPaymentEventHandler')
 const TeamEventHandler = require('./TeamEventHandler')
 const logger = require('../common/logger')
@@ -21,6 +22,8 @@ const TopicOperationMapping = {
   [config.TAAS_RESOURCE_BOOKING_CREATE_TOPIC]: ResourceBookingEventHandler.processCreate,
   [config.TAAS_RESOURCE_BOOKING_UPDATE_TOPIC]: ResourceBookingEventHandler.processUpdate,
   [config.TAAS_RESOURCE_BOOKING_DELETE_TOPIC]: ResourceBookingEventHandler.processDelete,
+  [config.TAAS_RESOURCE_BOOKING_CANCEL_TOPIC]: ResourceBookingEventHandler.processCancel,
+  [config.TAAS_WORK_PERIOD_UPDATE_TOPIC]: WorkPeriodEventHandler.processUpdate,
   [config.TAAS_WORK_PERIOD_PAYMENT_CREATE_TOPIC]: WorkPeriodPaymentEventHandler.processCreate,
   [config.TAAS_WORK_PERIOD_PAYMENT_UPDATE_TOPIC]: WorkPeriodPaymentEventHandler.processUpdate,
   [config.TAAS_INTERVIEW_REQUEST_TOPIC]: InterviewEventHandler.processRequest,
@@ -0,0 +1,83 @@
+const { Sequelize, Model } = require('sequelize')
+const config = require('config')
+const _ = require('lodash')
+const { EventOutboxStatus } = require('../../app-constants')
+
+module.exports = (sequelize) => {
+  class EventOutbox extends Model {}
+  EventOutbox.init(
+    {
+      // auto increment id keeps the order in which events are written
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      topic: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      entityKey: {
+        field: 'entity_key',
+        type: Sequelize.STRING(255)
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      options: {
+        type: Sequelize.JSONB
+      },
+      status: {
+        type: Sequelize.ENUM(_.values(EventOutboxStatus)),
+        allowNull: false
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      lastError: {
+        field: 'last_error',
+        type: Sequelize.STRING(1000)
+      },
+      nextAttemptAt: {
+        field: 'next_attempt_at',
+        type: Sequelize.DATE
+      },
+      sentAt: {
+        field: 'sent_at',
+        type: Sequelize.DATE
+      },
+      // the event is handled locally once, even if it's not sent to the bus API yet
+      handledAt: {
+        field: 'handled_at',
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        field: 'created_at',
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        field: 'updated_at',
+        type: Sequelize.DATE
+      }
+    },
+    {
+      schema: config.DB_SCHEMA_NAME,
+      sequelize,
+      tableName: 'event_outbox',
+      paranoid: false,
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['status', 'entity_key']
+        }
+      ]
+    }
+  )
+
+  return EventOutbox
+}
@@ -0,0 +1,89 @@
+const { Sequelize, Model } = require('sequelize')
+const config = require('config')
+const errors = require('../common/errors')
+
+module.exports = (sequelize) => {
+  class Holiday extends Model {
+    /**
+     * Create association between models
+     * @param {Object} models the database models
+     */
+    static associate (models) {
+      Holiday._models = models
+    }
+
+    /**
+     * Get holiday by id
+     * @param {String} id the holiday id
+     * @returns {Holiday} the holiday instance
+     */
+    static async findById (id) {
+      const holiday = await Holiday.findOne({
+        where: {
+          id
+        }
+      })
+      if (!holiday) {
+        throw new errors.NotFoundError(`id: ${id} "Holiday" doesn't exists.`)
+      }
+      return holiday
+    }
+  }
+  Holiday.init(
+    {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4
+      },
+      // the ISO 3166 code of the country like "US", or of the country subdivision like "US-CA"
+      region: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      createdBy: {
+        field: 'created_by',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      updatedBy: {
+        field: 'updated_by',
+        type: Sequelize.UUID
+      },
+      createdAt: {
+        field: 'created_at',
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        field: 'updated_at',
+        type: Sequelize.DATE
+      }
+    },
+    {
+      schema: config.DB_SCHEMA_NAME,
+      sequelize,
+      tableName: 'holidays',
+      paranoid: false,
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['region', 'date']
+        }
+      ]
+    }
+  )
+
+  return Holiday
+}
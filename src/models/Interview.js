@@ -16,6 +16,7 @@ module.exports = (sequelize) => {
      */
     static associate (models) {
       Interview.belongsTo(models.JobCandidate, { foreignKey: 'jobCandidateId' })
+      Interview.hasMany(models.InterviewFeedback, { foreignKey: 'interviewId', as: 'feedback' })
     }
 
     /**
@@ -60,20 +61,27 @@ module.exports = (sequelize) => {
         allowNull: false,
         defaultValue: Sequelize.UUIDV4
       },
+      schedulingProvider: {
+        field: 'scheduling_provider',
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        defaultValue: Interviews.SchedulingProvider.Nylas
+      },
+      // the nylas page fields are only set when the interview is scheduled using Nylas
       nylasPageId: {
         field: 'nylas_page_id',
         type: Sequelize.STRING(255),
-        allowNull: false
+        allowNull: true
       },
       nylasPageSlug: {
         field: 'nylas_page_slug',
         type: Sequelize.STRING(255),
-        allowNull: false
+        allowNull: true
       },
       nylasCalendarId: {
         field: 'nylas_calendar_id',
         type: Sequelize.STRING(255),
-        allowNull: false
+        allowNull: true
       },
       nylasEventId: {
         field: 'nylas_event_id',
@@ -103,6 +111,13 @@ module.exports = (sequelize) => {
         type: Sequelize.UUID,
         allowNull: false
       },
+      // all the hosts of the interview including `hostUserId`, every host is `{ userId, required }`
+      hosts: {
+        field: 'hosts',
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
       expireTimestamp: {
         field: 'expireTimestamp',
         type: Sequelize.DATE,
@@ -129,6 +144,23 @@ module.exports = (sequelize) => {
         field: 'end_timestamp',
         type: Sequelize.DATE
       },
+      // the attendance of the Zoom meeting received from Zoom webhooks
+      attendance: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      noShowBy: {
+        field: 'no_show_by',
+        type: Sequelize.STRING(255)
+      },
+      // the sequence of the calendar event, increased every time the interview is rescheduled or cancelled
+      calendarSequence: {
+        field: 'calendar_sequence',
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
       zoomAccountApiKey: {
         field: 'zoom_account_api_key',
         type: Sequelize.STRING(255),
@@ -0,0 +1,46 @@
+const { Sequelize, Model } = require('sequelize')
+const config = require('config')
+
+module.exports = (sequelize) => {
+  class InterviewCalendarFeed extends Model {}
+  InterviewCalendarFeed.init(
+    {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4
+      },
+      userId: {
+        field: 'user_id',
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true
+      },
+      feedKey: {
+        field: 'feed_key',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      createdAt: {
+        field: 'created_at',
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        field: 'updated_at',
+        type: Sequelize.DATE
+      }
+    },
+    {
+      schema: config.DB_SCHEMA_NAME,
+      sequelize,
+      tableName: 'interview_calendar_feeds',
+      paranoid: false,
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt',
+      timestamps: true
+    }
+  )
+
+  return InterviewCalendarFeed
+}
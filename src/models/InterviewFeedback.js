@@ -0,0 +1,91 @@
+const { Sequelize, Model } = require('sequelize')
+const config = require('config')
+
+module.exports = (sequelize) => {
+  class InterviewFeedback extends Model {
+    /**
+     * Create association between models
+     * @param {Object} models the database models
+     */
+    static associate (models) {
+      InterviewFeedback.belongsTo(models.Interview, { foreignKey: 'interviewId' })
+      InterviewFeedback.belongsTo(models.JobCandidate, { foreignKey: 'jobCandidateId' })
+    }
+  }
+  InterviewFeedback.init(
+    {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4
+      },
+      interviewId: {
+        field: 'interview_id',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      jobCandidateId: {
+        field: 'job_candidate_id',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      // the host who gives the feedback
+      hostUserId: {
+        field: 'host_user_id',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      // the ratings of the job skills, every rating is `{ skillId, rating }`
+      ratings: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      recommendation: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      comment: {
+        type: Sequelize.TEXT
+      },
+      createdBy: {
+        field: 'created_by',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      updatedBy: {
+        field: 'updated_by',
+        type: Sequelize.UUID
+      },
+      createdAt: {
+        field: 'created_at',
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        field: 'updated_at',
+        type: Sequelize.DATE
+      }
+    },
+    {
+      schema: config.DB_SCHEMA_NAME,
+      sequelize,
+      tableName: 'interview_feedbacks',
+      paranoid: false,
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['interview_id', 'host_user_id']
+        },
+        {
+          fields: ['job_candidate_id']
+        }
+      ]
+    }
+  )
+
+  return InterviewFeedback
+}
@@ -0,0 +1,149 @@
+const { Sequelize, Model } = require('sequelize')
+const config = require('config')
+const _ = require('lodash')
+const errors = require('../common/errors')
+const { InvoiceStatus } = require('../../app-constants')
+
+module.exports = (sequelize) => {
+  class Invoice extends Model {
+    /**
+     * Create association between models
+     * @param {Object} models the database models
+     */
+    static associate (models) {
+      Invoice._models = models
+      Invoice.hasMany(models.InvoiceLineItem, { as: 'lineItems', foreignKey: 'invoiceId' })
+    }
+
+    /**
+     * Get invoice by id
+     * @param {String} id the invoice id
+     * @param {Object} options { withLineItems: true/false } whether contains line items
+     * @returns {Invoice} the invoice instance
+     */
+    static async findById (id, options = { withLineItems: false }) {
+      const criteria = {
+        where: {
+          id
+        }
+      }
+      if (options.withLineItems) {
+        criteria.include = [{
+          model: Invoice._models.InvoiceLineItem,
+          as: 'lineItems',
+          required: false
+        }]
+      }
+      const invoice = await Invoice.findOne(criteria)
+      if (!invoice) {
+        throw new errors.NotFoundError(`id: ${id} "Invoice" doesn't exists.`)
+      }
+      return invoice
+    }
+  }
+  Invoice.init(
+    {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4
+      },
+      billingAccountId: {
+        field: 'billing_account_id',
+        type: Sequelize.BIGINT,
+        allowNull: false
+      },
+      periodStart: {
+        field: 'period_start',
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      periodEnd: {
+        field: 'period_end',
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM(_.values(InvoiceStatus)),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      totalDays: {
+        field: 'total_days',
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      totalAmount: {
+        field: 'total_amount',
+        type: Sequelize.DOUBLE,
+        allowNull: false
+      },
+      issuedAt: {
+        field: 'issued_at',
+        type: Sequelize.DATE
+      },
+      voidedAt: {
+        field: 'voided_at',
+        type: Sequelize.DATE
+      },
+      createdBy: {
+        field: 'created_by',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      updatedBy: {
+        field: 'updated_by',
+        type: Sequelize.UUID
+      },
+      createdAt: {
+        field: 'created_at',
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        field: 'updated_at',
+        type: Sequelize.DATE
+      },
+      deletedAt: {
+        field: 'deleted_at',
+        type: Sequelize.DATE
+      }
+    },
+    {
+      schema: config.DB_SCHEMA_NAME,
+      sequelize,
+      tableName: 'invoices',
+      paranoid: true,
+      deletedAt: 'deletedAt',
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt',
+      timestamps: true,
+      defaultScope: {
+        attributes: {
+          exclude: ['deletedAt']
+        }
+      },
+      indexes: [
+        {
+          name: 'invoices_billing_account_id_period_start',
+          unique: true,
+          fields: ['billing_account_id', 'period_start'],
+          where: {
+            status: { [Sequelize.Op.ne]: InvoiceStatus.VOID },
+            deleted_at: null
+          }
+        }
+      ],
+      hooks: {
+        afterCreate: (invoice) => {
+          delete invoice.dataValues.deletedAt
+        }
+      }
+    }
+  )
+
+  return Invoice
+}
@@ -0,0 +1,93 @@
+const { Sequelize, Model } = require('sequelize')
+const config = require('config')
+
+module.exports = (sequelize) => {
+  class InvoiceLineItem extends Model {
+    /**
+     * Create association between models
+     * @param {Object} models the database models
+     */
+    static associate (models) {
+      InvoiceLineItem.belongsTo(models.Invoice, { foreignKey: 'invoiceId' })
+      InvoiceLineItem.belongsTo(models.ResourceBooking, { foreignKey: 'resourceBookingId' })
+    }
+  }
+  InvoiceLineItem.init(
+    {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4
+      },
+      invoiceId: {
+        field: 'invoice_id',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      resourceBookingId: {
+        field: 'resource_booking_id',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      workPeriodIds: {
+        field: 'work_period_ids',
+        type: Sequelize.ARRAY({
+          type: Sequelize.UUID
+        }),
+        allowNull: false
+      },
+      projectId: {
+        field: 'project_id',
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      jobId: {
+        field: 'job_id',
+        type: Sequelize.UUID
+      },
+      userHandle: {
+        field: 'user_handle',
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      customerRate: {
+        field: 'customer_rate',
+        type: Sequelize.FLOAT,
+        allowNull: false
+      },
+      rateType: {
+        field: 'rate_type',
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      days: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.DOUBLE,
+        allowNull: false
+      },
+      createdAt: {
+        field: 'created_at',
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        field: 'updated_at',
+        type: Sequelize.DATE
+      }
+    },
+    {
+      schema: config.DB_SCHEMA_NAME,
+      sequelize,
+      tableName: 'invoice_line_items',
+      paranoid: false,
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt',
+      timestamps: true
+    }
+  )
+
+  return InvoiceLineItem
+}
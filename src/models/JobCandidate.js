@@ -12,6 +12,7 @@ module.exports = (sequelize) => {
       JobCandidate._models = models
       JobCandidate.belongsTo(models.Job, { foreignKey: 'jobId' })
       JobCandidate.hasMany(models.Interview, { foreignKey: 'jobCandidateId', as: 'interviews' })
+      JobCandidate.hasMany(models.JobCandidateStatusHistory, { foreignKey: 'jobCandidateId', as: 'statusHistory' })
     }
 
     /**
@@ -71,6 +72,11 @@ module.exports = (sequelize) => {
       remark: {
         type: Sequelize.STRING(255)
       },
+      // the aggregated scores from the interview feedback
+      feedbackSummary: {
+        field: 'feedback_summary',
+        type: Sequelize.JSONB
+      },
       createdBy: {
         field: 'created_by',
         type: Sequelize.UUID,
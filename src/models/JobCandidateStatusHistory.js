@@ -0,0 +1,80 @@
+const { Sequelize, Model } = require('sequelize')
+const config = require('config')
+
+module.exports = (sequelize) => {
+  class JobCandidateStatusHistory extends Model {
+    /**
+     * Create association between models
+     * @param {Object} models the database models
+     */
+    static associate (models) {
+      JobCandidateStatusHistory.belongsTo(models.JobCandidate, { foreignKey: 'jobCandidateId' })
+    }
+  }
+  JobCandidateStatusHistory.init(
+    {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4
+      },
+      jobCandidateId: {
+        field: 'job_candidate_id',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      jobId: {
+        field: 'job_id',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      fromStatus: {
+        field: 'from_status',
+        type: Sequelize.STRING(255)
+      },
+      toStatus: {
+        field: 'to_status',
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      changedBy: {
+        field: 'changed_by',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      changedAt: {
+        field: 'changed_at',
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      createdAt: {
+        field: 'created_at',
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        field: 'updated_at',
+        type: Sequelize.DATE
+      }
+    },
+    {
+      schema: config.DB_SCHEMA_NAME,
+      sequelize,
+      tableName: 'job_candidate_status_histories',
+      paranoid: false,
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['job_candidate_id', 'changed_at']
+        },
+        {
+          fields: ['job_id']
+        }
+      ]
+    }
+  )
+
+  return JobCandidateStatusHistory
+}
@@ -2,7 +2,7 @@ const { Sequelize, Model } = require('sequelize')
 const config = require('config')
 const _ = require('lodash')
 const errors = require('../common/errors')
-const { PaymentSchedulerStatus } = require('../../app-constants')
+const { PaymentSchedulerStatus, PayoutProvider } = require('../../app-constants')
 
 module.exports = (sequelize) => {
   class PaymentScheduler extends Model {
@@ -39,10 +39,20 @@ module.exports = (sequelize) => {
         allowNull: false,
         defaultValue: Sequelize.UUIDV4
       },
+      provider: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: PayoutProvider.CHALLENGE
+      },
+      // the id of the challenge, only for the payments paid through the challenge
       challengeId: {
         field: 'challenge_id',
-        type: Sequelize.UUID,
-        allowNull: false
+        type: Sequelize.UUID
+      },
+      // the id of the payout of the other payout providers
+      payoutId: {
+        field: 'payout_id',
+        type: Sequelize.UUID
       },
       workPeriodPaymentId: {
         field: 'work_period_payment_id',
@@ -69,6 +79,15 @@ module.exports = (sequelize) => {
         type: Sequelize.STRING,
         allowNull: false
       },
+      timeline: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      lastError: {
+        field: 'last_error',
+        type: Sequelize.JSONB
+      },
       createdAt: {
         field: 'created_at',
         type: Sequelize.DATE
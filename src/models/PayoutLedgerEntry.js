@@ -0,0 +1,100 @@
+const { Sequelize, Model } = require('sequelize')
+const config = require('config')
+const _ = require('lodash')
+const errors = require('../common/errors')
+const { PayoutLedgerEntryStatus } = require('../../app-constants')
+
+module.exports = (sequelize) => {
+  class PayoutLedgerEntry extends Model {
+    /**
+     * Create association between models
+     * @param {Object} models the database models
+     */
+    static associate (models) {
+      PayoutLedgerEntry.belongsTo(models.WorkPeriodPayment, { foreignKey: 'workPeriodPaymentId' })
+    }
+
+    /**
+     * Get payout ledger entry by id
+     * @param {String} id the payout ledger entry id
+     * @returns {PayoutLedgerEntry} the payout ledger entry instance
+     */
+    static async findById (id) {
+      const payoutLedgerEntry = await PayoutLedgerEntry.findOne({
+        where: {
+          id
+        }
+      })
+      if (!payoutLedgerEntry) {
+        throw new errors.NotFoundError(`id: ${id} "PayoutLedgerEntry" doesn't exists.`)
+      }
+      return payoutLedgerEntry
+    }
+  }
+  PayoutLedgerEntry.init(
+    {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4
+      },
+      workPeriodPaymentId: {
+        field: 'work_period_payment_id',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      billingAccountId: {
+        field: 'billing_account_id',
+        type: Sequelize.BIGINT,
+        allowNull: false
+      },
+      userHandle: {
+        field: 'user_handle',
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.DOUBLE,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.STRING(255)
+      },
+      status: {
+        type: Sequelize.ENUM(_.values(PayoutLedgerEntryStatus)),
+        allowNull: false
+      },
+      settledAt: {
+        field: 'settled_at',
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        field: 'created_at',
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        field: 'updated_at',
+        type: Sequelize.DATE
+      }
+    },
+    {
+      schema: config.DB_SCHEMA_NAME,
+      sequelize,
+      tableName: 'payout_ledger_entries',
+      paranoid: false,
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt',
+      timestamps: true,
+      indexes: [
+        {
+          name: 'payout_ledger_entries_work_period_payment_id',
+          unique: true,
+          fields: ['work_period_payment_id']
+        }
+      ]
+    }
+  )
+
+  return PayoutLedgerEntry
+}
@@ -13,6 +13,7 @@ module.exports = (sequelize) => {
       ResourceBooking._models = models
       ResourceBooking.belongsTo(models.Job, { foreignKey: 'jobId' })
       ResourceBooking.hasMany(models.WorkPeriod, { as: 'workPeriods', foreignKey: 'resourceBookingId' })
+      ResourceBooking.hasMany(models.ResourceBookingExtension, { as: 'extensions', foreignKey: 'resourceBookingId' })
     }
 
     /**
@@ -117,6 +118,12 @@ module.exports = (sequelize) => {
         field: 'customer_rate',
         type: Sequelize.FLOAT
       },
+      // the rate schedule, every entry has the memberRate and customerRate effective from the date
+      rates: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
       rateType: {
         field: 'rate_type',
         type: Sequelize.STRING(255),
@@ -132,6 +139,11 @@ module.exports = (sequelize) => {
         field: 'billing_account_id',
         type: Sequelize.BIGINT
       },
+      // the region of the holiday calendar which applies to the member, like "US" or "US-CA"
+      holidayRegion: {
+        field: 'holiday_region',
+        type: Sequelize.STRING(10)
+      },
       createdBy: {
         field: 'created_by',
         type: Sequelize.UUID,
@@ -0,0 +1,119 @@
+const { Sequelize, Model } = require('sequelize')
+const config = require('config')
+const errors = require('../common/errors')
+
+module.exports = (sequelize) => {
+  class ResourceBookingExtension extends Model {
+    /**
+     * Create association between models
+     * @param {Object} models the database models
+     */
+    static associate (models) {
+      ResourceBookingExtension._models = models
+      ResourceBookingExtension.belongsTo(models.ResourceBooking, { foreignKey: 'resourceBookingId' })
+    }
+
+    /**
+     * Get resource booking extension by id
+     * @param {String} id the resource booking extension id
+     * @returns {ResourceBookingExtension} the resource booking extension instance
+     */
+    static async findById (id) {
+      const extension = await ResourceBookingExtension.findOne({
+        where: {
+          id
+        }
+      })
+      if (!extension) {
+        throw new errors.NotFoundError(`id: ${id} "ResourceBookingExtension" doesn't exists.`)
+      }
+      return extension
+    }
+  }
+  ResourceBookingExtension.init(
+    {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4
+      },
+      resourceBookingId: {
+        field: 'resource_booking_id',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      // the end date of the resource booking when the extension is requested or approved
+      previousEndDate: {
+        field: 'previous_end_date',
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      endDate: {
+        field: 'end_date',
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      memberRate: {
+        field: 'member_rate',
+        type: Sequelize.FLOAT
+      },
+      customerRate: {
+        field: 'customer_rate',
+        type: Sequelize.FLOAT
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      comment: {
+        type: Sequelize.STRING(1000)
+      },
+      reviewComment: {
+        field: 'review_comment',
+        type: Sequelize.STRING(1000)
+      },
+      reviewedBy: {
+        field: 'reviewed_by',
+        type: Sequelize.UUID
+      },
+      reviewedAt: {
+        field: 'reviewed_at',
+        type: Sequelize.DATE
+      },
+      createdBy: {
+        field: 'created_by',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      updatedBy: {
+        field: 'updated_by',
+        type: Sequelize.UUID
+      },
+      createdAt: {
+        field: 'created_at',
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        field: 'updated_at',
+        type: Sequelize.DATE
+      }
+    },
+    {
+      schema: config.DB_SCHEMA_NAME,
+      sequelize,
+      tableName: 'resource_booking_extensions',
+      paranoid: false,
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['resource_booking_id']
+        }
+      ]
+    }
+  )
+
+  return ResourceBookingExtension
+}
@@ -0,0 +1,91 @@
+const { Sequelize, Model } = require('sequelize')
+const config = require('config')
+const errors = require('../common/errors')
+
+module.exports = (sequelize) => {
+  class ScheduledJob extends Model {
+    /**
+     * Create association between models
+     * @param {Object} models the database models
+     */
+    static associate (models) {
+      ScheduledJob.hasMany(models.ScheduledJobRun, { as: 'runs', foreignKey: 'jobName', sourceKey: 'name' })
+    }
+
+    /**
+     * Get scheduled job by name
+     * @param {String} name the job name
+     * @returns {ScheduledJob} the scheduled job instance
+     */
+    static async findByName (name) {
+      const scheduledJob = await ScheduledJob.findOne({
+        where: {
+          name
+        }
+      })
+      if (!scheduledJob) {
+        throw new errors.NotFoundError(`name: ${name} "ScheduledJob" doesn't exists.`)
+      }
+      return scheduledJob
+    }
+  }
+  ScheduledJob.init(
+    {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        unique: true
+      },
+      cron: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      enabled: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      leaseOwner: {
+        field: 'lease_owner',
+        type: Sequelize.STRING(255)
+      },
+      leaseExpiresAt: {
+        field: 'lease_expires_at',
+        type: Sequelize.DATE
+      },
+      lastRunAt: {
+        field: 'last_run_at',
+        type: Sequelize.DATE
+      },
+      lastRunStatus: {
+        field: 'last_run_status',
+        type: Sequelize.STRING(255)
+      },
+      createdAt: {
+        field: 'created_at',
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        field: 'updated_at',
+        type: Sequelize.DATE
+      }
+    },
+    {
+      schema: config.DB_SCHEMA_NAME,
+      sequelize,
+      tableName: 'scheduled_jobs',
+      paranoid: false,
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt',
+      timestamps: true
+    }
+  )
+
+  return ScheduledJob
+}
@@ -0,0 +1,84 @@
+const { Sequelize, Model } = require('sequelize')
+const config = require('config')
+const _ = require('lodash')
+const { ScheduledJobRunStatus, ScheduledJobRunTrigger } = require('../../app-constants')
+
+module.exports = (sequelize) => {
+  class ScheduledJobRun extends Model {
+    /**
+     * Create association between models
+     * @param {Object} models the database models
+     */
+    static associate (models) {
+      ScheduledJobRun.belongsTo(models.ScheduledJob, { foreignKey: 'jobName', targetKey: 'name' })
+    }
+  }
+  ScheduledJobRun.init(
+    {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4
+      },
+      jobName: {
+        field: 'job_name',
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      trigger: {
+        type: Sequelize.ENUM(_.values(ScheduledJobRunTrigger)),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM(_.values(ScheduledJobRunStatus)),
+        allowNull: false
+      },
+      instanceId: {
+        field: 'instance_id',
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      startedAt: {
+        field: 'started_at',
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      finishedAt: {
+        field: 'finished_at',
+        type: Sequelize.DATE
+      },
+      error: {
+        type: Sequelize.STRING(1000)
+      },
+      createdBy: {
+        field: 'created_by',
+        type: Sequelize.UUID
+      },
+      createdAt: {
+        field: 'created_at',
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        field: 'updated_at',
+        type: Sequelize.DATE
+      }
+    },
+    {
+      schema: config.DB_SCHEMA_NAME,
+      sequelize,
+      tableName: 'scheduled_job_runs',
+      paranoid: false,
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['job_name', 'started_at']
+        }
+      ]
+    }
+  )
+
+  return ScheduledJobRun
+}
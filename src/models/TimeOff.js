@@ -0,0 +1,93 @@
+const { Sequelize, Model } = require('sequelize')
+const config = require('config')
+const errors = require('../common/errors')
+
+module.exports = (sequelize) => {
+  class TimeOff extends Model {
+    /**
+     * Create association between models
+     * @param {Object} models the database models
+     */
+    static associate (models) {
+      TimeOff._models = models
+    }
+
+    /**
+     * Get time off by id
+     * @param {String} id the time off id
+     * @returns {TimeOff} the time off instance
+     */
+    static async findById (id) {
+      const timeOff = await TimeOff.findOne({
+        where: {
+          id
+        }
+      })
+      if (!timeOff) {
+        throw new errors.NotFoundError(`id: ${id} "TimeOff" doesn't exists.`)
+      }
+      return timeOff
+    }
+  }
+  TimeOff.init(
+    {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4
+      },
+      userId: {
+        field: 'user_id',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      startDate: {
+        field: 'start_date',
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      endDate: {
+        field: 'end_date',
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      reason: {
+        type: Sequelize.STRING(255)
+      },
+      createdBy: {
+        field: 'created_by',
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      updatedBy: {
+        field: 'updated_by',
+        type: Sequelize.UUID
+      },
+      createdAt: {
+        field: 'created_at',
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        field: 'updated_at',
+        type: Sequelize.DATE
+      }
+    },
+    {
+      schema: config.DB_SCHEMA_NAME,
+      sequelize,
+      tableName: 'time_offs',
+      paranoid: false,
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['user_id']
+        }
+      ]
+    }
+  )
+
+  return TimeOff
+}
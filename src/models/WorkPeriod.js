@@ -1,6 +1,7 @@
 const { Sequelize, Model } = require('sequelize')
 const config = require('config')
 const errors = require('../common/errors')
+const { WorkPeriodTimesheetStatus } = require('../../app-constants')
 
 module.exports = (sequelize) => {
   class WorkPeriod extends Model {
@@ -24,7 +25,8 @@ module.exports = (sequelize) => {
       const criteria = {
         where: {
           id
-        }
+        },
+        transaction: options.transaction
       }
       if (options.exclude && options.exclude.length > 0) {
         criteria.attributes = { exclude: options.exclude }
@@ -106,6 +108,16 @@ module.exports = (sequelize) => {
         type: Sequelize.INTEGER,
         allowNull: false
       },
+      hoursWorked: {
+        field: 'hours_worked',
+        type: Sequelize.FLOAT
+      },
+      hoursPaid: {
+        field: 'hours_paid',
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        defaultValue: 0
+      },
       paymentTotal: {
         field: 'payment_total',
         type: Sequelize.FLOAT,
@@ -116,6 +128,49 @@ module.exports = (sequelize) => {
         type: Sequelize.STRING(50),
         allowNull: false
       },
+      timesheetStatus: {
+        field: 'timesheet_status',
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        defaultValue: WorkPeriodTimesheetStatus.NONE
+      },
+      timesheetSubmittedAt: {
+        field: 'timesheet_submitted_at',
+        type: Sequelize.DATE
+      },
+      timesheetSubmittedBy: {
+        field: 'timesheet_submitted_by',
+        type: Sequelize.UUID
+      },
+      timesheetReviewedAt: {
+        field: 'timesheet_reviewed_at',
+        type: Sequelize.DATE
+      },
+      timesheetReviewedBy: {
+        field: 'timesheet_reviewed_by',
+        type: Sequelize.UUID
+      },
+      timesheetComment: {
+        field: 'timesheet_comment',
+        type: Sequelize.STRING(1000)
+      },
+      // the paid days, hours and amount after the cancellation of the resource booking
+      clawbackStatus: {
+        field: 'clawback_status',
+        type: Sequelize.STRING(20)
+      },
+      clawbackDays: {
+        field: 'clawback_days',
+        type: Sequelize.INTEGER
+      },
+      clawbackHours: {
+        field: 'clawback_hours',
+        type: Sequelize.FLOAT
+      },
+      clawbackAmount: {
+        field: 'clawback_amount',
+        type: Sequelize.FLOAT
+      },
       createdBy: {
         field: 'created_by',
         type: Sequelize.UUID,
@@ -2,7 +2,7 @@ const { Sequelize, Model } = require('sequelize')
 const _ = require('lodash')
 const config = require('config')
 const errors = require('../common/errors')
-const { WorkPeriodPaymentStatus } = require('../../app-constants')
+const { WorkPeriodPaymentStatus, WorkPeriodPaymentType } = require('../../app-constants')
 
 module.exports = (sequelize) => {
   class WorkPeriodPayment extends Model {
@@ -17,13 +17,15 @@ module.exports = (sequelize) => {
     /**
      * Get work period by id
      * @param {String} id the work period id
+     * @param {Object} options the extra query options, e.g. the transaction and the lock
      * @returns {WorkPeriodPayment} the work period payment instance
      */
-    static async findById (id) {
+    static async findById (id, options = {}) {
       const workPeriodPayment = await WorkPeriodPayment.findOne({
         where: {
           id
-        }
+        },
+        ...options
       })
       if (!workPeriodPayment) {
         throw new errors.NotFoundError(`id: ${id} "WorkPeriodPayment" doesn't exists`)
@@ -48,6 +50,19 @@ module.exports = (sequelize) => {
         field: 'challenge_id',
         type: Sequelize.UUID
       },
+      type: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: WorkPeriodPaymentType.REGULAR
+      },
+      // the reason code and the comment of the adjustment payments
+      reasonCode: {
+        field: 'reason_code',
+        type: Sequelize.STRING(20)
+      },
+      comment: {
+        type: Sequelize.STRING(1000)
+      },
       memberRate: {
         field: 'member_rate',
         type: Sequelize.FLOAT,
@@ -61,6 +76,9 @@ module.exports = (sequelize) => {
         type: Sequelize.INTEGER,
         allowNull: false
       },
+      hours: {
+        type: Sequelize.FLOAT
+      },
       amount: {
         type: Sequelize.DOUBLE,
         allowNull: false
@@ -78,6 +96,20 @@ module.exports = (sequelize) => {
         type: Sequelize.BIGINT,
         allowNull: false
       },
+      // the user who approved the payment, the payments which skip the approval are not approved by anyone
+      approvedBy: {
+        field: 'approved_by',
+        type: Sequelize.UUID
+      },
+      approvedAt: {
+        field: 'approved_at',
+        type: Sequelize.DATE
+      },
+      // the user who last changed the amount, days, hours or billingAccountId, who is not allowed to approve the payment
+      changedBy: {
+        field: 'changed_by',
+        type: Sequelize.UUID
+      },
       createdBy: {
         field: 'created_by',
         type: Sequelize.UUID,
@@ -0,0 +1,46 @@
+const { Sequelize, Model } = require('sequelize')
+const config = require('config')
+
+module.exports = (sequelize) => {
+  class ZoomAccount extends Model {}
+  ZoomAccount.init(
+    {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4
+      },
+      apiKey: {
+        field: 'api_key',
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        unique: true
+      },
+      reservations: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      createdAt: {
+        field: 'created_at',
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        field: 'updated_at',
+        type: Sequelize.DATE
+      }
+    },
+    {
+      schema: config.DB_SCHEMA_NAME,
+      sequelize,
+      tableName: 'zoom_accounts',
+      paranoid: false,
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt',
+      timestamps: true
+    }
+  )
+
+  return ZoomAccount
+}
@@ -0,0 +1,35 @@
+/**
+ * Contains holiday routes
+ */
+const constants = require('../../app-constants')
+
+module.exports = {
+  '/holidays': {
+    get: {
+      controller: 'HolidayController',
+      method: 'searchHolidays',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_HOLIDAY, constants.Scopes.ALL_HOLIDAY]
+    },
+    post: {
+      controller: 'HolidayController',
+      method: 'createHoliday',
+      auth: 'jwt',
+      scopes: [constants.Scopes.CREATE_HOLIDAY, constants.Scopes.ALL_HOLIDAY]
+    }
+  },
+  '/holidays/:id': {
+    patch: {
+      controller: 'HolidayController',
+      method: 'partiallyUpdateHoliday',
+      auth: 'jwt',
+      scopes: [constants.Scopes.UPDATE_HOLIDAY, constants.Scopes.ALL_HOLIDAY]
+    },
+    delete: {
+      controller: 'HolidayController',
+      method: 'deleteHoliday',
+      auth: 'jwt',
+      scopes: [constants.Scopes.DELETE_HOLIDAY, constants.Scopes.ALL_HOLIDAY]
+    }
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * Contains interview feedback routes
+ */
+const constants = require('../../app-constants')
+
+module.exports = {
+  '/jobCandidates/:jobCandidateId/interviews/:round/feedback': {
+    post: {
+      controller: 'InterviewFeedbackController',
+      method: 'submitInterviewFeedback',
+      auth: 'jwt',
+      scopes: [constants.Scopes.UPDATE_INTERVIEW, constants.Scopes.ALL_INTERVIEW]
+    },
+    get: {
+      controller: 'InterviewFeedbackController',
+      method: 'getInterviewFeedback',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_INTERVIEW, constants.Scopes.ALL_INTERVIEW]
+    }
+  }
+}
@@ -63,5 +63,39 @@ module.exports = {
       controller: 'InterviewController',
       method: 'getZoomLink'
     }
+  },
+  '/getInterview/:id/available-slots': {
+    get: {
+      controller: 'InterviewController',
+      method: 'getInterviewSlots'
+    }
+  },
+  '/updateInterview/:id/book': {
+    post: {
+      controller: 'InterviewController',
+      method: 'bookInterview'
+    }
+  },
+  '/interviews/calendar': {
+    get: {
+      controller: 'InterviewController',
+      method: 'getCalendarFeedUrl',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_INTERVIEW, constants.Scopes.ALL_INTERVIEW]
+    }
+  },
+  '/interviews/calendar/rotate': {
+    post: {
+      controller: 'InterviewController',
+      method: 'rotateCalendarFeedUrl',
+      auth: 'jwt',
+      scopes: [constants.Scopes.UPDATE_INTERVIEW, constants.Scopes.ALL_INTERVIEW]
+    }
+  },
+  '/interviews/calendar/:userId': {
+    get: {
+      controller: 'InterviewController',
+      method: 'getCalendarFeed'
+    }
   }
 }
@@ -0,0 +1,45 @@
+/**
+ * Contains invoice routes
+ */
+const constants = require('../../app-constants')
+
+module.exports = {
+  '/invoices': {
+    get: {
+      controller: 'InvoiceController',
+      method: 'searchInvoices',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_INVOICE, constants.Scopes.ALL_INVOICE]
+    }
+  },
+  '/invoices/generate': {
+    post: {
+      controller: 'InvoiceController',
+      method: 'generateInvoices',
+      auth: 'jwt',
+      scopes: [constants.Scopes.CREATE_INVOICE, constants.Scopes.ALL_INVOICE]
+    }
+  },
+  '/invoices/:id': {
+    get: {
+      controller: 'InvoiceController',
+      method: 'getInvoice',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_INVOICE, constants.Scopes.ALL_INVOICE]
+    },
+    patch: {
+      controller: 'InvoiceController',
+      method: 'partiallyUpdateInvoice',
+      auth: 'jwt',
+      scopes: [constants.Scopes.UPDATE_INVOICE, constants.Scopes.ALL_INVOICE]
+    }
+  },
+  '/invoices/:id/export': {
+    get: {
+      controller: 'InvoiceController',
+      method: 'exportInvoice',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_INVOICE, constants.Scopes.ALL_INVOICE]
+    }
+  }
+}
@@ -44,6 +44,22 @@ module.exports = {
       scopes: [constants.Scopes.DELETE_JOB_CANDIDATE, constants.Scopes.ALL_JOB_CANDIDATE]
     }
   },
+  '/jobCandidates/:id/history': {
+    get: {
+      controller: 'JobCandidateController',
+      method: 'getJobCandidateStatusHistory',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_JOB_CANDIDATE, constants.Scopes.ALL_JOB_CANDIDATE]
+    }
+  },
+  '/jobCandidates/:id/nextStatuses': {
+    get: {
+      controller: 'JobCandidateController',
+      method: 'getJobCandidateNextStatuses',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_JOB_CANDIDATE, constants.Scopes.ALL_JOB_CANDIDATE]
+    }
+  },
   '/jobCandidates/:id/resume': {
     get: {
       controller: 'JobCandidateController',
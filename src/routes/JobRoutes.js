@@ -43,5 +43,13 @@ module.exports = {
       auth: 'jwt',
       scopes: [constants.Scopes.DELETE_JOB, constants.Scopes.ALL_JOB]
     }
+  },
+  '/jobs/:id/funnel': {
+    get: {
+      controller: 'JobController',
+      method: 'getJobFunnel',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_JOB, constants.Scopes.ALL_JOB]
+    }
   }
 }
@@ -0,0 +1,31 @@
+/**
+ * Contains paymentScheduler routes
+ */
+const constants = require('../../app-constants')
+
+module.exports = {
+  '/payment-schedulers': {
+    get: {
+      controller: 'PaymentSchedulerController',
+      method: 'searchPaymentSchedulers',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_WORK_PERIOD_PAYMENT, constants.Scopes.ALL_WORK_PERIOD_PAYMENT]
+    }
+  },
+  '/work-period-payments/:id/timeline': {
+    get: {
+      controller: 'PaymentSchedulerController',
+      method: 'getPaymentSchedulerTimeline',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_WORK_PERIOD_PAYMENT, constants.Scopes.ALL_WORK_PERIOD_PAYMENT]
+    }
+  },
+  '/work-period-payments/:id/retry': {
+    post: {
+      controller: 'PaymentSchedulerController',
+      method: 'retryWorkPeriodPayment',
+      auth: 'jwt',
+      scopes: [constants.Scopes.UPDATE_WORK_PERIOD_PAYMENT, constants.Scopes.ALL_WORK_PERIOD_PAYMENT]
+    }
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Contains resourceBookingExtension routes
+ */
+const constants = require('../../app-constants')
+
+module.exports = {
+  '/resourceBookings/:id/extensions': {
+    get: {
+      controller: 'ResourceBookingExtensionController',
+      method: 'searchResourceBookingExtensions',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_RESOURCE_BOOKING, constants.Scopes.ALL_RESOURCE_BOOKING]
+    },
+    post: {
+      controller: 'ResourceBookingExtensionController',
+      method: 'createResourceBookingExtension',
+      auth: 'jwt',
+      scopes: [constants.Scopes.UPDATE_RESOURCE_BOOKING, constants.Scopes.ALL_RESOURCE_BOOKING]
+    }
+  },
+  '/resourceBookings/:id/extensions/:extensionId/approve': {
+    post: {
+      controller: 'ResourceBookingExtensionController',
+      method: 'approveResourceBookingExtension',
+      auth: 'jwt',
+      scopes: [constants.Scopes.UPDATE_RESOURCE_BOOKING, constants.Scopes.ALL_RESOURCE_BOOKING]
+    }
+  },
+  '/resourceBookings/:id/extensions/:extensionId/reject': {
+    post: {
+      controller: 'ResourceBookingExtensionController',
+      method: 'rejectResourceBookingExtension',
+      auth: 'jwt',
+      scopes: [constants.Scopes.UPDATE_RESOURCE_BOOKING, constants.Scopes.ALL_RESOURCE_BOOKING]
+    }
+  },
+  '/resourceBookings/:id/extensions/:extensionId/cancel': {
+    post: {
+      controller: 'ResourceBookingExtensionController',
+      method: 'cancelResourceBookingExtension',
+      auth: 'jwt',
+      scopes: [constants.Scopes.UPDATE_RESOURCE_BOOKING, constants.Scopes.ALL_RESOURCE_BOOKING]
+    }
+  }
+}
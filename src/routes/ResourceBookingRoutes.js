@@ -18,6 +18,30 @@ module.exports = {
       scopes: [constants.Scopes.READ_RESOURCE_BOOKING, constants.Scopes.ALL_RESOURCE_BOOKING]
     }
   },
+  '/resourceBookings/over-allocations': {
+    get: {
+      controller: 'ResourceBookingController',
+      method: 'getOverAllocatedMembers',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_RESOURCE_BOOKING, constants.Scopes.ALL_RESOURCE_BOOKING]
+    }
+  },
+  '/resourceBookings/margins': {
+    get: {
+      controller: 'ResourceBookingController',
+      method: 'getMarginReport',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_RESOURCE_BOOKING, constants.Scopes.ALL_RESOURCE_BOOKING]
+    }
+  },
+  '/resourceBookings/forecast': {
+    get: {
+      controller: 'ResourceBookingController',
+      method: 'getForecast',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_RESOURCE_BOOKING, constants.Scopes.ALL_RESOURCE_BOOKING]
+    }
+  },
   '/resourceBookings/:id': {
     get: {
       controller: 'ResourceBookingController',
@@ -43,5 +67,13 @@ module.exports = {
       auth: 'jwt',
       scopes: [constants.Scopes.DELETE_RESOURCE_BOOKING, constants.Scopes.ALL_RESOURCE_BOOKING]
     }
+  },
+  '/resourceBookings/:id/cancel': {
+    post: {
+      controller: 'ResourceBookingController',
+      method: 'cancelResourceBooking',
+      auth: 'jwt',
+      scopes: [constants.Scopes.UPDATE_RESOURCE_BOOKING, constants.Scopes.ALL_RESOURCE_BOOKING]
+    }
   }
 }
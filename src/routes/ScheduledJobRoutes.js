@@ -0,0 +1,31 @@
+/**
+ * Contains scheduled job routes
+ */
+const constants = require('../../app-constants')
+
+module.exports = {
+  '/scheduled-jobs': {
+    get: {
+      controller: 'ScheduledJobController',
+      method: 'searchScheduledJobs',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_SCHEDULED_JOB, constants.Scopes.ALL_SCHEDULED_JOB]
+    }
+  },
+  '/scheduled-jobs/:name/runs': {
+    get: {
+      controller: 'ScheduledJobController',
+      method: 'searchScheduledJobRuns',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_SCHEDULED_JOB, constants.Scopes.ALL_SCHEDULED_JOB]
+    }
+  },
+  '/scheduled-jobs/:name/trigger': {
+    post: {
+      controller: 'ScheduledJobController',
+      method: 'triggerScheduledJob',
+      auth: 'jwt',
+      scopes: [constants.Scopes.UPDATE_SCHEDULED_JOB, constants.Scopes.ALL_SCHEDULED_JOB]
+    }
+  }
+}
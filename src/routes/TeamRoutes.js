@@ -56,6 +56,18 @@ module.exports = {
       method: 'nylasWebhookCheck'
     }
   },
+  /**
+   * Zoom Webhook Route
+   *
+   * IMPORTANT, don't forget to update this route in `app.js` if you change it
+   * as we are using a special middleware for this route
+   */
+  '/taas-teams/zoom-webhooks': {
+    post: {
+      controller: 'WebhookController',
+      method: 'zoomWebhook'
+    }
+  },
   '/taas-teams/:id': {
     get: {
       controller: 'TeamController',
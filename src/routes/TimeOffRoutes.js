@@ -0,0 +1,35 @@
+/**
+ * Contains time off routes
+ */
+const constants = require('../../app-constants')
+
+module.exports = {
+  '/time-offs': {
+    get: {
+      controller: 'TimeOffController',
+      method: 'searchTimeOffs',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_TIME_OFF, constants.Scopes.ALL_TIME_OFF]
+    },
+    post: {
+      controller: 'TimeOffController',
+      method: 'createTimeOff',
+      auth: 'jwt',
+      scopes: [constants.Scopes.CREATE_TIME_OFF, constants.Scopes.ALL_TIME_OFF]
+    }
+  },
+  '/time-offs/:id': {
+    patch: {
+      controller: 'TimeOffController',
+      method: 'partiallyUpdateTimeOff',
+      auth: 'jwt',
+      scopes: [constants.Scopes.UPDATE_TIME_OFF, constants.Scopes.ALL_TIME_OFF]
+    },
+    delete: {
+      controller: 'TimeOffController',
+      method: 'deleteTimeOff',
+      auth: 'jwt',
+      scopes: [constants.Scopes.DELETE_TIME_OFF, constants.Scopes.ALL_TIME_OFF]
+    }
+  }
+}
@@ -40,6 +40,30 @@ module.exports = {
       scopes: [constants.Scopes.CREATE_WORK_PERIOD_PAYMENT, constants.Scopes.ALL_WORK_PERIOD_PAYMENT]
     }
   },
+  '/work-period-payments/adjustments': {
+    post: {
+      controller: 'WorkPeriodPaymentController',
+      method: 'createAdjustmentWorkPeriodPayment',
+      auth: 'jwt',
+      scopes: [constants.Scopes.CREATE_WORK_PERIOD_PAYMENT, constants.Scopes.ALL_WORK_PERIOD_PAYMENT]
+    }
+  },
+  '/work-period-payments/preview/commit': {
+    post: {
+      controller: 'WorkPeriodPaymentController',
+      method: 'commitWorkPeriodPaymentsPreview',
+      auth: 'jwt',
+      scopes: [constants.Scopes.CREATE_WORK_PERIOD_PAYMENT, constants.Scopes.ALL_WORK_PERIOD_PAYMENT]
+    }
+  },
+  '/work-period-payments/approve': {
+    post: {
+      controller: 'WorkPeriodPaymentController',
+      method: 'approveBulkOfWorkPeriodPayments',
+      auth: 'jwt',
+      scopes: [constants.Scopes.APPROVE_WORK_PERIOD_PAYMENT]
+    }
+  },
   '/work-period-payments/:id': {
     get: {
       controller: 'WorkPeriodPaymentController',
@@ -53,5 +77,13 @@ module.exports = {
       auth: 'jwt',
       scopes: [constants.Scopes.UPDATE_WORK_PERIOD_PAYMENT, constants.Scopes.ALL_WORK_PERIOD_PAYMENT]
     }
+  },
+  '/work-period-payments/:id/approve': {
+    post: {
+      controller: 'WorkPeriodPaymentController',
+      method: 'approveWorkPeriodPayment',
+      auth: 'jwt',
+      scopes: [constants.Scopes.APPROVE_WORK_PERIOD_PAYMENT]
+    }
   }
 }
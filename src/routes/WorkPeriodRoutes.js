@@ -25,5 +25,37 @@ module.exports = {
       auth: 'jwt',
       scopes: [constants.Scopes.UPDATE_WORK_PERIOD, constants.Scopes.ALL_WORK_PERIOD]
     }
+  },
+  '/work-periods/:id/timesheet': {
+    post: {
+      controller: 'WorkPeriodController',
+      method: 'submitWorkPeriodTimesheet',
+      auth: 'jwt',
+      scopes: [constants.Scopes.UPDATE_WORK_PERIOD, constants.Scopes.ALL_WORK_PERIOD]
+    }
+  },
+  '/work-periods/:id/timesheet/approve': {
+    post: {
+      controller: 'WorkPeriodController',
+      method: 'approveWorkPeriodTimesheet',
+      auth: 'jwt',
+      scopes: [constants.Scopes.UPDATE_WORK_PERIOD, constants.Scopes.ALL_WORK_PERIOD]
+    }
+  },
+  '/work-periods/:id/timesheet/dispute': {
+    post: {
+      controller: 'WorkPeriodController',
+      method: 'disputeWorkPeriodTimesheet',
+      auth: 'jwt',
+      scopes: [constants.Scopes.UPDATE_WORK_PERIOD, constants.Scopes.ALL_WORK_PERIOD]
+    }
+  },
+  '/work-periods/:id/clawback/resolve': {
+    post: {
+      controller: 'WorkPeriodController',
+      method: 'resolveWorkPeriodClawback',
+      auth: 'jwt',
+      scopes: [constants.Scopes.UPDATE_WORK_PERIOD, constants.Scopes.ALL_WORK_PERIOD]
+    }
   }
 }
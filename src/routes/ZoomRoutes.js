@@ -0,0 +1,15 @@
+/**
+ * Contains zoom routes
+ */
+const constants = require('../../app-constants')
+
+module.exports = {
+  '/zoom-accounts/utilization': {
+    get: {
+      controller: 'ZoomController',
+      method: 'getZoomAccountsUtilization',
+      auth: 'jwt',
+      scopes: [constants.Scopes.READ_INTERVIEW, constants.Scopes.ALL_INTERVIEW]
+    }
+  }
+}
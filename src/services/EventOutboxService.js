@@ -0,0 +1,92 @@
+/**
+ * This service relays the events left in the transactional outbox to the bus API.
+ */
+
+const _ = require('lodash')
+const config = require('config')
+const moment = require('moment')
+const { Op } = require('sequelize')
+const models = require('../models')
+const helper = require('../common/helper')
+const logger = require('../common/logger')
+const { EventOutboxStatus } = require('../../app-constants')
+
+const EventOutbox = models.EventOutbox
+const { BATCH_SIZE, RETENTION } = config.EVENT_OUTBOX
+
+const localLogger = {
+  debug: (message, context) => logger.debug({ component: 'EventOutboxService', context, message }),
+  error: (message, context) => logger.error({ component: 'EventOutboxService', context, message }),
+  info: (message, context) => logger.info({ component: 'EventOutboxService', context, message })
+}
+
+/**
+ * Relay the pending events which are due, the oldest events are relayed first.
+ * Once an event of an entity key is not relayed, the later events of the same key are held back to keep the order.
+ */
+async function relayPendingEvents () {
+  const events = await EventOutbox.findAll({
+    where: {
+      status: EventOutboxStatus.PENDING,
+      [Op.or]: [
+        { nextAttemptAt: null },
+        { nextAttemptAt: { [Op.lte]: new Date() } }
+      ]
+    },
+    attributes: ['id', 'entityKey'],
+    order: [['id', 'asc']],
+    limit: BATCH_SIZE
+  })
+  if (_.isEmpty(events)) {
+    return
+  }
+  localLogger.info(`start relaying ${events.length} of events`, 'relayPendingEvents')
+  const heldKeys = new Set()
+  let relayedCount = 0
+  for (const event of events) {
+    if (event.entityKey && heldKeys.has(event.entityKey)) {
+      continue
+    }
+    let relayed = false
+    try {
+      relayed = await helper.relayEvent(event.id)
+    } catch (err) {
+      // the event is sent to bus API already, only the local handling failed
+      relayed = true
+      logger.logFullError(err, { component: 'EventOutboxService', context: 'relayPendingEvents' })
+    }
+    if (relayed) {
+      relayedCount++
+    } else if (event.entityKey) {
+      heldKeys.add(event.entityKey)
+    }
+  }
+  localLogger.info(`relay end. ${relayedCount} of events relayed`, 'relayPendingEvents')
+}
+
+/**
+ * Remove the events which are sent longer than the retention period
+ */
+async function cleanUpSentEvents () {
+  const count = await EventOutbox.destroy({
+    where: {
+      status: EventOutboxStatus.SENT,
+      sentAt: { [Op.lt]: moment().subtract(moment.duration(RETENTION)).toDate() }
+    }
+  })
+  localLogger.debug(`${count} of sent events removed`, 'cleanUpSentEvents')
+}
+
+/**
+ * Outbox relay entrance
+ */
+async function processOutbox () {
+  await relayPendingEvents()
+  await cleanUpSentEvents()
+}
+
+module.exports = {
+  relayPendingEvents,
+  cleanUpSentEvents,
+  processOutbox
+}
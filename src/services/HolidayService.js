@@ -0,0 +1,174 @@
+/**
+ * This service provides operations of Holiday.
+ */
+
+const _ = require('lodash')
+const Joi = require('joi').extend(require('@joi/date'))
+const { Op } = require('sequelize')
+const moment = require('moment')
+const helper = require('../common/helper')
+const errors = require('../common/errors')
+const models = require('../models')
+const WorkCalendarService = require('./WorkCalendarService')
+
+const Holiday = models.Holiday
+
+/**
+  * Check user permission for creating, updating or deleting holiday.
+  * @param {Object} currentUser the user who perform this operation.
+  * @returns {undefined}
+  */
+function _checkUserPermissionForWriteHoliday (currentUser) {
+  if (!currentUser.hasManagePermission && !currentUser.isMachine) {
+    throw new errors.ForbiddenError('You are not allowed to perform this action!')
+  }
+}
+
+/**
+  * Check there is no other holiday of the region on the same date.
+  * @param {String} region the holiday region
+  * @param {String} date the holiday date
+  * @returns {undefined}
+  */
+async function _checkIfSameDateHolidayExists (region, date) {
+  const holiday = await Holiday.findOne({ where: { region, date }, raw: true })
+  if (holiday) {
+    throw new errors.ConflictError(`Holiday: "${holiday.name}" of region "${region}" on ${date} already exists.`)
+  }
+}
+
+/**
+  * List holidays
+  * @param {Object} currentUser the user who perform this operation.
+  * @param {Object} criteria the search criteria
+  * @returns {Object} the search result, contain total/page/perPage and result array
+  */
+async function searchHolidays (currentUser, criteria) {
+  const page = criteria.page
+  const perPage = criteria.perPage
+  const filter = { [Op.and]: [] }
+  if (criteria.region) {
+    filter[Op.and].push({ region: criteria.region })
+  }
+  if (criteria.fromDate) {
+    filter[Op.and].push({ date: { [Op.gte]: moment(criteria.fromDate).format('YYYY-MM-DD') } })
+  }
+  if (criteria.toDate) {
+    filter[Op.and].push({ date: { [Op.lte]: moment(criteria.toDate).format('YYYY-MM-DD') } })
+  }
+  const holidays = await Holiday.findAll({
+    where: filter,
+    offset: ((page - 1) * perPage),
+    limit: perPage,
+    order: [['date', 'asc'], ['region', 'asc']]
+  })
+  const total = await Holiday.count({ where: filter })
+  return {
+    fromDb: true,
+    total,
+    page,
+    perPage,
+    result: holidays
+  }
+}
+
+searchHolidays.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  criteria: Joi.object().keys({
+    page: Joi.number().integer().min(1).default(1),
+    perPage: Joi.number().integer().min(1).max(10000).default(20),
+    region: Joi.holidayRegion(),
+    fromDate: Joi.date().format('YYYY-MM-DD'),
+    toDate: Joi.date().format('YYYY-MM-DD')
+  }).required()
+}).required()
+
+/**
+  * Create holiday, the work periods which include the holiday are recalculated.
+  * @param {Object} currentUser the user who perform this operation
+  * @param {Object} holiday the holiday to be created
+  * @returns {Object} the created holiday
+  */
+async function createHoliday (currentUser, holiday) {
+  _checkUserPermissionForWriteHoliday(currentUser)
+  holiday.date = moment(holiday.date).format('YYYY-MM-DD')
+  await _checkIfSameDateHolidayExists(holiday.region, holiday.date)
+  holiday.createdBy = await helper.getUserId(currentUser.userId)
+  const created = await Holiday.create(holiday)
+  const entity = created.toJSON()
+  await WorkCalendarService.recalculateWorkPeriodsForHoliday(entity)
+  return entity
+}
+
+createHoliday.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  holiday: Joi.object().keys({
+    region: Joi.holidayRegion().required(),
+    date: Joi.date().format('YYYY-MM-DD').required(),
+    name: Joi.string().max(255).required()
+  }).required()
+}).required()
+
+/**
+  * Partially update holiday, when the date or region is changed
+  * the work periods which include the old or new date are recalculated.
+  * @param {Object} currentUser the user who perform this operation
+  * @param {String} id the holiday id
+  * @param {Object} data the data to be updated
+  * @returns {Object} the updated holiday
+  */
+async function partiallyUpdateHoliday (currentUser, id, data) {
+  _checkUserPermissionForWriteHoliday(currentUser)
+  const holiday = await Holiday.findById(id)
+  const oldValue = holiday.toJSON()
+  if (data.date) {
+    data.date = moment(data.date).format('YYYY-MM-DD')
+  }
+  const newValue = _.assign({}, oldValue, data)
+  if (newValue.region !== oldValue.region || newValue.date !== oldValue.date) {
+    await _checkIfSameDateHolidayExists(newValue.region, newValue.date)
+  }
+  data.updatedBy = await helper.getUserId(currentUser.userId)
+  const updated = await holiday.update(data)
+  const entity = updated.toJSON()
+  if (entity.region !== oldValue.region || entity.date !== oldValue.date) {
+    await WorkCalendarService.recalculateWorkPeriodsForHoliday(oldValue)
+    await WorkCalendarService.recalculateWorkPeriodsForHoliday(entity)
+  }
+  return entity
+}
+
+partiallyUpdateHoliday.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  id: Joi.string().uuid().required(),
+  data: Joi.object().keys({
+    region: Joi.holidayRegion(),
+    date: Joi.date().format('YYYY-MM-DD'),
+    name: Joi.string().max(255)
+  }).required().min(1)
+}).required()
+
+/**
+  * Delete holiday by id, the work periods which include the holiday are recalculated.
+  * @param {Object} currentUser the user who perform this operation
+  * @param {String} id the holiday id
+  */
+async function deleteHoliday (currentUser, id) {
+  _checkUserPermissionForWriteHoliday(currentUser)
+  const holiday = await Holiday.findById(id)
+  const oldValue = holiday.toJSON()
+  await holiday.destroy()
+  await WorkCalendarService.recalculateWorkPeriodsForHoliday(oldValue)
+}
+
+deleteHoliday.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  id: Joi.string().uuid().required()
+}).required()
+
+module.exports = {
+  searchHolidays,
+  createHoliday,
+  partiallyUpdateHoliday,
+  deleteHoliday
+}
@@ -0,0 +1,289 @@
+/**
+ * This service generates the iCalendar (RFC 5545) data of interviews.
+ * The calendar events are attached to the interview notifications, and every user could subscribe
+ * to the feed of their upcoming interviews.
+ */
+
+const _ = require('lodash')
+const Joi = require('joi')
+const config = require('config')
+const moment = require('moment-timezone')
+const { Op } = require('sequelize')
+const uuid = require('uuid')
+const helper = require('../common/helper')
+const errors = require('../common/errors')
+const models = require('../models')
+const { Interviews: InterviewConstants, ZoomLinkType } = require('../../app-constants')
+
+const Interview = models.Interview
+const JobCandidate = models.JobCandidate
+const Job = models.Job
+const InterviewCalendarFeed = models.InterviewCalendarFeed
+
+// the product identifier of the generated calendars
+const PRODUCT_ID = '-//Topcoder//TaaS Interviews//EN'
+
+// the methods of the calendar, see RFC 5546
+const CalendarMethod = {
+  Publish: 'PUBLISH',
+  Request: 'REQUEST',
+  Cancel: 'CANCEL'
+}
+
+/**
+ * Escape the text value of calendar property.
+ * @param {String} text the text
+ * @returns {String} the escaped text
+ */
+function escapeText (text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Fold the content line, so no line is longer than 75 octets.
+ * @param {String} line the content line
+ * @returns {String} the folded line
+ */
+function foldLine (line) {
+  const parts = []
+  let part = ''
+  for (const char of line) {
+    // the continuation lines start with a space which is counted too
+    const limit = parts.length ? 74 : 75
+    if (Buffer.byteLength(part + char) > limit) {
+      parts.push(part)
+      part = ''
+    }
+    part += char
+  }
+  parts.push(part)
+  return parts.join('\r\n ')
+}
+
+/**
+ * Format the date as the UTC date-time value of calendar property.
+ * @param {Date} date the date
+ * @returns {String} the formatted date
+ */
+function formatDate (date) {
+  return moment(date).utc().format('YYYYMMDD[T]HHmmss[Z]')
+}
+
+/**
+ * Build the calendar from the events.
+ * @param {String} method the calendar method
+ * @param {Array} events the events, every event is the list of content lines
+ * @returns {String} the calendar
+ */
+function buildCalendar (method, events) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    ..._.flatten(events),
+    'END:VCALENDAR'
+  ]
+  return _.map(lines, foldLine).join('\r\n') + '\r\n'
+}
+
+/**
+ * Build the calendar event of the interview.
+ * @param {Object} interview the interview
+ * @param {Object} options the event options
+ * @param {String} options.summary the event summary
+ * @param {String} options.description the event description
+ * @param {String} options.location the event location, which is the Zoom link
+ * @param {Array} options.attendees the attendees, every attendee is `{ email, name }`
+ * @param {Boolean} options.cancelled whether the interview is cancelled
+ * @returns {Array} the content lines of the event
+ */
+function buildInterviewEvent (interview, { summary, description, location, attendees, cancelled }) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${interview.id}@topcoder.com`,
+    `SEQUENCE:${interview.calendarSequence || 0}`,
+    `DTSTAMP:${formatDate(interview.updatedAt || new Date())}`,
+    `DTSTART:${formatDate(interview.startTimestamp)}`,
+    `DTEND:${formatDate(interview.endTimestamp)}`,
+    `SUMMARY:${escapeText(summary)}`
+  ]
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`)
+  }
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`)
+  }
+  lines.push(`ORGANIZER;CN=Topcoder:mailto:${config.NOTIFICATION_SENDER_EMAIL}`)
+  for (const attendee of attendees || []) {
+    const name = attendee.name ? `;CN="${attendee.name.replace(/"/g, '')}"` : ''
+    lines.push(`ATTENDEE${name};ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION:mailto:${attendee.email}`)
+  }
+  lines.push(`STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`, 'END:VEVENT')
+  return lines
+}
+
+/**
+ * Get the calendar attachment for the interview notification.
+ * The invitation is sent with `REQUEST` method when the interview is scheduled or rescheduled,
+ * and with `CANCEL` method when it's cancelled, the sequence of the interview makes the clients update the same event.
+ * @param {Object} interview the interview
+ * @param {Object} data the interview data from `NotificationsSchedulerService.getDataForInterview`
+ * @param {Object} options the options
+ * @param {Boolean} options.cancelled whether the interview is cancelled
+ * @param {String} options.zoomLink the Zoom link for the recipient
+ * @returns {Object} the attachment
+ */
+function getInterviewAttachment (interview, data, { cancelled, zoomLink } = {}) {
+  const method = cancelled ? CalendarMethod.Cancel : CalendarMethod.Request
+  const attendees = _.map(data.hostEmails, email => ({ email }))
+  if (data.guestEmail) {
+    attendees.push({ email: data.guestEmail, name: data.guestFullName })
+  }
+  const calendar = buildCalendar(method, [buildInterviewEvent(interview, {
+    summary: `Interview: ${data.guestFullName} for ${data.jobTitle}`,
+    description: zoomLink ? `Join Zoom Meeting: ${zoomLink}` : undefined,
+    location: zoomLink,
+    attendees,
+    cancelled
+  })])
+  return {
+    content: Buffer.from(calendar).toString('base64'),
+    filename: 'invite.ics',
+    type: `text/calendar; method=${method}`,
+    disposition: 'attachment'
+  }
+}
+
+/**
+ * Get the user id of the current user who owns the calendar feed.
+ * @param {Object} currentUser the user who perform this operation
+ * @returns {String} the user id
+ */
+async function _getCalendarFeedUserId (currentUser) {
+  if (currentUser.isMachine) {
+    throw new errors.BadRequestError('The calendar feed is not available for machine users.')
+  }
+  return helper.getUserId(currentUser.userId)
+}
+
+/**
+ * Build the calendar feed url of the user with the current feed key.
+ * @param {Object} feed the calendar feed of the user
+ * @returns {Object} the feed url
+ */
+function _buildCalendarFeedUrl (feed) {
+  const token = helper.signInterviewCalendarFeedToken(feed.userId, feed.feedKey)
+  return {
+    url: `${config.TAAS_API_BASE_URL}/interviews/calendar/${feed.userId}?token=${token}`
+  }
+}
+
+/**
+ * Get the calendar feed url of the current user.
+ * The url doesn't expire, it's only revoked when the user rotates it.
+ * @param {Object} currentUser the user who perform this operation
+ * @returns {Object} the feed url
+ */
+async function getCalendarFeedUrl (currentUser) {
+  const userId = await _getCalendarFeedUserId(currentUser)
+  const [feed] = await InterviewCalendarFeed.findOrCreate({
+    where: { userId },
+    defaults: { id: uuid.v4(), userId, feedKey: uuid.v4() }
+  })
+  return _buildCalendarFeedUrl(feed)
+}
+
+getCalendarFeedUrl.schema = Joi.object().keys({
+  currentUser: Joi.object().required()
+}).required()
+
+/**
+ * Rotate the calendar feed url of the current user, the calendars subscribed to the previous url stop getting the feed.
+ * @param {Object} currentUser the user who perform this operation
+ * @returns {Object} the new feed url
+ */
+async function rotateCalendarFeedUrl (currentUser) {
+  const userId = await _getCalendarFeedUserId(currentUser)
+  const [feed, created] = await InterviewCalendarFeed.findOrCreate({
+    where: { userId },
+    defaults: { id: uuid.v4(), userId, feedKey: uuid.v4() }
+  })
+  if (!created) {
+    await feed.update({ feedKey: uuid.v4() })
+  }
+  return _buildCalendarFeedUrl(feed)
+}
+
+rotateCalendarFeedUrl.schema = Joi.object().keys({
+  currentUser: Joi.object().required()
+}).required()
+
+/**
+ * Get the calendar feed of the upcoming interviews of the user,
+ * both the interviews hosted by the user and the interviews of the user as a candidate are included.
+ * @param {String} userId the user id
+ * @param {Object} data the request query data
+ * @returns {String} the calendar
+ */
+async function getCalendarFeed (userId, data) {
+  const tokenData = helper.verifyInterviewCalendarFeedToken(data.token)
+  if (tokenData.userId !== userId) {
+    throw new errors.UnauthorizedError('The token is not valid for the user.')
+  }
+  const feed = await InterviewCalendarFeed.findOne({ where: { userId } })
+  if (!feed || feed.feedKey !== tokenData.feedKey) {
+    throw new errors.UnauthorizedError('The token is revoked.')
+  }
+  const candidates = await JobCandidate.findAll({ where: { userId }, attributes: ['id'] })
+  const candidateIds = _.map(candidates, 'id')
+  const interviews = await Interview.findAll({
+    where: {
+      status: [InterviewConstants.Status.Scheduled, InterviewConstants.Status.Rescheduled],
+      endTimestamp: { [Op.gte]: new Date() },
+      [Op.or]: [
+        { hostUserId: userId },
+        { hosts: { [Op.contains]: [{ userId }] } },
+        { jobCandidateId: candidateIds }
+      ]
+    },
+    order: [['startTimestamp', 'ASC']]
+  })
+  const jobCandidates = await JobCandidate.findAll({ where: { id: _.uniq(_.map(interviews, 'jobCandidateId')) } })
+  const jobs = await Job.findAll({ where: { id: _.uniq(_.map(jobCandidates, 'jobId')) } })
+  const events = _.map(interviews, interview => {
+    const jobCandidate = _.find(jobCandidates, { id: interview.jobCandidateId })
+    const job = _.find(jobs, { id: _.get(jobCandidate, 'jobId') })
+    // the user joins as the guest only for their own interviews
+    const type = _.includes(candidateIds, interview.jobCandidateId) ? ZoomLinkType.GUEST : ZoomLinkType.HOST
+    const zoomToken = helper.signZoomLink({ type, id: interview.id })
+    const zoomLink = `${config.TAAS_API_BASE_URL}/getInterview/${interview.id}/zoom-link?type=${type}&token=${zoomToken}`
+    return buildInterviewEvent(interview, {
+      summary: `Interview round ${interview.round} for ${_.get(job, 'title', 'job')}`,
+      description: `Join Zoom Meeting: ${zoomLink}`,
+      location: zoomLink
+    })
+  })
+  return buildCalendar(CalendarMethod.Publish, events)
+}
+
+getCalendarFeed.schema = Joi.object().keys({
+  userId: Joi.string().uuid().required(),
+  data: Joi.object().keys({
+    token: Joi.string().required()
+  }).required()
+}).required()
+
+module.exports = {
+  buildCalendar,
+  buildInterviewEvent,
+  getInterviewAttachment,
+  getCalendarFeedUrl,
+  rotateCalendarFeedUrl,
+  getCalendarFeed
+}
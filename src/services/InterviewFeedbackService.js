@@ -0,0 +1,164 @@
+/**
+ * This service provides operations of InterviewFeedback.
+ */
+
+const _ = require('lodash')
+const Joi = require('joi')
+const config = require('config')
+const moment = require('moment')
+const helper = require('../common/helper')
+const logger = require('../common/logger')
+const errors = require('../common/errors')
+const models = require('../models')
+const { processUpdate: processUpdateJobCandidate } = require('../esProcessors/JobCandidateProcessor')
+const { Interviews: InterviewConstants } = require('../../app-constants')
+
+const Interview = models.Interview
+const InterviewFeedback = models.InterviewFeedback
+const JobCandidate = models.JobCandidate
+const sequelize = models.sequelize
+
+/**
+ * Get the interview with its job candidate and job, and check the user is allowed to access them.
+ * @param {Object} currentUser the user who perform this operation
+ * @param {String} jobCandidateId the job candidate id
+ * @param {Number} round the interview round
+ * @returns {Object} the interview, job candidate and job
+ */
+async function _getInterview (currentUser, jobCandidateId, round) {
+  const jobCandidate = await JobCandidate.findById(jobCandidateId)
+  const job = await jobCandidate.getJob()
+  if (!currentUser.hasManagePermission && !currentUser.isMachine) {
+    await helper.checkIsMemberOfProject(currentUser.userId, job.projectId)
+  }
+  const interview = await Interview.findOne({ where: { jobCandidateId, round } })
+  if (!interview) {
+    throw new errors.NotFoundError(`Interview doesn't exist with jobCandidateId: ${jobCandidateId} and round: ${round}`)
+  }
+  return { interview, jobCandidate, job }
+}
+
+/**
+ * Aggregate the feedback of the job candidate, so the candidates of the job could be compared.
+ * @param {Array} feedbackList all the feedback of the job candidate
+ * @returns {Object} the feedback summary
+ */
+function summarizeFeedback (feedbackList) {
+  const ratings = _.flatMap(feedbackList, 'ratings')
+  return {
+    feedbackCount: feedbackList.length,
+    averageRating: ratings.length ? _.round(_.meanBy(ratings, 'rating'), 2) : null,
+    skills: _.map(_.groupBy(ratings, 'skillId'), (skillRatings, skillId) => ({
+      skillId,
+      averageRating: _.round(_.meanBy(skillRatings, 'rating'), 2),
+      ratingCount: skillRatings.length
+    })),
+    recommendations: _.countBy(feedbackList, 'recommendation')
+  }
+}
+
+/**
+ * Get the feedback of the interview
+ * @param {Object} currentUser the user who perform this operation
+ * @param {String} jobCandidateId the job candidate id
+ * @param {Number} round the interview round
+ * @returns {Array} the feedback list
+ */
+async function getInterviewFeedback (currentUser, jobCandidateId, round) {
+  const { interview } = await _getInterview(currentUser, jobCandidateId, round)
+  const feedbackList = await InterviewFeedback.findAll({
+    where: { interviewId: interview.id },
+    order: [['createdAt', 'ASC']]
+  })
+  return _.map(feedbackList, feedback => feedback.toJSON())
+}
+
+getInterviewFeedback.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  jobCandidateId: Joi.string().uuid().required(),
+  round: Joi.number().integer().positive().required()
+}).required()
+
+/**
+ * Submit the feedback of the interview. Every host gives one feedback,
+ * submitting the feedback again replaces the previous one.
+ * @param {Object} currentUser the user who perform this operation
+ * @param {String} jobCandidateId the job candidate id
+ * @param {Number} round the interview round
+ * @param {Object} data the feedback data
+ * @returns {Object} the feedback
+ */
+async function submitInterviewFeedback (currentUser, jobCandidateId, round, data) {
+  const { interview, jobCandidate, job } = await _getInterview(currentUser, jobCandidateId, round)
+  const userId = await helper.getUserId(currentUser.userId)
+  const hostIds = _.union([interview.hostUserId], _.map(interview.hosts, 'userId'))
+  if (!currentUser.hasManagePermission && !currentUser.isMachine && !_.includes(hostIds, userId)) {
+    throw new errors.ForbiddenError('Only the hosts of the interview are allowed to submit feedback.')
+  }
+  const isOver = interview.status === InterviewConstants.Status.Completed ||
+    (_.includes([InterviewConstants.Status.Scheduled, InterviewConstants.Status.Rescheduled], interview.status) &&
+      moment().isAfter(interview.endTimestamp))
+  if (!isOver) {
+    throw new errors.BadRequestError(`Feedback cannot be submitted for the interview with status "${interview.status}" before it's over.`)
+  }
+  const invalidSkillIds = _.difference(_.map(data.ratings, 'skillId'), job.skills)
+  if (invalidSkillIds.length) {
+    throw new errors.BadRequestError(`The skills are not required by the job: ${invalidSkillIds.join(', ')}`)
+  }
+
+  const oldJobCandidateValue = jobCandidate.toJSON()
+  let feedback
+  let jobCandidateEntity
+  try {
+    await sequelize.transaction(async (t) => {
+      feedback = await InterviewFeedback.findOne({ where: { interviewId: interview.id, hostUserId: userId }, transaction: t })
+      if (feedback) {
+        feedback = await feedback.update({ ...data, comment: data.comment || null, updatedBy: userId }, { transaction: t })
+      } else {
+        feedback = await InterviewFeedback.create({
+          ...data,
+          interviewId: interview.id,
+          jobCandidateId,
+          hostUserId: userId,
+          createdBy: userId
+        }, { transaction: t })
+      }
+      const feedbackList = await InterviewFeedback.findAll({ where: { jobCandidateId }, transaction: t })
+      const updated = await jobCandidate.update({ feedbackSummary: summarizeFeedback(feedbackList), updatedBy: userId }, { transaction: t })
+      jobCandidateEntity = updated.toJSON()
+      await processUpdateJobCandidate(jobCandidateEntity)
+      await helper.postEvent(config.TAAS_JOB_CANDIDATE_UPDATE_TOPIC, jobCandidateEntity, { oldValue: oldJobCandidateValue, transaction: t })
+    })
+  } catch (err) {
+    if (jobCandidateEntity) {
+      helper.postErrorEvent(config.TAAS_ERROR_TOPIC, jobCandidateEntity, 'jobcandidate.update')
+    }
+    throw err
+  }
+  logger.debug({
+    component: 'InterviewFeedbackService',
+    context: 'submitInterviewFeedback',
+    message: `Feedback submitted for interview ${interview.id} by ${userId}`
+  })
+  return feedback.toJSON()
+}
+
+submitInterviewFeedback.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  jobCandidateId: Joi.string().uuid().required(),
+  round: Joi.number().integer().positive().required(),
+  data: Joi.object().keys({
+    ratings: Joi.array().items(Joi.object().keys({
+      skillId: Joi.string().uuid().required(),
+      rating: Joi.number().integer().min(InterviewConstants.Feedback.MinRating).max(InterviewConstants.Feedback.MaxRating).required()
+    })).unique('skillId').default([]),
+    recommendation: Joi.string().valid(..._.values(InterviewConstants.Feedback.Recommendation)).required(),
+    comment: Joi.string().allow(null)
+  }).required()
+}).required()
+
+module.exports = {
+  summarizeFeedback,
+  getInterviewFeedback,
+  submitInterviewFeedback
+}
@@ -9,7 +9,7 @@ const config = require('config')
 const { Op, ForeignKeyConstraintError } = require('sequelize')
 const { v4: uuid } = require('uuid')
 const { createHash } = require('crypto')
-const { Interviews: InterviewConstants, ZoomLinkType } = require('../../app-constants')
+const { Interviews: InterviewConstants, JobCandidateStatus, ZoomLinkType } = require('../../app-constants')
 const helper = require('../common/helper')
 const logger = require('../common/logger')
 const errors = require('../common/errors')
@@ -97,6 +97,28 @@ function handleSequelizeError (err, jobCandidateId) {
   }
 }
 
+/**
+ * Get the primary calendars of the required hosts other than the main host.
+ * The availability of every required host must be checked, so all of them must have fully connected calendar.
+ * @param {Object} interview the interview
+ * @returns {Array} the calendars
+ */
+async function getRequiredCoHostCalendars (interview) {
+  const calendars = []
+  for (const host of interview.hosts) {
+    if (!host.required || host.userId === interview.hostUserId) {
+      continue
+    }
+    const calendar = await UserMeetingSettings.getPrimaryNylasCalendarForUser(host.userId)
+    if (!calendar || !calendar.calendarId) {
+      const user = await helper.getUserById(host.userId)
+      throw new errors.BadRequestError(`Required host "${user.handle}" doesn't have fully connected calendar, the availability cannot be checked. Connect the calendar or make the host optional.`)
+    }
+    calendars.push(calendar)
+  }
+  return calendars
+}
+
 /**
  * Get interview by round
  * @param {Object} currentUser the user who perform this operation.
@@ -231,6 +253,57 @@ getInterviewById.schema = Joi.object().keys({
   fromDb: Joi.boolean()
 }).required()
 
+/**
+ * Create Nylas scheduling page for the interview and link it to the interview.
+ * @param {Object} interview the interview to be created
+ * @param {Object} jobCandidate the job candidate
+ * @returns {Object} the virtual calendar created for the host, or undefined if the existent calendar is used
+ */
+async function createNylasSchedulingPage (interview, jobCandidate) {
+  // only the slots when all the required hosts are free are offered
+  const availabilityCalendars = await getRequiredCoHostCalendars(interview)
+  // get calendar if exists, otherwise create a virtual one for the user
+  let calendar
+  const existentCalendar = await UserMeetingSettings.getPrimaryNylasCalendarForUser(interview.hostUserId)
+  if (_.isNil(existentCalendar)) {
+    const { email, firstName, lastName } = await helper.getUserDetailsByUserUUID(interview.hostUserId)
+    const currentUserFullname = `${firstName} ${lastName}`
+    calendar = await createVirtualCalendarForUser(interview.hostUserId, email, currentUserFullname, interview.hostTimezone)
+    // make the new calendar primary
+    calendar.isPrimary = true
+  } else {
+    calendar = existentCalendar
+  }
+
+  // if primary calendar doesn't have `calendarId`
+  if (!calendar.calendarId) {
+    throw errors.BadRequestError(`Cannot schedule interview using calendar "${calendar.email}" as it was not fully connected. Try waiting a couple of minutes, removing or reconnecting the calendar.`)
+  }
+
+  // configure scheduling page
+  const job = await jobCandidate.getJob()
+  const pageOptions = {
+    eventTitle: `Job Interview for "${job.title}"`,
+    availabilityCalendars
+  }
+  // create scheduling page on nylas
+  let schedulingPage
+  try {
+    schedulingPage = await createSchedulingPage(interview, calendar, pageOptions)
+    logger.debug(`requestInterview -> createSchedulingPage created: ${JSON.stringify(schedulingPage)}, using accessToken: "${calendar.accessToken}"`)
+  } catch (err) {
+    logger.error(`requestInterview -> createSchedulingPage failed: ${err.toString()}, using accessToken: "${calendar.accessToken}"`)
+    throw err
+  }
+
+  // Link nylasPage to interview
+  interview.nylasPageId = schedulingPage.id
+  interview.nylasPageSlug = schedulingPage.slug
+  interview.nylasCalendarId = calendar.calendarId
+
+  return existentCalendar ? undefined : calendar
+}
+
 /**
  * Request interview
  * @param {Object} currentUser the user who perform this operation
@@ -261,6 +334,10 @@ async function requestInterview (currentUser, jobCandidateId, interview) {
     throw new errors.ConflictError(`You've reached the maximum allowed number (${InterviewConstants.MaxAllowedCount}) of interviews for this candidate.`)
   }
 
+  // the job candidate status is changed to interview, so the transition must be allowed
+  const jobCandidate = await models.JobCandidate.findById(jobCandidateId)
+  helper.checkJobCandidateStatusTransition(jobCandidate.status, JobCandidateStatus.INTERVIEW)
+
   // pre-populate fields
   interview.id = uuid()
   interview.expireTimestamp = moment().add(config.INTERVIEW_SCHEDULING_EXPIRE_TIME)
@@ -272,49 +349,22 @@ async function requestInterview (currentUser, jobCandidateId, interview) {
   if (_.isNil(interview.hostUserId) || interview.hostUserId === '') {
     interview.hostUserId = interview.createdBy
   }
+  interview.schedulingProvider = config.INTERVIEW_SCHEDULING_PROVIDER
+  // the main host owns the scheduling page, so it's always a required host
+  interview.hosts = [
+    { userId: interview.hostUserId, required: true },
+    ..._.reject(interview.hosts, { userId: interview.hostUserId })
+  ]
 
   let entity
   let jobCandidateEntity
-  let calendar
   try {
     await sequelize.transaction(async (t) => {
-      // get calendar if exists, otherwise create a virtual one for the user
-      const existentCalendar = await UserMeetingSettings.getPrimaryNylasCalendarForUser(interview.hostUserId)
-      if (_.isNil(existentCalendar)) {
-        const { email, firstName, lastName } = await helper.getUserDetailsByUserUUID(interview.hostUserId)
-        const currentUserFullname = `${firstName} ${lastName}`
-        calendar = await createVirtualCalendarForUser(interview.hostUserId, email, currentUserFullname, interview.hostTimezone)
-        // make the new calendar primary
-        calendar.isPrimary = true
-      } else {
-        calendar = existentCalendar
-      }
-
-      // if primary calendar doesn't have `calendarId`
-      if (!calendar.calendarId) {
-        throw errors.BadRequestError(`Cannot schedule interview using calendar "${calendar.email}" as it was not fully connected. Try waiting a couple of minutes, removing or reconnecting the calendar.`)
-      }
-
-      // configure scheduling page
-      const jobCandidate = await models.JobCandidate.findById(interview.jobCandidateId)
-      const job = await jobCandidate.getJob()
-      const pageOptions = {
-        eventTitle: `Job Interview for "${job.title}"`
+      // create scheduling page on nylas, the built-in scheduling doesn't need it
+      let newCalendar
+      if (interview.schedulingProvider === InterviewConstants.SchedulingProvider.Nylas) {
+        newCalendar = await createNylasSchedulingPage(interview, jobCandidate)
       }
-      // create scheduling page on nylas
-      let schedulingPage
-      try {
-        schedulingPage = await createSchedulingPage(interview, calendar, pageOptions)
-        logger.debug(`requestInterview -> createSchedulingPage created: ${JSON.stringify(schedulingPage)}, using accessToken: "${calendar.accessToken}"`)
-      } catch (err) {
-        logger.error(`requestInterview -> createSchedulingPage failed: ${err.toString()}, using accessToken: "${calendar.accessToken}"`)
-        throw err
-      }
-
-      // Link nylasPage to interview
-      interview.nylasPageId = schedulingPage.id
-      interview.nylasPageSlug = schedulingPage.slug
-      interview.nylasCalendarId = calendar.calendarId
 
       // status handling will be implemented in another challenge it seems, setting the default value
       interview.status = InterviewConstants.Status.Scheduling
@@ -328,7 +378,7 @@ async function requestInterview (currentUser, jobCandidateId, interview) {
             defaultAvailableTime: interview.availableTime,
             defaultTimezone: interview.hostTimezone,
             // don't add calendar if we use existent one
-            calendar: !existentCalendar ? calendar : undefined
+            calendar: newCalendar
           },
           t
         )
@@ -342,11 +392,24 @@ async function requestInterview (currentUser, jobCandidateId, interview) {
       await processRequestInterview(entity)
       // update jobCandidate.status to Interview
       const [, affectedRows] = await models.JobCandidate.update(
-        { status: 'interview' },
+        { status: JobCandidateStatus.INTERVIEW },
         { where: { id: created.jobCandidateId }, returning: true, transaction: t }
       )
       jobCandidateEntity = _.omit(_.get(affectedRows, '0.dataValues'), 'deletedAt')
+      if (jobCandidate.status !== jobCandidateEntity.status) {
+        await models.JobCandidateStatusHistory.create({
+          id: uuid(),
+          jobCandidateId: jobCandidateEntity.id,
+          jobId: jobCandidateEntity.jobId,
+          fromStatus: jobCandidate.status,
+          toStatus: jobCandidateEntity.status,
+          changedBy: interview.createdBy,
+          changedAt: jobCandidateEntity.updatedAt
+        }, { transaction: t })
+      }
       await jobCandidateProcessUpdate(jobCandidateEntity)
+      await helper.postEvent(config.TAAS_INTERVIEW_REQUEST_TOPIC, entity, { transaction: t })
+      await helper.postEvent(config.TAAS_JOB_CANDIDATE_UPDATE_TOPIC, jobCandidateEntity, { transaction: t })
     })
   } catch (err) {
     if (entity) {
@@ -357,8 +420,6 @@ async function requestInterview (currentUser, jobCandidateId, interview) {
     // if reaches here, it's not one of the common errors handled in `handleSequelizeError`
     throw err
   }
-  await helper.postEvent(config.TAAS_INTERVIEW_REQUEST_TOPIC, entity)
-  await helper.postEvent(config.TAAS_JOB_CANDIDATE_UPDATE_TOPIC, jobCandidateEntity)
   // return created interview
   return entity
 }
@@ -370,6 +431,10 @@ requestInterview.schema = Joi.object().keys({
     duration: Joi.number().integer().positive().required(),
     hostTimezone: Joi.string().required(),
     hostUserId: Joi.string().uuid(),
+    hosts: Joi.array().items(Joi.object().keys({
+      userId: Joi.string().uuid().required(),
+      required: Joi.boolean().default(true)
+    })).unique('userId'),
     expireTimestamp: Joi.date(),
     availableTime: Joi.array().min(1).items(
       Joi.object({
@@ -398,11 +463,11 @@ requestInterview.schema = Joi.object().keys({
  */
 async function partiallyUpdateInterview (currentUser, interview, data) {
   const oldInterviewValue = interview.toJSON()
-  // only status can be updated for Completed interviews
-  if (interview.status === InterviewConstants.Status.Completed) {
+  // only status can be updated for Completed and No Show interviews
+  if (_.includes([InterviewConstants.Status.Completed, InterviewConstants.Status.NoShow], interview.status)) {
     const updatedFields = _.keys(data)
     if (updatedFields.length !== 1 || !_.includes(updatedFields, 'status')) {
-      throw new errors.BadRequestError('Only the "status" can be updated for Completed interviews.')
+      throw new errors.BadRequestError(`Only the "status" can be updated for ${interview.status} interviews.`)
     }
   }
 
@@ -411,12 +476,19 @@ async function partiallyUpdateInterview (currentUser, interview, data) {
     data.endTimestamp = moment(data.startTimestamp).add(interview.duration, 'minutes').toDate()
   }
 
+  // the calendar clients only update the sent event if it has the higher sequence
+  if ((interview.startTimestamp && data.startTimestamp && !moment(data.startTimestamp).isSame(interview.startTimestamp)) ||
+    (data.status === InterviewConstants.Status.Cancelled && interview.status !== InterviewConstants.Status.Cancelled)) {
+    data.calendarSequence = interview.calendarSequence + 1
+  }
+
   data.updatedBy = await helper.getUserId(currentUser.userId)
   let entity
   try {
     await sequelize.transaction(async (t) => {
       // check if  "duration", "availableTime" or "hostTimezone" changed. In that case we need to keep nylas consistent
-      if (interview.duration !== data.duration || interview.availableTime !== data.availableTime || interview.hostTimezone !== data.hostTimezone) {
+      if (interview.schedulingProvider === InterviewConstants.SchedulingProvider.Nylas &&
+        (interview.duration !== data.duration || interview.availableTime !== data.availableTime || interview.hostTimezone !== data.hostTimezone)) {
         const settingsForCalendar = await UserMeetingSettings.findOne({
           where: {
             nylasCalendars: {
@@ -436,6 +508,7 @@ async function partiallyUpdateInterview (currentUser, interview, data) {
       const updated = await interview.update(data, { transaction: t })
       entity = updated.toJSON()
       await processUpdateInterview(entity)
+      await helper.postEvent(config.TAAS_INTERVIEW_UPDATE_TOPIC, entity, { oldValue: oldInterviewValue, transaction: t })
     })
   } catch (err) {
     if (entity) {
@@ -446,7 +519,6 @@ async function partiallyUpdateInterview (currentUser, interview, data) {
     // if reaches here, it's not one of the common errors handled in `handleSequelizeError`
     throw err
   }
-  await helper.postEvent(config.TAAS_INTERVIEW_UPDATE_TOPIC, entity, { oldValue: oldInterviewValue })
   return entity
 }
 
@@ -720,22 +792,39 @@ async function updateCompletedInterviews () {
   let affectedCount
   try {
     await sequelize.transaction(async (t) => {
-      const updated = await Interview.update(
-        // '00000000-0000-0000-0000-000000000000' - to indicate it's updated by the system job
-        { status: InterviewConstants.Status.Completed, updatedBy: '00000000-0000-0000-0000-000000000000' },
-        {
+      let updatedRows = []
+      if (config.ZOOM_WEBHOOK_SECRET_TOKEN) {
+        // the interviews which didn't get "meeting.ended" webhook are resolved using the attendance received so far
+        const interviews = await Interview.findAll({
           where: {
             status: [InterviewConstants.Status.Scheduled, InterviewConstants.Status.Rescheduled],
-            startTimestamp: {
+            endTimestamp: {
               [Op.lte]: oneHourAgo
             }
           },
-          returning: true,
           transaction: t
+        })
+        for (const interview of interviews) {
+          const result = helper.getInterviewAttendanceResult(interview.attendance)
+          updatedRows.push(await interview.update({ ...result, updatedBy: '00000000-0000-0000-0000-000000000000' }, { transaction: t }))
         }
-      )
-      let updatedRows
-      [affectedCount, updatedRows] = updated
+      } else {
+        [, updatedRows] = await Interview.update(
+          // '00000000-0000-0000-0000-000000000000' - to indicate it's updated by the system job
+          { status: InterviewConstants.Status.Completed, updatedBy: '00000000-0000-0000-0000-000000000000' },
+          {
+            where: {
+              status: [InterviewConstants.Status.Scheduled, InterviewConstants.Status.Rescheduled],
+              startTimestamp: {
+                [Op.lte]: oneHourAgo
+              }
+            },
+            returning: true,
+            transaction: t
+          }
+        )
+      }
+      affectedCount = updatedRows.length
 
       // post event if there are affected/updated interviews
       if (affectedCount > 0) {
@@ -749,11 +838,13 @@ async function updateCompletedInterviews () {
         // construct payload
         _.forEach(updatedRows, row => {
           const interview = row.toJSON()
-          const affectedFields = _.pick(interview, ['status', 'updatedBy', 'updatedAt'])
+          const affectedFields = _.pick(interview, ['status', 'noShowBy', 'updatedBy', 'updatedAt'])
           _.set(bulkUpdatePayload, [interview.jobCandidateId, interview.id], affectedFields)
         })
         entity = bulkUpdatePayload
         await processBulkUpdateInterviews(bulkUpdatePayload)
+        // post event
+        await helper.postEvent(config.TAAS_INTERVIEW_BULK_UPDATE_TOPIC, entity, { transaction: t })
       }
     })
   } catch (e) {
@@ -762,10 +853,6 @@ async function updateCompletedInterviews () {
     }
     throw e
   }
-  if (affectedCount) {
-    // post event
-    await helper.postEvent(config.TAAS_INTERVIEW_BULK_UPDATE_TOPIC, entity)
-  }
 
   logger.info({ component: 'InterviewService', context: 'updateCompletedInterviews', message: `Completed running. Updated ${affectedCount} interviews.` })
 }
@@ -909,8 +996,8 @@ async function getZoomLink (interviewId, data) {
   const interview = await Interview.findById(interviewId)
 
   // check if the interview zoom link is not expired
-  const { Completed, Cancelled, Expired } = InterviewConstants.Status
-  if (_.includes([Completed, Cancelled, Expired], interview.status)) {
+  const { Completed, Cancelled, Expired, NoShow } = InterviewConstants.Status
+  if (_.includes([Completed, Cancelled, Expired, NoShow], interview.status)) {
     throw new errors.BadRequestError(`Zoom link is no longer available for this interview because the current status of the interview is "${interview.status}".`)
   }
   const zoomMeeting = await getZoomMeeting(interview.zoomAccountApiKey, interview.zoomMeetingId)
@@ -0,0 +1,361 @@
+/**
+ * This service provides operations of Invoices.
+ */
+
+const _ = require('lodash')
+const config = require('config')
+const Joi = require('joi')
+const moment = require('moment')
+const { Op } = require('sequelize')
+const uuid = require('uuid')
+const helper = require('../common/helper')
+const logger = require('../common/logger')
+const errors = require('../common/errors')
+const models = require('../models')
+const { InvoiceStatus, InvoiceStatusTransitions, RateType } = require('../../app-constants')
+
+const sequelize = models.sequelize
+const Invoice = models.Invoice
+const InvoiceLineItem = models.InvoiceLineItem
+const WorkPeriod = models.WorkPeriod
+const ResourceBooking = models.ResourceBooking
+
+// the fields of line items exported to CSV
+const CSV_EXPORT_FIELDS = ['invoiceId', 'billingAccountId', 'periodStart', 'periodEnd', 'status', 'currency',
+  'resourceBookingId', 'projectId', 'jobId', 'userHandle', 'customerRate', 'rateType', 'days', 'amount', 'workPeriodIds']
+
+/**
+  * Check user permission for invoice operations.
+  * Only admins and M2M are allowed to deal with invoices.
+  * @param {Object} currentUser the user who perform this operation.
+  * @returns {undefined}
+  */
+async function _checkUserPermissionForInvoice (currentUser) {
+  if (!currentUser.hasManagePermission && !currentUser.isMachine) {
+    throw new errors.ForbiddenError('You are not allowed to perform this action!')
+  }
+}
+
+/**
+  * Get the ids of work periods which are already billed by non-void invoices
+  * @param {Number} billingAccountId the billing account id
+  * @param {String} excludeInvoiceId the invoice to ignore, usually the draft being regenerated
+  * @returns {Array<String>} the list of work period ids
+  */
+async function _getBilledWorkPeriodIds (billingAccountId, excludeInvoiceId) {
+  const filter = {
+    billingAccountId,
+    status: { [Op.ne]: InvoiceStatus.VOID }
+  }
+  if (excludeInvoiceId) {
+    filter.id = { [Op.ne]: excludeInvoiceId }
+  }
+  const invoices = await Invoice.findAll({
+    where: filter,
+    attributes: ['id'],
+    include: [{
+      model: InvoiceLineItem,
+      as: 'lineItems',
+      attributes: ['workPeriodIds'],
+      required: false
+    }]
+  })
+  return _.flatMap(invoices, invoice => _.flatMap(invoice.lineItems, 'workPeriodIds'))
+}
+
+/**
+  * Build line items from the billable work periods.
+  * There is one line item for every resource booking and customer rate,
+  * every work period is billed with the customer rate which applied at its start.
+  * The hourly rate resource bookings are billed by the hours worked.
+  * @param {Array<Object>} workPeriods the work periods with their resource booking
+  * @returns {Array<Object>} the line items
+  */
+function _buildLineItems (workPeriods) {
+  const billedWorkPeriods = _.map(workPeriods, workPeriod => ({
+    workPeriod,
+    customerRate: helper.getEffectiveRates(workPeriod.ResourceBooking, workPeriod.startDate).customerRate
+  }))
+  return _.map(_.groupBy(billedWorkPeriods, item => `${item.workPeriod.resourceBookingId}:${item.customerRate}`), groupItems => {
+    const items = _.map(groupItems, 'workPeriod')
+    const customerRate = groupItems[0].customerRate
+    const resourceBooking = items[0].ResourceBooking
+    const amount = _.sumBy(items, item => resourceBooking.rateType === RateType.HOURLY
+      ? customerRate * item.hoursWorked
+      : customerRate * item.daysWorked / 5
+    )
+    return {
+      id: uuid.v4(),
+      resourceBookingId: items[0].resourceBookingId,
+      workPeriodIds: _.map(items, 'id'),
+      projectId: resourceBooking.projectId,
+      jobId: resourceBooking.jobId,
+      userHandle: items[0].userHandle,
+      customerRate,
+      rateType: resourceBooking.rateType,
+      days: _.sumBy(items, 'daysWorked'),
+      amount: _.round(amount, 2)
+    }
+  })
+}
+
+/**
+  * Get invoice by id
+  * @param {Object} currentUser the user who perform this operation.
+  * @param {String} id the invoice id
+  * @returns {Object} the invoice with its line items
+  */
+async function getInvoice (currentUser, id) {
+  await _checkUserPermissionForInvoice(currentUser)
+  const invoice = await Invoice.findById(id, { withLineItems: true })
+  return invoice.toJSON()
+}
+
+getInvoice.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  id: Joi.string().uuid().required()
+}).required()
+
+/**
+  * Generate draft invoices for a month.
+  * Completed work periods which ended in the month and are not billed yet are collected
+  * and grouped by billing account. If a draft invoice already exists for the billing account
+  * and month, its line items are rebuilt, or it's voided if there is nothing left to bill.
+  * Issued invoices are never touched, the billing account isn't billed again until its invoice is voided.
+  * @param {Object} currentUser the user who perform this operation.
+  * @param {Object} data the request body
+  * @returns {Array<Object>} the generated invoices
+  */
+async function generateInvoices (currentUser, data) {
+  await _checkUserPermissionForInvoice(currentUser)
+  const periodStart = moment(data.month, 'YYYY-MM').startOf('month').format('YYYY-MM-DD')
+  const periodEnd = moment(data.month, 'YYYY-MM').endOf('month').format('YYYY-MM-DD')
+  const resourceBookingFilter = {
+    billingAccountId: { [Op.ne]: null },
+    customerRate: { [Op.ne]: null }
+  }
+  if (data.billingAccountId) {
+    resourceBookingFilter.billingAccountId = data.billingAccountId
+  }
+  const workPeriods = await WorkPeriod.findAll({
+    where: {
+      endDate: {
+        [Op.between]: [periodStart, periodEnd],
+        [Op.lt]: moment().format('YYYY-MM-DD')
+      },
+      daysWorked: { [Op.gt]: 0 }
+    },
+    include: [{
+      model: ResourceBooking,
+      attributes: ['id', 'projectId', 'jobId', 'customerRate', 'rates', 'rateType', 'billingAccountId'],
+      where: resourceBookingFilter,
+      required: true
+    }]
+  })
+  const invoiceFilter = {
+    periodStart,
+    status: { [Op.ne]: InvoiceStatus.VOID }
+  }
+  if (data.billingAccountId) {
+    invoiceFilter.billingAccountId = data.billingAccountId
+  }
+  const invoices = _.keyBy(await Invoice.findAll({ where: invoiceFilter }), invoice => _.toString(invoice.billingAccountId))
+  const workPeriodsByBillingAccount = _.groupBy(workPeriods, workPeriod => _.toString(workPeriod.ResourceBooking.billingAccountId))
+  const userId = await helper.getUserId(currentUser.userId)
+  const result = []
+  // the drafts without work periods to bill are also checked, so they don't keep the line items billed elsewhere
+  for (const key of _.union(_.keys(workPeriodsByBillingAccount), _.keys(invoices))) {
+    const billingAccountId = _.toNumber(key)
+    const draft = invoices[key]
+    if (draft && draft.status !== InvoiceStatus.DRAFT) {
+      logger.info({ component: 'InvoiceService', context: 'generateInvoices', message: `invoice ${draft.id} of billing account ${billingAccountId} in ${data.month} is already issued, it should be voided to bill the work periods again` })
+      continue
+    }
+    const billedIds = await _getBilledWorkPeriodIds(billingAccountId, _.get(draft, 'id'))
+    const lineItems = _buildLineItems(_.filter(workPeriodsByBillingAccount[key], wp => !_.includes(billedIds, wp.id)))
+    if (!lineItems.length) {
+      logger.debug({ component: 'InvoiceService', context: 'generateInvoices', message: `nothing to bill for billing account ${billingAccountId} in ${data.month}` })
+      if (draft) {
+        result.push(await partiallyUpdateInvoice(currentUser, draft.id, { status: InvoiceStatus.VOID }))
+      }
+      continue
+    }
+    const totals = {
+      totalDays: _.sumBy(lineItems, 'days'),
+      totalAmount: _.round(_.sumBy(lineItems, 'amount'), 2)
+    }
+    let entity
+    let oldValue
+    try {
+      await sequelize.transaction(async (t) => {
+        let invoice
+        if (draft) {
+          oldValue = draft.toJSON()
+          await InvoiceLineItem.destroy({ where: { invoiceId: draft.id }, transaction: t })
+          invoice = await draft.update(_.assign({ updatedBy: userId }, totals), { transaction: t })
+        } else {
+          invoice = await Invoice.create(_.assign({
+            id: uuid.v4(),
+            billingAccountId,
+            periodStart,
+            periodEnd,
+            status: InvoiceStatus.DRAFT,
+            currency: config.INVOICE_CURRENCY,
+            createdBy: userId
+          }, totals), { transaction: t })
+        }
+        _.each(lineItems, lineItem => { lineItem.invoiceId = invoice.id })
+        const createdLineItems = await InvoiceLineItem.bulkCreate(lineItems, { transaction: t })
+        entity = invoice.toJSON()
+        entity.lineItems = _.map(createdLineItems, lineItem => lineItem.toJSON())
+        const key = `invoice.billingAccountId:${billingAccountId}`
+        if (draft) {
+          await helper.postEvent(config.TAAS_INVOICE_UPDATE_TOPIC, entity, { oldValue, key, transaction: t })
+        } else {
+          await helper.postEvent(config.TAAS_INVOICE_CREATE_TOPIC, entity, { key, transaction: t })
+        }
+      })
+    } catch (e) {
+      if (entity) {
+        helper.postErrorEvent(config.TAAS_ERROR_TOPIC, entity, draft ? 'invoice.update' : 'invoice.create')
+      }
+      throw e
+    }
+    result.push(entity)
+  }
+  return result
+}
+
+generateInvoices.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  data: Joi.object().keys({
+    month: Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/).required(),
+    billingAccountId: Joi.number().integer().positive()
+  }).required()
+}).required()
+
+/**
+  * Partially update invoice, only the status could be changed.
+  * Allowed transitions are defined by `InvoiceStatusTransitions`.
+  * @param {Object} currentUser the user who perform this operation.
+  * @param {String} id the invoice id
+  * @param {Object} data the data to be updated
+  * @returns {Object} the updated invoice
+  */
+async function partiallyUpdateInvoice (currentUser, id, data) {
+  await _checkUserPermissionForInvoice(currentUser)
+  const invoice = await Invoice.findById(id)
+  const oldValue = invoice.toJSON()
+  if (data.status !== invoice.status) {
+    if (!_.includes(InvoiceStatusTransitions[invoice.status], data.status)) {
+      throw new errors.BadRequestError(`Invoice status cannot be changed from "${invoice.status}" to "${data.status}"`)
+    }
+    if (data.status === InvoiceStatus.ISSUED) {
+      data.issuedAt = new Date()
+    } else if (data.status === InvoiceStatus.VOID) {
+      data.voidedAt = new Date()
+    }
+  }
+  data.updatedBy = await helper.getUserId(currentUser.userId)
+  let entity
+  try {
+    await sequelize.transaction(async (t) => {
+      const updated = await invoice.update(data, { transaction: t })
+      entity = updated.toJSON()
+      await helper.postEvent(config.TAAS_INVOICE_UPDATE_TOPIC, entity, { oldValue, key: `invoice.billingAccountId:${entity.billingAccountId}`, transaction: t })
+    })
+  } catch (e) {
+    if (entity) {
+      helper.postErrorEvent(config.TAAS_ERROR_TOPIC, entity, 'invoice.update')
+    }
+    throw e
+  }
+  return entity
+}
+
+partiallyUpdateInvoice.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  id: Joi.string().uuid().required(),
+  data: Joi.object().keys({
+    status: Joi.invoiceStatus().required()
+  }).required()
+}).required()
+
+/**
+  * List invoices
+  * @param {Object} currentUser the user who perform this operation.
+  * @param {Object} criteria the search criteria
+  * @returns {Object} the search result, contain total/page/perPage and result array
+  */
+async function searchInvoices (currentUser, criteria) {
+  await _checkUserPermissionForInvoice(currentUser)
+  const page = criteria.page
+  const perPage = criteria.perPage
+  const filter = { [Op.and]: [] }
+  _.each(_.pick(criteria, ['billingAccountId', 'status']), (value, key) => {
+    filter[Op.and].push({ [key]: value })
+  })
+  if (criteria.month) {
+    filter[Op.and].push({ periodStart: moment(criteria.month, 'YYYY-MM').startOf('month').format('YYYY-MM-DD') })
+  }
+  const invoices = await Invoice.findAll({
+    where: filter,
+    offset: ((page - 1) * perPage),
+    limit: perPage,
+    order: [[criteria.sortBy, criteria.sortOrder]]
+  })
+  const total = await Invoice.count({ where: filter })
+  return {
+    fromDb: true,
+    total,
+    page,
+    perPage,
+    result: invoices
+  }
+}
+
+searchInvoices.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  criteria: Joi.object().keys({
+    page: Joi.number().integer().min(1).default(1),
+    perPage: Joi.number().integer().min(1).max(10000).default(20),
+    sortBy: Joi.string().valid('id', 'billingAccountId', 'periodStart', 'status', 'totalAmount', 'createdAt').default('periodStart'),
+    sortOrder: Joi.string().valid('desc', 'asc').default('desc'),
+    billingAccountId: Joi.number().integer(),
+    status: Joi.invoiceStatus(),
+    month: Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/)
+  }).required()
+}).required()
+
+/**
+  * Export invoice as JSON or CSV
+  * @param {Object} currentUser the user who perform this operation.
+  * @param {String} id the invoice id
+  * @param {String} format the export format, `json` or `csv`
+  * @returns {Object|String} the invoice object, or CSV text with one row per line item
+  */
+async function exportInvoice (currentUser, id, format) {
+  const invoice = await getInvoice(currentUser, id)
+  if (format === 'json') {
+    return invoice
+  }
+  const rows = _.map(invoice.lineItems, lineItem => _.assign(
+    _.pick(invoice, ['billingAccountId', 'periodStart', 'periodEnd', 'status', 'currency']),
+    lineItem
+  ))
+  return helper.convertToCSV(rows, CSV_EXPORT_FIELDS)
+}
+
+exportInvoice.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  id: Joi.string().uuid().required(),
+  format: Joi.string().valid('json', 'csv').default('json')
+}).required()
+
+module.exports = {
+  getInvoice,
+  generateInvoices,
+  partiallyUpdateInvoice,
+  searchInvoices,
+  exportInvoice
+}
@@ -8,7 +8,7 @@ const config = require('config')
 const HttpStatus = require('http-status-codes')
 const { Op } = require('sequelize')
 const { v4: uuid } = require('uuid')
-const { Scopes, UserRoles } = require('../../app-constants')
+const { Scopes, UserRoles, JobCandidateStatusTransitions } = require('../../app-constants')
 const helper = require('../common/helper')
 const logger = require('../common/logger')
 const errors = require('../common/errors')
@@ -23,6 +23,7 @@ const {
 const sequelize = models.sequelize
 const NotificationSchedulerService = require('./NotificationsSchedulerService')
 const JobCandidate = models.JobCandidate
+const JobCandidateStatusHistory = models.JobCandidateStatusHistory
 const esClient = helper.getESClient()
 
 /**
@@ -39,6 +40,27 @@ async function _checkUserPermissionForGetJobCandidate (currentUser, jobId) {
   }
 }
 
+/**
+ * Record the status change of job candidate in the status history.
+ *
+ * @param {Object} jobCandidate the job candidate after the change
+ * @param {String} fromStatus the status before the change, null for a new job candidate
+ * @param {String} changedBy the user who changed the status
+ * @param {Object} transaction the transaction which changes the status
+ * @returns {undefined}
+ */
+async function _recordStatusChange (jobCandidate, fromStatus, changedBy, transaction) {
+  await JobCandidateStatusHistory.create({
+    id: uuid(),
+    jobCandidateId: jobCandidate.id,
+    jobId: jobCandidate.jobId,
+    fromStatus,
+    toStatus: jobCandidate.status,
+    changedBy,
+    changedAt: jobCandidate.updatedAt || jobCandidate.createdAt || new Date()
+  }, { transaction })
+}
+
 /**
  * Returns field omit list, based on user access level.
  *
@@ -130,7 +152,9 @@ async function createJobCandidate (currentUser, jobCandidate) {
     await sequelize.transaction(async (t) => {
       const created = await JobCandidate.create(jobCandidate, { transaction: t })
       entity = created.toJSON()
+      await _recordStatusChange(entity, null, jobCandidate.createdBy, t)
       await processCreate(entity)
+      await helper.postEvent(config.TAAS_JOB_CANDIDATE_CREATE_TOPIC, entity, { transaction: t })
     })
   } catch (e) {
     if (entity) {
@@ -138,7 +162,6 @@ async function createJobCandidate (currentUser, jobCandidate) {
     }
     throw e
   }
-  await helper.postEvent(config.TAAS_JOB_CANDIDATE_CREATE_TOPIC, entity)
   return entity
 }
 
@@ -172,6 +195,10 @@ async function updateJobCandidate (currentUser, id, data) {
     await helper.checkIsMemberOfProject(currentUser.userId, job.projectId)
   }
 
+  if (data.status) {
+    helper.checkJobCandidateStatusTransition(jobCandidate.status, data.status)
+  }
+
   data.updatedBy = userId
 
   let entity
@@ -179,7 +206,11 @@ async function updateJobCandidate (currentUser, id, data) {
     await sequelize.transaction(async (t) => {
       const updated = await jobCandidate.update(data, { transaction: t })
       entity = updated.toJSON()
+      if (entity.status !== oldValue.status) {
+        await _recordStatusChange(entity, oldValue.status, userId, t)
+      }
       await processUpdate(entity)
+      await helper.postEvent(config.TAAS_JOB_CANDIDATE_UPDATE_TOPIC, entity, { oldValue: oldValue, transaction: t })
     })
   } catch (e) {
     if (entity) {
@@ -187,7 +218,6 @@ async function updateJobCandidate (currentUser, id, data) {
     }
     throw e
   }
-  await helper.postEvent(config.TAAS_JOB_CANDIDATE_UPDATE_TOPIC, entity, { oldValue: oldValue })
   const result = _.assign(jobCandidate.dataValues, data)
   return result
 }
@@ -262,12 +292,12 @@ async function deleteJobCandidate (currentUser, id) {
     await sequelize.transaction(async (t) => {
       await jobCandidate.destroy({ transaction: t })
       await processDelete({ id })
+      await helper.postEvent(config.TAAS_JOB_CANDIDATE_DELETE_TOPIC, { id }, { transaction: t })
     })
   } catch (e) {
     helper.postErrorEvent(config.TAAS_ERROR_TOPIC, { id }, 'jobcandidate.delete')
     throw e
   }
-  await helper.postEvent(config.TAAS_JOB_CANDIDATE_DELETE_TOPIC, { id })
 }
 
 deleteJobCandidate.schema = Joi.object().keys({
@@ -438,6 +468,47 @@ downloadJobCandidateResume.schema = Joi.object().keys({
   id: Joi.string().uuid().required()
 }).required()
 
+/**
+ * Get the status history of jobCandidate, the earliest change first
+ * @params {Object} currentUser the user who perform this operation
+ * @params {String} id the jobCandidate id
+ * @returns {Array} the status changes
+ */
+async function getJobCandidateStatusHistory (currentUser, id) {
+  const jobCandidate = await JobCandidate.findById(id)
+  await _checkUserPermissionForGetJobCandidate(currentUser, jobCandidate.jobId) // check user permission
+  const history = await JobCandidateStatusHistory.findAll({
+    where: { jobCandidateId: id },
+    order: [['changedAt', 'asc']]
+  })
+  return _.map(history, record => record.toJSON())
+}
+
+getJobCandidateStatusHistory.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  id: Joi.string().uuid().required()
+}).required()
+
+/**
+ * Get the statuses jobCandidate is allowed to move to from its current status
+ * @params {Object} currentUser the user who perform this operation
+ * @params {String} id the jobCandidate id
+ * @returns {Object} the current status and the allowed next statuses
+ */
+async function getJobCandidateNextStatuses (currentUser, id) {
+  const jobCandidate = await JobCandidate.findById(id)
+  await _checkUserPermissionForGetJobCandidate(currentUser, jobCandidate.jobId) // check user permission
+  return {
+    status: jobCandidate.status,
+    nextStatuses: JobCandidateStatusTransitions[jobCandidate.status] || []
+  }
+}
+
+getJobCandidateNextStatuses.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  id: Joi.string().uuid().required()
+}).required()
+
 module.exports = {
   getJobCandidate,
   createJobCandidate,
@@ -445,5 +516,7 @@ module.exports = {
   fullyUpdateJobCandidate,
   deleteJobCandidate,
   searchJobCandidates,
+  getJobCandidateStatusHistory,
+  getJobCandidateNextStatuses,
   downloadJobCandidateResume
 }
@@ -12,6 +12,7 @@ const helper = require('../common/helper')
 const logger = require('../common/logger')
 const errors = require('../common/errors')
 const models = require('../models')
+const { JobCandidateFunnelStages } = require('../../app-constants')
 const {
   processCreate,
   processUpdate,
@@ -195,6 +196,7 @@ async function createJob (currentUser, job, onTeamCreating) {
       const created = await Job.create(job, { transaction: t })
       entity = created.toJSON()
       await processCreate(entity)
+      await helper.postEvent(config.TAAS_JOB_CREATE_TOPIC, entity, { onTeamCreating, transaction: t })
     })
   } catch (e) {
     if (entity) {
@@ -202,8 +204,6 @@ async function createJob (currentUser, job, onTeamCreating) {
     }
     throw e
   }
-
-  await helper.postEvent(config.TAAS_JOB_CREATE_TOPIC, entity, { onTeamCreating })
   return entity
 }
 
@@ -285,6 +285,7 @@ async function updateJob (currentUser, id, data) {
       const updated = await job.update(data, { transaction: t })
       entity = updated.toJSON()
       await processUpdate(entity)
+      await helper.postEvent(config.TAAS_JOB_UPDATE_TOPIC, entity, { oldValue: oldValue, transaction: t })
     })
   } catch (e) {
     if (entity) {
@@ -292,7 +293,6 @@ async function updateJob (currentUser, id, data) {
     }
     throw e
   }
-  await helper.postEvent(config.TAAS_JOB_UPDATE_TOPIC, entity, { oldValue: oldValue })
   job = await Job.findById(id, true)
   job.dataValues.candidates = _.map(job.dataValues.candidates, (c) => c.dataValues)
   return job.dataValues
@@ -405,12 +405,12 @@ async function deleteJob (currentUser, id) {
     await sequelize.transaction(async (t) => {
       await job.destroy({ transaction: t })
       await processDelete({ id })
+      await helper.postEvent(config.TAAS_JOB_DELETE_TOPIC, { id }, { transaction: t })
     })
   } catch (e) {
     helper.postErrorEvent(config.TAAS_ERROR_TOPIC, { id }, 'job.delete')
     throw e
   }
-  await helper.postEvent(config.TAAS_JOB_DELETE_TOPIC, { id })
 }
 
 deleteJob.schema = Joi.object().keys({
@@ -756,11 +756,78 @@ searchJobs.schema = Joi.object().keys({
   options: Joi.object()
 }).required()
 
+/**
+ * Calculate the median of numbers
+ * @param {Array<Number>} values the numbers
+ * @returns {Number} the median
+ */
+function _median (values) {
+  const sorted = _.sortBy(values)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Get the candidate funnel metrics of a job.
+ * Every funnel stage contains the number of candidates currently in the stage, the number of candidates
+ * who reached the stage or a later one, the median hours candidates stayed in the stage
+ * and the conversion rate from the previous stage.
+ * @param {Object} currentUser the user who perform this operation.
+ * @param {String} id the job id
+ * @returns {Object} the funnel metrics
+ */
+async function getJobFunnel (currentUser, id) {
+  const job = await Job.findById(id)
+  await _checkUserPermissionForGetJob(currentUser, job.projectId) // check user permission
+
+  const candidates = await models.JobCandidate.findAll({ where: { jobId: id }, attributes: ['id', 'status'], raw: true })
+  const history = await models.JobCandidateStatusHistory.findAll({
+    where: { jobId: id, jobCandidateId: _.map(candidates, 'id') },
+    order: [['changedAt', 'asc']],
+    raw: true
+  })
+  const statusCounts = _.countBy(candidates, 'status')
+  // the hours spent in every status, only the statuses which are left already are counted
+  const hoursInStatus = {}
+  // the number of candidates who reached every funnel stage
+  const reached = _.map(JobCandidateFunnelStages, () => 0)
+  _.each(_.groupBy(history, 'jobCandidateId'), records => {
+    for (let i = 0; i < records.length - 1; i++) {
+      const hours = (new Date(records[i + 1].changedAt) - new Date(records[i].changedAt)) / 3600000
+      hoursInStatus[records[i].toStatus] = _.concat(hoursInStatus[records[i].toStatus] || [], hours)
+    }
+    const furthest = _.max(_.map(records, record => _.indexOf(JobCandidateFunnelStages, record.toStatus)))
+    for (let i = 0; i <= furthest; i++) {
+      reached[i]++
+    }
+  })
+  const stages = _.map(JobCandidateFunnelStages, (status, index) => ({
+    status,
+    count: statusCounts[status] || 0,
+    reached: reached[index],
+    medianHoursInStage: hoursInStatus[status] ? _.round(_median(hoursInStatus[status]), 2) : null,
+    conversionRate: index > 0 && reached[index - 1] > 0 ? _.round(reached[index] / reached[index - 1], 4) : null
+  }))
+  return {
+    jobId: id,
+    totalCandidates: candidates.length,
+    statusCounts,
+    stages,
+    placementRate: candidates.length ? _.round(_.last(reached) / candidates.length, 4) : null
+  }
+}
+
+getJobFunnel.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  id: Joi.string().guid().required()
+}).required()
+
 module.exports = {
   getJob,
   createJob,
   partiallyUpdateJob,
   fullyUpdateJob,
   deleteJob,
-  searchJobs
+  searchJobs,
+  getJobFunnel
 }
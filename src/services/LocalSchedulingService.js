@@ -0,0 +1,260 @@
+/**
+ * This service provides the built-in interview scheduling which is used instead of Nylas scheduling pages
+ * when `INTERVIEW_SCHEDULING_PROVIDER` is `local`.
+ * The open slots are calculated from the working hours of the hosts and their existing interviews,
+ * the guest books one of the slots using the signed token from the invitation.
+ */
+
+const _ = require('lodash')
+const Joi = require('joi')
+const config = require('config')
+const moment = require('moment-timezone')
+const { Op } = require('sequelize')
+const helper = require('../common/helper')
+const logger = require('../common/logger')
+const errors = require('../common/errors')
+const models = require('../models')
+const { Interviews: InterviewConstants } = require('../../app-constants')
+const InterviewService = require('./InterviewService')
+const { generateZoomMeetingLink } = require('./ZoomService')
+
+const Interview = models.Interview
+const UserMeetingSettings = models.UserMeetingSettings
+
+// the day codes used in the available time, from Monday to Sunday
+const DayCodes = _.values(InterviewConstants.Nylas.Days)
+
+// the statuses of interview in which the guest is able to select the time
+const BookableStatuses = [
+  InterviewConstants.Status.Scheduling,
+  InterviewConstants.Status.Scheduled,
+  InterviewConstants.Status.RequestedForReschedule,
+  InterviewConstants.Status.Rescheduled
+]
+
+/**
+ * Get the working intervals in the range from the weekly available time.
+ * @param {Array} availableTime the available time in the format of Nylas `opening_hours`
+ * @param {String} timezone the timezone of the available time
+ * @param {Date} from the start of the range
+ * @param {Date} to the end of the range
+ * @returns {Array} the intervals, every interval is `{ start, end }` with moment values
+ */
+function getWorkingIntervals (availableTime, timezone, from, to) {
+  const intervals = []
+  for (const day = moment(from).tz(timezone).startOf('day'); day.isBefore(to); day.add(1, 'day')) {
+    const dayCode = DayCodes[day.isoWeekday() - 1]
+    for (const item of availableTime) {
+      if (_.includes(item.days, dayCode)) {
+        intervals.push({
+          start: moment.tz(`${day.format('YYYY-MM-DD')} ${item.start}`, 'YYYY-MM-DD H:mm', timezone),
+          end: moment.tz(`${day.format('YYYY-MM-DD')} ${item.end}`, 'YYYY-MM-DD H:mm', timezone)
+        })
+      }
+    }
+  }
+  return intervals
+}
+
+/**
+ * Calculate the open slots in the range.
+ * A slot is open if it's inside the working hours of every host and doesn't overlap any busy period.
+ * @param {Object} options the options
+ * @param {Number} options.duration the slot duration in minutes
+ * @param {Array} options.workingHours the working hours of every host, every item is `{ availableTime, timezone }`
+ * @param {Array} options.busy the busy periods, every item is `{ start, end }`
+ * @param {Date} options.from the start of the range
+ * @param {Date} options.to the end of the range
+ * @returns {Array} the open slots, every slot is `{ start, end }`
+ */
+function calculateOpenSlots ({ duration, workingHours, busy, from, to }) {
+  const step = moment.duration(config.INTERVIEW_SLOT_STEP)
+  const [mainHours, ...otherHours] = workingHours
+  const otherIntervals = _.map(otherHours, hours => getWorkingIntervals(hours.availableTime, hours.timezone, from, to))
+  const isInside = (intervals, start, end) => _.some(intervals, interval => !start.isBefore(interval.start) && !end.isAfter(interval.end))
+  const slots = []
+  // the slots start at the beginning of the main host working hours and then every step
+  for (const interval of getWorkingIntervals(mainHours.availableTime, mainHours.timezone, from, to)) {
+    for (const start = interval.start.clone(); ; start.add(step)) {
+      const end = start.clone().add(duration, 'minutes')
+      if (end.isAfter(interval.end) || end.isAfter(to)) {
+        break
+      }
+      if (start.isBefore(from) ||
+        !_.every(otherIntervals, intervals => isInside(intervals, start, end)) ||
+        _.some(busy, period => start.isBefore(period.end) && end.isAfter(period.start))) {
+        continue
+      }
+      slots.push({ start: start.toDate(), end: end.toDate() })
+    }
+  }
+  return _.sortBy(_.uniqBy(slots, slot => slot.start.getTime()), 'start')
+}
+
+/**
+ * Get the interview and check it could be booked using the token.
+ * @param {String} interviewId the interview id
+ * @param {String} token the booking token
+ * @returns {Object} the interview
+ */
+async function _getBookableInterview (interviewId, token) {
+  const { id } = helper.verifyInterviewBookingToken(token)
+  if (interviewId !== id) {
+    throw new errors.BadRequestError('Invalid interview id.')
+  }
+  const interview = await Interview.findById(interviewId)
+  if (interview.schedulingProvider !== InterviewConstants.SchedulingProvider.Local) {
+    throw new errors.BadRequestError('The interview is not scheduled by the built-in scheduling.')
+  }
+  if (!_.includes(BookableStatuses, interview.status)) {
+    throw new errors.BadRequestError(`The interview cannot be booked because the current status of the interview is "${interview.status}".`)
+  }
+  if (interview.status === InterviewConstants.Status.Scheduling && moment().isAfter(interview.expireTimestamp)) {
+    throw new errors.BadRequestError('The interview cannot be booked because the time to select the interview time is expired.')
+  }
+  return interview
+}
+
+/**
+ * Calculate the open slots of the interview in the range.
+ * Only the required hosts are taken into account, the hosts without working hours are treated as always available.
+ * @param {Object} interview the interview
+ * @param {Date} from the start of the range
+ * @param {Date} to the end of the range
+ * @returns {Array} the open slots
+ */
+async function _getInterviewSlots (interview, from, to) {
+  const hostIds = _.map(_.filter(interview.hosts, 'required'), 'userId')
+  if (!_.includes(hostIds, interview.hostUserId)) {
+    hostIds.unshift(interview.hostUserId)
+  }
+  // the main host working hours are set by the interview
+  const workingHours = [{ availableTime: interview.availableTime, timezone: interview.hostTimezone }]
+  const settings = await UserMeetingSettings.findAll({
+    where: { id: _.without(hostIds, interview.hostUserId) }
+  })
+  for (const item of settings) {
+    if (!_.isEmpty(item.defaultAvailableTime) && item.defaultTimezone) {
+      workingHours.push({ availableTime: item.defaultAvailableTime, timezone: item.defaultTimezone })
+    }
+  }
+  // the other interviews of the hosts in the range
+  const busy = await Interview.findAll({
+    where: {
+      id: { [Op.ne]: interview.id },
+      status: [InterviewConstants.Status.Scheduled, InterviewConstants.Status.Rescheduled],
+      startTimestamp: { [Op.lt]: to },
+      endTimestamp: { [Op.gt]: from },
+      [Op.or]: [
+        { hostUserId: hostIds },
+        ..._.map(hostIds, userId => ({ hosts: { [Op.contains]: [{ userId }] } }))
+      ]
+    },
+    attributes: [['start_timestamp', 'start'], ['end_timestamp', 'end']],
+    raw: true
+  })
+  return calculateOpenSlots({ duration: interview.duration, workingHours, busy, from, to })
+}
+
+/**
+ * Get the range in which the interview could be booked
+ * @param {Object} interview the interview
+ * @returns {Object} the range `{ from, to }`
+ */
+function _getBookingRange (interview) {
+  const from = moment().add(moment.duration(config.INTERVIEW_SLOT_MIN_NOTICE))
+  let to = moment().add(config.INTERVIEW_AVAILABLE_DAYS_IN_FEATURE, 'days')
+  // the first booking must happen before the interview expires
+  if (interview.status === InterviewConstants.Status.Scheduling && to.isAfter(interview.expireTimestamp)) {
+    to = moment(interview.expireTimestamp)
+  }
+  return { from: from.toDate(), to: to.toDate() }
+}
+
+/**
+ * Get the open slots of the interview
+ * @param {String} interviewId the interview id
+ * @param {Object} data the request query data
+ * @returns {Object} the interview duration, timezone and the open slots
+ */
+async function getInterviewSlots (interviewId, data) {
+  const interview = await _getBookableInterview(interviewId, data.token)
+  const { from, to } = _getBookingRange(interview)
+  const slots = await _getInterviewSlots(interview, from, to)
+  return {
+    interviewId,
+    duration: interview.duration,
+    hostTimezone: interview.hostTimezone,
+    startTimestamp: interview.startTimestamp,
+    slots
+  }
+}
+
+getInterviewSlots.schema = Joi.object().keys({
+  interviewId: Joi.string().uuid().required(),
+  data: Joi.object().keys({
+    token: Joi.string().required()
+  }).required()
+}).required()
+
+/**
+ * Book the interview at one of the open slots.
+ * The Zoom meeting is created when the interview is booked at the first time,
+ * booking it again reschedules the interview.
+ * @param {String} interviewId the interview id
+ * @param {Object} data the request query data
+ * @param {Object} booking the booking data
+ * @returns {Object} the updated interview
+ */
+async function bookInterview (interviewId, data, booking) {
+  // use the same mutex as the webhooks so the same slot isn't booked twice
+  return helper.runExclusiveInterviewEventHandler(async () => {
+    const interview = await _getBookableInterview(interviewId, data.token)
+    const start = moment(booking.startTimestamp)
+    const end = start.clone().add(interview.duration, 'minutes')
+    const { from, to } = _getBookingRange(interview)
+    if (start.isBefore(from) || end.isAfter(to)) {
+      throw new errors.BadRequestError('The selected time is out of the allowed range.')
+    }
+    const slots = await _getInterviewSlots(interview, start.toDate(), end.toDate())
+    if (!_.find(slots, slot => start.isSame(slot.start))) {
+      throw new errors.ConflictError('The selected time is not available.')
+    }
+    const changes = {
+      status: interview.startTimestamp ? InterviewConstants.Status.Rescheduled : InterviewConstants.Status.Scheduled,
+      startTimestamp: start.toDate(),
+      endTimestamp: end.toDate(),
+      guestTimezone: booking.guestTimezone || interview.guestTimezone
+    }
+    // the existing meeting is updated by the interview event handler when the interview is rescheduled
+    if (!interview.zoomMeetingId) {
+      const { meeting, zoomAccountApiKey } = await generateZoomMeetingLink(changes.startTimestamp, interview.duration)
+      changes.zoomAccountApiKey = zoomAccountApiKey
+      changes.zoomMeetingId = meeting.id
+    }
+    const result = await InterviewService.internallyUpdateInterviewById(helper.getAuditM2Muser(), interviewId, changes)
+    logger.debug({
+      component: 'LocalSchedulingService',
+      context: 'bookInterview',
+      message: `Interview "${interviewId}" booked on ${start.utc().format()}`
+    })
+    return _.omit(result, ['zoomAccountApiKey'])
+  })
+}
+
+bookInterview.schema = Joi.object().keys({
+  interviewId: Joi.string().uuid().required(),
+  data: Joi.object().keys({
+    token: Joi.string().required()
+  }).required(),
+  booking: Joi.object().keys({
+    startTimestamp: Joi.date().required(),
+    guestTimezone: Joi.string()
+  }).required()
+}).required()
+
+module.exports = {
+  calculateOpenSlots,
+  getInterviewSlots,
+  bookInterview
+}
@@ -113,6 +113,11 @@ async function getDataForInterview (interview, jobCandidate, job) {
   job = job || await Job.findById(jobCandidate.jobId)
 
   const hostUserDetails = await helper.getUserDetailsByUserUUID(interview.hostUserId)
+  // the details of all the hosts, the main host goes first
+  const hostsDetails = [hostUserDetails]
+  for (const host of _.reject(interview.hosts, { userId: interview.hostUserId })) {
+    hostsDetails.push(await helper.getUserDetailsByUserUUID(host.userId))
+  }
   const userDetails = await helper.getUserDetailsByUserUUID(jobCandidate.userId)
   const user = await getUserWithId(jobCandidate.userId)
   if (!user) { return null }
@@ -128,6 +133,8 @@ async function getDataForInterview (interview, jobCandidate, job) {
     guestEmail: userDetails.email,
     hostEmail: hostUserDetails.email,
     hostFullName: hostUserDetails.firstName + ' ' + hostUserDetails.lastName,
+    hostEmails: _.compact(_.map(hostsDetails, 'email')),
+    hostFullNames: _.map(hostsDetails, details => details.firstName + ' ' + details.lastName).join(', '),
     candidateName: `${user.firstName} ${user.lastName}`,
     handle: user.handle,
     startTime: startTime,
@@ -136,11 +143,28 @@ async function getDataForInterview (interview, jobCandidate, job) {
     interviewRound: interview.round,
     interviewLink,
     applicationUrl,
-    jobUrl
+    jobUrl,
+    attendance: getInterviewAttendanceText(interview)
 
   }
 }
 
+/**
+ * Get the text describing who attended the interview, it's only known for the interviews tracked by Zoom webhooks
+ * @param {Object} interview the interview
+ * @returns {String} the attendance text
+ */
+function getInterviewAttendanceText (interview) {
+  if (interview.status !== constants.Interviews.Status.NoShow) {
+    return _.get(interview, 'attendance.endedAt') ? 'Attended' : ''
+  }
+  return {
+    [constants.Interviews.NoShowBy.Host]: 'Host did not join',
+    [constants.Interviews.NoShowBy.Guest]: 'Candidate did not join',
+    [constants.Interviews.NoShowBy.Both]: 'Nobody joined'
+  }[interview.noShowBy] || 'No show'
+}
+
 /**
  * Sends notifications to all the teams which have candidates available for review
  */
@@ -281,10 +305,10 @@ async function sendInterviewComingUpNotifications () {
 
     const guestZoomToken = helper.signZoomLink({ type: constants.ZoomLinkType.GUEST, id: interview.id })
     const guestZoomLink = `${config.TAAS_API_BASE_URL}/getInterview/${interview.id}/zoom-link?type=${constants.ZoomLinkType.GUEST}&token=${guestZoomToken}`
-    if (!_.isEmpty(data.hostEmail)) {
+    if (!_.isEmpty(data.hostEmails)) {
       sendNotification({}, {
         template: 'taas.notification.interview-coming-up-host',
-        recipients: [{ email: data.hostEmail }],
+        recipients: _.map(data.hostEmails, email => ({ email })),
         data: {
           guest: data.guestFullName,
           jobTitle: data.jobTitle,
@@ -309,7 +333,7 @@ async function sendInterviewComingUpNotifications () {
         template: 'taas.notification.interview-coming-up-guest',
         recipients: [{ email: data.guestEmail }],
         data: {
-          host: data.hostFullName,
+          host: data.hostFullNames,
           jobTitle: data.jobTitle,
           zoomLink: guestZoomLink,
           start: moment(interview.startTimestamp).tz(guestTimezone).format(TIME_FORMAT) + ` ${guestTimezone}`,
@@ -342,7 +366,8 @@ async function sendInterviewCompletedNotifications () {
           [Op.in]: [
             constants.Interviews.Status.Scheduled,
             constants.Interviews.Status.Rescheduled,
-            constants.Interviews.Status.Completed
+            constants.Interviews.Status.Completed,
+            constants.Interviews.Status.NoShow
           ]
         }
       },
@@ -419,7 +444,8 @@ async function sendPostInterviewActionNotifications () {
           [Op.in]: [
             constants.Interviews.Status.Scheduled,
             constants.Interviews.Status.Rescheduled,
-            constants.Interviews.Status.Completed
+            constants.Interviews.Status.Completed,
+            constants.Interviews.Status.NoShow
           ]
         },
         startTimestamp: {
@@ -634,6 +660,9 @@ async function sendNotification (currentUser, data, webNotifications = []) {
       version: 'v3'
     }
   }
+  if (!_.isEmpty(data.attachments)) {
+    emailData.details.attachments = data.attachments
+  }
 
   const notifications = [emailData, ...webNotifications]
   await helper.postEvent(config.NOTIFICATIONS_CREATE_TOPIC, {
@@ -169,14 +169,38 @@ function getTimezoneFromSchedulingPage (page) {
   return page.config.timezone
 }
 
+/**
+ * Create the scheduling page of interview.
+ * The event is booked in the given calendar, the offered times are limited to
+ * the slots when the given calendar and all the `options.availabilityCalendars` are free.
+ *
+ * @param {Object} interview the interview
+ * @param {Object} calendar the calendar of the main host
+ * @param {Object} options the page options
+ * @param {String} options.eventTitle the title of the event
+ * @param {Array} [options.availabilityCalendars] the calendars of the other hosts which must be free
+ * @returns {Object} the created scheduling page
+ */
 async function createSchedulingPage (interview, calendar, options) {
+  const availabilityCalendars = options.availabilityCalendars || []
+  const calendarIds = {
+    [calendar.accountId]: {
+      availability: [calendar.calendarId],
+      booking: calendar.calendarId
+    }
+  }
+  for (const item of availabilityCalendars) {
+    const accountCalendarIds = calendarIds[item.accountId] || { availability: [] }
+    accountCalendarIds.availability = _.uniq([...accountCalendarIds.availability, item.calendarId])
+    calendarIds[item.accountId] = accountCalendarIds
+  }
   const webhookAuthTokenSecret = config.NYLAS_SCHEDULER_WEBHOOK_SECRET
   const authTokenHash = createHash('sha256')
     .update(webhookAuthTokenSecret)
     .digest('hex')
 
   const res = await axios.post('https://api.schedule.nylas.com/manage/pages', {
-    access_tokens: [calendar.accessToken],
+    access_tokens: _.uniq([calendar.accessToken, ..._.map(availabilityCalendars, 'accessToken')]),
     slug: `tc-taas-interview-${interview.id}`,
     config: {
       appearance: {
@@ -191,12 +215,7 @@ async function createSchedulingPage (interview, calendar, options) {
         confirmation_emails_to_guests: false,
         confirmation_emails_to_host: false
       },
-      calendar_ids: {
-        [calendar.accountId]: {
-          availability: [calendar.calendarId],
-          booking: calendar.calendarId
-        }
-      },
+      calendar_ids: calendarIds,
       event: {
         duration: interview.duration, // default duration.
         title: options.eventTitle // becomes the title of the Edit availability modal, unless overridden through UI
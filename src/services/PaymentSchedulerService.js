@@ -1,11 +1,14 @@
 const _ = require('lodash')
+const Joi = require('joi')
 const config = require('config')
 const moment = require('moment')
+const { Op } = require('sequelize')
 const models = require('../models')
-const { getMemberDetailsByHandle, getChallenge, getChallengeResource, sleep, postEvent, postErrorEvent } = require('../common/helper')
+const { sleep, postEvent, postErrorEvent } = require('../common/helper')
 const logger = require('../common/logger')
-const { createChallenge, addResourceToChallenge, activateChallenge, closeChallenge } = require('./PaymentService')
-const { ChallengeStatus, PaymentSchedulerStatus, PaymentProcessingSwitch } = require('../../app-constants')
+const errors = require('../common/errors')
+const { partiallyUpdateWorkPeriodPayment } = require('./WorkPeriodPaymentService')
+const { PaymentSchedulerStatus, PayoutProvider, PayoutProviderSteps, WorkPeriodPaymentStatus } = require('../../app-constants')
 
 const {
   processUpdate
@@ -16,10 +19,23 @@ const WorkPeriodPayment = models.WorkPeriodPayment
 const WorkPeriod = models.WorkPeriod
 const PaymentScheduler = models.PaymentScheduler
 const {
-  SWITCH, BATCH_SIZE, IN_PROGRESS_EXPIRED, MAX_RETRY_COUNT, RETRY_BASE_DELAY, RETRY_MAX_DELAY, PER_REQUEST_MAX_TIME, PER_PAYMENT_MAX_TIME,
+  PROVIDER, BILLING_ACCOUNT_PROVIDERS, BATCH_SIZE, IN_PROGRESS_EXPIRED, MAX_RETRY_COUNT, RETRY_BASE_DELAY, RETRY_MAX_DELAY, PER_REQUEST_MAX_TIME, PER_PAYMENT_MAX_TIME,
   PER_MINUTE_PAYMENT_MAX_COUNT, PER_MINUTE_CHALLENGE_REQUEST_MAX_COUNT, PER_MINUTE_RESOURCE_REQUEST_MAX_COUNT,
   FIX_DELAY_STEP_CREATE_CHALLENGE, FIX_DELAY_STEP_ASSIGN_MEMBER, FIX_DELAY_STEP_ACTIVATE_CHALLENGE
 } = config.PAYMENT_PROCESSING
+
+/**
+ * The payout providers, each of them implements:
+ * - `executeStep(step, { workPeriod, workPeriodPayment, paymentScheduler })` executes the step of `PayoutProviderSteps`
+ *   and returns the attributes of the payment scheduler to be updated
+ * - `getCurrentStep(paymentScheduler)` gets the last step which is actually done, for the records caused by an abnormal shutdown
+ */
+const payoutProviders = {
+  [PayoutProvider.CHALLENGE]: require('./payoutProviders/ChallengePayoutProvider'),
+  [PayoutProvider.LEDGER]: require('./payoutProviders/LedgerPayoutProvider'),
+  [PayoutProvider.FILE_EXPORT]: require('./payoutProviders/FileExportPayoutProvider')
+}
+
 const processStatus = {
   perMin: {
     minute: '0:0',
@@ -71,7 +87,8 @@ async function processScheduler () {
     localLogger.info(`payments: ${_.join(skipIds, ',')} are processing by other processor`, 'processScheduler')
   }
   if (!_.isEmpty(failIds)) {
-    localLogger.error(`payments: ${_.join(failIds, ',')} are processed failed`, 'processScheduler')
+    // the other payments are processed already, the run is recorded as failed
+    throw new Error(`payments: ${_.join(failIds, ',')} are processed failed`)
   }
 }
 
@@ -101,6 +118,7 @@ async function processPayment (workPeriodPayment) {
         key = `workPeriodPayment.billingAccountId:${updated.billingAccountId}`
         entity = updated.toJSON()
         await processUpdate({ ...entity, key })
+        await postEvent(config.TAAS_WORK_PERIOD_PAYMENT_UPDATE_TOPIC, entity, { oldValue: oldValue, key, transaction: t })
       })
     } catch (e) {
       if (entity) {
@@ -108,25 +126,41 @@ async function processPayment (workPeriodPayment) {
       }
       throw e
     }
-    await postEvent(config.TAAS_WORK_PERIOD_PAYMENT_UPDATE_TOPIC, entity, { oldValue: oldValue, key })
+    // The failed payment which is scheduled again is retried from the last successful step
+    paymentScheduler = await PaymentScheduler.findOne({ where: { workPeriodPaymentId: workPeriodPayment.id, status: 'failed' } })
   }
   // Check whether the number of processed records per minute exceeds the specified number, if it exceeds, wait for the next minute before processing
   await checkWait(PaymentSchedulerStatus.START_PROCESS)
   localLogger.info(`Processing workPeriodPayment ${workPeriodPayment.id}`, 'processPayment')
 
   const workPeriod = await WorkPeriod.findById(workPeriodPayment.workPeriodId)
+  // the payment which is already started keeps its payout provider
+  const provider = paymentScheduler ? paymentScheduler.provider : getPayoutProvider(workPeriodPayment.billingAccountId)
+  const steps = PayoutProviderSteps[provider]
   try {
     if (!paymentScheduler) {
-      // 1. create challenge
-      const challengeId = await withRetry(createChallenge, [getCreateChallengeParam(workPeriod, workPeriodPayment)], validateError, PaymentSchedulerStatus.CREATE_CHALLENGE)
-      paymentScheduler = await PaymentScheduler.create({ challengeId, step: PaymentSchedulerStatus.CREATE_CHALLENGE, workPeriodPaymentId: workPeriodPayment.id, userHandle: workPeriod.userHandle, status: 'in-progress' })
+      // 1. create the payout, for example create the challenge
+      const attributes = await withRetry(payoutProviders[provider].executeStep, [steps[0], { workPeriod, workPeriodPayment }], validateError, steps[0])
+      paymentScheduler = await PaymentScheduler.create({
+        ...attributes,
+        provider,
+        step: steps[0],
+        workPeriodPaymentId: workPeriodPayment.id,
+        userHandle: workPeriod.userHandle,
+        status: 'in-progress',
+        timeline: [{ step: steps[0], status: 'completed', at: new Date() }]
+      })
+    } else if (paymentScheduler.status === 'failed' && paymentScheduler.lastError) {
+      localLogger.info(`Retrying workPeriodPayment ${workPeriodPayment.id} from step ${paymentScheduler.step}`, 'processPayment')
+      await paymentScheduler.update({ status: 'in-progress', timeline: getTimeline(paymentScheduler, 'in-progress') })
     } else {
       // If the paymentScheduler already exists, it means that this is a record caused by an abnormal shutdown
+      // or a failed record which doesn't keep the last successful step
       await setPaymentSchedulerStep(paymentScheduler)
     }
     // Start from unprocessed step, perform the process step by step
-    while (paymentScheduler.step !== PaymentSchedulerStatus.CLOSE_CHALLENGE) {
-      await processStep(paymentScheduler)
+    while (paymentScheduler.step !== _.last(steps)) {
+      await processStep(paymentScheduler, { workPeriod, workPeriodPayment })
     }
 
     const oldValue = workPeriodPayment.toJSON()
@@ -139,6 +173,7 @@ async function processPayment (workPeriodPayment) {
         const updated = await workPeriodPayment.update({ challengeId: paymentScheduler.challengeId, status: 'completed' }, { transaction: t })
         entity = updated.toJSON()
         await processUpdate({ ...entity, key })
+        await postEvent(config.TAAS_WORK_PERIOD_PAYMENT_UPDATE_TOPIC, entity, { oldValue: oldValue, key, transaction: t })
       })
     } catch (e) {
       if (entity) {
@@ -146,9 +181,7 @@ async function processPayment (workPeriodPayment) {
       }
       throw e
     }
-    // Update the modified status to es
-    await postEvent(config.TAAS_WORK_PERIOD_PAYMENT_UPDATE_TOPIC, entity, { oldValue: oldValue, key })
-    await paymentScheduler.update({ step: PaymentSchedulerStatus.CLOSE_CHALLENGE, userId: paymentScheduler.userId, status: 'completed' })
+    await paymentScheduler.update({ step: _.last(steps), userId: paymentScheduler.userId, status: 'completed' })
 
     localLogger.info(`Processed workPeriodPayment ${workPeriodPayment.id} successfully`, 'processPayment')
     return processResult.SUCCESS
@@ -166,6 +199,7 @@ async function processPayment (workPeriodPayment) {
         key = `workPeriodPayment.billingAccountId:${updated.billingAccountId}`
         entity = updated.toJSON()
         await processUpdate({ ...entity, key })
+        await postEvent(config.TAAS_WORK_PERIOD_PAYMENT_UPDATE_TOPIC, entity, { oldValue: oldValue, key, transaction: t })
       })
     } catch (e) {
       if (entity) {
@@ -173,10 +207,17 @@ async function processPayment (workPeriodPayment) {
       }
       throw e
     }
-    await postEvent(config.TAAS_WORK_PERIOD_PAYMENT_UPDATE_TOPIC, entity, { oldValue: oldValue, key })
 
     if (paymentScheduler) {
-      await paymentScheduler.update({ step: _.get(err, 'step'), userId: paymentScheduler.userId, status: 'failed' })
+      // The step of the payment scheduler is kept as the last successful step, so the payment could be retried from it
+      const lastError = { ..._.pick(statusDetails, ['errorMessage', 'errorCode', 'retry', 'step']), at: new Date() }
+      await paymentScheduler.update({
+        step: paymentScheduler.step,
+        userId: paymentScheduler.userId,
+        status: 'failed',
+        lastError,
+        timeline: [...paymentScheduler.timeline, { ...lastError, status: 'failed' }]
+      })
     }
     localLogger.error(`Processed workPeriodPayment ${workPeriodPayment.id} failed`, 'processPayment')
     return processResult.FAIL
@@ -184,28 +225,17 @@ async function processPayment (workPeriodPayment) {
 }
 
 /**
- * Perform a specific step in the process
+ * Perform the step after the last successful step of the payment scheduler
  * @param {Object} paymentScheduler the payment scheduler
+ * @param {Object} payout the payout
+ * @param {Object} payout.workPeriod the work period
+ * @param {Object} payout.workPeriodPayment the work period payment
  */
-async function processStep (paymentScheduler) {
-  if (paymentScheduler.step === PaymentSchedulerStatus.CREATE_CHALLENGE) {
-    // 2. assign member to the challenge
-    await withRetry(addResourceToChallenge, [paymentScheduler.challengeId, paymentScheduler.userHandle], validateError, PaymentSchedulerStatus.ASSIGN_MEMBER)
-    paymentScheduler.step = PaymentSchedulerStatus.ASSIGN_MEMBER
-  } else if (paymentScheduler.step === PaymentSchedulerStatus.ASSIGN_MEMBER) {
-    // 3. active the challenge
-    await withRetry(activateChallenge, [paymentScheduler.challengeId], validateError, PaymentSchedulerStatus.ACTIVATE_CHALLENGE)
-    paymentScheduler.step = PaymentSchedulerStatus.ACTIVATE_CHALLENGE
-  } else if (paymentScheduler.step === PaymentSchedulerStatus.ACTIVATE_CHALLENGE) {
-    // 4.1. get user id
-    const { userId } = await withRetry(getMemberDetailsByHandle, [paymentScheduler.userHandle], validateError, PaymentSchedulerStatus.GET_USER_ID)
-    paymentScheduler.userId = userId
-    paymentScheduler.step = PaymentSchedulerStatus.GET_USER_ID
-  } else if (paymentScheduler.step === PaymentSchedulerStatus.GET_USER_ID) {
-    // 4.2. close the challenge
-    await withRetry(closeChallenge, [paymentScheduler.challengeId, paymentScheduler.userId, paymentScheduler.userHandle], validateError, PaymentSchedulerStatus.CLOSE_CHALLENGE)
-    paymentScheduler.step = PaymentSchedulerStatus.CLOSE_CHALLENGE
-  }
+async function processStep (paymentScheduler, { workPeriod, workPeriodPayment }) {
+  const steps = PayoutProviderSteps[paymentScheduler.provider]
+  const step = steps[_.indexOf(steps, paymentScheduler.step) + 1]
+  const attributes = await withRetry(payoutProviders[paymentScheduler.provider].executeStep, [step, { workPeriod, workPeriodPayment, paymentScheduler }], validateError, step)
+  await paymentScheduler.update({ ...attributes, step, timeline: [...paymentScheduler.timeline, { step, status: 'completed', at: new Date() }] })
 }
 
 /**
@@ -213,40 +243,28 @@ async function processStep (paymentScheduler) {
  * @param {Object} paymentScheduler the scheduler object
  */
 async function setPaymentSchedulerStep (paymentScheduler) {
-  const challenge = await getChallenge(paymentScheduler.challengeId)
-  if (SWITCH === PaymentProcessingSwitch.OFF) {
-    paymentScheduler.step = PaymentSchedulerStatus.CLOSE_CHALLENGE
-  } else if (challenge.status === ChallengeStatus.COMPLETED) {
-    paymentScheduler.step = PaymentSchedulerStatus.CLOSE_CHALLENGE
-  } else if (challenge.status === ChallengeStatus.ACTIVE) {
-    paymentScheduler.step = PaymentSchedulerStatus.ACTIVATE_CHALLENGE
-  } else {
-    const resource = await getChallengeResource(paymentScheduler.challengeId, paymentScheduler.userHandle, config.ROLE_ID_SUBMITTER)
-    if (resource) {
-      paymentScheduler.step = PaymentSchedulerStatus.ASSIGN_MEMBER
-    } else {
-      paymentScheduler.step = PaymentSchedulerStatus.CREATE_CHALLENGE
-    }
-  }
+  paymentScheduler.step = await payoutProviders[paymentScheduler.provider].getCurrentStep(paymentScheduler)
   // The main purpose is updating the updatedAt of payment scheduler to avoid simultaneous processing
-  await paymentScheduler.update({ step: paymentScheduler.step })
+  await paymentScheduler.update({ step: paymentScheduler.step, status: 'in-progress', timeline: getTimeline(paymentScheduler, 'in-progress') })
 }
 
 /**
- * Generate the create challenge parameter
- * @param {Object} workPeriod the work period
- * @param {Object} workPeriodPayment the work period payment
- * @returns {Object} the create challenge parameter
+ * Get the timeline of the payment scheduler with a new entry for the current step
+ * @param {Object} paymentScheduler the payment scheduler
+ * @param {String} status the status of the current step
+ * @returns {Array<Object>} the timeline
  */
-function getCreateChallengeParam (workPeriod, workPeriodPayment) {
-  return {
-    projectId: workPeriod.projectId,
-    userHandle: workPeriod.userHandle,
-    amount: workPeriodPayment.amount,
-    name: `TaaS Payment - ${workPeriod.userHandle} - Week Ending ${moment(workPeriod.endDate).format('D/M/YYYY')}`,
-    description: `TaaS Payment - ${workPeriod.userHandle} - Week Ending ${moment(workPeriod.endDate).format('D/M/YYYY')}`,
-    billingAccountId: workPeriodPayment.billingAccountId
-  }
+function getTimeline (paymentScheduler, status) {
+  return [...(paymentScheduler.timeline || []), { step: paymentScheduler.step, status, at: new Date() }]
+}
+
+/**
+ * Get the payout provider of the billing account
+ * @param {Number} billingAccountId the billing account id
+ * @returns {String} the payout provider
+ */
+function getPayoutProvider (billingAccountId) {
+  return _.get(BILLING_ACCOUNT_PROVIDERS, String(billingAccountId), PROVIDER)
 }
 
 /**
@@ -345,21 +363,9 @@ async function withRetry (func, argArr, predictFunc, step) {
     await checkWait(step, tryCount)
     tryCount++
     try {
-      // mock code
-      if (SWITCH === PaymentProcessingSwitch.OFF) {
-        // without actual API calls by adding delay (for example 1 second for each step), to simulate the act
-        sleep(1000)
-        if (step === PaymentSchedulerStatus.CREATE_CHALLENGE) {
-          return '00000000-0000-0000-0000-000000000000'
-        } else if (step === PaymentSchedulerStatus.GET_USER_ID) {
-          return { userId: 100001 }
-        }
-        return
-      } else {
-        // Execute the main function
-        const result = await func(...argArr)
-        return result
-      }
+      // Execute the main function
+      const result = await func(...argArr)
+      return result
     } catch (err) {
       const now = Date.now()
       // The following is the case of not retrying:
@@ -390,6 +396,136 @@ function extractErrorMessage (err) {
   err.toString()
 }
 
+/**
+ * Check user permission for inspecting and retrying the payment schedulers.
+ * Only Booking Manager, Admin, and M2M has access to the payment schedulers
+ * @param {Object} currentUser the user who perform this operation.
+ * @returns {undefined}
+ */
+function _checkUserPermissionForPaymentScheduler (currentUser) {
+  if (!currentUser.hasManagePermission && !currentUser.isMachine) {
+    throw new errors.ForbiddenError('You are not allowed to perform this action!')
+  }
+}
+
+/**
+ * List payment schedulers
+ * @param {Object} currentUser the user who perform this operation.
+ * @param {Object} criteria the search criteria
+ * @returns {Object} the search result, contain total/page/perPage and result array
+ */
+async function searchPaymentSchedulers (currentUser, criteria) {
+  _checkUserPermissionForPaymentScheduler(currentUser)
+  const page = criteria.page
+  const perPage = criteria.perPage
+  const filter = { [Op.and]: [] }
+  _.each(_.pick(criteria, ['provider', 'status', 'step', 'workPeriodPaymentId', 'challengeId', 'payoutId', 'userHandle']), (value, key) => {
+    filter[Op.and].push({ [key]: value })
+  })
+  // the in-progress records which are not updated in time are considered stuck
+  if (criteria.stuck) {
+    filter[Op.and].push({ status: 'in-progress' })
+    filter[Op.and].push({ updatedAt: { [Op.lt]: moment().subtract(moment.duration(IN_PROGRESS_EXPIRED)).toDate() } })
+  }
+  const paymentSchedulers = await PaymentScheduler.findAll({
+    where: filter,
+    offset: ((page - 1) * perPage),
+    limit: perPage,
+    order: [[criteria.sortBy, criteria.sortOrder]]
+  })
+  const total = await PaymentScheduler.count({ where: filter })
+  return {
+    fromDb: true,
+    total,
+    page,
+    perPage,
+    result: paymentSchedulers
+  }
+}
+
+searchPaymentSchedulers.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  criteria: Joi.object().keys({
+    page: Joi.number().integer().min(1).default(1),
+    perPage: Joi.number().integer().min(1).max(10000).default(20),
+    sortBy: Joi.string().valid('createdAt', 'updatedAt').default('updatedAt'),
+    sortOrder: Joi.string().valid('desc', 'asc').default('desc'),
+    provider: Joi.string().valid(..._.values(PayoutProvider)),
+    status: Joi.string().valid('in-progress', 'completed', 'failed'),
+    step: Joi.string().valid(..._.values(PaymentSchedulerStatus)),
+    workPeriodPaymentId: Joi.string().uuid(),
+    challengeId: Joi.string().uuid(),
+    payoutId: Joi.string().uuid(),
+    userHandle: Joi.string(),
+    stuck: Joi.boolean()
+  }).required()
+}).required()
+
+/**
+ * Get the step timeline and the last error of the payment.
+ * The payment which fails before the challenge is created has no payment scheduler,
+ * the error details of the payment are returned as the last error.
+ * @param {Object} currentUser the user who perform this operation.
+ * @param {String} workPeriodPaymentId the work period payment id
+ * @returns {Object} the payment scheduler timeline
+ */
+async function getPaymentSchedulerTimeline (currentUser, workPeriodPaymentId) {
+  _checkUserPermissionForPaymentScheduler(currentUser)
+  const workPeriodPayment = await WorkPeriodPayment.findById(workPeriodPaymentId)
+  const paymentScheduler = await PaymentScheduler.findOne({ where: { workPeriodPaymentId }, order: [['createdAt', 'desc']], raw: true })
+  let lastError = _.get(paymentScheduler, 'lastError', null)
+  if (!lastError && workPeriodPayment.status === WorkPeriodPaymentStatus.FAILED) {
+    lastError = workPeriodPayment.statusDetails
+  }
+  return {
+    workPeriodPaymentId,
+    paymentStatus: workPeriodPayment.status,
+    paymentSchedulerId: _.get(paymentScheduler, 'id', null),
+    provider: _.get(paymentScheduler, 'provider', null),
+    challengeId: _.get(paymentScheduler, 'challengeId', null),
+    payoutId: _.get(paymentScheduler, 'payoutId', null),
+    step: _.get(paymentScheduler, 'step', null),
+    status: _.get(paymentScheduler, 'status', null),
+    timeline: _.get(paymentScheduler, 'timeline', []),
+    lastError
+  }
+}
+
+getPaymentSchedulerTimeline.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  workPeriodPaymentId: Joi.string().uuid().required()
+}).required()
+
+/**
+ * Retry the failed payment, the payment is scheduled again and the scheduler processes it
+ * from the last successful step, so the payout which is already created is not created again.
+ * @param {Object} currentUser the user who perform this operation.
+ * @param {String} workPeriodPaymentId the work period payment id
+ * @returns {Object} the scheduled payment with the step which the processing resumes from
+ */
+async function retryWorkPeriodPayment (currentUser, workPeriodPaymentId) {
+  _checkUserPermissionForPaymentScheduler(currentUser)
+  const workPeriodPayment = await WorkPeriodPayment.findById(workPeriodPaymentId)
+  if (workPeriodPayment.status !== WorkPeriodPaymentStatus.FAILED) {
+    throw new errors.BadRequestError(`Only the failed payment could be retried, the payment status is "${workPeriodPayment.status}".`)
+  }
+  const paymentScheduler = await PaymentScheduler.findOne({ where: { workPeriodPaymentId, status: 'failed' }, raw: true })
+  const entity = await partiallyUpdateWorkPeriodPayment(currentUser, workPeriodPaymentId, { status: WorkPeriodPaymentStatus.SCHEDULED })
+  return {
+    ...entity,
+    // null means the processing starts from creating the payout or from the step determined by the payout provider
+    resumeFromStep: _.get(paymentScheduler, 'lastError') ? paymentScheduler.step : null
+  }
+}
+
+retryWorkPeriodPayment.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  workPeriodPaymentId: Joi.string().uuid().required()
+}).required()
+
 module.exports = {
-  processScheduler
+  processScheduler,
+  searchPaymentSchedulers,
+  getPaymentSchedulerTimeline,
+  retryWorkPeriodPayment
 }
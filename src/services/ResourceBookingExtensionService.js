@@ -0,0 +1,275 @@
+/**
+ * This service provides operations of ResourceBookingExtension.
+ * The customer requests to extend the resource booking to a new end date, optionally with new rates.
+ * When the admin approves the extension the resource booking is updated, so the new work periods are created.
+ */
+
+const _ = require('lodash')
+const Joi = require('joi').extend(require('@joi/date'))
+const moment = require('moment')
+const helper = require('../common/helper')
+const errors = require('../common/errors')
+const models = require('../models')
+const { ResourceBookingExtensionStatus } = require('../../app-constants')
+const ResourceBookingService = require('./ResourceBookingService')
+
+const ResourceBooking = models.ResourceBooking
+const ResourceBookingExtension = models.ResourceBookingExtension
+
+/**
+ * Check user permission for the extensions of the resource booking.
+ * The admins can access any resource booking, the customers only the resource bookings of their projects.
+ * @param {Object} currentUser the user who perform this operation.
+ * @param {Object} resourceBooking the resource booking
+ * @returns {undefined}
+ */
+async function _checkUserPermissionForResourceBookingExtension (currentUser, resourceBooking) {
+  if (!currentUser.hasManagePermission && !currentUser.isMachine && !currentUser.isConnectManager) {
+    await helper.checkIsMemberOfProject(currentUser.userId, resourceBooking.projectId)
+  }
+}
+
+/**
+ * Check user permission for reviewing the extension.
+ * @param {Object} currentUser the user who perform this operation.
+ * @returns {undefined}
+ */
+function _checkUserPermissionForReviewResourceBookingExtension (currentUser) {
+  if (!currentUser.hasManagePermission && !currentUser.isMachine) {
+    throw new errors.ForbiddenError('You are not allowed to perform this action!')
+  }
+}
+
+/**
+ * Get the pending extension of the resource booking.
+ * @param {String} resourceBookingId the resource booking id
+ * @param {String} id the extension id
+ * @returns {ResourceBookingExtension} the extension instance
+ */
+async function _getPendingExtension (resourceBookingId, id) {
+  const extension = await ResourceBookingExtension.findById(id)
+  if (extension.resourceBookingId !== resourceBookingId) {
+    throw new errors.NotFoundError(`id: ${id} "ResourceBookingExtension" doesn't exists for ResourceBooking: ${resourceBookingId}.`)
+  }
+  if (extension.status !== ResourceBookingExtensionStatus.PENDING) {
+    throw new errors.BadRequestError(`Only the pending extension could be changed, the extension status is "${extension.status}".`)
+  }
+  return extension
+}
+
+/**
+ * List the extensions of the resource booking, including the reviewed and cancelled ones.
+ * @param {Object} currentUser the user who perform this operation.
+ * @param {String} resourceBookingId the resource booking id
+ * @param {Object} criteria the search criteria
+ * @returns {Object} the search result, contain total/page/perPage and result array
+ */
+async function searchResourceBookingExtensions (currentUser, resourceBookingId, criteria) {
+  const resourceBooking = await ResourceBooking.findById(resourceBookingId)
+  await _checkUserPermissionForResourceBookingExtension(currentUser, resourceBooking)
+  const page = criteria.page
+  const perPage = criteria.perPage
+  const filter = { resourceBookingId }
+  if (criteria.status) {
+    filter.status = criteria.status
+  }
+  const extensions = await ResourceBookingExtension.findAll({
+    where: filter,
+    offset: ((page - 1) * perPage),
+    limit: perPage,
+    order: [['createdAt', 'desc']]
+  })
+  const total = await ResourceBookingExtension.count({ where: filter })
+  return {
+    fromDb: true,
+    total,
+    page,
+    perPage,
+    result: extensions
+  }
+}
+
+searchResourceBookingExtensions.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  resourceBookingId: Joi.string().uuid().required(),
+  criteria: Joi.object().keys({
+    page: Joi.number().integer().min(1).default(1),
+    perPage: Joi.number().integer().min(1).max(10000).default(20),
+    status: Joi.string().valid(..._.values(ResourceBookingExtensionStatus))
+  }).required()
+}).required()
+
+/**
+ * Request the extension of the resource booking.
+ * Only one extension could be pending for the resource booking, and only the admins could propose the member rate.
+ * @param {Object} currentUser the user who perform this operation
+ * @param {String} resourceBookingId the resource booking id
+ * @param {Object} extension the extension to be created
+ * @returns {Object} the created extension
+ */
+async function createResourceBookingExtension (currentUser, resourceBookingId, extension) {
+  const resourceBooking = await ResourceBooking.findById(resourceBookingId)
+  await _checkUserPermissionForResourceBookingExtension(currentUser, resourceBooking)
+  if (!_.isUndefined(extension.memberRate) && !currentUser.hasManagePermission && !currentUser.isMachine) {
+    throw new errors.ForbiddenError('You are not allowed to propose "memberRate".')
+  }
+  if (resourceBooking.status === 'cancelled') {
+    throw new errors.BadRequestError('The cancelled resource booking cannot be extended.')
+  }
+  if (_.isNil(resourceBooking.endDate)) {
+    throw new errors.BadRequestError('The resource booking without end date cannot be extended.')
+  }
+  extension.endDate = moment(extension.endDate).format('YYYY-MM-DD')
+  if (extension.endDate <= resourceBooking.endDate) {
+    throw new errors.BadRequestError(`endDate should be after the end date of the resource booking ${resourceBooking.endDate}`)
+  }
+  const pending = await ResourceBookingExtension.findOne({
+    where: { resourceBookingId, status: ResourceBookingExtensionStatus.PENDING },
+    raw: true
+  })
+  if (pending) {
+    throw new errors.ConflictError(`The extension "${pending.id}" of ResourceBooking: ${resourceBookingId} is already pending.`)
+  }
+  const created = await ResourceBookingExtension.create({
+    ...extension,
+    resourceBookingId,
+    previousEndDate: resourceBooking.endDate,
+    status: ResourceBookingExtensionStatus.PENDING,
+    createdBy: await helper.getUserId(currentUser.userId)
+  })
+  return created.toJSON()
+}
+
+createResourceBookingExtension.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  resourceBookingId: Joi.string().uuid().required(),
+  extension: Joi.object().keys({
+    endDate: Joi.date().format('YYYY-MM-DD').required(),
+    memberRate: Joi.number().positive(),
+    customerRate: Joi.number().positive(),
+    comment: Joi.string().max(1000).allow(null)
+  }).required()
+}).required()
+
+/**
+ * Approve the extension, the end date and the rates of the resource booking are updated.
+ * The admin could adjust the proposed rates, the new rates are effective after the previous end date.
+ * @param {Object} currentUser the user who perform this operation
+ * @param {String} resourceBookingId the resource booking id
+ * @param {String} id the extension id
+ * @param {Object} data the approval data
+ * @returns {Object} the approved extension
+ */
+async function approveResourceBookingExtension (currentUser, resourceBookingId, id, data) {
+  _checkUserPermissionForReviewResourceBookingExtension(currentUser)
+  const extension = await _getPendingExtension(resourceBookingId, id)
+  const resourceBooking = await ResourceBooking.findById(resourceBookingId)
+  if (resourceBooking.status === 'cancelled') {
+    throw new errors.BadRequestError('The cancelled resource booking cannot be extended.')
+  }
+  if (!_.isNil(resourceBooking.endDate) && extension.endDate <= resourceBooking.endDate) {
+    throw new errors.BadRequestError(`The resource booking already ends on ${resourceBooking.endDate}, the extension should be rejected.`)
+  }
+  const rates = _.omitBy({
+    memberRate: _.defaultTo(data.memberRate, extension.memberRate),
+    customerRate: _.defaultTo(data.customerRate, extension.customerRate)
+  }, _.isNil)
+  const changes = { endDate: extension.endDate, ...rates, allowOverAllocation: data.allowOverAllocation }
+  if (!_.isEmpty(rates) && !_.isNil(resourceBooking.endDate)) {
+    changes.rateEffectiveFrom = moment(resourceBooking.endDate).add(1, 'day').format('YYYY-MM-DD')
+  }
+  const previousEndDate = resourceBooking.endDate || extension.previousEndDate
+  const userId = await helper.getUserId(currentUser.userId)
+  let updated
+  // the extension is approved in the same transaction, so the resource booking isn't extended if the approval fails,
+  // the resource booking update event makes the work periods of the extended dates
+  await ResourceBookingService.partiallyUpdateResourceBookingInTransaction(currentUser, resourceBookingId, changes, async (entity, transaction) => {
+    updated = await extension.update({
+      ...rates,
+      previousEndDate,
+      status: ResourceBookingExtensionStatus.APPROVED,
+      reviewComment: data.comment || null,
+      reviewedBy: userId,
+      reviewedAt: new Date(),
+      updatedBy: userId
+    }, { transaction })
+  })
+  return updated.toJSON()
+}
+
+approveResourceBookingExtension.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  resourceBookingId: Joi.string().uuid().required(),
+  id: Joi.string().uuid().required(),
+  data: Joi.object().keys({
+    memberRate: Joi.number().positive(),
+    customerRate: Joi.number().positive(),
+    comment: Joi.string().max(1000).allow(null),
+    allowOverAllocation: Joi.boolean()
+  }).default({})
+}).required()
+
+/**
+ * Reject the extension, the resource booking is not changed.
+ * @param {Object} currentUser the user who perform this operation
+ * @param {String} resourceBookingId the resource booking id
+ * @param {String} id the extension id
+ * @param {Object} data the rejection data
+ * @returns {Object} the rejected extension
+ */
+async function rejectResourceBookingExtension (currentUser, resourceBookingId, id, data) {
+  _checkUserPermissionForReviewResourceBookingExtension(currentUser)
+  const extension = await _getPendingExtension(resourceBookingId, id)
+  const userId = await helper.getUserId(currentUser.userId)
+  const updated = await extension.update({
+    status: ResourceBookingExtensionStatus.REJECTED,
+    reviewComment: data.comment,
+    reviewedBy: userId,
+    reviewedAt: new Date(),
+    updatedBy: userId
+  })
+  return updated.toJSON()
+}
+
+rejectResourceBookingExtension.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  resourceBookingId: Joi.string().uuid().required(),
+  id: Joi.string().uuid().required(),
+  data: Joi.object().keys({
+    comment: Joi.string().max(1000).required()
+  }).required()
+}).required()
+
+/**
+ * Cancel the pending extension, only the requester or the admins could cancel it.
+ * @param {Object} currentUser the user who perform this operation
+ * @param {String} resourceBookingId the resource booking id
+ * @param {String} id the extension id
+ * @returns {Object} the cancelled extension
+ */
+async function cancelResourceBookingExtension (currentUser, resourceBookingId, id) {
+  const extension = await _getPendingExtension(resourceBookingId, id)
+  const userId = await helper.getUserId(currentUser.userId)
+  if (!currentUser.hasManagePermission && !currentUser.isMachine && userId !== extension.createdBy) {
+    throw new errors.ForbiddenError('Only the requester is allowed to cancel the extension.')
+  }
+  const updated = await extension.update({
+    status: ResourceBookingExtensionStatus.CANCELLED,
+    updatedBy: userId
+  })
+  return updated.toJSON()
+}
+
+cancelResourceBookingExtension.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  resourceBookingId: Joi.string().uuid().required(),
+  id: Joi.string().uuid().required()
+}).required()
+
+module.exports = {
+  searchResourceBookingExtensions,
+  createResourceBookingExtension,
+  approveResourceBookingExtension,
+  rejectResourceBookingExtension,
+  cancelResourceBookingExtension
+}
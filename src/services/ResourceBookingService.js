@@ -20,8 +20,12 @@ const {
 } = require('../esProcessors/ResourceBookingProcessor')
 const constants = require('../../app-constants')
 const moment = require('moment')
+const WorkPeriodService = require('./WorkPeriodService')
+const WorkCalendarService = require('./WorkCalendarService')
 
 const ResourceBooking = models.ResourceBooking
+const Job = models.Job
+const Role = models.Role
 const WorkPeriod = models.WorkPeriod
 const WorkPeriodPayment = models.WorkPeriodPayment
 const esClient = helper.getESClient()
@@ -29,6 +33,21 @@ const cachedModelFields = _cacheModelFields()
 
 const sequelize = models.sequelize
 
+// the fields of the resource bookings and work periods which the margin report is computed from
+const MARGIN_REPORT_FIELDS = ['id', 'projectId', 'jobId', 'userId', 'rateType', 'memberRate', 'customerRate', 'rates',
+  'workPeriods.id', 'workPeriods.startDate', 'workPeriods.endDate', 'workPeriods.userHandle', 'workPeriods.daysWorked',
+  'workPeriods.hoursWorked', 'workPeriods.paymentTotal']
+
+// the fields of the margin report groups, exported to CSV with the margin fields
+const MARGIN_REPORT_GROUP_FIELDS = {
+  project: ['projectId'],
+  job: ['jobId', 'jobTitle'],
+  role: ['roleId', 'roleName'],
+  member: ['userId', 'userHandle'],
+  month: ['month']
+}
+const MARGIN_REPORT_CSV_FIELDS = ['revenue', 'cost', 'margin', 'marginPercent', 'days', 'hours']
+
 /**
  * Get the fields of the ResourceBooking model and the nested WorkPeriod model
  * @returns {Array<string>} array of field names
@@ -173,7 +192,7 @@ function _checkCriteriaAndGetFields (currentUser, criteria) {
     throw new errors.BadRequestError('Can not filter by WorkPeriodPayment field which is not included in fields')
   }
   // Check if the current user has no right to see the memberRate and memberRate is included in fields parameter
-  if (!canSeeMemberRate && _.some(query, q => _.includes(['memberRate', 'workPeriods.paymentTotal', 'workPeriods.payments'], q))) {
+  if (!canSeeMemberRate && _.some(query, q => _.includes(['memberRate', 'rates', 'workPeriods.paymentTotal', 'workPeriods.payments'], q))) {
     throw new errors.ForbiddenError('You don\'t have access to view memberRate, paymentTotal and payments')
   }
   // Check if the current user has no right to see the workPeriods and workPeriods is included in fields parameter
@@ -259,6 +278,111 @@ async function _ensurePaidWorkPeriodsNotDeleted (resourceBookingId, oldValue, ne
   _checkForPaidWorkPeriods(workPeriodsToRemove)
 }
 
+/**
+ * Get the allocations of the resource bookings from the workload of their jobs.
+ *
+ * @param {Array<Object>} resourceBookings the resource bookings
+ * @returns {Array<Object>} the resource bookings with allocation
+ */
+async function _withAllocations (resourceBookings) {
+  const jobs = await Job.findAll({
+    where: { id: _.uniq(_.compact(_.map(resourceBookings, 'jobId'))) },
+    attributes: ['id', 'workload', 'hoursPerWeek'],
+    raw: true
+  })
+  return _.map(resourceBookings, rb => ({
+    ...rb,
+    allocation: helper.getWorkloadAllocation(_.find(jobs, ['id', rb.jobId]))
+  }))
+}
+
+/**
+ * Check the placed resource booking doesn't allocate the member more than full-time
+ * together with the other placed resource bookings of the member over the same dates.
+ * The booking managers could override the check.
+ *
+ * @param {Object} currentUser the user who perform this operation.
+ * @param {Object} resourceBooking the resource booking to be created or updated
+ * @param {Boolean} allowOverAllocation whether to book the member even if over-allocated
+ * @throws {ConflictError}
+ */
+async function _checkMemberAllocation (currentUser, resourceBooking, allowOverAllocation) {
+  if (resourceBooking.status !== 'placed') {
+    return
+  }
+  const startDate = resourceBooking.startDate ? moment(resourceBooking.startDate).format('YYYY-MM-DD') : null
+  const endDate = resourceBooking.endDate ? moment(resourceBooking.endDate).format('YYYY-MM-DD') : null
+  const filter = {
+    userId: resourceBooking.userId,
+    status: 'placed',
+    [Op.and]: []
+  }
+  if (resourceBooking.id) {
+    filter.id = { [Op.ne]: resourceBooking.id }
+  }
+  if (endDate) {
+    filter[Op.and].push({ [Op.or]: [{ startDate: null }, { startDate: { [Op.lte]: endDate } }] })
+  }
+  if (startDate) {
+    filter[Op.and].push({ [Op.or]: [{ endDate: null }, { endDate: { [Op.gte]: startDate } }] })
+  }
+  const overlapping = await ResourceBooking.findAll({
+    where: filter,
+    attributes: ['id', 'projectId', 'jobId', 'startDate', 'endDate'],
+    raw: true
+  })
+  if (!overlapping.length) {
+    return
+  }
+  // only the dates of the resource booking are checked
+  const bookings = _.map(await _withAllocations([resourceBooking, ...overlapping]), rb => ({
+    ...rb,
+    startDate: _.max(_.compact([rb.startDate && moment(rb.startDate).format('YYYY-MM-DD'), startDate])) || null,
+    endDate: _.min(_.compact([rb.endDate && moment(rb.endDate).format('YYYY-MM-DD'), endDate])) || null
+  }))
+  const peak = helper.getPeakAllocation(bookings)
+  if (peak <= 1) {
+    return
+  }
+  if (allowOverAllocation && currentUser.hasManagePermission) {
+    logger.info({ component: 'ResourceBookingService', context: '_checkMemberAllocation', message: `member ${resourceBooking.userId} is over-allocated to ${_.round(peak * 100, 2)}% by the booking manager` })
+    return
+  }
+  if (allowOverAllocation) {
+    throw new errors.ForbiddenError('Only the booking managers are allowed to override the over-allocation of the member.')
+  }
+  throw new errors.ConflictError(`Member ${resourceBooking.userId} would be allocated ${_.round(peak * 100, 2)}% of the time together with the placed ResourceBookings: ${_.map(overlapping, 'id').join(', ')}. ` +
+    'Pass "allowOverAllocation" to place the member anyway.')
+}
+
+/**
+ * Add the changed rates to the rate schedule of the resource booking.
+ * The new rates are effective from "rateEffectiveFrom" or today,
+ * so the work periods which started before keep their rates.
+ * The rate which is not changed is taken from the entry effective on that date,
+ * and the current rates of the resource booking are the rates of the last entry.
+ *
+ * @param {Object} oldValue old value of resourceBooking object.
+ * @param {Object} data the data to be updated
+ * @returns {undefined}
+ */
+function _updateRateSchedule (oldValue, data) {
+  const changed = _.assign(_.pick(oldValue, ['memberRate', 'customerRate']), _.pick(data, ['memberRate', 'customerRate']))
+  if (changed.memberRate === oldValue.memberRate && changed.customerRate === oldValue.customerRate) {
+    return
+  }
+  const effectiveFrom = data.rateEffectiveFrom || new Date()
+  const rates = _.assign(helper.getEffectiveRates(oldValue, effectiveFrom), _.pick(data, ['memberRate', 'customerRate']))
+  data.rates = helper.addRateToSchedule(oldValue.rates, {
+    effectiveFrom,
+    memberRate: _.defaultTo(rates.memberRate, null),
+    customerRate: _.defaultTo(rates.customerRate, null),
+    createdAt: new Date(),
+    createdBy: data.updatedBy
+  })
+  _.assign(data, _.pick(_.last(data.rates), ['memberRate', 'customerRate']))
+}
+
 /**
  * Get resourceBooking by id
  * @param {Object} currentUser the user who perform this operation.
@@ -335,9 +459,21 @@ async function createResourceBooking (currentUser, resourceBooking) {
     await helper.ensureJobById(resourceBooking.jobId) // ensure job exists
   }
   await helper.ensureUserById(resourceBooking.userId) // ensure user exists
+  await _checkMemberAllocation(currentUser, resourceBooking, resourceBooking.allowOverAllocation)
+  delete resourceBooking.allowOverAllocation
 
   resourceBooking.id = uuid()
   resourceBooking.createdBy = await helper.getUserId(currentUser.userId)
+  // the initial rates are effective from the start of the resource booking
+  resourceBooking.rates = _.isNil(resourceBooking.memberRate) && _.isNil(resourceBooking.customerRate)
+    ? []
+    : helper.addRateToSchedule([], {
+      effectiveFrom: resourceBooking.startDate || new Date(),
+      memberRate: _.defaultTo(resourceBooking.memberRate, null),
+      customerRate: _.defaultTo(resourceBooking.customerRate, null),
+      createdAt: new Date(),
+      createdBy: resourceBooking.createdBy
+    })
 
   let entity
   try {
@@ -345,6 +481,7 @@ async function createResourceBooking (currentUser, resourceBooking) {
       const created = await ResourceBooking.create(resourceBooking, { transaction: t })
       entity = created.toJSON()
       await processCreate(entity)
+      await helper.postEvent(config.TAAS_RESOURCE_BOOKING_CREATE_TOPIC, entity, { transaction: t })
     })
   } catch (e) {
     if (entity) {
@@ -352,7 +489,6 @@ async function createResourceBooking (currentUser, resourceBooking) {
     }
     throw e
   }
-  await helper.postEvent(config.TAAS_RESOURCE_BOOKING_CREATE_TOPIC, entity)
   return entity
 }
 
@@ -376,7 +512,9 @@ createResourceBooking.schema = Joi.object().keys({
     memberRate: Joi.number().allow(null),
     customerRate: Joi.number().allow(null),
     rateType: Joi.rateType().required(),
-    billingAccountId: Joi.number().allow(null)
+    billingAccountId: Joi.number().allow(null),
+    holidayRegion: Joi.holidayRegion().allow(null),
+    allowOverAllocation: Joi.boolean().default(false)
   }).required()
 }).required()
 
@@ -385,9 +523,11 @@ createResourceBooking.schema = Joi.object().keys({
  * @param {Object} currentUser the user who perform this operation
  * @param {String} id the resourceBooking id
  * @param {Object} data the data to be updated
+ * @param {Function} onUpdate the function called with the updated resourceBooking and the transaction,
+ * so the related changes are saved in the same transaction
  * @returns {Object} the updated resourceBooking
  */
-async function updateResourceBooking (currentUser, id, data) {
+async function updateResourceBooking (currentUser, id, data, onUpdate) {
   // check permission
   if (!currentUser.hasManagePermission && !currentUser.isMachine) {
     throw new errors.ForbiddenError('You are not allowed to perform this action!')
@@ -401,16 +541,24 @@ async function updateResourceBooking (currentUser, id, data) {
   }
   // before updating the record, we need to check if any paid work periods tried to be deleted
   await _ensurePaidWorkPeriodsNotDeleted(id, oldValue, data)
+  if (_.some(['userId', 'jobId', 'startDate', 'endDate', 'status'], key => !_.isUndefined(data[key]))) {
+    await _checkMemberAllocation(currentUser, _.assign({}, oldValue, _.omit(data, 'allowOverAllocation')), data.allowOverAllocation)
+  }
 
   data.updatedBy = await helper.getUserId(currentUser.userId)
+  _updateRateSchedule(oldValue, data)
 
   let entity
   try {
     await sequelize.transaction(async (t) => {
-      const updated = await resourceBooking.update(data, { transaction: t })
+      const updated = await resourceBooking.update(_.omit(data, ['rateEffectiveFrom', 'allowOverAllocation']), { transaction: t })
 
       entity = updated.toJSON()
+      if (onUpdate) {
+        await onUpdate(entity, t)
+      }
       await processUpdate(entity)
+      await helper.postEvent(config.TAAS_RESOURCE_BOOKING_UPDATE_TOPIC, entity, { oldValue: oldValue, transaction: t })
     })
   } catch (e) {
     if (entity) {
@@ -418,7 +566,6 @@ async function updateResourceBooking (currentUser, id, data) {
     }
     throw e
   }
-  await helper.postEvent(config.TAAS_RESOURCE_BOOKING_UPDATE_TOPIC, entity, { oldValue: oldValue })
   return entity
 }
 
@@ -451,10 +598,34 @@ partiallyUpdateResourceBooking.schema = Joi.object().keys({
     customerRate: Joi.number().allow(null),
     rateType: Joi.rateType(),
     sendWeeklySurvey: Joi.boolean(),
-    billingAccountId: Joi.number().allow(null)
+    billingAccountId: Joi.number().allow(null),
+    holidayRegion: Joi.holidayRegion().allow(null),
+    rateEffectiveFrom: Joi.date().format('YYYY-MM-DD'),
+    allowOverAllocation: Joi.boolean()
   }).required()
 }).required()
 
+/**
+ * Partially update resourceBooking by id together with the related changes of the other service.
+ * The related changes are saved by `onUpdate` in the same transaction,
+ * so the resourceBooking is not updated if they fail.
+ * @param {Object} currentUser the user who perform this operation
+ * @param {String} id the resourceBooking id
+ * @param {Object} data the data to be updated
+ * @param {Function} onUpdate the function called with the updated resourceBooking and the transaction
+ * @returns {Object} the updated resourceBooking
+ */
+async function partiallyUpdateResourceBookingInTransaction (currentUser, id, data, onUpdate) {
+  return updateResourceBooking(currentUser, id, data, onUpdate)
+}
+
+partiallyUpdateResourceBookingInTransaction.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  id: Joi.string().uuid().required(),
+  data: partiallyUpdateResourceBooking.schema.extract('data'),
+  onUpdate: Joi.func().required()
+}).required()
+
 /**
  * Fully update resourceBooking by id
  * @param {Object} currentUser the user who perform this operation
@@ -491,7 +662,10 @@ fullyUpdateResourceBooking.schema = Joi.object().keys({
     rateType: Joi.rateType().required(),
     status: Joi.resourceBookingStatus().required(),
     sendWeeklySurvey: Joi.boolean().default(true),
-    billingAccountId: Joi.number().allow(null).default(null)
+    billingAccountId: Joi.number().allow(null).default(null),
+    holidayRegion: Joi.holidayRegion().allow(null).default(null),
+    rateEffectiveFrom: Joi.date().format('YYYY-MM-DD'),
+    allowOverAllocation: Joi.boolean()
   }).required()
 }).required()
 
@@ -514,12 +688,12 @@ async function deleteResourceBooking (currentUser, id) {
     await sequelize.transaction(async (t) => {
       await resourceBooking.destroy({ transaction: t })
       await processDelete({ id })
+      await helper.postEvent(config.TAAS_RESOURCE_BOOKING_DELETE_TOPIC, { id }, { transaction: t })
     })
   } catch (e) {
     helper.postErrorEvent(config.TAAS_ERROR_TOPIC, { id }, 'resourcebooking.delete')
     throw e
   }
-  await helper.postEvent(config.TAAS_RESOURCE_BOOKING_DELETE_TOPIC, { id })
 }
 
 deleteResourceBooking.schema = Joi.object().keys({
@@ -527,6 +701,118 @@ deleteResourceBooking.schema = Joi.object().keys({
   id: Joi.string().guid().required()
 }).required()
 
+/**
+ * Cancel resourceBooking from the effective date, which is the last working day of the member.
+ * The work periods after the effective date are deleted and the final one is pro-rated.
+ * The paid days or hours which are not worked anymore are kept and flagged for the clawback review.
+ * All the changes are saved in one transaction, so a failed cancellation could be retried safely.
+ * A single cancellation event with the summary of the changes is posted.
+ * @param {Object} currentUser the user who perform this operation
+ * @param {String} id the resourceBooking id
+ * @param {Object} data the cancellation data
+ * @returns {Object} the cancelled resourceBooking with the cancellation summary
+ */
+async function cancelResourceBooking (currentUser, id, data) {
+  // check permission
+  if (!currentUser.hasManagePermission && !currentUser.isMachine) {
+    throw new errors.ForbiddenError('You are not allowed to perform this action!')
+  }
+  const resourceBooking = await ResourceBooking.findById(id)
+  const oldValue = resourceBooking.toJSON()
+  if (oldValue.status === 'cancelled') {
+    throw new errors.BadRequestError('The resource booking is already cancelled.')
+  }
+  const effectiveDate = moment(data.effectiveDate).format('YYYY-MM-DD')
+  if (!_.isNil(oldValue.startDate) && effectiveDate < oldValue.startDate) {
+    throw new errors.BadRequestError(`effectiveDate cannot be earlier than the start date of the resource booking ${oldValue.startDate}`)
+  }
+  if (!_.isNil(oldValue.endDate) && effectiveDate > oldValue.endDate) {
+    throw new errors.BadRequestError(`effectiveDate cannot be later than the end date of the resource booking ${oldValue.endDate}`)
+  }
+  const summary = {
+    effectiveDate,
+    reason: data.reason || null,
+    previousStatus: oldValue.status,
+    previousEndDate: oldValue.endDate,
+    trimmedWorkPeriods: [],
+    deletedWorkPeriodIds: [],
+    clawbackWorkPeriods: []
+  }
+  const weeks = _.isNil(oldValue.startDate) ? [] : await WorkCalendarService.extractWorkPeriods(_.assign({}, oldValue, { endDate: effectiveDate }))
+  const changes = {
+    status: 'cancelled',
+    updatedBy: await helper.getUserId(currentUser.userId)
+  }
+  if (!_.isNil(oldValue.startDate)) {
+    changes.endDate = effectiveDate
+  }
+  let entity
+  try {
+    await sequelize.transaction(async (t) => {
+      const workPeriods = await WorkPeriod.findAll({
+        where: { resourceBookingId: id },
+        include: [{ model: WorkPeriodPayment, as: 'payments', required: false, attributes: ['status'] }],
+        transaction: t
+      })
+      for (const workPeriod of _.map(workPeriods, wp => wp.toJSON())) {
+        const week = _.find(weeks, ['startDate', workPeriod.startDate])
+        const isHourly = !_.isNil(workPeriod.hoursWorked)
+        const daysWorked = week ? week.daysWorked : 0
+        const hoursWorked = isHourly ? _.defaultTo(_.get(week, 'hoursWorked'), 0) : null
+        if (daysWorked >= workPeriod.daysWorked && (!isHourly || hoursWorked >= workPeriod.hoursWorked)) {
+          continue
+        }
+        const hasActivePayments = _.some(workPeriod.payments, payment => _.includes(constants.ActiveWorkPeriodPaymentStatuses, payment.status))
+        if (!week && !hasActivePayments) {
+          await WorkPeriodService.deleteWorkPeriod(workPeriod.id, t, false)
+          summary.deletedWorkPeriodIds.push(workPeriod.id)
+          continue
+        }
+        // the worked days and hours are never reduced below the paid ones
+        const trimmed = { daysWorked: Math.max(daysWorked, workPeriod.daysPaid) }
+        if (isHourly) {
+          trimmed.hoursWorked = Math.max(hoursWorked, workPeriod.hoursPaid)
+        }
+        if (trimmed.daysWorked !== workPeriod.daysWorked || (isHourly && trimmed.hoursWorked !== workPeriod.hoursWorked)) {
+          await WorkPeriodService.partiallyUpdateWorkPeriod(helper.getAuditM2Muser(), workPeriod.id, trimmed, t, false)
+          summary.trimmedWorkPeriods.push({ id: workPeriod.id, startDate: workPeriod.startDate, previousDaysWorked: workPeriod.daysWorked, ...trimmed })
+        }
+        const clawbackDays = Math.max(workPeriod.daysPaid - daysWorked, 0)
+        const clawbackHours = isHourly ? Math.max(_.round(workPeriod.hoursPaid - hoursWorked, 2), 0) : null
+        if (clawbackDays > 0 || clawbackHours > 0) {
+          const { memberRate } = helper.getEffectiveRates(oldValue, workPeriod.startDate)
+          const amount = _.round(isHourly ? _.defaultTo(memberRate, 0) * clawbackHours : _.defaultTo(memberRate, 0) * clawbackDays / 5, 2)
+          const clawback = { days: clawbackDays, hours: clawbackHours, amount }
+          await WorkPeriodService.flagWorkPeriodClawback(workPeriod.id, clawback, t, false)
+          summary.clawbackWorkPeriods.push({ id: workPeriod.id, startDate: workPeriod.startDate, ...clawback })
+        }
+      }
+      summary.totalClawbackAmount = _.round(_.sumBy(summary.clawbackWorkPeriods, 'amount'), 2)
+
+      const updated = await resourceBooking.update(changes, { transaction: t })
+      entity = updated.toJSON()
+      await processUpdate(entity)
+      // the changes of the work periods are only posted with the cancellation summary, so the update event is not posted either
+      await helper.postEvent(config.TAAS_RESOURCE_BOOKING_CANCEL_TOPIC, { ...entity, cancellation: summary }, { oldValue, transaction: t })
+    })
+  } catch (e) {
+    if (entity) {
+      helper.postErrorEvent(config.TAAS_ERROR_TOPIC, entity, 'resourcebooking.cancel')
+    }
+    throw e
+  }
+  return { ...entity, cancellation: summary }
+}
+
+cancelResourceBooking.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  id: Joi.string().uuid().required(),
+  data: Joi.object().keys({
+    effectiveDate: Joi.date().format('YYYY-MM-DD').required(),
+    reason: Joi.string().max(1000).allow(null)
+  }).required()
+}).required()
+
 /**
  * List resourceBookings
  * @param {Object} currentUser the user who perform this operation.
@@ -964,11 +1250,322 @@ searchResourceBookings.schema = Joi.object().keys({
   })
 }).required()
 
+/**
+ * List the members whose placed resource bookings allocate them more than full-time on the date.
+ * @param {Object} currentUser the user who perform this operation.
+ * @param {Object} criteria the report criteria
+ * @returns {Array<Object>} the over-allocated members with their resource bookings, the most allocated first
+ */
+async function getOverAllocatedMembers (currentUser, criteria) {
+  if (!currentUser.hasManagePermission && !currentUser.isMachine) {
+    throw new errors.ForbiddenError('You are not allowed to perform this action!')
+  }
+  const date = moment(criteria.date).format('YYYY-MM-DD')
+  const resourceBookings = await ResourceBooking.findAll({
+    where: {
+      status: 'placed',
+      [Op.and]: [
+        { [Op.or]: [{ startDate: null }, { startDate: { [Op.lte]: date } }] },
+        { [Op.or]: [{ endDate: null }, { endDate: { [Op.gte]: date } }] }
+      ]
+    },
+    attributes: ['id', 'userId', 'projectId', 'jobId', 'startDate', 'endDate'],
+    raw: true
+  })
+  const members = _.map(_.groupBy(await _withAllocations(resourceBookings), 'userId'), (items, userId) => ({
+    userId,
+    allocation: _.round(_.sumBy(items, 'allocation'), 2),
+    resourceBookings: _.map(items, rb => _.omit(rb, 'userId'))
+  }))
+  return _.orderBy(_.filter(members, member => member.allocation > 1), ['allocation'], ['desc'])
+}
+
+getOverAllocatedMembers.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  criteria: Joi.object().keys({
+    date: Joi.date().format('YYYY-MM-DD').default(() => new Date())
+  }).required()
+}).required()
+
+/**
+ * Get the margin of the revenue and the cost.
+ * @param {Object} totals the totals with revenue and cost
+ * @returns {Object} the rounded revenue, cost, margin and margin percent which is null without revenue
+ */
+function _getMargin ({ revenue, cost }) {
+  const margin = revenue - cost
+  return {
+    revenue: _.round(revenue, 2),
+    cost: _.round(cost, 2),
+    margin: _.round(margin, 2),
+    marginPercent: revenue > 0 ? _.round(margin / revenue * 100, 2) : null
+  }
+}
+
+/**
+ * Report the revenue, cost and gross margin of the resource bookings grouped by project, job, role, member or month.
+ * The revenue is billed for the days or hours worked with the customer rate which applied at the start of the work period,
+ * the cost is the total of the active payments of the work period. The work periods are counted in the month they end.
+ * @param {Object} currentUser the user who perform this operation.
+ * @param {Object} criteria the report criteria, with the same filters as searching resource bookings
+ * @returns {Object|String} the report with the totals, or the CSV of the report groups
+ */
+async function getMarginReport (currentUser, criteria) {
+  if (!currentUser.hasManagePermission && !currentUser.isMachine) {
+    throw new errors.ForbiddenError('You are not allowed to perform this action!')
+  }
+  const filters = _.omit(criteria, ['groupBy', 'format', 'fromDate', 'toDate'])
+  _.each(['startDate', 'endDate', 'workPeriods.startDate', 'workPeriods.endDate'], key => {
+    if (filters[key]) {
+      filters[key] = moment(filters[key]).format('YYYY-MM-DD')
+    }
+  })
+  const fields = _.join(_.uniq(_.concat(MARGIN_REPORT_FIELDS, _.map(_.keys(filters), k => k === 'projectIds' ? 'projectId' : k))), ',')
+  const { result: resourceBookings } = await searchResourceBookings(currentUser, _.extend({ fields, page: 1 }, filters), { returnAll: true })
+
+  const fromDate = criteria.fromDate && moment(criteria.fromDate).format('YYYY-MM-DD')
+  const toDate = criteria.toDate && moment(criteria.toDate).format('YYYY-MM-DD')
+  const items = _.flatMap(resourceBookings, resourceBooking => _.map(_.filter(resourceBooking.workPeriods, workPeriod =>
+    (!fromDate || workPeriod.endDate >= fromDate) && (!toDate || workPeriod.endDate <= toDate)
+  ), workPeriod => {
+    const { customerRate } = helper.getEffectiveRates(resourceBooking, workPeriod.startDate)
+    const isHourly = resourceBooking.rateType === constants.RateType.HOURLY
+    return {
+      projectId: resourceBooking.projectId,
+      jobId: resourceBooking.jobId,
+      userId: resourceBooking.userId,
+      userHandle: workPeriod.userHandle,
+      month: moment(workPeriod.endDate).format('YYYY-MM'),
+      days: workPeriod.daysWorked,
+      hours: _.defaultTo(workPeriod.hoursWorked, 0),
+      revenue: _.defaultTo(customerRate, 0) * (isHourly ? _.defaultTo(workPeriod.hoursWorked, 0) : workPeriod.daysWorked / 5),
+      cost: _.defaultTo(workPeriod.paymentTotal, 0)
+    }
+  }))
+
+  if (_.includes(['job', 'role'], criteria.groupBy)) {
+    const jobs = await Job.findAll({
+      where: { id: _.uniq(_.compact(_.map(items, 'jobId'))) },
+      attributes: ['id', 'title', 'roleIds'],
+      raw: true
+    })
+    const roles = await Role.findAll({
+      where: { id: _.uniq(_.flatMap(jobs, job => _.compact([_.first(job.roleIds)]))) },
+      attributes: ['id', 'name'],
+      raw: true
+    })
+    const jobMap = _.keyBy(jobs, 'id')
+    const roleMap = _.keyBy(roles, 'id')
+    _.each(items, item => {
+      const job = jobMap[item.jobId]
+      // the resource booking is counted in the first role of the job
+      const roleId = _.first(_.get(job, 'roleIds')) || null
+      _.assign(item, { jobTitle: _.get(job, 'title', null), roleId, roleName: _.get(roleMap, [roleId, 'name'], null) })
+    })
+  }
+
+  const groupFields = MARGIN_REPORT_GROUP_FIELDS[criteria.groupBy]
+  const groups = _.map(_.groupBy(items, item => item[groupFields[0]]), groupItems => ({
+    ..._.pick(groupItems[0], groupFields),
+    ..._getMargin({ revenue: _.sumBy(groupItems, 'revenue'), cost: _.sumBy(groupItems, 'cost') }),
+    days: _.sumBy(groupItems, 'days'),
+    hours: _.round(_.sumBy(groupItems, 'hours'), 2)
+  }))
+  const result = criteria.groupBy === 'month' ? _.sortBy(groups, 'month') : _.orderBy(groups, ['revenue'], ['desc'])
+  if (criteria.format === 'csv') {
+    return helper.convertToCSV(result, [...groupFields, ...MARGIN_REPORT_CSV_FIELDS])
+  }
+  return {
+    groupBy: criteria.groupBy,
+    totals: _getMargin({ revenue: _.sumBy(items, 'revenue'), cost: _.sumBy(items, 'cost') }),
+    result
+  }
+}
+
+getMarginReport.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  criteria: Joi.object().keys({
+    groupBy: Joi.string().valid(..._.keys(MARGIN_REPORT_GROUP_FIELDS)).default('project'),
+    format: Joi.string().valid('json', 'csv').default('json'),
+    fromDate: Joi.date().format('YYYY-MM-DD'),
+    toDate: Joi.date().format('YYYY-MM-DD'),
+    status: Joi.resourceBookingStatus(),
+    startDate: Joi.date().format('YYYY-MM-DD'),
+    endDate: Joi.date().format('YYYY-MM-DD'),
+    rateType: Joi.rateType(),
+    jobId: Joi.string().uuid(),
+    userId: Joi.string().uuid(),
+    projectId: Joi.number().integer(),
+    projectIds: Joi.alternatives(
+      Joi.string(),
+      Joi.array().items(Joi.number().integer())
+    ),
+    billingAccountId: Joi.number().integer(),
+    'workPeriods.userHandle': Joi.string()
+  }).required()
+}).required()
+
+/**
+ * Get the work periods of the resource booking which are forecast until the projected end date.
+ * The generated work periods are used until the end date of the resource booking, after that,
+ * and for the resource bookings without end date, the work periods are extracted from the working calendar of the member.
+ * @param {Object} resourceBooking the resource booking
+ * @param {Array<Object>} workPeriods the generated work periods of the resource booking
+ * @param {Object} scenario the forecast dates and the weeks which the resource booking is assumed to be extended
+ * @returns {Array<Object>} the work periods sorted by start date
+ */
+async function _getForecastWorkPeriods (resourceBooking, workPeriods, { fromDate, toDate, extendWeeks }) {
+  const weeks = _.keyBy(workPeriods, 'startDate')
+  let calendarStartDate
+  let calendarEndDate
+  if (_.isNil(resourceBooking.endDate)) {
+    calendarStartDate = _.max([resourceBooking.startDate, fromDate])
+    calendarEndDate = toDate
+  } else if (extendWeeks > 0) {
+    // the last week of the resource booking gets more working days
+    calendarStartDate = _.max([resourceBooking.startDate, moment(resourceBooking.endDate).day(0).format('YYYY-MM-DD')])
+    calendarEndDate = _.min([moment(resourceBooking.endDate).add(extendWeeks, 'weeks').format('YYYY-MM-DD'), toDate])
+  }
+  if (calendarStartDate && calendarStartDate <= calendarEndDate) {
+    const calendarWeeks = await WorkCalendarService.extractWorkPeriods({ ...resourceBooking, startDate: calendarStartDate, endDate: calendarEndDate })
+    _.each(calendarWeeks, week => { weeks[week.startDate] = _.assign({}, weeks[week.startDate], week) })
+  }
+  return _.sortBy(_.filter(_.values(weeks), week => week.endDate >= fromDate && week.startDate <= toDate), 'startDate')
+}
+
+/**
+ * Sum the forecast of the work periods by project and billing account for each week or month.
+ * @param {Array<Object>} items the forecast of the work periods
+ * @param {String} period the period field, `week` or `month`
+ * @returns {Array<Object>} the forecast of the periods sorted by period and project
+ */
+function _sumForecast (items, period) {
+  const groups = _.map(_.groupBy(items, item => `${item[period]}:${item.projectId}:${item.billingAccountId}`), groupItems => ({
+    ..._.pick(groupItems[0], [period, 'projectId', 'billingAccountId']),
+    customerSpend: _.round(_.sumBy(groupItems, 'customerSpend'), 2),
+    memberPayout: _.round(_.sumBy(groupItems, 'memberPayout'), 2)
+  }))
+  return _.sortBy(groups, [period, 'projectId', 'billingAccountId'])
+}
+
+/**
+ * Forecast the weekly and monthly customer spend and member payouts of the placed resource bookings
+ * by project and billing account. The remaining work periods are billed and paid with the rates which apply
+ * at their start, and they are counted in the month they end. The scenario `extendWeeks` assumes that all
+ * the resource bookings with end date are extended by the weeks.
+ * Customers can forecast only their projects, and only the admins and M2M can see the member payouts.
+ * @param {Object} currentUser the user who perform this operation.
+ * @param {Object} criteria the forecast criteria
+ * @returns {Object} the forecast with the totals
+ */
+async function getForecast (currentUser, criteria) {
+  const canSeeMemberRate = currentUser.hasManagePermission || currentUser.isMachine
+  const projectIds = _.compact(_.concat(
+    criteria.projectId,
+    _.isString(criteria.projectIds) ? _.map(_.split(criteria.projectIds, ','), _.toNumber) : criteria.projectIds
+  ))
+  if (!canSeeMemberRate && !currentUser.isConnectManager) {
+    if (!projectIds.length) {
+      throw new errors.BadRequestError('projectId or projectIds is required')
+    }
+    for (const projectId of projectIds) {
+      await helper.checkIsMemberOfProject(currentUser.userId, projectId)
+    }
+  }
+  const fromDate = moment(criteria.fromDate).format('YYYY-MM-DD')
+  const toDate = criteria.toDate
+    ? moment(criteria.toDate).format('YYYY-MM-DD')
+    : moment(fromDate).add(config.FORECAST_WEEKS, 'weeks').format('YYYY-MM-DD')
+  if (toDate < fromDate) {
+    throw new errors.BadRequestError('toDate can not be before fromDate')
+  }
+  const filter = {
+    [Op.and]: [
+      { status: 'placed' },
+      { [Op.or]: [{ startDate: null }, { startDate: { [Op.lte]: toDate } }] },
+      { [Op.or]: [{ endDate: null }, { endDate: { [Op.gte]: fromDate } }] }
+    ]
+  }
+  if (projectIds.length) {
+    filter[Op.and].push({ projectId: projectIds })
+  }
+  if (criteria.billingAccountId) {
+    filter[Op.and].push({ billingAccountId: criteria.billingAccountId })
+  }
+  const resourceBookings = await ResourceBooking.findAll({ where: filter, raw: true })
+  const workPeriods = resourceBookings.length
+    ? await WorkPeriod.findAll({
+      where: {
+        resourceBookingId: _.map(resourceBookings, 'id'),
+        startDate: { [Op.lte]: toDate },
+        endDate: { [Op.gte]: fromDate }
+      },
+      raw: true
+    })
+    : []
+  const workPeriodsByResourceBooking = _.groupBy(workPeriods, 'resourceBookingId')
+
+  const items = []
+  for (const resourceBooking of resourceBookings) {
+    const weeks = await _getForecastWorkPeriods(resourceBooking, workPeriodsByResourceBooking[resourceBooking.id], { fromDate, toDate, extendWeeks: criteria.extendWeeks })
+    const isHourly = resourceBooking.rateType === constants.RateType.HOURLY
+    _.each(weeks, week => {
+      const { memberRate, customerRate } = helper.getEffectiveRates(resourceBooking, week.startDate)
+      const units = isHourly ? _.defaultTo(week.hoursWorked, 0) : week.daysWorked / 5
+      items.push({
+        week: week.startDate,
+        month: moment(week.endDate).format('YYYY-MM'),
+        projectId: resourceBooking.projectId,
+        billingAccountId: _.defaultTo(resourceBooking.billingAccountId, null),
+        customerSpend: _.defaultTo(customerRate, 0) * units,
+        memberPayout: _.defaultTo(memberRate, 0) * units
+      })
+    })
+  }
+  const forecast = {
+    fromDate,
+    toDate,
+    extendWeeks: criteria.extendWeeks,
+    totals: {
+      customerSpend: _.round(_.sumBy(items, 'customerSpend'), 2),
+      memberPayout: _.round(_.sumBy(items, 'memberPayout'), 2)
+    },
+    weekly: _sumForecast(items, 'week'),
+    monthly: _sumForecast(items, 'month')
+  }
+  if (!canSeeMemberRate) {
+    forecast.totals = _.omit(forecast.totals, 'memberPayout')
+    forecast.weekly = _.map(forecast.weekly, item => _.omit(item, 'memberPayout'))
+    forecast.monthly = _.map(forecast.monthly, item => _.omit(item, 'memberPayout'))
+  }
+  return forecast
+}
+
+getForecast.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  criteria: Joi.object().keys({
+    fromDate: Joi.date().format('YYYY-MM-DD').default(() => new Date()),
+    toDate: Joi.date().format('YYYY-MM-DD'),
+    extendWeeks: Joi.number().integer().min(0).max(52).default(0),
+    projectId: Joi.number().integer(),
+    projectIds: Joi.alternatives(
+      Joi.string(),
+      Joi.array().items(Joi.number().integer())
+    ),
+    billingAccountId: Joi.number().integer()
+  }).required()
+}).required()
+
 module.exports = {
   getResourceBooking,
   createResourceBooking,
   partiallyUpdateResourceBooking,
+  partiallyUpdateResourceBookingInTransaction,
   fullyUpdateResourceBooking,
   deleteResourceBooking,
-  searchResourceBookings
+  cancelResourceBooking,
+  searchResourceBookings,
+  getOverAllocatedMembers,
+  getMarginReport,
+  getForecast
 }
@@ -130,6 +130,7 @@ async function createRole (currentUser, role) {
       const created = await Role.create(role, { transaction: t })
       entity = created.toJSON()
       await processCreate(entity)
+      await helper.postEvent(config.TAAS_ROLE_CREATE_TOPIC, entity, { transaction: t })
     })
   } catch (e) {
     if (entity) {
@@ -137,7 +138,6 @@ async function createRole (currentUser, role) {
     }
     throw e
   }
-  await helper.postEvent(config.TAAS_ROLE_CREATE_TOPIC, entity)
   return entity
 }
 
@@ -199,6 +199,7 @@ async function updateRole (currentUser, id, data) {
       const updated = await role.update(data, { transaction: t })
       entity = updated.toJSON()
       await processUpdate(entity)
+      await helper.postEvent(config.TAAS_RESOURCE_BOOKING_UPDATE_TOPIC, entity, { oldValue: oldValue, transaction: t })
     })
   } catch (e) {
     if (entity) {
@@ -206,7 +207,6 @@ async function updateRole (currentUser, id, data) {
     }
     throw e
   }
-  await helper.postEvent(config.TAAS_RESOURCE_BOOKING_UPDATE_TOPIC, entity, { oldValue: oldValue })
   return entity
 }
 
@@ -254,12 +254,12 @@ async function deleteRole (currentUser, id) {
     await sequelize.transaction(async (t) => {
       await role.destroy({ transaction: t })
       await processDelete({ id })
+      await helper.postEvent(config.TAAS_ROLE_DELETE_TOPIC, { id }, { transaction: t })
     })
   } catch (e) {
     helper.postErrorEvent(config.TAAS_ERROR_TOPIC, { id }, 'role.delete')
     throw e
   }
-  await helper.postEvent(config.TAAS_ROLE_DELETE_TOPIC, { id })
 }
 
 deleteRole.schema = Joi.object().keys({
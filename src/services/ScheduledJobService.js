@@ -0,0 +1,334 @@
+/**
+ * This service provides the scheduled jobs registry.
+ * Every job has a row in the db which holds the lease, so only one instance runs the job at a time,
+ * and every run of the job is recorded in the run history, which is cleaned up by the `cleanUpScheduledJobRuns` job.
+ */
+
+const _ = require('lodash')
+const os = require('os')
+const config = require('config')
+const Joi = require('joi')
+const moment = require('moment')
+const schedule = require('node-schedule')
+const { Op } = require('sequelize')
+const uuid = require('uuid')
+const helper = require('../common/helper')
+const logger = require('../common/logger')
+const errors = require('../common/errors')
+const models = require('../models')
+const interviewService = require('./InterviewService')
+const paymentSchedulerService = require('./PaymentSchedulerService')
+const surveyService = require('./SurveyService')
+const eventOutboxService = require('./EventOutboxService')
+const notificationSchedulerService = require('./NotificationsSchedulerService')
+const { ScheduledJobRunStatus, ScheduledJobRunTrigger, WeeklySurveySwitch } = require('../../app-constants')
+
+const ScheduledJob = models.ScheduledJob
+const ScheduledJobRun = models.ScheduledJobRun
+
+// the identifier of the current instance, used as the lease owner
+const instanceId = config.SCHEDULER.INSTANCE_ID || `${os.hostname()}-${process.pid}-${uuid.v4()}`
+
+// the definitions of all the scheduled jobs, the key is the job name
+const JobDefinitions = {
+  updateCompletedInterviews: {
+    cron: config.CRON_UPDATE_COMPLETED_INTERVIEWS,
+    handler: () => interviewService.updateCompletedInterviews()
+  },
+  sendSurveys: {
+    cron: config.WEEKLY_SURVEY.CRON,
+    handler: () => surveyService.sendSurveys(),
+    enabled: WeeklySurveySwitch.ON === config.WEEKLY_SURVEY.SWITCH
+  },
+  processPayments: {
+    cron: config.PAYMENT_PROCESSING.CRON,
+    handler: () => paymentSchedulerService.processScheduler()
+  },
+  processEventOutbox: {
+    cron: config.EVENT_OUTBOX.CRON,
+    handler: () => eventOutboxService.processOutbox()
+  },
+  sendCandidatesAvailableNotifications: {
+    cron: config.CRON_CANDIDATE_REVIEW,
+    handler: () => notificationSchedulerService.sendCandidatesAvailableNotifications()
+  },
+  sendInterviewComingUpNotifications: {
+    cron: config.CRON_INTERVIEW_COMING_UP,
+    handler: () => notificationSchedulerService.sendInterviewComingUpNotifications()
+  },
+  sendInterviewCompletedNotifications: {
+    cron: config.CRON_INTERVIEW_COMPLETED,
+    handler: () => notificationSchedulerService.sendInterviewCompletedNotifications()
+  },
+  sendPostInterviewActionNotifications: {
+    cron: config.CRON_POST_INTERVIEW,
+    handler: () => notificationSchedulerService.sendPostInterviewActionNotifications()
+  },
+  sendResourceBookingExpirationNotifications: {
+    cron: config.CRON_UPCOMING_RESOURCE_BOOKING,
+    handler: () => notificationSchedulerService.sendResourceBookingExpirationNotifications()
+  },
+  sendInterviewExpiredNotifications: {
+    cron: config.CRON_INTERVIEW_EXPIRED,
+    handler: () => notificationSchedulerService.sendInterviewExpiredNotifications()
+  },
+  sendInterviewScheduleReminderNotifications: {
+    cron: config.CRON_INTERVIEW_SCHEDULE_REMINDER,
+    handler: () => notificationSchedulerService.sendInterviewScheduleReminderNotifications()
+  },
+  cleanUpScheduledJobRuns: {
+    cron: config.SCHEDULER.CLEANUP_CRON,
+    handler: () => cleanUpScheduledJobRuns()
+  }
+}
+
+const localLogger = {
+  debug: (message, context) => logger.debug({ component: 'ScheduledJobService', context, message }),
+  error: (message, context) => logger.error({ component: 'ScheduledJobService', context, message }),
+  info: (message, context) => logger.info({ component: 'ScheduledJobService', context, message })
+}
+
+/**
+  * Check user permission for scheduled jobs.
+  * Only admins and M2M are allowed to deal with scheduled jobs.
+  * @param {Object} currentUser the user who perform this operation.
+  * @returns {undefined}
+  */
+async function _checkUserPermissionForScheduledJob (currentUser) {
+  if (!currentUser.hasManagePermission && !currentUser.isMachine) {
+    throw new errors.ForbiddenError('You are not allowed to perform this action!')
+  }
+}
+
+/**
+ * Acquire the lease of the job and record the start of the run.
+ * @param {String} name the job name
+ * @param {String} trigger how the run is triggered
+ * @param {String} createdBy the user who triggered the run manually
+ * @returns {Object} the run, or null if the job is disabled or leased by another instance
+ */
+async function _startRun (name, trigger, createdBy) {
+  const now = new Date()
+  const [leased] = await ScheduledJob.update({
+    leaseOwner: instanceId,
+    leaseExpiresAt: moment(now).add(moment.duration(config.SCHEDULER.LEASE_DURATION)).toDate()
+  }, {
+    where: {
+      name,
+      enabled: true,
+      [Op.or]: [
+        { leaseExpiresAt: null },
+        { leaseExpiresAt: { [Op.lt]: now } }
+      ]
+    }
+  })
+  if (!leased) {
+    return null
+  }
+  const run = await ScheduledJobRun.create({
+    id: uuid.v4(),
+    jobName: name,
+    trigger,
+    status: ScheduledJobRunStatus.RUNNING,
+    instanceId,
+    startedAt: now,
+    createdBy
+  })
+  return run
+}
+
+/**
+ * Extend the lease of the job held by the current instance.
+ * @param {String} name the job name
+ * @returns {undefined}
+ */
+async function _renewLease (name) {
+  await ScheduledJob.update({
+    leaseExpiresAt: moment().add(moment.duration(config.SCHEDULER.LEASE_DURATION)).toDate()
+  }, {
+    where: { name, leaseOwner: instanceId }
+  })
+}
+
+/**
+ * Run the job handler, record the result of the run and release the lease.
+ * The lease is renewed while the job is running, so the run longer than the lease isn't started again by another instance.
+ * @param {Object} run the run started by `_startRun`
+ * @returns {undefined}
+ */
+async function _executeRun (run) {
+  const renewal = setInterval(() => {
+    _renewLease(run.jobName).catch(err => logger.logFullError(err, { component: 'ScheduledJobService', context: '_renewLease' }))
+  }, moment.duration(config.SCHEDULER.LEASE_DURATION).asMilliseconds() / 2)
+  let error
+  try {
+    await JobDefinitions[run.jobName].handler()
+  } catch (err) {
+    error = err
+    logger.logFullError(err, { component: 'ScheduledJobService', context: run.jobName })
+  } finally {
+    clearInterval(renewal)
+  }
+  const status = error ? ScheduledJobRunStatus.FAILED : ScheduledJobRunStatus.COMPLETED
+  await run.update({
+    status,
+    finishedAt: new Date(),
+    error: error ? _.truncate(error.message, { length: 1000 }) : null
+  })
+  await ScheduledJob.update({
+    leaseOwner: null,
+    leaseExpiresAt: null,
+    lastRunAt: run.startedAt,
+    lastRunStatus: status
+  }, {
+    where: { name: run.jobName, leaseOwner: instanceId }
+  })
+}
+
+/**
+ * Remove the runs which are started longer than the retention period from the run history
+ * @returns {undefined}
+ */
+async function cleanUpScheduledJobRuns () {
+  const count = await ScheduledJobRun.destroy({
+    where: {
+      startedAt: { [Op.lt]: moment().subtract(moment.duration(config.SCHEDULER.RUN_RETENTION)).toDate() }
+    }
+  })
+  localLogger.debug(`${count} of scheduled job runs removed`, 'cleanUpScheduledJobRuns')
+}
+
+/**
+ * Run the job on schedule, it's skipped if another instance is running it
+ * @param {String} name the job name
+ * @returns {undefined}
+ */
+async function _runOnSchedule (name) {
+  try {
+    const run = await _startRun(name, ScheduledJobRunTrigger.SCHEDULE)
+    if (!run) {
+      localLogger.debug(`job ${name} is disabled or running by other instance - skipped`, '_runOnSchedule')
+      return
+    }
+    await _executeRun(run)
+  } catch (err) {
+    logger.logFullError(err, { component: 'ScheduledJobService', context: '_runOnSchedule' })
+  }
+}
+
+/**
+ * Register all the jobs in the db and schedule them.
+ * The cron and enabled flag in the db are kept in sync with the config.
+ * @returns {undefined}
+ */
+async function init () {
+  for (const [name, definition] of _.entries(JobDefinitions)) {
+    const enabled = _.defaultTo(definition.enabled, true)
+    const [scheduledJob, created] = await ScheduledJob.findOrCreate({
+      where: { name },
+      defaults: { id: uuid.v4(), name, cron: definition.cron, enabled }
+    })
+    if (!created && (scheduledJob.cron !== definition.cron || scheduledJob.enabled !== enabled)) {
+      await scheduledJob.update({ cron: definition.cron, enabled })
+    }
+    if (enabled) {
+      schedule.scheduleJob(definition.cron, () => _runOnSchedule(name))
+    }
+  }
+  localLogger.info(`scheduled jobs registered by instance ${instanceId}`, 'init')
+}
+
+/**
+  * List scheduled jobs
+  * @param {Object} currentUser the user who perform this operation.
+  * @returns {Array<Object>} the scheduled jobs
+  */
+async function searchScheduledJobs (currentUser) {
+  await _checkUserPermissionForScheduledJob(currentUser)
+  const scheduledJobs = await ScheduledJob.findAll({ order: [['name', 'asc']] })
+  return _.map(scheduledJobs, scheduledJob => scheduledJob.toJSON())
+}
+
+searchScheduledJobs.schema = Joi.object().keys({
+  currentUser: Joi.object().required()
+}).required()
+
+/**
+  * List the recent runs of a scheduled job
+  * @param {Object} currentUser the user who perform this operation.
+  * @param {String} name the job name
+  * @param {Object} criteria the search criteria
+  * @returns {Object} the search result, contain total/page/perPage and result array
+  */
+async function searchScheduledJobRuns (currentUser, name, criteria) {
+  await _checkUserPermissionForScheduledJob(currentUser)
+  await ScheduledJob.findByName(name)
+  const page = criteria.page
+  const perPage = criteria.perPage
+  const filter = { jobName: name }
+  if (criteria.status) {
+    filter.status = criteria.status
+  }
+  const runs = await ScheduledJobRun.findAll({
+    where: filter,
+    offset: ((page - 1) * perPage),
+    limit: perPage,
+    order: [['startedAt', 'desc']]
+  })
+  const total = await ScheduledJobRun.count({ where: filter })
+  return {
+    fromDb: true,
+    total,
+    page,
+    perPage,
+    result: runs
+  }
+}
+
+searchScheduledJobRuns.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  name: Joi.string().required(),
+  criteria: Joi.object().keys({
+    page: Joi.number().integer().min(1).default(1),
+    perPage: Joi.number().integer().min(1).max(10000).default(20),
+    status: Joi.string().valid(..._.values(ScheduledJobRunStatus))
+  }).required()
+}).required()
+
+/**
+  * Trigger a scheduled job manually.
+  * The job runs in the background, the started run is returned.
+  * @param {Object} currentUser the user who perform this operation.
+  * @param {String} name the job name
+  * @returns {Object} the started run
+  */
+async function triggerScheduledJob (currentUser, name) {
+  await _checkUserPermissionForScheduledJob(currentUser)
+  const scheduledJob = await ScheduledJob.findByName(name)
+  if (!JobDefinitions[name]) {
+    throw new errors.BadRequestError(`Job "${name}" is not supported by this instance`)
+  }
+  if (!scheduledJob.enabled) {
+    throw new errors.BadRequestError(`Job "${name}" is disabled`)
+  }
+  const createdBy = await helper.getUserId(currentUser.userId)
+  const run = await _startRun(name, ScheduledJobRunTrigger.MANUAL, createdBy)
+  if (!run) {
+    throw new errors.ConflictError(`Job "${name}" is running`)
+  }
+  _executeRun(run).catch(err => logger.logFullError(err, { component: 'ScheduledJobService', context: 'triggerScheduledJob' }))
+  return run.toJSON()
+}
+
+triggerScheduledJob.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  name: Joi.string().required()
+}).required()
+
+module.exports = {
+  init,
+  searchScheduledJobs,
+  searchScheduledJobRuns,
+  triggerScheduledJob,
+  cleanUpScheduledJobRuns
+}
@@ -146,6 +146,7 @@ async function sendSurveys () {
     logger.info({ component: 'SurveyService', context: 'sendSurvey', message: 'Processing weekly surveys is completed' })
   } catch (e) {
     logger.error({ component: 'SurveyService', context: 'sendSurvey', message: 'Error sending surveys: ' + e.message })
+    throw e
   }
 }
 
@@ -24,6 +24,32 @@ const stripe = require('stripe')(config.STRIPE_SECRET_KEY, { maxNetworkRetries:
 
 const emailTemplates = helper.getEmailTemplatesForKey('teamTemplates')
 
+// the forecasts of the teams by the project id and whether they include the member payouts
+const forecastCache = {}
+
+/**
+ * Get the forecast spend of the team from the remaining work periods of the placed resource bookings.
+ * The forecast is cached for FORECAST_CACHE_TIME seconds so it's not calculated on every team detail request.
+ * @param {Object} currentUser the user who perform this operation.
+ * @param {Number} projectId the project id
+ * @returns {Promise<Object>} the forecast
+ */
+async function _getTeamForecast (currentUser, projectId) {
+  const key = `${projectId}:${Boolean(currentUser.hasManagePermission || currentUser.isMachine)}`
+  const now = Date.now()
+  if (forecastCache[key] && forecastCache[key].expiresAt > now) {
+    return forecastCache[key].forecast
+  }
+  const forecast = await ResourceBookingService.getForecast(currentUser, { projectId })
+  _.forEach(_.keys(forecastCache), cacheKey => {
+    if (forecastCache[cacheKey].expiresAt <= now) {
+      delete forecastCache[cacheKey]
+    }
+  })
+  forecastCache[key] = { forecast, expiresAt: now + config.FORECAST_CACHE_TIME * 1000 }
+  return forecast
+}
+
 /**
  * Function to get placed resource bookings with specific projectIds
  * @param {Object} currentUser the user who perform this operation.
@@ -311,6 +337,19 @@ async function getTeamDetail (currentUser, projects, isSearch = true) {
         })
       }
     }
+    if (!isSearch) {
+      // the team is still returned without the forecast if it fails
+      try {
+        res.forecast = await _getTeamForecast(currentUser, project.id)
+      } catch (err) {
+        logger.error({
+          component: 'TeamService',
+          context: 'getTeamDetail',
+          message: `Failed to get the forecast of the team ${project.id}: ${err.message}`
+        })
+        res.forecast = null
+      }
+    }
     result.push(res)
   }
 
@@ -423,6 +462,9 @@ async function getTeamJob (currentUser, id, jobId) {
       if (candidateData.interviews && candidateData.interviews.length) {
         _.map(candidateData.interviews, async interview => {
           hostMap[interview.hostUserId] = true
+          _.forEach(interview.hosts, host => {
+            hostMap[host.userId] = true
+          })
         })
       }
       return candidateData
@@ -441,6 +483,12 @@ async function getTeamJob (currentUser, id, jobId) {
           interview.hostFirstName = hostUserDetails.firstName
           interview.hostLastName = hostUserDetails.lastName
           interview.hostHandle = hostUserDetails.handle
+          interview.hosts = _.map(interview.hosts, host => ({
+            ...host,
+            firstName: hostMap[host.userId].firstName,
+            lastName: hostMap[host.userId].lastName,
+            handle: hostMap[host.userId].handle
+          }))
         })
       }
     })
@@ -0,0 +1,184 @@
+/**
+ * This service provides operations of TimeOff.
+ */
+
+const _ = require('lodash')
+const Joi = require('joi').extend(require('@joi/date'))
+const { Op } = require('sequelize')
+const moment = require('moment')
+const helper = require('../common/helper')
+const errors = require('../common/errors')
+const models = require('../models')
+const WorkCalendarService = require('./WorkCalendarService')
+
+const TimeOff = models.TimeOff
+
+/**
+  * Check user permission for the time off.
+  * Members can only access their own time off, managers and machines can access any time off.
+  * @param {Object} currentUser the user who perform this operation.
+  * @param {String} userId the user id of the time off
+  * @returns {undefined}
+  */
+async function _checkUserPermissionForTimeOff (currentUser, userId) {
+  if (currentUser.hasManagePermission || currentUser.isMachine) {
+    return
+  }
+  const currentUserId = await helper.getUserId(currentUser.userId)
+  if (currentUserId !== userId) {
+    throw new errors.ForbiddenError('You are not allowed to perform this action!')
+  }
+}
+
+/**
+  * Check the end date of the time off is not before the start date.
+  * @param {Object} timeOff the time off
+  * @returns {undefined}
+  */
+function _checkTimeOffDates (timeOff) {
+  if (moment(timeOff.endDate).isBefore(timeOff.startDate, 'day')) {
+    throw new errors.BadRequestError('endDate can not be before startDate')
+  }
+}
+
+/**
+  * List time offs
+  * @param {Object} currentUser the user who perform this operation.
+  * @param {Object} criteria the search criteria
+  * @returns {Object} the search result, contain total/page/perPage and result array
+  */
+async function searchTimeOffs (currentUser, criteria) {
+  const page = criteria.page
+  const perPage = criteria.perPage
+  // members can only see their own time off
+  if (!currentUser.hasManagePermission && !currentUser.isMachine) {
+    criteria.userId = await helper.getUserId(currentUser.userId)
+  }
+  const filter = { [Op.and]: [] }
+  if (criteria.userId) {
+    filter[Op.and].push({ userId: criteria.userId })
+  }
+  if (criteria.fromDate) {
+    filter[Op.and].push({ endDate: { [Op.gte]: moment(criteria.fromDate).format('YYYY-MM-DD') } })
+  }
+  if (criteria.toDate) {
+    filter[Op.and].push({ startDate: { [Op.lte]: moment(criteria.toDate).format('YYYY-MM-DD') } })
+  }
+  const timeOffs = await TimeOff.findAll({
+    where: filter,
+    offset: ((page - 1) * perPage),
+    limit: perPage,
+    order: [['startDate', 'asc']]
+  })
+  const total = await TimeOff.count({ where: filter })
+  return {
+    fromDb: true,
+    total,
+    page,
+    perPage,
+    result: timeOffs
+  }
+}
+
+searchTimeOffs.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  criteria: Joi.object().keys({
+    page: Joi.number().integer().min(1).default(1),
+    perPage: Joi.number().integer().min(1).max(10000).default(20),
+    userId: Joi.string().uuid(),
+    fromDate: Joi.date().format('YYYY-MM-DD'),
+    toDate: Joi.date().format('YYYY-MM-DD')
+  }).required()
+}).required()
+
+/**
+  * Create time off, the work periods of the member which overlap the time off are recalculated.
+  * @param {Object} currentUser the user who perform this operation
+  * @param {Object} timeOff the time off to be created
+  * @returns {Object} the created time off
+  */
+async function createTimeOff (currentUser, timeOff) {
+  await _checkUserPermissionForTimeOff(currentUser, timeOff.userId)
+  timeOff.startDate = moment(timeOff.startDate).format('YYYY-MM-DD')
+  timeOff.endDate = moment(timeOff.endDate).format('YYYY-MM-DD')
+  _checkTimeOffDates(timeOff)
+  await helper.ensureUserById(timeOff.userId) // ensure user exists
+  timeOff.createdBy = await helper.getUserId(currentUser.userId)
+  const created = await TimeOff.create(timeOff)
+  const entity = created.toJSON()
+  await WorkCalendarService.recalculateWorkPeriodsForTimeOff(entity)
+  return entity
+}
+
+createTimeOff.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  timeOff: Joi.object().keys({
+    userId: Joi.string().uuid().required(),
+    startDate: Joi.date().format('YYYY-MM-DD').required(),
+    endDate: Joi.date().format('YYYY-MM-DD').required(),
+    reason: Joi.string().max(255).allow(null)
+  }).required()
+}).required()
+
+/**
+  * Partially update time off, when the dates are changed
+  * the work periods which overlap the old or new dates are recalculated.
+  * @param {Object} currentUser the user who perform this operation
+  * @param {String} id the time off id
+  * @param {Object} data the data to be updated
+  * @returns {Object} the updated time off
+  */
+async function partiallyUpdateTimeOff (currentUser, id, data) {
+  const timeOff = await TimeOff.findById(id)
+  await _checkUserPermissionForTimeOff(currentUser, timeOff.userId)
+  const oldValue = timeOff.toJSON()
+  _.each(['startDate', 'endDate'], key => {
+    if (data[key]) {
+      data[key] = moment(data[key]).format('YYYY-MM-DD')
+    }
+  })
+  _checkTimeOffDates(_.assign({}, oldValue, data))
+  data.updatedBy = await helper.getUserId(currentUser.userId)
+  const updated = await timeOff.update(data)
+  const entity = updated.toJSON()
+  if (entity.startDate !== oldValue.startDate || entity.endDate !== oldValue.endDate) {
+    await WorkCalendarService.recalculateWorkPeriodsForTimeOff(oldValue)
+    await WorkCalendarService.recalculateWorkPeriodsForTimeOff(entity)
+  }
+  return entity
+}
+
+partiallyUpdateTimeOff.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  id: Joi.string().uuid().required(),
+  data: Joi.object().keys({
+    startDate: Joi.date().format('YYYY-MM-DD'),
+    endDate: Joi.date().format('YYYY-MM-DD'),
+    reason: Joi.string().max(255).allow(null)
+  }).required().min(1)
+}).required()
+
+/**
+  * Delete time off by id, the work periods of the member which overlap the time off are recalculated.
+  * @param {Object} currentUser the user who perform this operation
+  * @param {String} id the time off id
+  */
+async function deleteTimeOff (currentUser, id) {
+  const timeOff = await TimeOff.findById(id)
+  await _checkUserPermissionForTimeOff(currentUser, timeOff.userId)
+  const oldValue = timeOff.toJSON()
+  await timeOff.destroy()
+  await WorkCalendarService.recalculateWorkPeriodsForTimeOff(oldValue)
+}
+
+deleteTimeOff.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  id: Joi.string().uuid().required()
+}).required()
+
+module.exports = {
+  searchTimeOffs,
+  createTimeOff,
+  partiallyUpdateTimeOff,
+  deleteTimeOff
+}
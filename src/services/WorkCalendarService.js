@@ -0,0 +1,133 @@
+/**
+ * This service provides the working calendar of the members.
+ * The holidays of the resource booking region and the time off of the member are not counted in WorkPeriod daysWorked.
+ * The hourly rate resource bookings also have WorkPeriod hoursWorked, based on the weekly hours of the job.
+ */
+
+const _ = require('lodash')
+const config = require('config')
+const { Op } = require('sequelize')
+const helper = require('../common/helper')
+const logger = require('../common/logger')
+const models = require('../models')
+const { WorkPeriodTimesheetStatus, RateType } = require('../../app-constants')
+const WorkPeriodService = require('./WorkPeriodService')
+
+const Job = models.Job
+const ResourceBooking = models.ResourceBooking
+const WorkPeriod = models.WorkPeriod
+
+/**
+ * Get the weekly hours of the hourly rate resource booking.
+ * @param {Object} resourceBooking the resource booking
+ * @returns {Number|null} the weekly hours, or null if the resource booking is not paid by hours
+ */
+async function getHoursPerWeek (resourceBooking) {
+  if (resourceBooking.rateType !== RateType.HOURLY) {
+    return null
+  }
+  const job = resourceBooking.jobId ? await Job.findOne({ where: { id: resourceBooking.jobId }, attributes: ['hoursPerWeek'], raw: true }) : null
+  return _.get(job, 'hoursPerWeek') || config.DEFAULT_HOURS_PER_WEEK
+}
+
+/**
+ * Extract the work periods of the resource booking using the working calendar of the member.
+ * @param {Object} resourceBooking the resource booking
+ * @returns {Array<{startDate:Date, endDate:Date, daysWorked:number, hoursWorked:number}>} information about workPeriods,
+ * hoursWorked is null if the resource booking is not paid by hours
+ */
+async function extractWorkPeriods (resourceBooking) {
+  const nonWorkingDates = await helper.getNonWorkingDates(resourceBooking)
+  const hoursPerWeek = await getHoursPerWeek(resourceBooking)
+  return _.map(helper.extractWorkPeriods(resourceBooking.startDate, resourceBooking.endDate, nonWorkingDates), period => ({
+    ...period,
+    hoursWorked: _.isNil(hoursPerWeek) ? null : _.round(period.daysWorked * hoursPerWeek / 5, 2)
+  }))
+}
+
+/**
+ * Recalculate daysWorked and hoursWorked of the work periods of the resource booking from the working calendar.
+ * The work periods with the submitted or approved timesheet keep the days and hours reported by the member,
+ * and the worked days and hours are never reduced below the paid ones.
+ * @param {String} resourceBookingId the resource booking id
+ * @returns {undefined}
+ */
+async function recalculateWorkPeriods (resourceBookingId) {
+  const resourceBooking = await ResourceBooking.findById(resourceBookingId)
+  if (_.isNil(resourceBooking.startDate) || _.isNil(resourceBooking.endDate)) {
+    return
+  }
+  const weeks = await extractWorkPeriods(resourceBooking)
+  const workPeriods = await WorkPeriod.findAll({ where: { resourceBookingId }, raw: true })
+  for (const workPeriod of workPeriods) {
+    const week = _.find(weeks, ['startDate', workPeriod.startDate])
+    if (!week || (week.daysWorked === workPeriod.daysWorked && week.hoursWorked === workPeriod.hoursWorked) ||
+      week.daysWorked < workPeriod.daysPaid || _.defaultTo(week.hoursWorked, 0) < workPeriod.hoursPaid ||
+      _.includes([WorkPeriodTimesheetStatus.SUBMITTED, WorkPeriodTimesheetStatus.APPROVED], workPeriod.timesheetStatus)) {
+      continue
+    }
+    await WorkPeriodService.partiallyUpdateWorkPeriod(helper.getAuditM2Muser(), workPeriod.id, _.pick(week, ['daysWorked', 'hoursWorked']))
+    logger.debug({
+      component: 'WorkCalendarService',
+      context: 'recalculateWorkPeriods',
+      message: `id: ${workPeriod.id} WorkPeriod daysWorked changed from ${workPeriod.daysWorked} to ${week.daysWorked}, hoursWorked changed from ${workPeriod.hoursWorked} to ${week.hoursWorked}`
+    })
+  }
+}
+
+/**
+ * Recalculate the work periods of the resource bookings which include the holiday.
+ * The failure of one resource booking doesn't stop recalculating the others.
+ * @param {Object} holiday the holiday
+ * @returns {undefined}
+ */
+async function recalculateWorkPeriodsForHoliday (holiday) {
+  const resourceBookings = await ResourceBooking.findAll({
+    attributes: ['id'],
+    where: {
+      holidayRegion: { [Op.or]: [{ [Op.eq]: holiday.region }, { [Op.like]: `${holiday.region}-%` }] },
+      startDate: { [Op.lte]: holiday.date },
+      endDate: { [Op.gte]: holiday.date }
+    },
+    raw: true
+  })
+  for (const resourceBooking of resourceBookings) {
+    try {
+      await recalculateWorkPeriods(resourceBooking.id)
+    } catch (err) {
+      logger.logFullError(err, { component: 'WorkCalendarService', context: 'recalculateWorkPeriodsForHoliday' })
+    }
+  }
+}
+
+/**
+ * Recalculate the work periods of the resource bookings of the member which overlap the time off.
+ * @param {Object} timeOff the time off
+ * @returns {undefined}
+ */
+async function recalculateWorkPeriodsForTimeOff (timeOff) {
+  const resourceBookings = await ResourceBooking.findAll({
+    attributes: ['id'],
+    where: {
+      userId: timeOff.userId,
+      startDate: { [Op.lte]: timeOff.endDate },
+      endDate: { [Op.gte]: timeOff.startDate }
+    },
+    raw: true
+  })
+  for (const resourceBooking of resourceBookings) {
+    try {
+      await recalculateWorkPeriods(resourceBooking.id)
+    } catch (err) {
+      logger.logFullError(err, { component: 'WorkCalendarService', context: 'recalculateWorkPeriodsForTimeOff' })
+    }
+  }
+}
+
+module.exports = {
+  getHoursPerWeek,
+  extractWorkPeriods,
+  recalculateWorkPeriods,
+  recalculateWorkPeriodsForHoliday,
+  recalculateWorkPeriodsForTimeOff
+}
@@ -13,7 +13,7 @@ const helper = require('../common/helper')
 const logger = require('../common/logger')
 const errors = require('../common/errors')
 const models = require('../models')
-const { WorkPeriodPaymentStatus, ActiveWorkPeriodPaymentStatuses } = require('../../app-constants')
+const { WorkPeriodPaymentStatus, WorkPeriodTimesheetStatus, ActiveWorkPeriodPaymentStatuses, WorkPeriodPaymentType, WorkPeriodPaymentReasonCode } = require('../../app-constants')
 const { searchResourceBookings } = require('./ResourceBookingService')
 const {
   processCreate,
@@ -39,6 +39,17 @@ function _checkUserPermissionForCRUWorkPeriodPayment (currentUser) {
   }
 }
 
+/**
+ * Check if the workPeriodPayment requires the approval before it's scheduled.
+ * The payments with the amount not more than the approval threshold of the billing account skip the approval.
+ * @param {Object} workPeriodPayment the workPeriodPayment
+ * @returns {Boolean} true if the workPeriodPayment requires the approval
+ */
+function _isApprovalRequired (workPeriodPayment) {
+  const threshold = _.get(config.PAYMENT_APPROVAL.BILLING_ACCOUNT_THRESHOLDS, String(workPeriodPayment.billingAccountId), config.PAYMENT_APPROVAL.THRESHOLD)
+  return workPeriodPayment.amount > threshold
+}
+
 /**
  * Create single workPeriodPayment
  * @param {Object} workPeriodPayment the workPeriodPayment to be created
@@ -90,39 +101,91 @@ async function _updateChallenge (challengeId, data) {
  * @returns {Object} the created workPeriodPayment
  */
 async function _createSingleWorkPeriodPaymentWithWorkPeriodAndResourceBooking (workPeriodPayment, createdBy, correspondingWorkPeriod, correspondingResourceBooking) {
+  _prepareWorkPeriodPayment(workPeriodPayment, correspondingWorkPeriod, correspondingResourceBooking)
+  return _saveWorkPeriodPayment(workPeriodPayment, createdBy)
+}
+
+/**
+ * Validate the workPeriodPayment and calculate its rates, days, hours and amount, nothing is written.
+ * @param {Object} workPeriodPayment the workPeriodPayment to be created, it's updated with the calculated values
+ * @param {Object} correspondingWorkPeriod the workPeriod
+ * @param {Object} correspondingResourceBooking the resourceBooking
+ * @returns {Object} the workPeriodPayment
+ */
+function _prepareWorkPeriodPayment (workPeriodPayment, correspondingWorkPeriod, correspondingResourceBooking) {
   if (_.isNil(correspondingResourceBooking.billingAccountId)) {
     throw new errors.ConflictError(`id: ${correspondingResourceBooking.id} "ResourceBooking" Billing account is not assigned to the resource booking`)
   }
   workPeriodPayment.billingAccountId = correspondingResourceBooking.billingAccountId
+  // the rates which applied at the start of the work period are used
+  const rates = helper.getEffectiveRates(correspondingResourceBooking, correspondingWorkPeriod.startDate)
   // TODO: we should allow `memberRate` to be `null` as it's not required for additional payments
-  workPeriodPayment.memberRate = _.defaultTo(correspondingResourceBooking.memberRate, 0)
-  workPeriodPayment.customerRate = _.defaultTo(correspondingResourceBooking.customerRate, null)
+  workPeriodPayment.memberRate = _.defaultTo(rates.memberRate, 0)
+  workPeriodPayment.customerRate = _.defaultTo(rates.customerRate, null)
+  // the hourly rate work periods are paid by hours instead of days
+  const isHourly = !_.isNil(correspondingWorkPeriod.hoursWorked)
 
   if (!_.has(workPeriodPayment, 'days') || workPeriodPayment.days > 0) {
-    if (_.isNil(correspondingResourceBooking.memberRate)) {
+    // the days worked could be paid only after the customer approves the timesheet
+    if (correspondingWorkPeriod.timesheetStatus !== WorkPeriodTimesheetStatus.APPROVED) {
+      throw new errors.ConflictError(`Can't process payment for WorkPeriod: ${correspondingWorkPeriod.id} with timesheet status: "${correspondingWorkPeriod.timesheetStatus}". The timesheet must be approved`)
+    }
+    if (_.isNil(rates.memberRate)) {
       throw new errors.ConflictError(`Can't find a member rate in ResourceBooking: ${correspondingResourceBooking.id} to calculate the amount`)
     }
-    if (correspondingResourceBooking.memberRate <= 0) {
-      throw new errors.ConflictError(`Can't process payment with member rate: ${correspondingResourceBooking.memberRate}. It must be higher than 0`)
+    if (rates.memberRate <= 0) {
+      throw new errors.ConflictError(`Can't process payment with member rate: ${rates.memberRate}. It must be higher than 0`)
     }
 
-    const maxPossibleDays = correspondingWorkPeriod.daysWorked - correspondingWorkPeriod.daysPaid
-    if (workPeriodPayment.days > maxPossibleDays) {
-      throw new errors.BadRequestError(`Days cannot be more than not paid days which is ${maxPossibleDays}`)
-    }
-    if (maxPossibleDays <= 0) {
-      throw new errors.ConflictError(`There are no days to pay for WorkPeriod: ${correspondingWorkPeriod.id}`)
+    if (isHourly) {
+      if (_.has(workPeriodPayment, 'days')) {
+        throw new errors.BadRequestError(`WorkPeriod: ${correspondingWorkPeriod.id} is paid by hours, "hours" should be provided instead of "days"`)
+      }
+      const maxPossibleHours = _.round(correspondingWorkPeriod.hoursWorked - correspondingWorkPeriod.hoursPaid, 2)
+      if (workPeriodPayment.hours > maxPossibleHours) {
+        throw new errors.BadRequestError(`Hours cannot be more than not paid hours which is ${maxPossibleHours}`)
+      }
+      if (maxPossibleHours <= 0) {
+        throw new errors.ConflictError(`There are no hours to pay for WorkPeriod: ${correspondingWorkPeriod.id}`)
+      }
+      workPeriodPayment.hours = _.defaultTo(workPeriodPayment.hours, maxPossibleHours)
+    } else {
+      if (_.has(workPeriodPayment, 'hours')) {
+        throw new errors.BadRequestError(`WorkPeriod: ${correspondingWorkPeriod.id} is paid by days, "days" should be provided instead of "hours"`)
+      }
+      const maxPossibleDays = correspondingWorkPeriod.daysWorked - correspondingWorkPeriod.daysPaid
+      if (workPeriodPayment.days > maxPossibleDays) {
+        throw new errors.BadRequestError(`Days cannot be more than not paid days which is ${maxPossibleDays}`)
+      }
+      if (maxPossibleDays <= 0) {
+        throw new errors.ConflictError(`There are no days to pay for WorkPeriod: ${correspondingWorkPeriod.id}`)
+      }
+      workPeriodPayment.days = _.defaultTo(workPeriodPayment.days, maxPossibleDays)
     }
     const workPeriodStartTime = moment(`${correspondingWorkPeriod.startDate}T00:00:00.000+12`)
     if (workPeriodStartTime.isAfter(moment())) {
       throw new errors.BadRequestError(`Cannot process payments for the future WorkPeriods. You can process after ${workPeriodStartTime.diff(moment(), 'hours')} hours`)
     }
-    workPeriodPayment.days = _.defaultTo(workPeriodPayment.days, maxPossibleDays)
-    workPeriodPayment.amount = _.round(workPeriodPayment.memberRate * workPeriodPayment.days / 5, 2)
+    if (isHourly) {
+      // the hourly payments don't pay any days
+      workPeriodPayment.days = 0
+      workPeriodPayment.amount = _.round(workPeriodPayment.memberRate * workPeriodPayment.hours, 2)
+    } else {
+      workPeriodPayment.amount = _.round(workPeriodPayment.memberRate * workPeriodPayment.days / 5, 2)
+    }
   }
+  return workPeriodPayment
+}
 
+/**
+ * Save the prepared workPeriodPayment
+ * @param {Object} workPeriodPayment the prepared workPeriodPayment
+ * @param {String} createdBy the authUser id
+ * @returns {Object} the created workPeriodPayment
+ */
+async function _saveWorkPeriodPayment (workPeriodPayment, createdBy) {
   workPeriodPayment.id = uuid.v4()
-  workPeriodPayment.status = WorkPeriodPaymentStatus.SCHEDULED
+  workPeriodPayment.status = _isApprovalRequired(workPeriodPayment) ? WorkPeriodPaymentStatus.PENDING_APPROVAL : WorkPeriodPaymentStatus.SCHEDULED
   workPeriodPayment.createdBy = createdBy
 
   const key = `workPeriodPayment.billingAccountId:${workPeriodPayment.billingAccountId}`
@@ -133,6 +196,7 @@ async function _createSingleWorkPeriodPaymentWithWorkPeriodAndResourceBooking (w
       const created = await WorkPeriodPayment.create(workPeriodPayment, { transaction: t })
       entity = created.toJSON()
       await processCreate({ ...entity, key })
+      await helper.postEvent(config.TAAS_WORK_PERIOD_PAYMENT_CREATE_TOPIC, entity, { key, transaction: t })
     })
   } catch (err) {
     if (entity) {
@@ -140,10 +204,93 @@ async function _createSingleWorkPeriodPaymentWithWorkPeriodAndResourceBooking (w
     }
     throw err
   }
-  await helper.postEvent(config.TAAS_WORK_PERIOD_PAYMENT_CREATE_TOPIC, entity, { key })
   return entity
 }
 
+/**
+ * Preview the workPeriodPayment which would be created, nothing is written.
+ * @param {Object} workPeriodPayment the workPeriodPayment to be created
+ * @param {Object} correspondingWorkPeriod the workPeriod
+ * @param {Object} correspondingResourceBooking the resourceBooking
+ * @returns {Object} the previewed payment with the member, days, hours, rates and amount
+ */
+function _previewSingleWorkPeriodPaymentWithWorkPeriodAndResourceBooking (workPeriodPayment, correspondingWorkPeriod, correspondingResourceBooking) {
+  _prepareWorkPeriodPayment(workPeriodPayment, correspondingWorkPeriod, correspondingResourceBooking)
+  return {
+    workPeriodId: correspondingWorkPeriod.id,
+    resourceBookingId: correspondingResourceBooking.id,
+    userId: correspondingResourceBooking.userId,
+    userHandle: correspondingWorkPeriod.userHandle,
+    startDate: correspondingWorkPeriod.startDate,
+    endDate: correspondingWorkPeriod.endDate,
+    billingAccountId: workPeriodPayment.billingAccountId,
+    memberRate: workPeriodPayment.memberRate,
+    customerRate: workPeriodPayment.customerRate,
+    days: workPeriodPayment.days,
+    hours: _.defaultTo(workPeriodPayment.hours, null),
+    amount: workPeriodPayment.amount,
+    status: _isApprovalRequired(workPeriodPayment) ? WorkPeriodPaymentStatus.PENDING_APPROVAL : WorkPeriodPaymentStatus.SCHEDULED
+  }
+}
+
+/**
+ * Build the preview result with the grand total and the token which commits exactly the previewed payments.
+ * @param {Array<Object>} payments the previewed payments
+ * @param {Array<Object>} skipped the work periods which would be skipped with the reason
+ * @param {String} createdBy the authUser id
+ * @returns {Object} the preview result
+ */
+function _buildPreviewResult (payments, skipped, createdBy) {
+  return {
+    total: payments.length + skipped.length,
+    totalAmount: _.round(_.sumBy(payments, 'amount'), 2),
+    payments,
+    skipped,
+    previewToken: _.isEmpty(payments)
+      ? null
+      : helper.signWorkPeriodPaymentPreviewToken({
+        userId: createdBy,
+        payments: _.map(payments, payment => _.omitBy(_.pick(payment, ['workPeriodId', 'days', 'hours', 'amount']), _.isNil))
+      })
+  }
+}
+
+/**
+ * Create the previewed workPeriodPayment.
+ * The payment is recalculated and it's not created if the amount is changed
+ * or there are other payments of the work period since the preview.
+ * @param {Object} payment the previewed payment from the preview token
+ * @param {String} createdBy the authUser id
+ * @param {Date} previewedAt the preview time
+ * @returns {Object} the created workPeriodPayment
+ */
+async function _commitPreviewedWorkPeriodPayment (payment, createdBy, previewedAt) {
+  const newPayment = await WorkPeriodPayment.findOne({
+    where: { workPeriodId: payment.workPeriodId, createdAt: { [Op.gte]: previewedAt } },
+    attributes: ['id'],
+    raw: true
+  })
+  if (newPayment) {
+    throw new errors.ConflictError(`WorkPeriod: ${payment.workPeriodId} has the new WorkPeriodPayment: ${newPayment.id} since the preview`)
+  }
+  let workPeriodPayment
+  if (!_.isNil(payment.hours)) {
+    workPeriodPayment = _.pick(payment, ['workPeriodId', 'hours'])
+  } else if (payment.days === 0) {
+    // the additional payments keep the previewed amount
+    workPeriodPayment = _.pick(payment, ['workPeriodId', 'days', 'amount'])
+  } else {
+    workPeriodPayment = _.pick(payment, ['workPeriodId', 'days'])
+  }
+  const correspondingWorkPeriod = await helper.ensureWorkPeriodById(payment.workPeriodId)
+  const correspondingResourceBooking = await helper.ensureResourceBookingById(correspondingWorkPeriod.resourceBookingId)
+  _prepareWorkPeriodPayment(workPeriodPayment, correspondingWorkPeriod.toJSON(), correspondingResourceBooking.toJSON())
+  if (workPeriodPayment.amount !== payment.amount) {
+    throw new errors.ConflictError(`The amount of the payment for WorkPeriod: ${payment.workPeriodId} is changed from ${payment.amount} to ${workPeriodPayment.amount} since the preview`)
+  }
+  return _saveWorkPeriodPayment(workPeriodPayment, createdBy)
+}
+
 /**
  * Get workPeriodPayment by id
  * @param {Object} currentUser the user who perform this operation.
@@ -226,6 +373,11 @@ async function createWorkPeriodPayment (currentUser, workPeriodPayment) {
 const singleCreateWorkPeriodPaymentSchema = Joi.object().keys({
   workPeriodId: Joi.string().uuid().required(),
   days: Joi.number().integer().min(0).max(10),
+  hours: Joi.when('days', {
+    is: Joi.exist(),
+    then: Joi.forbidden(),
+    otherwise: Joi.number().greater(0).max(168)
+  }),
   amount: Joi.when('days', {
     is: Joi.number().integer().valid(0).exist(),
     then: Joi.number().greater(0).required().messages({
@@ -244,13 +396,29 @@ createWorkPeriodPayment.schema = Joi.object().keys({
  * Create workPeriodPayments in bulk
  * @param {Object} currentUser the user who perform this operation
  * @param {Array<Object>} workPeriodPayments the workPeriodPayment to be created
- * @returns {Array<Object>} the created workPeriodPayments
+ * @param {Boolean} preview flag if only preview the workPeriodPayments without creating them
+ * @returns {Array<Object>|Object} the created workPeriodPayments, or the preview result
  */
-async function createBulkOfWorkPeriodPayments (currentUser, workPeriodPayments) {
+async function createBulkOfWorkPeriodPayments (currentUser, workPeriodPayments, preview) {
   // check permission
   _checkUserPermissionForCRUWorkPeriodPayment(currentUser)
   const createdBy = await helper.getUserId(currentUser.userId)
 
+  if (preview) {
+    const payments = []
+    const skipped = []
+    for (const wp of workPeriodPayments) {
+      try {
+        const correspondingWorkPeriod = await helper.ensureWorkPeriodById(wp.workPeriodId)
+        const correspondingResourceBooking = await helper.ensureResourceBookingById(correspondingWorkPeriod.resourceBookingId)
+        payments.push(_previewSingleWorkPeriodPaymentWithWorkPeriodAndResourceBooking(wp, correspondingWorkPeriod.toJSON(), correspondingResourceBooking.toJSON()))
+      } catch (e) {
+        skipped.push(_.extend(_.pick(wp, 'workPeriodId'), { error: { message: e.message, code: e.httpStatus } }))
+      }
+    }
+    return _buildPreviewResult(payments, skipped, createdBy)
+  }
+
   const result = []
   for (const wp of workPeriodPayments) {
     try {
@@ -265,7 +433,103 @@ async function createBulkOfWorkPeriodPayments (currentUser, workPeriodPayments)
 
 createBulkOfWorkPeriodPayments.schema = Joi.object().keys({
   currentUser: Joi.object().required(),
-  workPeriodPayments: Joi.array().min(1).items(singleCreateWorkPeriodPaymentSchema).required()
+  workPeriodPayments: Joi.array().min(1).items(singleCreateWorkPeriodPaymentSchema).required(),
+  preview: Joi.boolean().default(false)
+}).required()
+
+/**
+ * Get the work period which the adjustment of the resource booking is attached to,
+ * it's the latest started work period, or the first one if the resource booking is not started yet.
+ * @param {String} resourceBookingId the resource booking id
+ * @returns {WorkPeriod} the work period instance
+ */
+async function _getAdjustmentWorkPeriodOfResourceBooking (resourceBookingId) {
+  const workPeriod = await WorkPeriod.findOne({
+    where: { resourceBookingId, startDate: { [Op.lte]: moment().format('YYYY-MM-DD') } },
+    order: [['startDate', 'desc']]
+  }) || await WorkPeriod.findOne({
+    where: { resourceBookingId },
+    order: [['startDate', 'asc']]
+  })
+  if (!workPeriod) {
+    throw new errors.ConflictError(`id: ${resourceBookingId} "ResourceBooking" has no work periods to attach the adjustment to`)
+  }
+  return workPeriod
+}
+
+/**
+ * Create the adjustment workPeriodPayment, like a bonus, a reimbursement or a correction.
+ * It pays the explicit amount through the same payment scheduler,
+ * and it's not counted in the days and hours paid of the work period.
+ * @param {Object} currentUser the user who perform this operation
+ * @param {Object} adjustment the adjustment to be created
+ * @returns {Object} the created workPeriodPayment
+ */
+async function createAdjustmentWorkPeriodPayment (currentUser, adjustment) {
+  // check permission
+  _checkUserPermissionForCRUWorkPeriodPayment(currentUser)
+  const createdBy = await helper.getUserId(currentUser.userId)
+
+  let correspondingWorkPeriod
+  if (adjustment.workPeriodId) {
+    correspondingWorkPeriod = await helper.ensureWorkPeriodById(adjustment.workPeriodId) // ensure work period exists
+  } else {
+    await helper.ensureResourceBookingById(adjustment.resourceBookingId) // ensure resource booking exists
+    correspondingWorkPeriod = await _getAdjustmentWorkPeriodOfResourceBooking(adjustment.resourceBookingId)
+  }
+  const correspondingResourceBooking = await helper.ensureResourceBookingById(correspondingWorkPeriod.resourceBookingId)
+  const workPeriodPayment = {
+    ..._.pick(adjustment, ['amount', 'reasonCode', 'comment']),
+    workPeriodId: correspondingWorkPeriod.id,
+    type: WorkPeriodPaymentType.ADJUSTMENT,
+    // the adjustment doesn't pay any days, so the timesheet and the days worked are not checked
+    days: 0
+  }
+  return _createSingleWorkPeriodPaymentWithWorkPeriodAndResourceBooking(workPeriodPayment, createdBy, correspondingWorkPeriod.toJSON(), correspondingResourceBooking.toJSON())
+}
+
+createAdjustmentWorkPeriodPayment.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  adjustment: Joi.object().keys({
+    workPeriodId: Joi.string().uuid(),
+    resourceBookingId: Joi.string().uuid(),
+    amount: Joi.number().greater(0).required(),
+    reasonCode: Joi.string().valid(..._.values(WorkPeriodPaymentReasonCode)).required(),
+    comment: Joi.string().max(1000).allow(null)
+  }).xor('workPeriodId', 'resourceBookingId').required()
+}).required()
+
+/**
+ * Create the workPeriodPayments previewed by the bulk or query creation
+ * @param {Object} currentUser the user who perform this operation
+ * @param {String} previewToken the preview token
+ * @returns {Array<Object>} the created workPeriodPayments
+ */
+async function commitWorkPeriodPaymentsPreview (currentUser, previewToken) {
+  // check permission
+  _checkUserPermissionForCRUWorkPeriodPayment(currentUser)
+  const createdBy = await helper.getUserId(currentUser.userId)
+  const tokenData = helper.verifyWorkPeriodPaymentPreviewToken(previewToken)
+  if (tokenData.userId !== createdBy) {
+    throw new errors.ForbiddenError('The preview token is not valid for the user.')
+  }
+  const previewedAt = new Date(tokenData.iat * 1000)
+
+  const result = []
+  for (const payment of tokenData.payments) {
+    try {
+      const successResult = await _commitPreviewedWorkPeriodPayment(payment, createdBy, previewedAt)
+      result.push(successResult)
+    } catch (e) {
+      result.push(_.extend(_.pick(payment, 'workPeriodId'), { error: { message: e.message, code: e.httpStatus } }))
+    }
+  }
+  return result
+}
+
+commitWorkPeriodPaymentsPreview.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  previewToken: Joi.string().required()
 }).required()
 
 /**
@@ -280,11 +544,18 @@ async function updateWorkPeriodPayment (id, data) {
   const oldValue = workPeriodPayment.toJSON()
 
   if (oldValue.status === 'in-progress') {
-    const keys = _.keys(_.pick(data, ['amount', 'days', 'memberRate', 'customerRate', 'billingAccountId']))
+    const keys = _.keys(_.pick(data, ['amount', 'days', 'hours', 'memberRate', 'customerRate', 'billingAccountId']))
     if (keys.length) {
       throw new errors.BadRequestError(`${JSON.stringify(keys)} cannot be updated when workPeriodPayment status is in-progress`)
     }
   }
+  const isAdjustment = oldValue.type === WorkPeriodPaymentType.ADJUSTMENT
+  if (isAdjustment) {
+    const keys = _.keys(_.pick(data, ['days', 'hours', 'memberRate']))
+    if (keys.length) {
+      throw new errors.BadRequestError(`${JSON.stringify(keys)} cannot be updated for the adjustment workPeriodPayment`)
+    }
+  }
 
   if (data.status === 'cancelled' && oldValue.status === 'in-progress') {
     throw new errors.BadRequestError('You cannot cancel a WorkPeriodPayment which is in-progress')
@@ -293,14 +564,26 @@ async function updateWorkPeriodPayment (id, data) {
     if (oldValue.status !== 'failed') {
       throw new errors.BadRequestError(`You cannot schedule a WorkPeriodPayment which is ${oldValue.status}`)
     }
-    const workPeriod = await WorkPeriod.findById(workPeriodPayment.workPeriodId)
-    // we con't check if paymentStatus is 'completed'
-    // because paymentStatus can be in-progress when daysWorked = daysPaid
-    if (workPeriod.daysWorked === workPeriod.daysPaid) {
-      throw new errors.BadRequestError('There is no available daysWorked to schedule a payment')
+    // the adjustment doesn't pay the days or hours worked
+    if (!isAdjustment) {
+      const workPeriod = await WorkPeriod.findById(workPeriodPayment.workPeriodId)
+      // we con't check if paymentStatus is 'completed'
+      // because paymentStatus can be in-progress when daysWorked = daysPaid
+      if (_.isNil(workPeriod.hoursWorked) && workPeriod.daysWorked === workPeriod.daysPaid) {
+        throw new errors.BadRequestError('There is no available daysWorked to schedule a payment')
+      }
+      if (!_.isNil(workPeriod.hoursWorked) && workPeriod.hoursWorked === workPeriod.hoursPaid) {
+        throw new errors.BadRequestError('There is no available hoursWorked to schedule a payment')
+      }
     }
   }
 
+  if (!_.isUndefined(data.days)) {
+    const correspondingWorkPeriod = await helper.ensureWorkPeriodById(workPeriodPayment.workPeriodId) // ensure work period exists
+    if (!_.isNil(correspondingWorkPeriod.hoursWorked)) {
+      throw new errors.BadRequestError(`WorkPeriod: ${correspondingWorkPeriod.id} is paid by hours, "hours" should be updated instead of "days"`)
+    }
+  }
   if (data.days) {
     const correspondingWorkPeriod = await helper.ensureWorkPeriodById(workPeriodPayment.workPeriodId) // ensure work period exists
     const maxPossibleDays = correspondingWorkPeriod.daysWorked - (correspondingWorkPeriod.daysPaid -
@@ -311,6 +594,42 @@ async function updateWorkPeriodPayment (id, data) {
     }
   }
 
+  if (data.hours) {
+    const correspondingWorkPeriod = await helper.ensureWorkPeriodById(workPeriodPayment.workPeriodId) // ensure work period exists
+    if (_.isNil(correspondingWorkPeriod.hoursWorked)) {
+      throw new errors.BadRequestError(`WorkPeriod: ${correspondingWorkPeriod.id} is paid by days, "days" should be updated instead of "hours"`)
+    }
+    const otherHoursPaid = _.round(correspondingWorkPeriod.hoursPaid -
+      (_.includes(ActiveWorkPeriodPaymentStatuses, oldValue.status) ? _.defaultTo(oldValue.hours, 0) : 0), 2)
+    const maxPossibleHours = _.round(correspondingWorkPeriod.hoursWorked - otherHoursPaid, 2)
+    if (data.hours > maxPossibleHours) {
+      throw new errors.BadRequestError(`Cannot update hours paid to more than ${maxPossibleHours}, otherwise total paid hours (${otherHoursPaid}) would be more that total worked hours (${correspondingWorkPeriod.hoursWorked}) for the week.`)
+    }
+    // the hourly payment pays the member rate for each hour
+    const amount = _.round(_.defaultTo(data.memberRate, oldValue.memberRate) * data.hours, 2)
+    if (!_.isUndefined(data.amount) && data.amount !== amount) {
+      throw new errors.BadRequestError(`The amount of ${data.hours} hours should be ${amount}`)
+    }
+    data.amount = amount
+  }
+
+  const paidChanged = _.some(['amount', 'days', 'hours', 'billingAccountId'], key => !_.isUndefined(data[key]) && data[key] !== oldValue[key])
+  // the user who changed what the payment pays is not allowed to approve it, like the one who created it
+  if (paidChanged && data.updatedBy) {
+    data.changedBy = data.updatedBy
+  }
+  // the payment waiting to be processed is checked against the approval threshold again if what it pays is changed
+  const newStatus = data.status || oldValue.status
+  if (_.includes([WorkPeriodPaymentStatus.PENDING_APPROVAL, WorkPeriodPaymentStatus.SCHEDULED], newStatus) && paidChanged) {
+    if (_isApprovalRequired(_.assign({}, oldValue, data))) {
+      data.status = WorkPeriodPaymentStatus.PENDING_APPROVAL
+      data.approvedBy = null
+      data.approvedAt = null
+    } else if (oldValue.approvedBy) {
+      throw new errors.BadRequestError('The amount, days, hours or billingAccountId of the approved WorkPeriodPayment cannot be updated')
+    }
+  }
+
   // challengeId exist and skip dummy challenge
   if (oldValue.challengeId && oldValue.challengeId !== '00000000-0000-0000-0000-000000000000') {
     await _updateChallenge(workPeriodPayment.challengeId, data)
@@ -324,6 +643,7 @@ async function updateWorkPeriodPayment (id, data) {
       entity = updated.toJSON()
 
       await processUpdate({ ...entity, key })
+      await helper.postEvent(config.TAAS_WORK_PERIOD_PAYMENT_UPDATE_TOPIC, entity, { oldValue: oldValue, key, transaction: t })
     })
   } catch (e) {
     if (entity) {
@@ -331,7 +651,6 @@ async function updateWorkPeriodPayment (id, data) {
     }
     throw e
   }
-  await helper.postEvent(config.TAAS_WORK_PERIOD_PAYMENT_UPDATE_TOPIC, entity, { oldValue: oldValue, key })
   return entity
 }
 
@@ -353,6 +672,7 @@ const updateWorkPeriodPaymentSchema = Joi.object().keys({
   status: Joi.workPeriodPaymentUpdateStatus(),
   amount: Joi.number().greater(0),
   days: Joi.number().integer().min(0).max(10),
+  hours: Joi.number().greater(0).max(168),
   memberRate: Joi.number().positive(),
   customerRate: Joi.number().positive().allow(null),
   billingAccountId: Joi.number().positive().integer()
@@ -395,6 +715,98 @@ updateBulkOfWorkPeriodPayments.schema = Joi.object().keys({
   ).required()
 }).required()
 
+/**
+ * Approve the pending workPeriodPayment, so it's scheduled to be processed by the payment scheduler.
+ * The workPeriodPayment should be approved by the user other than the one who created it
+ * or last changed the amount, days, hours or billingAccountId of it.
+ * The workPeriodPayment is locked while approving, so the concurrent approvals don't both pass the status check.
+ * @param {String} id the workPeriodPayment id
+ * @param {String} approvedBy the approver user id
+ * @returns {Object} the approved workPeriodPayment
+ */
+async function _approveSingleWorkPeriodPayment (id, approvedBy) {
+  let entity
+  try {
+    await sequelize.transaction(async (t) => {
+      const workPeriodPayment = await WorkPeriodPayment.findById(id, { lock: t.LOCK.UPDATE, transaction: t })
+      const oldValue = workPeriodPayment.toJSON()
+      if (oldValue.status !== WorkPeriodPaymentStatus.PENDING_APPROVAL) {
+        throw new errors.BadRequestError(`You cannot approve a WorkPeriodPayment which is ${oldValue.status}`)
+      }
+      if (oldValue.createdBy === approvedBy) {
+        throw new errors.ForbiddenError('The WorkPeriodPayment should be approved by the user other than the one who created it')
+      }
+      if (oldValue.changedBy === approvedBy) {
+        throw new errors.ForbiddenError('The WorkPeriodPayment should be approved by the user other than the one who last changed the amount, days, hours or billingAccountId of it')
+      }
+      const key = `workPeriodPayment.billingAccountId:${workPeriodPayment.billingAccountId}`
+      const updated = await workPeriodPayment.update({
+        status: WorkPeriodPaymentStatus.SCHEDULED,
+        approvedBy,
+        approvedAt: new Date(),
+        updatedBy: approvedBy
+      }, { transaction: t })
+      entity = updated.toJSON()
+
+      await processUpdate({ ...entity, key })
+      await helper.postEvent(config.TAAS_WORK_PERIOD_PAYMENT_UPDATE_TOPIC, entity, { oldValue: oldValue, key, transaction: t })
+    })
+  } catch (e) {
+    if (entity) {
+      helper.postErrorEvent(config.TAAS_ERROR_TOPIC, entity, 'workperiodpayment.update')
+    }
+    throw e
+  }
+  return entity
+}
+
+/**
+ * Approve workPeriodPayment by id.
+ * The approve scope only applies to the M2M tokens, the users are allowed by the manage permission,
+ * which is the same as creating the payments, so the two-person rule relies on the creator and changer checks.
+ * @param {Object} currentUser the user who perform this operation
+ * @param {String} id the workPeriodPayment id
+ * @returns {Object} the approved workPeriodPayment
+ */
+async function approveWorkPeriodPayment (currentUser, id) {
+  // check permission
+  _checkUserPermissionForCRUWorkPeriodPayment(currentUser)
+  const approvedBy = await helper.getUserId(currentUser.userId)
+  return _approveSingleWorkPeriodPayment(id, approvedBy)
+}
+
+approveWorkPeriodPayment.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  id: Joi.string().uuid().required()
+}).required()
+
+/**
+ * Approve workPeriodPayments in bulk, the users are allowed the same as `approveWorkPeriodPayment`
+ * @param {Object} currentUser the user who perform this operation
+ * @param {Array<String>} ids the workPeriodPayment ids
+ * @returns {Array<Object>} the approved workPeriodPayments, or the ids with the error
+ */
+async function approveBulkOfWorkPeriodPayments (currentUser, ids) {
+  // check permission
+  _checkUserPermissionForCRUWorkPeriodPayment(currentUser)
+  const approvedBy = await helper.getUserId(currentUser.userId)
+  const result = []
+  for (const id of ids) {
+    try {
+      const successResult = await _approveSingleWorkPeriodPayment(id, approvedBy)
+      result.push(successResult)
+    } catch (e) {
+      result.push({ id, error: { message: e.message, code: e.httpStatus } })
+    }
+  }
+  return result
+}
+
+approveBulkOfWorkPeriodPayments.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  ids: Joi.array().min(1).unique().items(Joi.string().uuid().required()).required()
+}).required()
+
 /**
  * List workPeriodPayments
  * @param {Object} currentUser the user who perform this operation.
@@ -435,7 +847,7 @@ async function searchWorkPeriodPayments (currentUser, criteria, options = { retu
         // https://www.elastic.co/guide/en/elasticsearch/reference/current/index-modules.html#index-max-result-window
       }
     }
-    _.each(_.pick(criteria, ['status', 'workPeriodId']), (value, key) => {
+    _.each(_.pick(criteria, ['status', 'type', 'workPeriodId']), (value, key) => {
       esQuery.body.query.nested.query.bool.must.push({
         term: {
           [`workPeriods.payments.${key}`]: {
@@ -464,6 +876,9 @@ async function searchWorkPeriodPayments (currentUser, criteria, options = { retu
     if (criteria.status) {
       payments = _.filter(payments, { status: criteria.status })
     }
+    if (criteria.type) {
+      payments = _.filter(payments, { type: criteria.type })
+    }
     payments = _.sortBy(payments, [criteria.sortBy])
     if (criteria.sortOrder === 'desc') {
       payments = _.reverse(payments)
@@ -484,7 +899,7 @@ async function searchWorkPeriodPayments (currentUser, criteria, options = { retu
   }
   logger.info({ component: 'WorkPeriodPaymentService', context: 'searchWorkPeriodPayments', message: 'fallback to DB query' })
   const filter = { [Op.and]: [] }
-  _.each(_.pick(criteria, ['status', 'workPeriodId']), (value, key) => {
+  _.each(_.pick(criteria, ['status', 'type', 'workPeriodId']), (value, key) => {
     filter[Op.and].push({ [key]: value })
   })
   if (criteria.workPeriodIds) {
@@ -514,6 +929,7 @@ searchWorkPeriodPayments.schema = Joi.object().keys({
     sortBy: Joi.string().valid('status', 'amount', 'createdAt', 'updatedAt').default('createdAt'),
     sortOrder: Joi.string().valid('desc', 'asc').default('desc'),
     status: Joi.workPeriodPaymentStatus(),
+    type: Joi.string().valid(..._.values(WorkPeriodPaymentType)),
     workPeriodId: Joi.string().uuid(),
     workPeriodIds: Joi.alternatives(
       Joi.string(),
@@ -527,9 +943,10 @@ searchWorkPeriodPayments.schema = Joi.object().keys({
  * Create all query workPeriodPayments
  * @param {Object} currentUser the user who perform this operation.
  * @param {Object} criteria the query criteria
- * @returns {Object} the process result
+ * @param {Boolean} preview flag if only preview the workPeriodPayments without creating them
+ * @returns {Object} the process result, or the preview result
  */
-async function createQueryWorkPeriodPayments (currentUser, criteria) {
+async function createQueryWorkPeriodPayments (currentUser, criteria, preview) {
   // check permission
   _checkUserPermissionForCRUWorkPeriodPayment(currentUser)
   // Joi validation normalizes the dates back to ISO format
@@ -554,13 +971,27 @@ async function createQueryWorkPeriodPayments (currentUser, criteria) {
     query['workPeriods.paymentStatus'] = query['workPeriods.paymentStatus'].trim().split(',').map(ps => Joi.attempt({ paymentStatus: ps.trim() }, Joi.object().keys({ paymentStatus: Joi.paymentStatus() })).paymentStatus)
   }
   const fields = _.join(_.uniq(_.concat(
-    ['id', 'billingAccountId', 'memberRate', 'customerRate', 'workPeriods.id', 'workPeriods.resourceBookingId', 'workPeriods.daysWorked', 'workPeriods.daysPaid'],
+    ['id', 'userId', 'billingAccountId', 'memberRate', 'customerRate', 'rates', 'workPeriods.id', 'workPeriods.resourceBookingId', 'workPeriods.userHandle', 'workPeriods.startDate', 'workPeriods.endDate', 'workPeriods.daysWorked', 'workPeriods.daysPaid', 'workPeriods.hoursWorked', 'workPeriods.hoursPaid', 'workPeriods.timesheetStatus'],
     _.map(_.keys(query), k => k === 'projectIds' ? 'projectId' : k))
   ), ',')
   const searchResult = await searchResourceBookings(currentUser, _.extend({ fields, page: 1 }, query), { returnAll: true, returnFromDB: true })
 
   const wpArray = _.flatMap(searchResult.result, 'workPeriods')
   const resourceBookingMap = _.fromPairs(_.map(searchResult.result, rb => [rb.id, rb]))
+
+  if (preview) {
+    const payments = []
+    const skipped = []
+    for (const wp of wpArray) {
+      try {
+        payments.push(_previewSingleWorkPeriodPaymentWithWorkPeriodAndResourceBooking({ workPeriodId: wp.id }, wp, resourceBookingMap[wp.resourceBookingId]))
+      } catch (err) {
+        skipped.push({ workPeriodId: wp.id, error: { message: err.message, code: err.httpStatus } })
+      }
+    }
+    return { ..._buildPreviewResult(payments, skipped, createdBy), query: rawQuery }
+  }
+
   const result = { total: wpArray.length, query: rawQuery, totalSuccess: 0, totalError: 0 }
 
   for (const wp of wpArray) {
@@ -598,7 +1029,8 @@ createQueryWorkPeriodPayments.schema = Joi.object().keys({
       'workPeriods.endDate': Joi.date().format('YYYY-MM-DD'),
       'workPeriods.userHandle': Joi.string()
     }).required()
-  }).required()
+  }).required(),
+  preview: Joi.boolean().default(false)
 }).required()
 
 module.exports = {
@@ -606,7 +1038,11 @@ module.exports = {
   createWorkPeriodPayment,
   createBulkOfWorkPeriodPayments,
   createQueryWorkPeriodPayments,
+  createAdjustmentWorkPeriodPayment,
+  commitWorkPeriodPaymentsPreview,
   partiallyUpdateWorkPeriodPayment,
   updateBulkOfWorkPeriodPayments,
+  approveWorkPeriodPayment,
+  approveBulkOfWorkPeriodPayments,
   searchWorkPeriodPayments
 }
@@ -236,6 +236,7 @@ async function createWorkPeriod (workPeriod) {
       const created = await WorkPeriod.create(workPeriod, { transaction: t })
       entity = created.toJSON()
       await processCreate({ ...entity, key })
+      await helper.postEvent(config.TAAS_WORK_PERIOD_CREATE_TOPIC, entity, { key, transaction: t })
     })
   } catch (err) {
     if (entity) {
@@ -247,7 +248,6 @@ async function createWorkPeriod (workPeriod) {
       throw err
     }
   }
-  await helper.postEvent(config.TAAS_WORK_PERIOD_CREATE_TOPIC, entity, { key })
   return entity
 }
 
@@ -259,28 +259,73 @@ createWorkPeriod.schema = Joi.object().keys({
     sentSurvey: Joi.boolean().default(false),
     daysWorked: Joi.number().integer().min(0).max(5).required(),
     daysPaid: Joi.number().default(0).forbidden(),
+    hoursWorked: Joi.number().min(0).max(168).allow(null),
+    hoursPaid: Joi.number().default(0).forbidden(),
     paymentTotal: Joi.number().default(0).forbidden(),
     paymentStatus: Joi.paymentStatus().required()
   }).required()
 }).required()
 
 /**
-  * Update workPeriod
+  * Save the workPeriod changes to DB, ES and post the update event
+  * @param {Object} workPeriod the workPeriod instance with payments
+  * @param {Object} data the data to be updated
+  * @param {Object} transaction the transaction to join, a new one is started if not provided
+  * @param {Boolean} postEvent whether to post the event, the caller could post its own event covering the change instead
+  * @returns {Object} the updated workPeriod
+  */
+async function _updateWorkPeriod (workPeriod, data, transaction, postEvent = true) {
+  const oldValue = workPeriod.toJSON()
+  const key = `resourceBooking.id:${workPeriod.resourceBookingId}`
+  let entity
+  const update = async (t) => {
+    const updated = await workPeriod.update(data, { transaction: t })
+    entity = updated.toJSON()
+
+    entity = _.omit(entity, ['payments'])
+    await processUpdate({ ...entity, key })
+    if (postEvent) {
+      const oldValueWithoutPayments = _.omit(oldValue, ['payments'])
+      await helper.postEvent(config.TAAS_WORK_PERIOD_UPDATE_TOPIC, entity, { oldValue: oldValueWithoutPayments, key, transaction: t })
+    }
+  }
+  try {
+    await (transaction ? update(transaction) : sequelize.transaction(update))
+  } catch (e) {
+    if (entity) {
+      helper.postErrorEvent(config.TAAS_ERROR_TOPIC, entity, 'workperiod.update')
+    }
+    throw e
+  }
+  return entity
+}
+
+/**
+  * Update workPeriod.
+  * If the admin changes the days or hours worked of the approved timesheet, the timesheet should be approved again.
   * @param {Object} currentUser the user who perform this operation
   * @param {String} id the workPeriod id
   * @param {Object} data the data to be updated
+  * @param {Object} transaction the transaction to join, a new one is started if not provided
+  * @param {Boolean} postEvent whether to post the event, the caller could post its own event covering the change instead
   * @returns {Object} the updated workPeriod
   */
-async function updateWorkPeriod (currentUser, id, data) {
+async function updateWorkPeriod (currentUser, id, data, transaction, postEvent = true) {
   // check permission
   await _checkUserPermissionForWriteWorkPeriod(currentUser)
 
-  const workPeriod = await WorkPeriod.findById(id, { withPayments: true })
+  const workPeriod = await WorkPeriod.findById(id, { withPayments: true, transaction })
   const oldValue = workPeriod.toJSON()
   if (data.daysWorked < oldValue.daysPaid) {
     throw new errors.BadRequestError(`Cannot update daysWorked (${data.daysWorked}) to the value less than daysPaid (${oldValue.daysPaid})`)
   }
+  if (data.hoursWorked < oldValue.hoursPaid) {
+    throw new errors.BadRequestError(`Cannot update hoursWorked (${data.hoursWorked}) to the value less than hoursPaid (${oldValue.hoursPaid})`)
+  }
   const resourceBooking = await helper.ensureResourceBookingById(oldValue.resourceBookingId)
+  if (!_.isNil(data.hoursWorked) && resourceBooking.rateType !== constants.RateType.HOURLY) {
+    throw new errors.BadRequestError(`Cannot update hoursWorked of the WorkPeriod with "${resourceBooking.rateType}" rate type`)
+  }
   const weeks = helper.extractWorkPeriods(resourceBooking.startDate, resourceBooking.endDate)
   if (_.isEmpty(weeks)) {
     throw new errors.ConflictError('Resource booking has missing dates')
@@ -289,29 +334,21 @@ async function updateWorkPeriod (currentUser, id, data) {
   if (_.isNil(thisWeek)) {
     throw new errors.ConflictError('Work Period dates are not compatible with Resource Booking dates')
   }
+  // the days or hours of the approved timesheet changed by the admin are sent back to the customer for approval,
+  // the machine only trims the days which are not worked anymore when the resource booking is cancelled
+  if (!currentUser.isMachine && oldValue.timesheetStatus === constants.WorkPeriodTimesheetStatus.APPROVED &&
+    _.some(['daysWorked', 'hoursWorked'], key => !_.isUndefined(data[key]) && data[key] !== oldValue[key])) {
+    _.assign(data, {
+      timesheetStatus: constants.WorkPeriodTimesheetStatus.SUBMITTED,
+      timesheetReviewedAt: null,
+      timesheetReviewedBy: null
+    })
+  }
   data.paymentStatus = helper.calculateWorkPeriodPaymentStatus(_.assign({}, oldValue, data))
   if (!currentUser.isMachine) {
     data.updatedBy = await helper.getUserId(currentUser.userId)
   }
-  const key = `resourceBooking.id:${workPeriod.resourceBookingId}`
-  let entity
-  try {
-    await sequelize.transaction(async (t) => {
-      const updated = await workPeriod.update(data, { transaction: t })
-      entity = updated.toJSON()
-
-      entity = _.omit(entity, ['payments'])
-      await processUpdate({ ...entity, key })
-    })
-  } catch (e) {
-    if (entity) {
-      helper.postErrorEvent(config.TAAS_ERROR_TOPIC, entity, 'workperiod.update')
-    }
-    throw e
-  }
-  const oldValueWithoutPayments = _.omit(oldValue, ['payments'])
-  await helper.postEvent(config.TAAS_WORK_PERIOD_UPDATE_TOPIC, entity, { oldValue: oldValueWithoutPayments, key })
-  return entity
+  return _updateWorkPeriod(workPeriod, data, transaction, postEvent)
 }
 
 /**
@@ -319,10 +356,12 @@ async function updateWorkPeriod (currentUser, id, data) {
   * @param {Object} currentUser the user who perform this operation
   * @param {String} id the workPeriod id
   * @param {Object} data the data to be updated
+  * @param {Object} transaction the transaction to join, a new one is started if not provided
+  * @param {Boolean} postEvent whether to post the event, the caller could post its own event covering the change instead
   * @returns {Object} the updated workPeriod
   */
-async function partiallyUpdateWorkPeriod (currentUser, id, data) {
-  return updateWorkPeriod(currentUser, id, data)
+async function partiallyUpdateWorkPeriod (currentUser, id, data, transaction, postEvent = true) {
+  return updateWorkPeriod(currentUser, id, data, transaction, postEvent)
 }
 
 partiallyUpdateWorkPeriod.schema = Joi.object().keys({
@@ -330,45 +369,250 @@ partiallyUpdateWorkPeriod.schema = Joi.object().keys({
   id: Joi.string().uuid().required(),
   data: Joi.object().keys({
     daysWorked: Joi.number().integer().min(0).max(10),
+    hoursWorked: Joi.number().min(0).max(168).allow(null),
     sentSurvey: Joi.boolean(),
     sentSurveyError: Joi.object().keys({
       errorCode: Joi.number().integer().min(0),
       errorMessage: Joi.string()
     })
-  }).required().min(1)
+  }).required().min(1),
+  transaction: Joi.object(),
+  postEvent: Joi.boolean().default(true)
 }).required()
 
 /**
-  * Delete workPeriod by id
+  * Submit the timesheet of the workPeriod.
+  * The member reports the days worked in the week, and also the hours worked for the hourly rate resource booking.
+  * The timesheet awaits for the customer approval.
+  * The timesheet could be submitted again until it's approved.
+  * @param {Object} currentUser the user who perform this operation
   * @param {String} id the workPeriod id
+  * @param {Object} data the timesheet data
+  * @returns {Object} the updated workPeriod
+  */
+async function submitWorkPeriodTimesheet (currentUser, id, data) {
+  const workPeriod = await WorkPeriod.findById(id, { withPayments: true })
+  const oldValue = workPeriod.toJSON()
+  const resourceBooking = await helper.ensureResourceBookingById(oldValue.resourceBookingId)
+  const userId = await helper.getUserId(currentUser.userId)
+  if (!currentUser.hasManagePermission && !currentUser.isMachine && userId !== resourceBooking.userId) {
+    throw new errors.ForbiddenError('Only the member of the resource booking is allowed to submit the timesheet.')
+  }
+  if (oldValue.timesheetStatus === constants.WorkPeriodTimesheetStatus.APPROVED) {
+    throw new errors.BadRequestError('The timesheet is already approved.')
+  }
+  if (moment(oldValue.startDate).isAfter(moment(), 'day')) {
+    throw new errors.BadRequestError(`The timesheet cannot be submitted before the WorkPeriod starts on ${oldValue.startDate}.`)
+  }
+  // the holidays and the time off of the member are not counted as the booked days
+  const nonWorkingDates = await helper.getNonWorkingDates(resourceBooking)
+  const thisWeek = _.find(helper.extractWorkPeriods(resourceBooking.startDate, resourceBooking.endDate, nonWorkingDates), ['startDate', oldValue.startDate])
+  if (_.isNil(thisWeek)) {
+    throw new errors.ConflictError('Work Period dates are not compatible with Resource Booking dates')
+  }
+  if (data.daysWorked > thisWeek.daysWorked) {
+    throw new errors.BadRequestError(`Cannot submit daysWorked (${data.daysWorked}) more than the booked working days (${thisWeek.daysWorked})`)
+  }
+  if (data.daysWorked < oldValue.daysPaid) {
+    throw new errors.BadRequestError(`Cannot submit daysWorked (${data.daysWorked}) less than daysPaid (${oldValue.daysPaid})`)
+  }
+  const isHourly = resourceBooking.rateType === constants.RateType.HOURLY
+  if (isHourly && _.isUndefined(data.hoursWorked)) {
+    throw new errors.BadRequestError('"hoursWorked" is required for the hourly rate resource booking')
+  }
+  if (!isHourly && !_.isUndefined(data.hoursWorked)) {
+    throw new errors.BadRequestError(`"hoursWorked" is not allowed for the "${resourceBooking.rateType}" rate resource booking`)
+  }
+  if (data.hoursWorked < oldValue.hoursPaid) {
+    throw new errors.BadRequestError(`Cannot submit hoursWorked (${data.hoursWorked}) less than hoursPaid (${oldValue.hoursPaid})`)
+  }
+  const changes = {
+    daysWorked: data.daysWorked,
+    ..._.pick(data, 'hoursWorked'),
+    timesheetStatus: constants.WorkPeriodTimesheetStatus.SUBMITTED,
+    timesheetSubmittedAt: new Date(),
+    timesheetSubmittedBy: userId,
+    timesheetReviewedAt: null,
+    timesheetReviewedBy: null,
+    timesheetComment: data.comment || null,
+    updatedBy: userId
+  }
+  changes.paymentStatus = helper.calculateWorkPeriodPaymentStatus(_.assign({}, oldValue, changes))
+  return _updateWorkPeriod(workPeriod, changes)
+}
+
+submitWorkPeriodTimesheet.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  id: Joi.string().uuid().required(),
+  data: Joi.object().keys({
+    daysWorked: Joi.number().integer().min(0).max(5).required(),
+    hoursWorked: Joi.number().min(0).max(168),
+    comment: Joi.string().max(1000).allow(null)
+  }).required()
+}).required()
+
+/**
+  * Approve or dispute the submitted timesheet of the workPeriod
+  * @param {Object} currentUser the user who perform this operation
+  * @param {String} id the workPeriod id
+  * @param {String} timesheetStatus the new timesheet status
+  * @param {String} comment the review comment
+  * @returns {Object} the updated workPeriod
   */
-async function deleteWorkPeriod (id) {
+async function _reviewWorkPeriodTimesheet (currentUser, id, timesheetStatus, comment) {
   const workPeriod = await WorkPeriod.findById(id, { withPayments: true })
+  await _checkUserPermissionForGetWorkPeriod(currentUser, workPeriod.projectId)
+  const resourceBooking = await helper.ensureResourceBookingById(workPeriod.resourceBookingId)
+  const userId = await helper.getUserId(currentUser.userId)
+  if (!currentUser.hasManagePermission && !currentUser.isMachine && userId === resourceBooking.userId) {
+    throw new errors.ForbiddenError('The member is not allowed to review their own timesheet.')
+  }
+  if (workPeriod.timesheetStatus !== constants.WorkPeriodTimesheetStatus.SUBMITTED) {
+    throw new errors.BadRequestError(`Only the submitted timesheet could be reviewed, the timesheet status is "${workPeriod.timesheetStatus}".`)
+  }
+  return _updateWorkPeriod(workPeriod, {
+    timesheetStatus,
+    timesheetReviewedAt: new Date(),
+    timesheetReviewedBy: userId,
+    timesheetComment: comment || workPeriod.timesheetComment,
+    updatedBy: userId
+  })
+}
+
+/**
+  * Approve the submitted timesheet of the workPeriod, the days worked become payable.
+  * @param {Object} currentUser the user who perform this operation
+  * @param {String} id the workPeriod id
+  * @param {Object} data the approval data
+  * @returns {Object} the updated workPeriod
+  */
+async function approveWorkPeriodTimesheet (currentUser, id, data) {
+  return _reviewWorkPeriodTimesheet(currentUser, id, constants.WorkPeriodTimesheetStatus.APPROVED, data.comment)
+}
+
+approveWorkPeriodTimesheet.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  id: Joi.string().uuid().required(),
+  data: Joi.object().keys({
+    comment: Joi.string().max(1000).allow(null)
+  }).default({})
+}).required()
+
+/**
+  * Dispute the submitted timesheet of the workPeriod, the member should submit it again.
+  * @param {Object} currentUser the user who perform this operation
+  * @param {String} id the workPeriod id
+  * @param {Object} data the dispute data
+  * @returns {Object} the updated workPeriod
+  */
+async function disputeWorkPeriodTimesheet (currentUser, id, data) {
+  return _reviewWorkPeriodTimesheet(currentUser, id, constants.WorkPeriodTimesheetStatus.DISPUTED, data.comment)
+}
+
+disputeWorkPeriodTimesheet.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  id: Joi.string().uuid().required(),
+  data: Joi.object().keys({
+    comment: Joi.string().max(1000).required()
+  }).required()
+}).required()
+
+/**
+  * Flag the paid days and hours of the workPeriod which are not worked anymore for the clawback review.
+  * It's called when the resource booking is cancelled, so the workPeriod could be out of the resource booking dates.
+  * @param {String} id the workPeriod id
+  * @param {Object} clawback the overpaid days, hours and amount
+  * @param {Object} transaction the transaction to join, a new one is started if not provided
+  * @param {Boolean} postEvent whether to post the event, the caller could post its own event covering the change instead
+  * @returns {Object} the updated workPeriod
+  */
+async function flagWorkPeriodClawback (id, clawback, transaction, postEvent = true) {
+  const workPeriod = await WorkPeriod.findById(id, { withPayments: true, transaction })
+  const changes = {
+    clawbackStatus: constants.WorkPeriodClawbackStatus.PENDING_REVIEW,
+    clawbackDays: clawback.days,
+    clawbackHours: clawback.hours,
+    clawbackAmount: clawback.amount
+  }
+  // the same clawback is not flagged again
+  if (_.isMatch(workPeriod.toJSON(), changes)) {
+    return _.omit(workPeriod.toJSON(), ['payments'])
+  }
+  return _updateWorkPeriod(workPeriod, changes, transaction, postEvent)
+}
+
+flagWorkPeriodClawback.schema = Joi.object().keys({
+  id: Joi.string().uuid().required(),
+  clawback: Joi.object().keys({
+    days: Joi.number().integer().min(0).required(),
+    hours: Joi.number().min(0).allow(null).required(),
+    amount: Joi.number().min(0).required()
+  }).required(),
+  transaction: Joi.object(),
+  postEvent: Joi.boolean().default(true)
+}).required()
+
+/**
+  * Resolve the clawback review of the workPeriod.
+  * @param {Object} currentUser the user who perform this operation
+  * @param {String} id the workPeriod id
+  * @returns {Object} the updated workPeriod
+  */
+async function resolveWorkPeriodClawback (currentUser, id) {
+  await _checkUserPermissionForWriteWorkPeriod(currentUser)
+  const workPeriod = await WorkPeriod.findById(id, { withPayments: true })
+  if (workPeriod.clawbackStatus !== constants.WorkPeriodClawbackStatus.PENDING_REVIEW) {
+    throw new errors.BadRequestError(`The WorkPeriod has no clawback pending review, the clawback status is "${workPeriod.clawbackStatus}".`)
+  }
+  return _updateWorkPeriod(workPeriod, {
+    clawbackStatus: constants.WorkPeriodClawbackStatus.RESOLVED,
+    updatedBy: await helper.getUserId(currentUser.userId)
+  })
+}
+
+resolveWorkPeriodClawback.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  id: Joi.string().uuid().required()
+}).required()
+
+/**
+  * Delete workPeriod by id
+  * @param {String} id the workPeriod id
+  * @param {Object} transaction the transaction to join, a new one is started if not provided
+  * @param {Boolean} postEvent whether to post the event, the caller could post its own event covering the change instead
+  */
+async function deleteWorkPeriod (id, transaction, postEvent = true) {
+  const workPeriod = await WorkPeriod.findById(id, { withPayments: true, transaction })
   if (_.some(workPeriod.payments, payment => constants.ActiveWorkPeriodPaymentStatuses.indexOf(payment.status) !== -1)) {
     throw new errors.BadRequestError(`Can't delete WorkPeriod as it has associated WorkPeriodsPayment with one of statuses ${constants.ActiveWorkPeriodPaymentStatuses.join(', ')}`)
   }
 
   const key = `resourceBooking.id:${workPeriod.resourceBookingId}`
-  try {
-    await sequelize.transaction(async (t) => {
-      await models.WorkPeriodPayment.destroy({
-        where: {
-          workPeriodId: id
-        },
-        transaction: t
-      })
-      await workPeriod.destroy({ transaction: t })
-      await processDelete({ id, key })
+  const destroy = async (t) => {
+    await models.WorkPeriodPayment.destroy({
+      where: {
+        workPeriodId: id
+      },
+      transaction: t
     })
+    await workPeriod.destroy({ transaction: t })
+    await processDelete({ id, key })
+    if (postEvent) {
+      await helper.postEvent(config.TAAS_WORK_PERIOD_DELETE_TOPIC, { id }, { key, transaction: t })
+    }
+  }
+  try {
+    await (transaction ? destroy(transaction) : sequelize.transaction(destroy))
   } catch (e) {
     helper.postErrorEvent(config.TAAS_ERROR_TOPIC, { id }, 'workperiod.delete')
     throw e
   }
-  await helper.postEvent(config.TAAS_WORK_PERIOD_DELETE_TOPIC, { id }, { key })
 }
 
 deleteWorkPeriod.schema = Joi.object().keys({
-  id: Joi.string().uuid().required()
+  id: Joi.string().uuid().required(),
+  transaction: Joi.object(),
+  postEvent: Joi.boolean().default(true)
 }).required()
 
 /**
@@ -438,7 +682,7 @@ async function searchWorkPeriods (currentUser, criteria, options = { returnAll:
       criteria.endDate = moment(criteria.endDate).format('YYYY-MM-DD')
     }
     // Apply filters
-    _.each(_.pick(criteria, ['resourceBookingId', 'userHandle', 'projectId', 'startDate', 'endDate']), (value, key) => {
+    _.each(_.pick(criteria, ['resourceBookingId', 'userHandle', 'projectId', 'startDate', 'endDate', 'timesheetStatus', 'clawbackStatus']), (value, key) => {
       esQuery.body.query.nested.query.bool.must.push({
         term: {
           [`workPeriods.${key}`]: {
@@ -493,7 +737,7 @@ async function searchWorkPeriods (currentUser, criteria, options = { returnAll:
   }
   logger.info({ component: 'WorkPeriodService', context: 'searchWorkPeriods', message: 'fallback to DB query' })
   const filter = { [Op.and]: [] }
-  _.each(_.pick(criteria, ['resourceBookingId', 'userHandle', 'projectId', 'startDate', 'endDate', 'paymentStatus']), (value, key) => {
+  _.each(_.pick(criteria, ['resourceBookingId', 'userHandle', 'projectId', 'startDate', 'endDate', 'paymentStatus', 'timesheetStatus', 'clawbackStatus']), (value, key) => {
     filter[Op.and].push({ [key]: value })
   })
   if (criteria.resourceBookingIds) {
@@ -533,7 +777,7 @@ searchWorkPeriods.schema = Joi.object().keys({
   criteria: Joi.object().keys({
     page: Joi.number().integer().min(1).default(1),
     perPage: Joi.number().integer().min(1).max(10000).default(20),
-    sortBy: Joi.string().valid('id', 'resourceBookingId', 'userHandle', 'projectId', 'startDate', 'endDate', 'daysWorked', 'customerRate', 'memberRate', 'paymentStatus'),
+    sortBy: Joi.string().valid('id', 'resourceBookingId', 'userHandle', 'projectId', 'startDate', 'endDate', 'daysWorked', 'hoursWorked', 'customerRate', 'memberRate', 'paymentStatus'),
     sortOrder: Joi.string().valid('desc', 'asc'),
     paymentStatus: Joi.alternatives(
       Joi.string(),
@@ -544,6 +788,8 @@ searchWorkPeriods.schema = Joi.object().keys({
     userHandle: Joi.string(),
     projectId: Joi.number().integer(),
     resourceBookingId: Joi.string().uuid(),
+    timesheetStatus: Joi.string().valid(..._.values(constants.WorkPeriodTimesheetStatus)),
+    clawbackStatus: Joi.string().valid(..._.values(constants.WorkPeriodClawbackStatus)),
     sentSurvey: Joi.boolean(),
     sentSurveyError: Joi.object().keys({
       errorCode: Joi.number().integer().min(0),
@@ -561,6 +807,11 @@ module.exports = {
   getWorkPeriod,
   createWorkPeriod,
   partiallyUpdateWorkPeriod,
+  submitWorkPeriodTimesheet,
+  approveWorkPeriodTimesheet,
+  disputeWorkPeriodTimesheet,
+  flagWorkPeriodClawback,
+  resolveWorkPeriodClawback,
   deleteWorkPeriod,
   searchWorkPeriods
 }
@@ -3,52 +3,147 @@ const axios = require('axios')
 const jwt = require('jsonwebtoken')
 const config = require('config')
 const moment = require('moment')
+const Joi = require('joi')
+const { Op } = require('sequelize')
+const errors = require('../common/errors')
+const models = require('../models')
+const { Interviews: InterviewConstants } = require('../../app-constants')
+
+const Interview = models.Interview
+const ZoomAccount = models.ZoomAccount
 
 // get & parse all Zoom account credentials in an in-memory array
-const ALL_ZOOM_ACCOUNTS = _.split(config.ZOOM_ACCOUNTS, ',')
+const ALL_ZOOM_ACCOUNTS = _.compact(_.split(config.ZOOM_ACCOUNTS, ','))
 let currentZoomAccountIndex = -1
 
+// the interview statuses in which the meeting occupies the Zoom account
+const ActiveMeetingStatuses = [
+  InterviewConstants.Status.Scheduled,
+  InterviewConstants.Status.Rescheduled,
+  InterviewConstants.Status.RequestedForReschedule
+]
+
+// the accounts picked for the meetings which are not saved to the interviews yet are reserved for a while,
+// so the meetings created at the same time don't land on the same account.
+const PendingReservationTimeout = 60 * 1000 // 60 seconds
+
 /**
- * Get Zoom account credentials from the list credentials by round robin
+ * Get Zoom account credentials by the api key
  *
  * @param {String} apiKey zoom account api key
  * @returns { zoomAccountApiKey: string, zoomAccountApiSecret: string } zoom account credentials
  */
-function getZoomAccountByRoundRobin (apiKey) {
-  if (ALL_ZOOM_ACCOUNTS.length === 0) {
-    throw new Error('No Zoom accounts is configured by "ALL_ZOOM_ACCOUNTS" environment variable.')
+function getZoomAccount (apiKey) {
+  const zoomAccount = _.find(ALL_ZOOM_ACCOUNTS, a => _.startsWith(a, `${apiKey}:`))
+  if (!zoomAccount) {
+    throw new Error(`No Zoom accounts is configured by "ZOOM_ACCOUNTS" environment matching the interview zoom meeting account ${apiKey}.`)
   }
+  const [zoomAccountApiKey, zoomAccountApiSecret] = _.split(zoomAccount, ':')
+  return { zoomAccountApiKey, zoomAccountApiSecret }
+}
 
-  if (apiKey) {
-    const zoomAccount = _.find(ALL_ZOOM_ACCOUNTS, a => _.startsWith(a, `${apiKey}:`))
-    if (zoomAccount) {
-      const [zoomAccountApiKey, zoomAccountApiSecret] = _.split(zoomAccount, ':')
-      return { zoomAccountApiKey, zoomAccountApiSecret }
-    } else {
-      throw new Error(`No Zoom accounts is configured by "ALL_ZOOM_ACCOUNTS" environment matching the interview zoom meeting account ${apiKey}.`)
-    }
-  }
+/**
+ * Get the reservations of the Zoom account which are not expired yet
+ *
+ * @param {Object} zoomAccount the zoom account record
+ * @returns {Array} the active reservations
+ */
+function getActiveReservations (zoomAccount) {
+  return _.filter(zoomAccount.reservations, r => moment(r.expiresAt).valueOf() > Date.now())
+}
 
-  const nextIndex = currentZoomAccountIndex + 1
-  currentZoomAccountIndex = nextIndex >= ALL_ZOOM_ACCOUNTS.length ? 0 : nextIndex
+/**
+ * Get the api keys of the Zoom accounts which have meetings or reservations overlapping the time range
+ *
+ * @param {Date} startTime the start time of the range
+ * @param {Date} endTime the end time of the range
+ * @param {String} excludeInterviewId the interview which is not counted, used when the interview is rescheduled
+ * @param {Array} zoomAccounts the zoom account records holding the reservations
+ * @returns {Array} the api keys of the busy accounts
+ */
+async function getBusyZoomAccountApiKeys (startTime, endTime, excludeInterviewId, zoomAccounts) {
+  const where = {
+    zoomAccountApiKey: { [Op.ne]: null },
+    status: ActiveMeetingStatuses,
+    startTimestamp: { [Op.lt]: endTime },
+    endTimestamp: { [Op.gt]: startTime }
+  }
+  if (excludeInterviewId) {
+    where.id = { [Op.ne]: excludeInterviewId }
+  }
+  const interviews = await Interview.findAll({ where, attributes: ['zoomAccountApiKey'], raw: true })
+  const reserved = _.filter(zoomAccounts, account => _.some(getActiveReservations(account),
+    r => moment(r.startTime).isBefore(endTime) && moment(r.endTime).isAfter(startTime)))
+  return _.uniq([..._.map(interviews, 'zoomAccountApiKey'), ..._.map(reserved, 'apiKey')])
+}
 
-  const [zoomAccountApiKey, zoomAccountApiSecret] = ALL_ZOOM_ACCOUNTS[currentZoomAccountIndex].split(':')
+/**
+ * Check if the Zoom account has no other meetings at the time
+ *
+ * @param {String} apiKey zoom account api key
+ * @param {Date} startTime the start time of the meeting
+ * @param {Integer} duration the duration of the meeting
+ * @param {String} excludeInterviewId the interview which is not counted
+ * @returns {Boolean} whether the account is available
+ */
+async function isZoomAccountAvailable (apiKey, startTime, duration, excludeInterviewId) {
+  const endTime = moment(startTime).add(duration, 'minutes').toDate()
+  const zoomAccounts = await ZoomAccount.findAll({ where: { apiKey } })
+  const busyApiKeys = await getBusyZoomAccountApiKeys(startTime, endTime, excludeInterviewId, zoomAccounts)
+  return !_.includes(busyApiKeys, apiKey)
+}
 
-  return {
-    zoomAccountApiKey,
-    zoomAccountApiSecret
+/**
+ * Pick the Zoom account which has no other meetings at the time.
+ * The accounts are tried by round robin, so the meetings are spread over the pool.
+ * The account records are locked while picking, and the picked account is reserved for the meeting,
+ * so the other API instances don't pick it for a meeting at the same time.
+ *
+ * @param {Date} startTime the start time of the meeting
+ * @param {Integer} duration the duration of the meeting
+ * @param {String} excludeInterviewId the interview which is not counted
+ * @returns { zoomAccountApiKey: string, zoomAccountApiSecret: string } zoom account credentials
+ */
+async function pickAvailableZoomAccount (startTime, duration, excludeInterviewId) {
+  if (ALL_ZOOM_ACCOUNTS.length === 0) {
+    throw new Error('No Zoom accounts is configured by "ZOOM_ACCOUNTS" environment variable.')
   }
+  const endTime = moment(startTime).add(duration, 'minutes').toDate()
+  const apiKeys = _.map(ALL_ZOOM_ACCOUNTS, account => _.split(account, ':')[0])
+  return models.sequelize.transaction(async (t) => {
+    await ZoomAccount.bulkCreate(_.map(apiKeys, apiKey => ({ apiKey })), { ignoreDuplicates: true, transaction: t })
+    const zoomAccounts = await ZoomAccount.findAll({
+      where: { apiKey: apiKeys },
+      order: [['apiKey', 'ASC']],
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    })
+    const busyApiKeys = await getBusyZoomAccountApiKeys(startTime, endTime, excludeInterviewId, zoomAccounts)
+    for (let i = 1; i <= ALL_ZOOM_ACCOUNTS.length; i++) {
+      const index = (currentZoomAccountIndex + i) % ALL_ZOOM_ACCOUNTS.length
+      const [zoomAccountApiKey, zoomAccountApiSecret] = ALL_ZOOM_ACCOUNTS[index].split(':')
+      if (!_.includes(busyApiKeys, zoomAccountApiKey)) {
+        currentZoomAccountIndex = index
+        const zoomAccount = _.find(zoomAccounts, { apiKey: zoomAccountApiKey })
+        const reservations = [
+          ...getActiveReservations(zoomAccount),
+          { startTime, endTime, expiresAt: new Date(Date.now() + PendingReservationTimeout) }
+        ]
+        await zoomAccount.update({ reservations }, { transaction: t })
+        return { zoomAccountApiKey, zoomAccountApiSecret }
+      }
+    }
+    throw new errors.ConflictError(`All the ${ALL_ZOOM_ACCOUNTS.length} Zoom accounts already have meetings between ${moment(startTime).utc().format()} and ${moment(endTime).utc().format()}.`)
+  })
 }
 
 /**
  * Generate a Zoom JWT bearer access token
  *
- * @param {String} apiKey zoom account api key
+ * @param {Object} zoomAccount zoom account credentials
  * @returns JWT bearer access token for Zoom API access
  */
-async function generateZoomJWTBearerAccessToken (apiKey) {
-  const { zoomAccountApiKey, zoomAccountApiSecret } = getZoomAccountByRoundRobin(apiKey)
-
+function generateZoomJWTBearerAccessToken ({ zoomAccountApiKey, zoomAccountApiSecret }) {
   const accessToken = jwt.sign(
     {},
     zoomAccountApiSecret,
@@ -59,7 +154,7 @@ async function generateZoomJWTBearerAccessToken (apiKey) {
     }
   )
 
-  return { accessToken, zoomAccountApiKey }
+  return accessToken
 }
 
 /**
@@ -67,10 +162,13 @@ async function generateZoomJWTBearerAccessToken (apiKey) {
  *
  * @param {Date} startTime the start time of the meeting
  * @param {Integer} duration the duration of the meeting
+ * @param {String} excludeInterviewId the interview which is not counted when picking the account
  * @returns Zoom API response
  */
-async function createZoomMeeting (startTime, duration) {
-  const { accessToken, zoomAccountApiKey } = await generateZoomJWTBearerAccessToken()
+async function createZoomMeeting (startTime, duration, excludeInterviewId) {
+  const zoomAccount = await pickAvailableZoomAccount(startTime, duration, excludeInterviewId)
+  const zoomAccountApiKey = zoomAccount.zoomAccountApiKey
+  const accessToken = generateZoomJWTBearerAccessToken(zoomAccount)
 
   // POST request details in Zoom API docs:
   // https://marketplace.zoom.us/docs/api-reference/zoom-api/meetings/meetingcreate
@@ -95,11 +193,12 @@ async function createZoomMeeting (startTime, duration) {
  *
  * @param {Date} startTime the start time of the meeting
  * @param {Integer} duration the duration of the meeting
+ * @param {String} excludeInterviewId the interview which is not counted when picking the account
  * @returns The meeting urls for the Zoom meeting
  */
-async function generateZoomMeetingLink (startTime, duration) {
+async function generateZoomMeetingLink (startTime, duration, excludeInterviewId) {
   try {
-    const { meeting, zoomAccountApiKey } = await createZoomMeeting(startTime, duration)
+    const { meeting, zoomAccountApiKey } = await createZoomMeeting(startTime, duration, excludeInterviewId)
 
     // learn more: https://marketplace.zoom.us/docs/api-reference/zoom-api/meetings/meetingcreate#responses
     console.log(meeting.start_url, 'Zoom meeting link for host')
@@ -122,7 +221,7 @@ async function generateZoomMeetingLink (startTime, duration) {
  * @returns {undefined}
  */
 async function updateZoomMeeting (startTime, duration, zoomAccountApiKey, zoomMeetingId) {
-  const { accessToken } = await generateZoomJWTBearerAccessToken(zoomAccountApiKey)
+  const accessToken = generateZoomJWTBearerAccessToken(getZoomAccount(zoomAccountApiKey))
   // PATCH request details in Zoom API docs:
   // https://marketplace.zoom.us/docs/api-reference/zoom-api/meetings/meetingupdate
   await axios.patch(`https://api.zoom.us/v2/meetings/${zoomMeetingId}`, {
@@ -143,7 +242,7 @@ async function updateZoomMeeting (startTime, duration, zoomAccountApiKey, zoomMe
  * @returns {undefined}
  */
 async function cancelZoomMeeting (zoomAccountApiKey, zoomMeetingId) {
-  const { accessToken } = await generateZoomJWTBearerAccessToken(zoomAccountApiKey)
+  const accessToken = generateZoomJWTBearerAccessToken(getZoomAccount(zoomAccountApiKey))
   // DELETE request details in Zoom API docs:
   // https://marketplace.zoom.us/docs/api-reference/zoom-api/meetings/meetingdelete
   await axios.delete(`https://api.zoom.us/v2/meetings/${zoomMeetingId}`, {
@@ -161,7 +260,7 @@ async function cancelZoomMeeting (zoomAccountApiKey, zoomMeetingId) {
  * @returns {undefined}
  */
 async function getZoomMeeting (zoomAccountApiKey, zoomMeetingId) {
-  const { accessToken } = await generateZoomJWTBearerAccessToken(zoomAccountApiKey)
+  const accessToken = generateZoomJWTBearerAccessToken(getZoomAccount(zoomAccountApiKey))
   // GET request details in Zoom API docs:
   // https://marketplace.zoom.us/docs/api-reference/zoom-api/meetings/meeting
   const res = await axios.get(`https://api.zoom.us/v2/meetings/${zoomMeetingId}`, {
@@ -172,4 +271,97 @@ async function getZoomMeeting (zoomAccountApiKey, zoomMeetingId) {
   return res.data
 }
 
-module.exports = { generateZoomMeetingLink, updateZoomMeeting, cancelZoomMeeting, getZoomMeeting }
+/**
+ * Reschedule Zoom meeting of the interview.
+ * If the account of the meeting has another meeting at the new time,
+ * the meeting is moved to an available account.
+ *
+ * @param {Object} interview the rescheduled interview
+ * @returns { zoomAccountApiKey: string, zoomMeetingId: number } the account and the meeting of the interview
+ */
+async function rescheduleZoomMeeting (interview) {
+  const { id, startTimestamp, duration, zoomAccountApiKey, zoomMeetingId } = interview
+  if (await isZoomAccountAvailable(zoomAccountApiKey, startTimestamp, duration, id)) {
+    await updateZoomMeeting(startTimestamp, duration, zoomAccountApiKey, zoomMeetingId)
+    return { zoomAccountApiKey, zoomMeetingId }
+  }
+  const { meeting, zoomAccountApiKey: newZoomAccountApiKey } = await generateZoomMeetingLink(startTimestamp, duration, id)
+  await cancelZoomMeeting(zoomAccountApiKey, zoomMeetingId)
+  return { zoomAccountApiKey: newZoomAccountApiKey, zoomMeetingId: meeting.id }
+}
+
+/**
+ * Get the utilization of the Zoom accounts pool in the time range
+ *
+ * @param {Object} currentUser the user who perform this operation
+ * @param {Object} criteria the time range
+ * @returns {Object} the pool utilization
+ */
+async function getZoomAccountsUtilization (currentUser, criteria) {
+  if (!currentUser.hasManagePermission && !currentUser.isMachine) {
+    throw new errors.ForbiddenError('You are not allowed to perform this action!')
+  }
+  const from = moment(criteria.from || new Date())
+  const to = criteria.to ? moment(criteria.to) : from.clone().add(7, 'days')
+  if (!to.isAfter(from)) {
+    throw new errors.BadRequestError('"to" must be after "from".')
+  }
+  const meetings = await Interview.findAll({
+    where: {
+      zoomAccountApiKey: { [Op.ne]: null },
+      status: ActiveMeetingStatuses,
+      startTimestamp: { [Op.lt]: to.toDate() },
+      endTimestamp: { [Op.gt]: from.toDate() }
+    },
+    attributes: ['zoomAccountApiKey', 'startTimestamp', 'endTimestamp'],
+    raw: true
+  })
+  const rangeMinutes = to.diff(from, 'minutes')
+  const accounts = _.map(ALL_ZOOM_ACCOUNTS, account => {
+    const apiKey = _.split(account, ':')[0]
+    const accountMeetings = _.filter(meetings, { zoomAccountApiKey: apiKey })
+    // only the part of the meeting inside the range is counted
+    const bookedMinutes = _.sumBy(accountMeetings, m => moment.min(to, moment(m.endTimestamp)).diff(moment.max(from, moment(m.startTimestamp)), 'minutes'))
+    return {
+      apiKey,
+      meetingCount: accountMeetings.length,
+      bookedMinutes,
+      utilization: rangeMinutes ? _.round(bookedMinutes / rangeMinutes, 4) : 0
+    }
+  })
+  // the highest number of the meetings at the same time
+  const changes = _.sortBy(_.flatMap(meetings, m => [
+    { time: moment(m.startTimestamp).valueOf(), delta: 1 },
+    { time: moment(m.endTimestamp).valueOf(), delta: -1 }
+  ]), ['time', 'delta'])
+  let current = 0
+  let peakConcurrentMeetings = 0
+  for (const change of changes) {
+    current += change.delta
+    peakConcurrentMeetings = Math.max(peakConcurrentMeetings, current)
+  }
+  return {
+    from: from.toDate(),
+    to: to.toDate(),
+    capacity: ALL_ZOOM_ACCOUNTS.length,
+    peakConcurrentMeetings,
+    accounts
+  }
+}
+
+getZoomAccountsUtilization.schema = Joi.object().keys({
+  currentUser: Joi.object().required(),
+  criteria: Joi.object().keys({
+    from: Joi.date(),
+    to: Joi.date()
+  }).required()
+}).required()
+
+module.exports = {
+  generateZoomMeetingLink,
+  updateZoomMeeting,
+  rescheduleZoomMeeting,
+  cancelZoomMeeting,
+  getZoomMeeting,
+  getZoomAccountsUtilization
+}
@@ -0,0 +1,181 @@
+/**
+ * This service processes the Zoom webhooks of interview meetings.
+ * The meeting attendance is recorded on the interview, and when the meeting ends
+ * the interview becomes "Completed" if both sides joined, or "No Show" otherwise.
+ */
+
+const _ = require('lodash')
+const config = require('config')
+const crypto = require('crypto')
+const moment = require('moment')
+const helper = require('../common/helper')
+const logger = require('../common/logger')
+const models = require('../models')
+const { Interviews: InterviewConstants } = require('../../app-constants')
+const InterviewService = require('./InterviewService')
+
+const Interview = models.Interview
+
+const localLogger = {
+  debug: (message, context) =>
+    logger.debug({ component: 'ZoomWebhookService', context, message }),
+  error: (message, context) =>
+    logger.error({ component: 'ZoomWebhookService', context, message }),
+  info: (message, context) =>
+    logger.info({ component: 'ZoomWebhookService', context, message })
+}
+
+// how old the webhook request could be, to prevent replaying the requests
+const RequestMaxAge = moment.duration(5, 'minutes')
+
+/**
+ * Sign the message with the webhook secret token.
+ * @param {String} message the message
+ * @returns {String} the signature in hex
+ */
+function sign (message) {
+  return crypto
+    .createHmac('sha256', config.ZOOM_WEBHOOK_SECRET_TOKEN)
+    .update(message)
+    .digest('hex')
+}
+
+// Each request made by Zoom includes the x-zm-signature header, which is the HMAC-SHA256 signature
+// of the request timestamp and body, using the webhook secret token as the signing key.
+function verifyZoomRequest (req) {
+  const timestamp = req.get('x-zm-request-timestamp')
+  const signature = req.get('x-zm-signature')
+  if (!timestamp || !signature || moment().diff(moment.unix(Number(timestamp))) > RequestMaxAge.asMilliseconds()) {
+    return false
+  }
+  const expected = `v0=${sign(`v0:${timestamp}:${req.rawBody}`)}`
+  return expected.length === signature.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+}
+
+/**
+ * Update the interview attendance, the interview is resolved when the meeting ends.
+ * @param {Object} interview the interview
+ * @param {Object} changes the attendance changes
+ * @param {Boolean} meetingEnded whether the meeting has ended
+ */
+async function updateAttendance (interview, changes, meetingEnded) {
+  const attendance = { ...interview.attendance, ...changes }
+  const data = { attendance }
+  if (meetingEnded) {
+    _.assign(data, helper.getInterviewAttendanceResult(attendance))
+  }
+  await InterviewService.internallyUpdateInterviewById(helper.getAuditM2Muser(), interview.id, data)
+}
+
+/**
+ * Check whether the meeting participant is one of the interview hosts.
+ * The main host joins as the Zoom user who owns the meeting, while the co-hosts join
+ * using the guest link, so they are matched by the email they joined with.
+ * @param {Object} interview the interview
+ * @param {Object} meeting the meeting of the event
+ * @param {Object} participant the participant of the event
+ * @returns {Boolean} whether the participant is the host
+ */
+async function isInterviewHost (interview, meeting, participant) {
+  if (participant.id && participant.id === meeting.host_id) {
+    return true
+  }
+  if (!participant.email) {
+    return false
+  }
+  const email = _.toLower(participant.email)
+  const hostUserIds = _.uniq(_.compact([interview.hostUserId, ..._.map(interview.hosts, 'userId')]))
+  for (const userId of hostUserIds) {
+    const host = await helper.getUserDetailsByUserUUID(userId)
+    if (_.toLower(host.email) === email) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Process the meeting and participant events.
+ * The participant is the host if they are one of the interview hosts,
+ * all the other participants are the guests.
+ * @param {Object} body the webhook body
+ */
+async function processMeetingEvent (body) {
+  const meeting = body.payload.object
+  const eventTime = body.event_ts ? new Date(body.event_ts) : new Date()
+  await helper.runExclusiveInterviewEventHandler(async () => {
+    const interview = await Interview.findOne({ where: { zoomMeetingId: meeting.id } })
+    if (!interview) {
+      localLogger.debug(`Ignoring event "${body.event}" for unknown meeting "${meeting.id}".`, 'processMeetingEvent')
+      return
+    }
+    if (!_.includes([InterviewConstants.Status.Scheduled, InterviewConstants.Status.Rescheduled], interview.status)) {
+      localLogger.debug(`Ignoring event "${body.event}" for interview "${interview.id}" with status "${interview.status}".`, 'processMeetingEvent')
+      return
+    }
+    const attendance = interview.attendance || {}
+    const participant = meeting.participant || {}
+    switch (body.event) {
+      case 'meeting.started':
+        await updateAttendance(interview, { startedAt: meeting.start_time || eventTime })
+        break
+      case 'meeting.participant_joined': {
+        const key = await isInterviewHost(interview, meeting, participant) ? 'hostJoinedAt' : 'guestJoinedAt'
+        // only the first join is recorded
+        if (!attendance[key]) {
+          await updateAttendance(interview, { [key]: participant.join_time || eventTime })
+        }
+        break
+      }
+      case 'meeting.participant_left': {
+        const key = await isInterviewHost(interview, meeting, participant) ? 'hostLeftAt' : 'guestLeftAt'
+        await updateAttendance(interview, { [key]: participant.leave_time || eventTime })
+        break
+      }
+      case 'meeting.ended':
+        await updateAttendance(interview, { endedAt: meeting.end_time || eventTime }, true)
+        break
+    }
+    localLogger.debug(`Processed event "${body.event}" for interview "${interview.id}".`, 'processMeetingEvent')
+  })
+}
+
+const eventProcessors = {
+  'meeting.started': processMeetingEvent,
+  'meeting.ended': processMeetingEvent,
+  'meeting.participant_joined': processMeetingEvent,
+  'meeting.participant_left': processMeetingEvent
+}
+
+/**
+ * Process the Zoom webhook
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function zoomWebhook (req, res) {
+  if (!config.ZOOM_WEBHOOK_SECRET_TOKEN || !verifyZoomRequest(req)) {
+    localLogger.error('Failed to verify zoom', 'zoomWebhook')
+    return res.status(401).send('x-zm-signature failed verification')
+  }
+  const body = req.body
+  // Zoom validates the endpoint by sending the plain token which must be returned with its signature
+  if (body.event === 'endpoint.url_validation') {
+    const plainToken = body.payload.plainToken
+    return res.send({ plainToken, encryptedToken: sign(plainToken) })
+  }
+  if (!eventProcessors[body.event]) {
+    localLogger.debug(`Ignoring Zoom Webhook event: "${body.event}".`, 'zoomWebhook')
+    return res.sendStatus(200)
+  }
+  try {
+    await eventProcessors[body.event](body)
+  } catch (err) {
+    localLogger.error(`Error processing Zoom Webhook event "${body.event}": ${err.toString()}`, 'zoomWebhook')
+    return res.sendStatus(500)
+  }
+  res.sendStatus(200)
+}
+
+module.exports = {
+  zoomWebhook
+}
@@ -0,0 +1,96 @@
+/**
+ * The payout provider which pays the member through the Topcoder task challenge.
+ * The challenge is created, the member is assigned to it, then the challenge is activated and closed with the member as the winner.
+ */
+
+const config = require('config')
+const { getMemberDetailsByHandle, getChallenge, getChallengeResource, getPaymentDescription, sleep } = require('../../common/helper')
+const { createChallenge, addResourceToChallenge, activateChallenge, closeChallenge } = require('../PaymentService')
+const { ChallengeStatus, PaymentSchedulerStatus, PaymentProcessingSwitch } = require('../../../app-constants')
+
+const { SWITCH } = config.PAYMENT_PROCESSING
+
+/**
+ * Generate the create challenge parameter
+ * @param {Object} workPeriod the work period
+ * @param {Object} workPeriodPayment the work period payment
+ * @returns {Object} the create challenge parameter
+ */
+function getCreateChallengeParam (workPeriod, workPeriodPayment) {
+  return {
+    projectId: workPeriod.projectId,
+    userHandle: workPeriod.userHandle,
+    amount: workPeriodPayment.amount,
+    name: getPaymentDescription(workPeriod, workPeriodPayment),
+    description: getPaymentDescription(workPeriod, workPeriodPayment),
+    billingAccountId: workPeriodPayment.billingAccountId
+  }
+}
+
+/**
+ * Execute the step of the payout
+ * @param {String} step the step name
+ * @param {Object} payout the payout
+ * @param {Object} payout.workPeriod the work period
+ * @param {Object} payout.workPeriodPayment the work period payment
+ * @param {Object} payout.paymentScheduler the payment scheduler, not available in the first step
+ * @returns {Object} the attributes of the payment scheduler to be updated
+ */
+async function executeStep (step, { workPeriod, workPeriodPayment, paymentScheduler }) {
+  if (SWITCH === PaymentProcessingSwitch.OFF) {
+    // without actual API calls by adding delay (for example 1 second for each step), to simulate the act
+    sleep(1000)
+    if (step === PaymentSchedulerStatus.CREATE_CHALLENGE) {
+      return { challengeId: '00000000-0000-0000-0000-000000000000' }
+    } else if (step === PaymentSchedulerStatus.GET_USER_ID) {
+      return { userId: 100001 }
+    }
+    return {}
+  }
+  if (step === PaymentSchedulerStatus.CREATE_CHALLENGE) {
+    // 1. create challenge
+    const challengeId = await createChallenge(getCreateChallengeParam(workPeriod, workPeriodPayment))
+    return { challengeId }
+  } else if (step === PaymentSchedulerStatus.ASSIGN_MEMBER) {
+    // 2. assign member to the challenge
+    await addResourceToChallenge(paymentScheduler.challengeId, paymentScheduler.userHandle)
+  } else if (step === PaymentSchedulerStatus.ACTIVATE_CHALLENGE) {
+    // 3. active the challenge
+    await activateChallenge(paymentScheduler.challengeId)
+  } else if (step === PaymentSchedulerStatus.GET_USER_ID) {
+    // 4.1. get user id
+    const { userId } = await getMemberDetailsByHandle(paymentScheduler.userHandle)
+    return { userId }
+  } else if (step === PaymentSchedulerStatus.CLOSE_CHALLENGE) {
+    // 4.2. close the challenge
+    await closeChallenge(paymentScheduler.challengeId, paymentScheduler.userId, paymentScheduler.userHandle)
+  }
+  return {}
+}
+
+/**
+ * Get the last step which is actually done, based on the challenge status
+ * @param {Object} paymentScheduler the payment scheduler
+ * @returns {String} the step name
+ */
+async function getCurrentStep (paymentScheduler) {
+  if (SWITCH === PaymentProcessingSwitch.OFF) {
+    return PaymentSchedulerStatus.CLOSE_CHALLENGE
+  }
+  const challenge = await getChallenge(paymentScheduler.challengeId)
+  if (challenge.status === ChallengeStatus.COMPLETED) {
+    return PaymentSchedulerStatus.CLOSE_CHALLENGE
+  } else if (challenge.status === ChallengeStatus.ACTIVE) {
+    return PaymentSchedulerStatus.ACTIVATE_CHALLENGE
+  }
+  const resource = await getChallengeResource(paymentScheduler.challengeId, paymentScheduler.userHandle, config.ROLE_ID_SUBMITTER)
+  if (resource) {
+    return PaymentSchedulerStatus.ASSIGN_MEMBER
+  }
+  return PaymentSchedulerStatus.CREATE_CHALLENGE
+}
+
+module.exports = {
+  executeStep,
+  getCurrentStep
+}
@@ -0,0 +1,83 @@
+/**
+ * The payout provider which exports the payout to the CSV batch file for the bank,
+ * there is one batch file per billing account and day in `PAYMENT_PROCESSING.EXPORT_DIR`.
+ * The exported payouts are recorded in the payout ledger, the entry is settled when the payout is exported.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const config = require('config')
+const moment = require('moment')
+const { convertToCSV, getPaymentDescription } = require('../../common/helper')
+const models = require('../../models')
+const { PaymentSchedulerStatus, PayoutLedgerEntryStatus } = require('../../../app-constants')
+
+const PayoutLedgerEntry = models.PayoutLedgerEntry
+
+// the columns of the batch file
+const CSV_EXPORT_FIELDS = ['payoutId', 'workPeriodPaymentId', 'billingAccountId', 'userHandle', 'amount', 'description', 'exportedAt']
+
+/**
+ * Execute the step of the payout, the payment which is already exported is not exported again.
+ * The payout is recorded in the ledger before it's exported, and the entry is settled once the row is written,
+ * so the payment which is processed again, or at the same time by another instance, finds the payout in the database.
+ * The entry which is still pending could be left if the processing stopped while exporting,
+ * the payout is exported again with the same payoutId, so the repeated row could be recognized in the batch files.
+ * @param {String} step the step name
+ * @param {Object} payout the payout
+ * @param {Object} payout.workPeriod the work period
+ * @param {Object} payout.workPeriodPayment the work period payment
+ * @returns {Object} the attributes of the payment scheduler to be updated
+ */
+async function executeStep (step, { workPeriod, workPeriodPayment }) {
+  if (step !== PaymentSchedulerStatus.EXPORT_PAYOUT) {
+    return {}
+  }
+  const description = getPaymentDescription(workPeriod, workPeriodPayment)
+  const [payoutLedgerEntry] = await PayoutLedgerEntry.findOrCreate({
+    where: { workPeriodPaymentId: workPeriodPayment.id },
+    defaults: {
+      billingAccountId: workPeriodPayment.billingAccountId,
+      userHandle: workPeriod.userHandle,
+      amount: workPeriodPayment.amount,
+      description,
+      status: PayoutLedgerEntryStatus.PENDING
+    }
+  })
+  const payoutId = payoutLedgerEntry.id
+  if (payoutLedgerEntry.status === PayoutLedgerEntryStatus.SETTLED) {
+    return { payoutId }
+  }
+  const exportedAt = moment()
+  const filePath = path.join(config.PAYMENT_PROCESSING.EXPORT_DIR, `payouts-${workPeriodPayment.billingAccountId}-${exportedAt.format('YYYY-MM-DD')}.csv`)
+  const csv = convertToCSV([{
+    payoutId,
+    workPeriodPaymentId: workPeriodPayment.id,
+    billingAccountId: workPeriodPayment.billingAccountId,
+    userHandle: workPeriod.userHandle,
+    amount: workPeriodPayment.amount,
+    description,
+    exportedAt: exportedAt.toISOString()
+  }], CSV_EXPORT_FIELDS)
+  await fs.promises.mkdir(config.PAYMENT_PROCESSING.EXPORT_DIR, { recursive: true })
+  // the header row is only written to the new batch file
+  const [header, row] = csv.split('\n')
+  const content = fs.existsSync(filePath) ? `${row}\n` : `${header}\n${row}\n`
+  await fs.promises.appendFile(filePath, content)
+  await payoutLedgerEntry.update({ status: PayoutLedgerEntryStatus.SETTLED, settledAt: exportedAt.toDate() })
+  return { payoutId }
+}
+
+/**
+ * Get the last step which is actually done,
+ * the payment scheduler is created after the payout is exported so the only step is always done
+ * @returns {String} the step name
+ */
+async function getCurrentStep () {
+  return PaymentSchedulerStatus.EXPORT_PAYOUT
+}
+
+module.exports = {
+  executeStep,
+  getCurrentStep
+}
@@ -0,0 +1,61 @@
+/**
+ * The payout provider which records the payout in the local ledger instead of paying through an external system,
+ * so the payment pipeline could run end to end offline.
+ * The ledger entry is created as pending and then settled.
+ * There is only one ledger entry per payment, which is ensured by the unique index,
+ * so the payment which is processed again, or at the same time by another instance, does not create another one.
+ */
+
+const { getPaymentDescription } = require('../../common/helper')
+const models = require('../../models')
+const { PaymentSchedulerStatus, PayoutLedgerEntryStatus } = require('../../../app-constants')
+
+const PayoutLedgerEntry = models.PayoutLedgerEntry
+
+/**
+ * Execute the step of the payout
+ * @param {String} step the step name
+ * @param {Object} payout the payout
+ * @param {Object} payout.workPeriod the work period
+ * @param {Object} payout.workPeriodPayment the work period payment
+ * @param {Object} payout.paymentScheduler the payment scheduler, not available in the first step
+ * @returns {Object} the attributes of the payment scheduler to be updated
+ */
+async function executeStep (step, { workPeriod, workPeriodPayment, paymentScheduler }) {
+  if (step === PaymentSchedulerStatus.CREATE_LEDGER_ENTRY) {
+    // the entry could be created already if the processing stopped before the payment scheduler was created
+    const [payoutLedgerEntry] = await PayoutLedgerEntry.findOrCreate({
+      where: { workPeriodPaymentId: workPeriodPayment.id },
+      defaults: {
+        billingAccountId: workPeriodPayment.billingAccountId,
+        userHandle: workPeriod.userHandle,
+        amount: workPeriodPayment.amount,
+        description: getPaymentDescription(workPeriod, workPeriodPayment),
+        status: PayoutLedgerEntryStatus.PENDING
+      }
+    })
+    return { payoutId: payoutLedgerEntry.id }
+  } else if (step === PaymentSchedulerStatus.SETTLE_LEDGER_ENTRY) {
+    const payoutLedgerEntry = await PayoutLedgerEntry.findById(paymentScheduler.payoutId)
+    await payoutLedgerEntry.update({ status: PayoutLedgerEntryStatus.SETTLED, settledAt: new Date() })
+  }
+  return {}
+}
+
+/**
+ * Get the last step which is actually done, based on the ledger entry status
+ * @param {Object} paymentScheduler the payment scheduler
+ * @returns {String} the step name
+ */
+async function getCurrentStep (paymentScheduler) {
+  const payoutLedgerEntry = await PayoutLedgerEntry.findById(paymentScheduler.payoutId)
+  if (payoutLedgerEntry.status === PayoutLedgerEntryStatus.SETTLED) {
+    return PaymentSchedulerStatus.SETTLE_LEDGER_ENTRY
+  }
+  return PaymentSchedulerStatus.CREATE_LEDGER_ENTRY
+}
+
+module.exports = {
+  executeStep,
+  getCurrentStep
+}
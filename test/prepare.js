@@ -2,6 +2,8 @@
  * Prepare for tests.
  */
 const sinon = require('sinon')
+// the secret is required to preview the work period payments, it must be set before the config is loaded
+process.env.PAYMENT_PREVIEW_SECRET = process.env.PAYMENT_PREVIEW_SECRET || 'payment-preview-secret'
 const helper = require('../src/common/helper')
 const commonData = require('./unit/common/CommonData')
 process.env.NODE_ENV = 'test'
@@ -0,0 +1,46 @@
+/* eslint-disable no-unused-expressions */
+const expect = require('chai').expect
+const sinon = require('sinon')
+const fs = require('fs')
+const models = require('../../src/models')
+const provider = require('../../src/services/payoutProviders/FileExportPayoutProvider')
+const testData = require('./common/PayoutProviderData')
+const PayoutLedgerEntry = models.PayoutLedgerEntry
+
+describe('file export payout provider test', () => {
+  let stubAppendFile
+  beforeEach(() => {
+    sinon.stub(fs.promises, 'mkdir').callsFake(async () => {})
+    stubAppendFile = sinon.stub(fs.promises, 'appendFile').callsFake(async () => {})
+  })
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('Export payout', () => {
+    it('T01:Export the payout to the new batch file with the header row', async () => {
+      const data = testData.T02
+      const stubFindOrCreate = sinon.stub(PayoutLedgerEntry, 'findOrCreate').callsFake(async () => [data.pendingEntry, true])
+      sinon.stub(fs, 'existsSync').callsFake(() => false)
+      const result = await provider.executeStep('export-payout', { workPeriod: data.workPeriod, workPeriodPayment: data.workPeriodPayment })
+      expect(result).to.deep.eq({ payoutId: data.payoutId })
+      expect(stubFindOrCreate.getCall(0).args[0].where).to.deep.eq({ workPeriodPaymentId: data.workPeriodPayment.id })
+      expect(stubFindOrCreate.getCall(0).args[0].defaults).to.deep.include({ billingAccountId: 80000071, amount: 400, status: 'pending' })
+      expect(stubAppendFile.calledOnce).to.be.true
+      const [header, row] = stubAppendFile.getCall(0).args[1].split('\n')
+      expect(header).to.eq('payoutId,workPeriodPaymentId,billingAccountId,userHandle,amount,description,exportedAt')
+      expect(row).to.match(new RegExp(`^${data.payoutId},${data.workPeriodPayment.id},80000071,pshah_manager,400,`))
+      expect(data.pendingEntry.status).to.eq('settled')
+      expect(data.pendingEntry.settledAt).to.be.instanceOf(Date)
+    })
+
+    it('T02:Do not export the payout of the payment which is already exported', async () => {
+      const data = testData.T02
+      sinon.stub(PayoutLedgerEntry, 'findOrCreate').callsFake(async () => [data.settledEntry, false])
+      const result = await provider.executeStep('export-payout', { workPeriod: data.workPeriod, workPeriodPayment: data.workPeriodPayment })
+      expect(result).to.deep.eq({ payoutId: data.payoutId })
+      expect(stubAppendFile.notCalled).to.be.true
+    })
+  })
+})
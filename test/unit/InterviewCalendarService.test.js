@@ -0,0 +1,118 @@
+/* eslint-disable no-unused-expressions */
+const expect = require('chai').expect
+const sinon = require('sinon')
+const config = require('config')
+const jwt = require('jsonwebtoken')
+const models = require('../../src/models')
+const helper = require('../../src/common/helper')
+const errors = require('../../src/common/errors')
+const commonData = require('./common/CommonData')
+const service = require('../../src/services/InterviewCalendarService')
+const Interview = models.Interview
+const JobCandidate = models.JobCandidate
+const Job = models.Job
+const InterviewCalendarFeed = models.InterviewCalendarFeed
+
+describe('interview calendar service test', () => {
+  const userId = 'a55fe1bc-1754-45fa-9adc-cf3d6d7c377a'
+  const feedKey = '5f3c2d1e-8a4b-4c6d-9e0f-1a2b3c4d5e6f'
+  const feed = { id: '0b6a3c5e-9d1f-4a2b-8c7d-6e5f4a3b2c1d', userId, feedKey }
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('Get calendar feed url', () => {
+    it('T01:Get the feed url with the token which does not expire', async () => {
+      sinon.stub(helper, 'getUserId').callsFake(async () => userId)
+      const stubFindOrCreate = sinon.stub(InterviewCalendarFeed, 'findOrCreate').callsFake(async () => [commonData.buildInstance(feed), false])
+      const result = await service.getCalendarFeedUrl({ userId: 40158994, isMachine: false })
+      expect(result.url).to.match(new RegExp(`^${config.TAAS_API_BASE_URL}/interviews/calendar/${userId}\\?token=`))
+      const tokenData = helper.verifyInterviewCalendarFeedToken(result.url.split('token=')[1])
+      expect(tokenData).to.include({ userId, feedKey })
+      expect(tokenData.exp).to.not.exist
+      expect(stubFindOrCreate.firstCall.args[0].where).to.deep.eq({ userId })
+    })
+
+    it('T02:Fail to get the feed url for the machine user', async () => {
+      try {
+        await service.getCalendarFeedUrl({ isMachine: true, scopes: [] })
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.BadRequestError)
+        expect(err.message).to.eq('The calendar feed is not available for machine users.')
+        return
+      }
+      throw new Error('should not reach here')
+    })
+  })
+
+  describe('Get calendar feed', () => {
+    it('T03:Get the feed with the upcoming interviews of the user', async () => {
+      sinon.stub(JobCandidate, 'findAll')
+        .onFirstCall().callsFake(async () => [])
+        .onSecondCall().callsFake(async () => [{ id: '79a39efd-91af-494a-b0f6-62310495effd', jobId: '4709473d-f060-4102-87f8-4d51ff0b34c1' }])
+      sinon.stub(Job, 'findAll').callsFake(async () => [{ id: '4709473d-f060-4102-87f8-4d51ff0b34c1', title: 'Node Developer' }])
+      sinon.stub(InterviewCalendarFeed, 'findOne').callsFake(async () => feed)
+      sinon.stub(Interview, 'findAll').callsFake(async () => [{
+        id: '2d5ea5f4-4d3a-4e7c-a4b3-27e5c6c6f1f1',
+        jobCandidateId: '79a39efd-91af-494a-b0f6-62310495effd',
+        round: 1,
+        startTimestamp: new Date('2022-01-03T09:00:00Z'),
+        endTimestamp: new Date('2022-01-03T09:30:00Z')
+      }])
+      const result = await service.getCalendarFeed(userId, { token: helper.signInterviewCalendarFeedToken(userId, feedKey) })
+      expect(result).to.include('METHOD:PUBLISH')
+      expect(result).to.include('UID:2d5ea5f4-4d3a-4e7c-a4b3-27e5c6c6f1f1@topcoder.com')
+      expect(result).to.include('SUMMARY:Interview round 1 for Node Developer')
+      expect(result).to.include('DTSTART:20220103T090000Z')
+    })
+
+    it('T04:Fail if the token is signed for another user', async () => {
+      try {
+        await service.getCalendarFeed(userId, { token: helper.signInterviewCalendarFeedToken('79a39efd-91af-494a-b0f6-62310495effd', feedKey) })
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.UnauthorizedError)
+        expect(err.message).to.eq('The token is not valid for the user.')
+        return
+      }
+      throw new Error('should not reach here')
+    })
+
+    it('T05:Fail if the token is expired', async () => {
+      const token = jwt.sign({ userId, feedKey, exp: Math.floor(Date.now() / 1000) - 60 }, config.INTERVIEW_CALENDAR_FEED_SECRET, { algorithm: 'HS256' })
+      try {
+        await service.getCalendarFeed(userId, { token })
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.UnauthorizedError)
+        expect(err.message).to.eq('token invalid: jwt expired')
+        return
+      }
+      throw new Error('should not reach here')
+    })
+
+    it('T06:Fail if the feed url is rotated', async () => {
+      sinon.stub(InterviewCalendarFeed, 'findOne').callsFake(async () => ({ ...feed, feedKey: 'c8d7e6f5-a4b3-4c2d-9e1f-0a9b8c7d6e5f' }))
+      try {
+        await service.getCalendarFeed(userId, { token: helper.signInterviewCalendarFeedToken(userId, feedKey) })
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.UnauthorizedError)
+        expect(err.message).to.eq('The token is revoked.')
+        return
+      }
+      throw new Error('should not reach here')
+    })
+  })
+
+  describe('Rotate calendar feed url', () => {
+    it('T07:Rotate the feed key so the previous feed url is revoked', async () => {
+      const instance = commonData.buildInstance(feed)
+      sinon.stub(helper, 'getUserId').callsFake(async () => userId)
+      sinon.stub(InterviewCalendarFeed, 'findOrCreate').callsFake(async () => [instance, false])
+      const result = await service.rotateCalendarFeedUrl({ userId: 40158994, isMachine: false })
+      const tokenData = helper.verifyInterviewCalendarFeedToken(result.url.split('token=')[1])
+      expect(tokenData.userId).to.eq(userId)
+      expect(tokenData.feedKey).to.not.eq(feedKey)
+      expect(tokenData.feedKey).to.eq(instance.feedKey)
+    })
+  })
+})
@@ -0,0 +1,100 @@
+/* eslint-disable no-unused-expressions */
+const expect = require('chai').expect
+const sinon = require('sinon')
+const models = require('../../src/models')
+const service = require('../../src/services/InterviewFeedbackService')
+const commonData = require('./common/CommonData')
+const testData = require('./common/InterviewFeedbackData')
+const helper = require('../../src/common/helper')
+const errors = require('../../src/common/errors')
+const Interview = models.Interview
+const InterviewFeedback = models.InterviewFeedback
+const JobCandidate = models.JobCandidate
+
+describe('interviewFeedback service test', () => {
+  let stubPostEvent
+  beforeEach(() => {
+    sinon.stub(models.sequelize, 'transaction').callsFake(async (fn) => fn({}))
+    stubPostEvent = sinon.stub(helper, 'postEvent').callsFake(async () => {})
+  })
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('Summarize feedback', () => {
+    it('T01:Aggregate the skill ratings and the recommendations', async () => {
+      const data = testData.T01
+      expect(await service.summarizeFeedback(data.feedbackList)).to.deep.eq(data.summary)
+    })
+
+    it('T02:Do not calculate the average rating without ratings', async () => {
+      const data = testData.T02
+      expect(await service.summarizeFeedback(data.feedbackList)).to.deep.eq(data.summary)
+    })
+  })
+
+  describe('Submit interview feedback', () => {
+    /**
+     * Stub the models used to get the interview and check the user.
+     * @param {Object} data the test data
+     */
+    function stubInterview (data) {
+      sinon.stub(JobCandidate, 'findById').callsFake(async () => data.jobCandidate)
+      sinon.stub(Interview, 'findOne').callsFake(async () => data.interview)
+      sinon.stub(helper, 'checkIsMemberOfProject').callsFake(async () => {})
+      sinon.stub(helper, 'getUserId').callsFake(async () => data.userId)
+    }
+
+    it('T03:Create the feedback and update the feedback summary of the job candidate', async () => {
+      const data = testData.T03
+      stubInterview(data)
+      sinon.stub(InterviewFeedback, 'findOne').callsFake(async () => null)
+      const stubCreate = sinon.stub(InterviewFeedback, 'create').callsFake(async (values) => commonData.buildInstance(values))
+      sinon.stub(InterviewFeedback, 'findAll').callsFake(async () => [commonData.buildInstance(stubCreate.firstCall.args[0]), data.otherFeedback])
+      const result = await service.submitInterviewFeedback(commonData.regularUser, data.jobCandidateId, data.round, data.data)
+      expect(result).to.deep.include({ ...data.data, interviewId: data.interview.id, hostUserId: data.userId })
+      expect(stubPostEvent.calledOnce).to.be.true
+      expect(stubPostEvent.firstCall.args[1].feedbackSummary).to.deep.eq(data.feedbackSummary)
+    })
+
+    it('T04:Fail if the user is not a host of the interview', async () => {
+      const data = testData.T04
+      stubInterview(data)
+      try {
+        await service.submitInterviewFeedback(commonData.regularUser, data.jobCandidateId, data.round, data.data)
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.ForbiddenError)
+        expect(err.message).to.eq(data.error)
+        return
+      }
+      throw new Error('should not reach here')
+    })
+
+    it('T05:Fail if the interview is not over', async () => {
+      const data = testData.T05
+      stubInterview(data)
+      try {
+        await service.submitInterviewFeedback(commonData.regularUser, data.jobCandidateId, data.round, data.data)
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.BadRequestError)
+        expect(err.message).to.eq(data.error)
+        return
+      }
+      throw new Error('should not reach here')
+    })
+
+    it('T06:Fail if the rated skill is not required by the job', async () => {
+      const data = testData.T06
+      stubInterview(data)
+      try {
+        await service.submitInterviewFeedback(commonData.regularUser, data.jobCandidateId, data.round, data.data)
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.BadRequestError)
+        expect(err.message).to.eq(data.error)
+        return
+      }
+      throw new Error('should not reach here')
+    })
+  })
+})
@@ -0,0 +1,48 @@
+/* eslint-disable no-unused-expressions */
+const expect = require('chai').expect
+const sinon = require('sinon')
+const rewire = require('rewire')
+const models = require('../../src/models')
+const helper = require('../../src/common/helper')
+const errors = require('../../src/common/errors')
+const service = rewire('../../src/services/InterviewService')
+const UserMeetingSettings = models.UserMeetingSettings
+
+describe('interview service test', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('Get the calendars of the required co-hosts', () => {
+    const getRequiredCoHostCalendars = service.__get__('getRequiredCoHostCalendars')
+    const interview = {
+      hostUserId: 'a55fe1bc-1754-45fa-9adc-cf3d6d7c377a',
+      hosts: [
+        { userId: 'a55fe1bc-1754-45fa-9adc-cf3d6d7c377a', required: true },
+        { userId: '79a39efd-91af-494a-b0f6-62310495effd', required: true },
+        { userId: '4709473d-f060-4102-87f8-4d51ff0b34c1', required: false }
+      ]
+    }
+
+    it('T01:Get the calendars of the required hosts other than the main host', async () => {
+      const calendar = { id: 'b3c9ad26-3a32-4d52-9f5e-1b26c8c2f0a7', calendarId: 'nylas-calendar-id' }
+      const stubGetCalendar = sinon.stub(UserMeetingSettings, 'getPrimaryNylasCalendarForUser').callsFake(async () => calendar)
+      const result = await getRequiredCoHostCalendars(interview)
+      expect(result).to.deep.eq([calendar])
+      expect(stubGetCalendar.calledOnceWith('79a39efd-91af-494a-b0f6-62310495effd')).to.be.true
+    })
+
+    it('T02:Fail if a required host does not have fully connected calendar', async () => {
+      sinon.stub(UserMeetingSettings, 'getPrimaryNylasCalendarForUser').callsFake(async () => ({ id: 'b3c9ad26-3a32-4d52-9f5e-1b26c8c2f0a7' }))
+      sinon.stub(helper, 'getUserById').callsFake(async () => ({ handle: 'pshah_manager' }))
+      try {
+        await getRequiredCoHostCalendars(interview)
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.BadRequestError)
+        expect(err.message).to.eq('Required host "pshah_manager" doesn\'t have fully connected calendar, the availability cannot be checked. Connect the calendar or make the host optional.')
+        return
+      }
+      throw new Error('should not reach here')
+    })
+  })
+})
@@ -0,0 +1,123 @@
+/* eslint-disable no-unused-expressions */
+const expect = require('chai').expect
+const sinon = require('sinon')
+const config = require('config')
+const models = require('../../src/models')
+const service = require('../../src/services/InvoiceService')
+const commonData = require('./common/CommonData')
+const testData = require('./common/InvoiceData')
+const helper = require('../../src/common/helper')
+const errors = require('../../src/common/errors')
+const Invoice = models.Invoice
+const InvoiceLineItem = models.InvoiceLineItem
+const WorkPeriod = models.WorkPeriod
+
+describe('invoice service test', () => {
+  let stubPostEvent
+  beforeEach(() => {
+    sinon.stub(models.sequelize, 'transaction').callsFake(async (fn) => fn({}))
+    stubPostEvent = sinon.stub(helper, 'postEvent').callsFake(async () => {})
+  })
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('Generate invoices', () => {
+    /**
+     * Stub the models used to generate the invoices.
+     * @param {Object} data the test data
+     * @param {Array<Object>} invoices the non-void invoices of the month
+     * @param {Array<Object>} billedInvoices the invoices which bill the work periods already
+     * @returns {Object} the stubs creating the invoice and the line items
+     */
+    function stubInvoices (data, invoices, billedInvoices = []) {
+      sinon.stub(helper, 'getUserId').callsFake(async () => data.userId)
+      sinon.stub(WorkPeriod, 'findAll').callsFake(async () => data.workPeriods)
+      // the billed work periods are queried with the line items
+      sinon.stub(Invoice, 'findAll').callsFake(async (criteria) => criteria.include ? billedInvoices : invoices)
+      return {
+        create: sinon.stub(Invoice, 'create').callsFake(async (values) => commonData.buildInstance(values)),
+        bulkCreate: sinon.stub(InvoiceLineItem, 'bulkCreate').callsFake(async (lineItems) => lineItems.map(commonData.buildInstance)),
+        destroy: sinon.stub(InvoiceLineItem, 'destroy').callsFake(async () => {})
+      }
+    }
+
+    it('T01:Generate the draft invoice with the customer rates in effect for the work periods', async () => {
+      const data = testData.T01
+      const stubs = stubInvoices(data, [])
+      const result = await service.generateInvoices(commonData.currentUser, data.data)
+      expect(result).to.have.lengthOf(1)
+      expect(result[0]).to.deep.include(data.result)
+      expect(result[0].lineItems).to.have.lengthOf(2)
+      for (const [index, lineItem] of data.lineItems.entries()) {
+        expect(result[0].lineItems[index]).to.deep.include({ ...lineItem, invoiceId: result[0].id })
+      }
+      expect(stubs.create.calledOnce).to.be.true
+      expect(stubs.destroy.notCalled).to.be.true
+      expect(stubPostEvent.firstCall.args[0]).to.eq(config.TAAS_INVOICE_CREATE_TOPIC)
+    })
+
+    it('T02:Regenerate the line items of the draft invoice', async () => {
+      const data = testData.T02
+      const stubs = stubInvoices(data, [data.draft])
+      const result = await service.generateInvoices(commonData.currentUser, data.data)
+      expect(result).to.have.lengthOf(1)
+      expect(result[0]).to.deep.include(data.result)
+      expect(result[0].lineItems).to.have.lengthOf(2)
+      expect(stubs.create.notCalled).to.be.true
+      expect(stubs.destroy.firstCall.args[0].where).to.deep.eq({ invoiceId: data.draft.id })
+      expect(stubPostEvent.firstCall.args[0]).to.eq(config.TAAS_INVOICE_UPDATE_TOPIC)
+      expect(stubPostEvent.firstCall.args[2].oldValue).to.deep.include({ totalDays: 5, totalAmount: 1000 })
+    })
+
+    it('T03:Void the draft invoice if there is nothing left to bill', async () => {
+      const data = testData.T03
+      const stubs = stubInvoices(data, [data.draft], data.billedInvoices)
+      sinon.stub(Invoice, 'findById').callsFake(async () => data.draft)
+      const result = await service.generateInvoices(commonData.currentUser, data.data)
+      expect(result).to.have.lengthOf(1)
+      expect(result[0]).to.deep.include({ id: data.draft.id, status: 'void' })
+      expect(result[0].voidedAt).to.be.instanceOf(Date)
+      expect(stubs.bulkCreate.notCalled).to.be.true
+      expect(stubPostEvent.firstCall.args[0]).to.eq(config.TAAS_INVOICE_UPDATE_TOPIC)
+    })
+
+    it('T04:Do not generate another invoice next to the issued invoice', async () => {
+      const data = testData.T04
+      const stubs = stubInvoices(data, [data.issued])
+      const result = await service.generateInvoices(commonData.currentUser, data.data)
+      expect(result).to.be.empty
+      expect(stubs.create.notCalled).to.be.true
+      expect(stubs.bulkCreate.notCalled).to.be.true
+      expect(stubPostEvent.notCalled).to.be.true
+    })
+  })
+
+  describe('Update invoice status', () => {
+    it('T05:Issue the draft invoice', async () => {
+      const data = testData.T05
+      sinon.stub(helper, 'getUserId').callsFake(async () => data.userId)
+      sinon.stub(Invoice, 'findById').callsFake(async () => data.invoice)
+      const result = await service.partiallyUpdateInvoice(commonData.currentUser, data.invoice.id, data.data)
+      expect(result).to.deep.include({ status: 'issued', updatedBy: data.userId })
+      expect(result.issuedAt).to.be.instanceOf(Date)
+      expect(stubPostEvent.firstCall.args[0]).to.eq(config.TAAS_INVOICE_UPDATE_TOPIC)
+      expect(stubPostEvent.firstCall.args[2].oldValue).to.deep.include({ status: 'draft' })
+    })
+
+    it('T06:Fail to issue the void invoice', async () => {
+      const data = testData.T06
+      sinon.stub(Invoice, 'findById').callsFake(async () => data.invoice)
+      try {
+        await service.partiallyUpdateInvoice(commonData.currentUser, data.invoice.id, data.data)
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.BadRequestError)
+        expect(err.message).to.eq(data.error)
+        expect(stubPostEvent.notCalled).to.be.true
+        return
+      }
+      throw new Error('should not reach here')
+    })
+  })
+})
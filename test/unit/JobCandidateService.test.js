@@ -0,0 +1,45 @@
+/* eslint-disable no-unused-expressions */
+const expect = require('chai').expect
+const sinon = require('sinon')
+const models = require('../../src/models')
+const service = require('../../src/services/JobCandidateService')
+const commonData = require('./common/CommonData')
+const testData = require('./common/JobCandidateData')
+const helper = require('../../src/common/helper')
+const JobCandidate = models.JobCandidate
+const JobCandidateStatusHistory = models.JobCandidateStatusHistory
+
+describe('jobCandidate service test', () => {
+  let stubPostEvent
+  beforeEach(() => {
+    sinon.stub(models.sequelize, 'transaction').callsFake(async (fn) => fn({}))
+    stubPostEvent = sinon.stub(helper, 'postEvent').callsFake(async () => {})
+  })
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('Record job candidate status history', () => {
+    it('T01:Record the status change when the status is updated', async () => {
+      const data = testData.T01
+      sinon.stub(JobCandidate, 'findById').callsFake(async () => data.jobCandidateFindById)
+      sinon.stub(helper, 'getUserId').callsFake(async () => data.userId)
+      const stubHistoryCreate = sinon.stub(JobCandidateStatusHistory, 'create').callsFake(async () => {})
+      await service.partiallyUpdateJobCandidate(commonData.userWithManagePermission, data.id, data.data)
+      expect(stubHistoryCreate.calledOnce).to.be.true
+      expect(stubHistoryCreate.firstCall.args[0]).to.deep.include(data.statusHistory)
+      expect(stubPostEvent.calledOnce).to.be.true
+    })
+
+    it('T02:Do not record the status history when the status is not changed', async () => {
+      const data = testData.T02
+      sinon.stub(JobCandidate, 'findById').callsFake(async () => data.jobCandidateFindById)
+      sinon.stub(helper, 'getUserId').callsFake(async () => data.userId)
+      const stubHistoryCreate = sinon.stub(JobCandidateStatusHistory, 'create').callsFake(async () => {})
+      await service.partiallyUpdateJobCandidate(commonData.userWithManagePermission, data.id, data.data)
+      expect(stubHistoryCreate.called).to.be.false
+      expect(stubPostEvent.calledOnce).to.be.true
+    })
+  })
+})
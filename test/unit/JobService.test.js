@@ -0,0 +1,28 @@
+/* eslint-disable no-unused-expressions */
+const expect = require('chai').expect
+const sinon = require('sinon')
+const models = require('../../src/models')
+const service = require('../../src/services/JobService')
+const commonData = require('./common/CommonData')
+const testData = require('./common/JobData')
+const Job = models.Job
+const JobCandidate = models.JobCandidate
+const JobCandidateStatusHistory = models.JobCandidateStatusHistory
+
+describe('job service test', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('Get job funnel', () => {
+    it('T01:Get the candidates reached every stage, the median hours in stage and the conversion rates', async () => {
+      const data = testData.T01
+      sinon.stub(Job, 'findById').callsFake(async () => data.jobFindById)
+      sinon.stub(JobCandidate, 'findAll').callsFake(async () => data.jobCandidateFindAll)
+      const stubHistoryFindAll = sinon.stub(JobCandidateStatusHistory, 'findAll').callsFake(async () => data.jobCandidateStatusHistoryFindAll)
+      const result = await service.getJobFunnel(commonData.userWithManagePermission, data.id)
+      expect(stubHistoryFindAll.calledOnce).to.be.true
+      expect(result).to.deep.eq(data.result)
+    })
+  })
+})
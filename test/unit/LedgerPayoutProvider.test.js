@@ -0,0 +1,49 @@
+/* eslint-disable no-unused-expressions */
+const expect = require('chai').expect
+const sinon = require('sinon')
+const models = require('../../src/models')
+const provider = require('../../src/services/payoutProviders/LedgerPayoutProvider')
+const testData = require('./common/PayoutProviderData')
+const PayoutLedgerEntry = models.PayoutLedgerEntry
+
+describe('ledger payout provider test', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('Create ledger entry', () => {
+    it('T01:Create the pending ledger entry of the payment', async () => {
+      const data = testData.T01
+      const stubFindOrCreate = sinon.stub(PayoutLedgerEntry, 'findOrCreate').callsFake(async ({ where, defaults }) => [{ id: data.payoutId, ...where, ...defaults }, true])
+      const result = await provider.executeStep('create-ledger-entry', { workPeriod: data.workPeriod, workPeriodPayment: data.workPeriodPayment })
+      expect(result).to.deep.eq({ payoutId: data.payoutId })
+      expect(stubFindOrCreate.getCall(0).args[0].where).to.deep.eq({ workPeriodPaymentId: data.workPeriodPayment.id })
+      expect(stubFindOrCreate.getCall(0).args[0].defaults).to.deep.include({
+        billingAccountId: 80000071,
+        userHandle: 'pshah_manager',
+        amount: 400,
+        status: 'pending'
+      })
+    })
+
+    it('T02:Do not create another ledger entry for the payment', async () => {
+      const data = testData.T01
+      const stubFindOrCreate = sinon.stub(PayoutLedgerEntry, 'findOrCreate').callsFake(async () => [{ id: data.payoutId }, false])
+      const result = await provider.executeStep('create-ledger-entry', { workPeriod: data.workPeriod, workPeriodPayment: data.workPeriodPayment })
+      expect(result).to.deep.eq({ payoutId: data.payoutId })
+      expect(stubFindOrCreate.calledOnce).to.be.true
+    })
+  })
+
+  describe('Settle ledger entry', () => {
+    it('T03:Settle the ledger entry of the payment scheduler', async () => {
+      const data = testData.T01
+      const payoutLedgerEntry = { id: data.payoutId, status: 'pending', update: sinon.stub().callsFake(async () => {}) }
+      sinon.stub(PayoutLedgerEntry, 'findById').callsFake(async () => payoutLedgerEntry)
+      const result = await provider.executeStep('settle-ledger-entry', { workPeriod: data.workPeriod, workPeriodPayment: data.workPeriodPayment, paymentScheduler: { payoutId: data.payoutId } })
+      expect(result).to.deep.eq({})
+      expect(payoutLedgerEntry.update.getCall(0).args[0]).to.deep.include({ status: 'settled' })
+      expect(payoutLedgerEntry.update.getCall(0).args[0].settledAt).to.be.instanceOf(Date)
+    })
+  })
+})
@@ -0,0 +1,146 @@
+/* eslint-disable no-unused-expressions */
+const expect = require('chai').expect
+const sinon = require('sinon')
+const rewire = require('rewire')
+const moment = require('moment-timezone')
+const models = require('../../src/models')
+const helper = require('../../src/common/helper')
+const errors = require('../../src/common/errors')
+const InterviewService = require('../../src/services/InterviewService')
+const service = rewire('../../src/services/LocalSchedulingService')
+const Interview = models.Interview
+const UserMeetingSettings = models.UserMeetingSettings
+
+describe('local scheduling service test', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('Calculate open slots', () => {
+    // 2022-01-03 is Monday
+    const from = new Date('2022-01-03T00:00:00Z')
+    const to = new Date('2022-01-04T00:00:00Z')
+    const mainHours = { availableTime: [{ days: ['M'], start: '9:00', end: '11:00' }], timezone: 'UTC' }
+
+    it('T01:Calculate the slots inside the working hours every step', async () => {
+      const result = service.calculateOpenSlots({ duration: 60, workingHours: [mainHours], busy: [], from, to })
+      expect(result).to.deep.eq([
+        { start: new Date('2022-01-03T09:00:00Z'), end: new Date('2022-01-03T10:00:00Z') },
+        { start: new Date('2022-01-03T09:30:00Z'), end: new Date('2022-01-03T10:30:00Z') },
+        { start: new Date('2022-01-03T10:00:00Z'), end: new Date('2022-01-03T11:00:00Z') }
+      ])
+    })
+
+    it('T02:Exclude the slots overlapping the busy periods', async () => {
+      const busy = [{ start: new Date('2022-01-03T09:30:00Z'), end: new Date('2022-01-03T10:00:00Z') }]
+      const result = service.calculateOpenSlots({ duration: 60, workingHours: [mainHours], busy, from, to })
+      expect(result).to.deep.eq([
+        { start: new Date('2022-01-03T10:00:00Z'), end: new Date('2022-01-03T11:00:00Z') }
+      ])
+    })
+
+    it('T03:Only keep the slots inside the working hours of every host', async () => {
+      // 10:00-12:00 in Europe/Berlin is 09:00-11:00 UTC in winter, only the overlap 10:00-11:00 UTC is open
+      const otherHours = { availableTime: [{ days: ['M'], start: '11:00', end: '13:00' }], timezone: 'Europe/Berlin' }
+      const result = service.calculateOpenSlots({ duration: 60, workingHours: [mainHours, otherHours], busy: [], from, to })
+      expect(result).to.deep.eq([
+        { start: new Date('2022-01-03T10:00:00Z'), end: new Date('2022-01-03T11:00:00Z') }
+      ])
+    })
+
+    it('T04:Return no slots on the days without working hours', async () => {
+      const result = service.calculateOpenSlots({
+        duration: 60,
+        workingHours: [mainHours],
+        busy: [],
+        from: new Date('2022-01-04T00:00:00Z'),
+        to: new Date('2022-01-05T00:00:00Z')
+      })
+      expect(result).to.deep.eq([])
+    })
+  })
+
+  describe('Book interview', () => {
+    const interviewId = '2d5ea5f4-4d3a-4e7c-a4b3-27e5c6c6f1f1'
+    // every day from 00:00 to 23:30 so the booked time only depends on the other interviews
+    const interview = {
+      id: interviewId,
+      schedulingProvider: 'local',
+      status: 'Scheduling',
+      duration: 30,
+      hostUserId: 'a55fe1bc-1754-45fa-9adc-cf3d6d7c377a',
+      hosts: [{ userId: 'a55fe1bc-1754-45fa-9adc-cf3d6d7c377a', required: true }],
+      hostTimezone: 'UTC',
+      availableTime: [{ days: ['M', 'T', 'W', 'R', 'F', 'S', 'U'], start: '0:00', end: '23:30' }],
+      expireTimestamp: moment().add(5, 'days').toDate()
+    }
+    const startTimestamp = moment.utc().add(1, 'day').startOf('day').add(10, 'hours').toDate()
+
+    it('T05:Fail if the token is signed for another interview', async () => {
+      const token = helper.signInterviewBookingToken('8a5e1df2-1f09-4b5f-9d8d-4c9d33e33a6c')
+      try {
+        await service.bookInterview(interviewId, { token }, { startTimestamp })
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.BadRequestError)
+        expect(err.message).to.eq('Invalid interview id.')
+        return
+      }
+      throw new Error('should not reach here')
+    })
+
+    it('T06:Fail if the token is invalid', async () => {
+      try {
+        await service.bookInterview(interviewId, { token: 'invalid-token' }, { startTimestamp })
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.UnauthorizedError)
+        return
+      }
+      throw new Error('should not reach here')
+    })
+
+    it('T07:Fail if the interview is not scheduled by the built-in scheduling', async () => {
+      sinon.stub(Interview, 'findById').callsFake(async () => ({ ...interview, schedulingProvider: 'nylas' }))
+      try {
+        await service.bookInterview(interviewId, { token: helper.signInterviewBookingToken(interviewId) }, { startTimestamp })
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.BadRequestError)
+        expect(err.message).to.eq('The interview is not scheduled by the built-in scheduling.')
+        return
+      }
+      throw new Error('should not reach here')
+    })
+
+    it('T08:Fail if the selected time overlaps another interview of the host', async () => {
+      sinon.stub(Interview, 'findById').callsFake(async () => interview)
+      sinon.stub(UserMeetingSettings, 'findAll').callsFake(async () => [])
+      sinon.stub(Interview, 'findAll').callsFake(async () => [{ start: startTimestamp, end: moment(startTimestamp).add(30, 'minutes').toDate() }])
+      try {
+        await service.bookInterview(interviewId, { token: helper.signInterviewBookingToken(interviewId) }, { startTimestamp })
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.ConflictError)
+        expect(err.message).to.eq('The selected time is not available.')
+        return
+      }
+      throw new Error('should not reach here')
+    })
+
+    it('T09:Book the interview and create the Zoom meeting', async () => {
+      sinon.stub(Interview, 'findById').callsFake(async () => interview)
+      sinon.stub(UserMeetingSettings, 'findAll').callsFake(async () => [])
+      sinon.stub(Interview, 'findAll').callsFake(async () => [])
+      const stubUpdateInterview = sinon.stub(InterviewService, 'internallyUpdateInterviewById').callsFake(async (currentUser, id, changes) => ({ id, ...changes }))
+      const revert = service.__set__('generateZoomMeetingLink', async () => ({ meeting: { id: 12345 }, zoomAccountApiKey: 'zoom-key' }))
+      try {
+        const result = await service.bookInterview(interviewId, { token: helper.signInterviewBookingToken(interviewId) }, { startTimestamp })
+        expect(result.status).to.eq('Scheduled')
+        expect(result.startTimestamp).to.deep.eq(startTimestamp)
+        expect(result.endTimestamp).to.deep.eq(moment(startTimestamp).add(30, 'minutes').toDate())
+        expect(result.zoomMeetingId).to.eq(12345)
+        expect(result.zoomAccountApiKey).to.be.undefined
+        expect(stubUpdateInterview.calledOnce).to.be.true
+      } finally {
+        revert()
+      }
+    })
+  })
+})
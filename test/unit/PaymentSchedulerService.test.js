@@ -0,0 +1,126 @@
+/* eslint-disable no-unused-expressions */
+const expect = require('chai').expect
+const sinon = require('sinon')
+const rewire = require('rewire')
+const { Op } = require('sequelize')
+const models = require('../../src/models')
+const errors = require('../../src/common/errors')
+const service = require('../../src/services/PaymentSchedulerService')
+const commonData = require('./common/CommonData')
+const testData = require('./common/PaymentSchedulerData')
+const rewiredService = rewire('../../src/services/PaymentSchedulerService')
+const PaymentScheduler = models.PaymentScheduler
+const WorkPeriodPayment = models.WorkPeriodPayment
+const WorkPeriod = models.WorkPeriod
+
+describe('payment scheduler service test', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('Search payment schedulers', () => {
+    it('T01:Search the stuck payment schedulers of the provider', async () => {
+      const stubFindAll = sinon.stub(PaymentScheduler, 'findAll').callsFake(async () => [testData.paymentScheduler])
+      sinon.stub(PaymentScheduler, 'count').callsFake(async () => 1)
+      const result = await service.searchPaymentSchedulers(commonData.userWithManagePermission, { provider: 'ledger', stuck: true })
+      expect(result).to.deep.include({ total: 1, page: 1, perPage: 20 })
+      const criteria = stubFindAll.getCall(0).args[0]
+      expect(criteria.where[Op.and]).to.deep.include({ provider: 'ledger' })
+      expect(criteria.where[Op.and]).to.deep.include({ status: 'in-progress' })
+      expect(criteria.where[Op.and][2].updatedAt[Op.lt]).to.be.instanceOf(Date)
+      expect(criteria.order).to.deep.eq([['updatedAt', 'desc']])
+    })
+
+    it('T02:Fail to search the payment schedulers without the manage permission', async () => {
+      try {
+        await service.searchPaymentSchedulers(commonData.regularUser, {})
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.ForbiddenError)
+        expect(err.message).to.eq('You are not allowed to perform this action!')
+        return
+      }
+      throw new Error('should not reach here')
+    })
+  })
+
+  describe('Get payment scheduler timeline', () => {
+    it('T03:Get the timeline and the last error of the failed payment scheduler', async () => {
+      const data = testData.T03
+      sinon.stub(WorkPeriodPayment, 'findById').callsFake(async () => data.workPeriodPayment)
+      sinon.stub(PaymentScheduler, 'findOne').callsFake(async () => data.paymentScheduler)
+      const result = await service.getPaymentSchedulerTimeline(commonData.currentUser, data.workPeriodPayment.id)
+      expect(result).to.deep.include({ paymentStatus: 'failed', provider: 'ledger', step: 'create-ledger-entry', status: 'failed' })
+      expect(result.timeline).to.deep.eq(data.paymentScheduler.timeline)
+      expect(result.lastError).to.deep.eq(data.paymentScheduler.lastError)
+    })
+
+    it('T04:Get the error details of the payment which fails before the payout is created', async () => {
+      const data = testData.T04
+      sinon.stub(WorkPeriodPayment, 'findById').callsFake(async () => data.workPeriodPayment)
+      sinon.stub(PaymentScheduler, 'findOne').callsFake(async () => null)
+      const result = await service.getPaymentSchedulerTimeline(commonData.currentUser, data.workPeriodPayment.id)
+      expect(result).to.deep.include({ paymentSchedulerId: null, step: null, timeline: [] })
+      expect(result.lastError).to.deep.eq(data.workPeriodPayment.statusDetails)
+    })
+  })
+
+  describe('Retry work period payment', () => {
+    it('T05:Fail to retry the payment which is not failed', async () => {
+      sinon.stub(WorkPeriodPayment, 'findById').callsFake(async () => ({ ...testData.T03.workPeriodPayment, status: 'completed' }))
+      try {
+        await service.retryWorkPeriodPayment(commonData.currentUser, testData.T03.workPeriodPayment.id)
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.BadRequestError)
+        expect(err.message).to.eq('Only the failed payment could be retried, the payment status is "completed".')
+        return
+      }
+      throw new Error('should not reach here')
+    })
+
+    it('T06:Schedule the failed payment again from the last successful step', async () => {
+      const data = testData.T03
+      sinon.stub(WorkPeriodPayment, 'findById').callsFake(async () => data.workPeriodPayment)
+      sinon.stub(PaymentScheduler, 'findOne').callsFake(async () => data.paymentScheduler)
+      const stubUpdatePayment = sinon.stub().callsFake(async (currentUser, id, changes) => ({ id, ...changes }))
+      const revert = rewiredService.__set__('partiallyUpdateWorkPeriodPayment', stubUpdatePayment)
+      try {
+        const result = await rewiredService.retryWorkPeriodPayment(commonData.currentUser, data.workPeriodPayment.id)
+        expect(result).to.deep.eq({ id: data.workPeriodPayment.id, status: 'scheduled', resumeFromStep: 'create-ledger-entry' })
+        expect(stubUpdatePayment.getCall(0).args[2]).to.deep.eq({ status: 'scheduled' })
+      } finally {
+        revert()
+      }
+    })
+
+    it('T07:Process the retried payment from the step after the last successful step', async () => {
+      const data = testData.T07
+      const workPeriodPayment = commonData.buildInstance(data.workPeriodPayment)
+      const paymentScheduler = commonData.buildInstance(data.paymentScheduler)
+      sinon.stub(models.sequelize, 'transaction').callsFake(async (fn) => fn({}))
+      sinon.stub(WorkPeriodPayment, 'findAll').callsFake(async () => [workPeriodPayment])
+      sinon.stub(PaymentScheduler, 'findOne').callsFake(async () => paymentScheduler)
+      sinon.stub(WorkPeriod, 'findById').callsFake(async () => data.workPeriod)
+      const ledgerProvider = rewiredService.__get__('payoutProviders').ledger
+      const stubExecuteStep = sinon.stub(ledgerProvider, 'executeStep').callsFake(async () => ({}))
+      const revert = rewiredService.__set__({
+        processUpdate: async () => {},
+        postEvent: async () => {}
+      })
+      try {
+        await rewiredService.processScheduler()
+        expect(stubExecuteStep.callCount).to.eq(1)
+        expect(stubExecuteStep.getCall(0).args[0]).to.eq('settle-ledger-entry')
+        expect(workPeriodPayment.status).to.eq('completed')
+        expect(paymentScheduler.status).to.eq('completed')
+        expect(paymentScheduler.timeline.map(entry => `${entry.step}:${entry.status}`)).to.deep.eq([
+          'create-ledger-entry:completed',
+          'settle-ledger-entry:failed',
+          'create-ledger-entry:in-progress',
+          'settle-ledger-entry:completed'
+        ])
+      } finally {
+        revert()
+      }
+    })
+  })
+})
@@ -0,0 +1,83 @@
+/* eslint-disable no-unused-expressions */
+const expect = require('chai').expect
+const sinon = require('sinon')
+const models = require('../../src/models')
+const service = require('../../src/services/ResourceBookingExtensionService')
+const commonData = require('./common/CommonData')
+const testData = require('./common/ResourceBookingExtensionData')
+const helper = require('../../src/common/helper')
+const errors = require('../../src/common/errors')
+const ResourceBooking = models.ResourceBooking
+const ResourceBookingExtension = models.ResourceBookingExtension
+const WorkPeriod = models.WorkPeriod
+
+describe('resourceBookingExtension service test', () => {
+  const transaction = { id: 'transaction' }
+  let stubPostEvent
+  beforeEach(() => {
+    sinon.stub(models.sequelize, 'transaction').callsFake(async (fn) => fn(transaction))
+    stubPostEvent = sinon.stub(helper, 'postEvent').callsFake(async () => {})
+  })
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('Approve resource booking extension', () => {
+    /**
+     * Stub the models used to extend the resource booking.
+     * @param {Object} data the test data
+     */
+    function stubResourceBooking (data) {
+      sinon.stub(ResourceBookingExtension, 'findById').callsFake(async () => data.extension)
+      sinon.stub(ResourceBooking, 'findById').callsFake(async () => data.resourceBooking)
+      sinon.stub(ResourceBooking, 'findAll').callsFake(async () => [])
+      sinon.stub(WorkPeriod, 'findAll').callsFake(async () => [])
+      sinon.stub(helper, 'getUserId').callsFake(async () => data.userId)
+    }
+
+    it('T01:Extend the resource booking and approve the extension in the same transaction', async () => {
+      const data = testData.T01
+      stubResourceBooking(data)
+      const stubUpdateResourceBooking = sinon.spy(data.resourceBooking, 'update')
+      const stubUpdateExtension = sinon.spy(data.extension, 'update')
+      const result = await service.approveResourceBookingExtension(commonData.userWithManagePermission, data.resourceBookingId, data.id, data.data)
+      expect(result).to.deep.include(data.result)
+      expect(stubUpdateResourceBooking.firstCall.args[0]).to.deep.include(data.resourceBookingChanges)
+      expect(stubUpdateResourceBooking.firstCall.args[1].transaction).to.eq(transaction)
+      expect(stubUpdateExtension.firstCall.args[1].transaction).to.eq(transaction)
+      expect(stubPostEvent.calledOnce).to.be.true
+    })
+
+    it('T02:Do not extend the resource booking if the extension fails to be approved', async () => {
+      const data = testData.T02
+      stubResourceBooking(data)
+      const stubUpdateResourceBooking = sinon.spy(data.resourceBooking, 'update')
+      sinon.stub(data.extension, 'update').callsFake(async () => { throw data.error })
+      try {
+        await service.approveResourceBookingExtension(commonData.userWithManagePermission, data.resourceBookingId, data.id, data.data)
+      } catch (err) {
+        expect(err).to.eq(data.error)
+        expect(stubUpdateResourceBooking.firstCall.args[1].transaction).to.eq(transaction)
+        expect(stubPostEvent.notCalled).to.be.true
+        return
+      }
+      throw new Error('should not reach here')
+    })
+
+    it('T03:Fail to approve the extension of the cancelled resource booking', async () => {
+      const data = testData.T03
+      sinon.stub(ResourceBookingExtension, 'findById').callsFake(async () => data.extension)
+      sinon.stub(ResourceBooking, 'findById').callsFake(async () => data.resourceBooking)
+      try {
+        await service.approveResourceBookingExtension(commonData.userWithManagePermission, data.resourceBookingId, data.id, data.data)
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.BadRequestError)
+        expect(err.message).to.eq(data.error)
+        expect(stubPostEvent.notCalled).to.be.true
+        return
+      }
+      throw new Error('should not reach here')
+    })
+  })
+})
@@ -2,9 +2,12 @@
 
 const expect = require('chai').expect
 const sinon = require('sinon')
+const rewire = require('rewire')
+const config = require('config')
 const models = require('../../src/models')
 const service = require('../../src/services/ResourceBookingService')
 const workPeriodService = require('../../src/services/WorkPeriodService')
+const workCalendarService = require('../../src/services/WorkCalendarService')
 const commonData = require('./common/CommonData')
 const testData = require('./common/ResourceBookingData')
 const helper = require('../../src/common/helper')
@@ -678,4 +681,228 @@ describe('resourceBooking service test', () => {
       expect(stubDeleteWorkPeriodService.callCount).to.eq(0)
     })
   })
+  describe('Report margins of resource bookings', () => {
+    it('T39:Report revenue, cost and margin grouped by month', async () => {
+      const data = testData.T39
+      const ESClient = commonData.ESClient
+      ESClient.search = () => {}
+      sinon.stub(ESClient, 'search').callsFake(() => { throw new Error() })
+      const stubResourceBookingFindAll = sinon.stub(ResourceBooking, 'findAll').callsFake(async () => {
+        return data.resourceBookingFindAll
+      })
+      sinon.stub(ResourceBooking, 'count').callsFake(async () => [1])
+      const result = await service.getMarginReport(commonData.userWithManagePermission, data.criteria)
+      expect(stubResourceBookingFindAll.calledOnce).to.be.true
+      expect(result).to.deep.eq(data.result)
+    })
+    it('T50:Report revenue, cost and margin grouped by job', async () => {
+      const data = testData.T50
+      sinon.stub(commonData.ESClient, 'search').callsFake(() => { throw new Error() })
+      sinon.stub(ResourceBooking, 'findAll').callsFake(async () => data.resourceBookingFindAll)
+      sinon.stub(ResourceBooking, 'count').callsFake(async () => [1])
+      const stubJobFindAll = sinon.stub(models.Job, 'findAll').callsFake(async () => data.jobFindAll)
+      sinon.stub(models.Role, 'findAll').callsFake(async () => data.roleFindAll)
+      const result = await service.getMarginReport(commonData.userWithManagePermission, data.criteria)
+      expect(stubJobFindAll.firstCall.args[0].where.id).to.have.members(_.map(data.jobFindAll, 'id'))
+      expect(result).to.deep.eq(data.result)
+    })
+    it('T51:Report revenue, cost and margin grouped by the first role of the job', async () => {
+      const data = testData.T51
+      sinon.stub(commonData.ESClient, 'search').callsFake(() => { throw new Error() })
+      sinon.stub(ResourceBooking, 'findAll').callsFake(async () => data.resourceBookingFindAll)
+      sinon.stub(ResourceBooking, 'count').callsFake(async () => [1])
+      sinon.stub(models.Job, 'findAll').callsFake(async () => data.jobFindAll)
+      const stubRoleFindAll = sinon.stub(models.Role, 'findAll').callsFake(async () => data.roleFindAll)
+      const result = await service.getMarginReport(commonData.userWithManagePermission, data.criteria)
+      expect(stubRoleFindAll.firstCall.args[0].where.id).to.deep.eq(data.roleIds)
+      expect(result).to.deep.eq(data.result)
+    })
+    it('T52:Export the margin report grouped by project to CSV', async () => {
+      const data = testData.T52
+      sinon.stub(commonData.ESClient, 'search').callsFake(() => { throw new Error() })
+      sinon.stub(ResourceBooking, 'findAll').callsFake(async () => data.resourceBookingFindAll)
+      sinon.stub(ResourceBooking, 'count').callsFake(async () => [1])
+      const result = await service.getMarginReport(commonData.userWithManagePermission, data.criteria)
+      expect(result).to.eq(data.result)
+    })
+    it('T53:Report only the work periods which end between fromDate and toDate', async () => {
+      const data = testData.T53
+      sinon.stub(commonData.ESClient, 'search').callsFake(() => { throw new Error() })
+      sinon.stub(ResourceBooking, 'findAll').callsFake(async () => data.resourceBookingFindAll)
+      sinon.stub(ResourceBooking, 'count').callsFake(async () => [1])
+      const result = await service.getMarginReport(commonData.userWithManagePermission, data.criteria)
+      expect(result).to.deep.eq(data.result)
+    })
+  })
+  describe('Forecast resource bookings', () => {
+    it('T40:Forecast customer spend and member payouts with the bookings extended', async () => {
+      const data = testData.T40
+      const stubResourceBookingFindAll = sinon.stub(ResourceBooking, 'findAll').callsFake(async () => {
+        return data.resourceBookingFindAll
+      })
+      sinon.stub(WorkPeriod, 'findAll').callsFake(async () => data.workPeriodFindAll)
+      sinon.stub(models.TimeOff, 'findAll').callsFake(async () => [])
+      const result = await service.getForecast(commonData.userWithManagePermission, data.criteria)
+      expect(stubResourceBookingFindAll.calledOnce).to.be.true
+      expect(result).to.deep.eq(data.result)
+    })
+    it('T47:Forecast only the customer spend for the customer', async () => {
+      const data = testData.T47
+      sinon.stub(ResourceBooking, 'findAll').callsFake(async () => data.resourceBookingFindAll)
+      sinon.stub(WorkPeriod, 'findAll').callsFake(async () => data.workPeriodFindAll)
+      sinon.stub(models.TimeOff, 'findAll').callsFake(async () => [])
+      const stubCheckIsMemberOfProject = sinon.stub(helper, 'checkIsMemberOfProject').callsFake(async () => {})
+      const result = await service.getForecast(commonData.regularUser, data.criteria)
+      expect(stubCheckIsMemberOfProject.calledOnceWith(commonData.regularUser.userId, data.criteria.projectId)).to.be.true
+      expect(result).to.deep.eq(data.result)
+    })
+    it('T48:Forecast the resource booking without end date until toDate', async () => {
+      const data = testData.T48
+      sinon.stub(ResourceBooking, 'findAll').callsFake(async () => data.resourceBookingFindAll)
+      sinon.stub(WorkPeriod, 'findAll').callsFake(async () => data.workPeriodFindAll)
+      const stubExtractWorkPeriods = sinon.stub(workCalendarService, 'extractWorkPeriods').callsFake(async () => data.calendarWeeks)
+      const result = await service.getForecast(commonData.userWithManagePermission, data.criteria)
+      expect(stubExtractWorkPeriods.calledOnce).to.be.true
+      expect(stubExtractWorkPeriods.firstCall.args[0]).to.deep.include(data.calendarRange)
+      expect(result).to.deep.eq(data.result)
+    })
+    it('T49:Forecast the resource booking extended until toDate', async () => {
+      const data = testData.T49
+      sinon.stub(ResourceBooking, 'findAll').callsFake(async () => data.resourceBookingFindAll)
+      sinon.stub(WorkPeriod, 'findAll').callsFake(async () => data.workPeriodFindAll)
+      const stubExtractWorkPeriods = sinon.stub(workCalendarService, 'extractWorkPeriods').callsFake(async () => data.calendarWeeks)
+      const result = await service.getForecast(commonData.userWithManagePermission, data.criteria)
+      expect(stubExtractWorkPeriods.calledOnce).to.be.true
+      expect(stubExtractWorkPeriods.firstCall.args[0]).to.deep.include(data.calendarRange)
+      expect(result).to.deep.eq(data.result)
+    })
+  })
+
+  describe('Update rate schedule of resource booking', () => {
+    const updateRateSchedule = rewire('../../src/services/ResourceBookingService').__get__('_updateRateSchedule')
+    const oldValue = {
+      memberRate: 15,
+      customerRate: 18,
+      rates: [
+        { effectiveFrom: '2022-01-01', memberRate: 10, customerRate: 12 },
+        { effectiveFrom: '2022-03-01', memberRate: 15, customerRate: 18 }
+      ]
+    }
+
+    it('T41:Insert the backdated rate and keep the current rates of the later entry', async () => {
+      const data = { memberRate: 11, rateEffectiveFrom: '2022-02-01', updatedBy: '79a39efd-91af-494a-b0f6-62310495effd' }
+      updateRateSchedule(oldValue, data)
+      expect(_.map(data.rates, entry => _.pick(entry, ['effectiveFrom', 'memberRate', 'customerRate']))).to.deep.eq([
+        { effectiveFrom: '2022-01-01', memberRate: 10, customerRate: 12 },
+        { effectiveFrom: '2022-02-01', memberRate: 11, customerRate: 12 },
+        { effectiveFrom: '2022-03-01', memberRate: 15, customerRate: 18 }
+      ])
+      expect(data).to.include({ memberRate: 15, customerRate: 18 })
+    })
+
+    it('T42:Add the rate effective after the last entry as the current rates', async () => {
+      const data = { customerRate: 20, rateEffectiveFrom: '2022-04-01', updatedBy: '79a39efd-91af-494a-b0f6-62310495effd' }
+      updateRateSchedule(oldValue, data)
+      expect(_.last(data.rates)).to.include({ effectiveFrom: '2022-04-01', memberRate: 15, customerRate: 20 })
+      expect(data).to.include({ memberRate: 15, customerRate: 20 })
+    })
+  })
+
+  describe('Check allocation of member', () => {
+    const rewiredService = rewire('../../src/services/ResourceBookingService')
+    const checkMemberAllocation = rewiredService.__get__('_checkMemberAllocation')
+    const resourceBooking = { userId: 'a55fe1bc-1754-45fa-9adc-cf3d6d7c377a', status: 'placed', startDate: '2022-01-02', endDate: '2022-01-29' }
+    const overlapping = [{ id: '8694a939-45fe-482e-bee2-3b530acf4139', startDate: '2022-01-02', endDate: '2022-02-26' }]
+
+    it('T43:Report the over-allocation as rounded percentage', async () => {
+      sinon.stub(ResourceBooking, 'findAll').callsFake(async () => overlapping)
+      // 1.15 * 100 is 114.99999999999999 in floating point
+      sinon.stub(helper, 'getPeakAllocation').callsFake(() => 1.15)
+      const revert = rewiredService.__set__('_withAllocations', async (resourceBookings) => resourceBookings)
+      try {
+        await checkMemberAllocation(commonData.userWithManagePermission, resourceBooking, false)
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.ConflictError)
+        expect(err.message).to.eq('Member a55fe1bc-1754-45fa-9adc-cf3d6d7c377a would be allocated 115% of the time together with the placed ResourceBookings: 8694a939-45fe-482e-bee2-3b530acf4139. ' +
+          'Pass "allowOverAllocation" to place the member anyway.')
+        return
+      } finally {
+        revert()
+      }
+      throw new Error('should not reach here')
+    })
+  })
+
+  describe('Cancel resource booking', () => {
+    const transaction = { id: 'cancellation' }
+    let stubHelperPostEvent
+    let stubFlagWorkPeriodClawback
+    /**
+     * Build the resource booking instance returned by the model.
+     * @param {Object} values the resource booking values
+     * @returns {Object} the resource booking instance
+     */
+    function buildResourceBookingInstance (values) {
+      return {
+        ...values,
+        toJSON: () => values,
+        update: sinon.stub().callsFake(async (changes) => buildResourceBookingInstance({ ...values, ...changes }))
+      }
+    }
+    beforeEach(() => {
+      sinon.stub(models.sequelize, 'transaction').callsFake(async (fn) => fn(transaction))
+      stubHelperPostEvent = sinon.stub(helper, 'postEvent').callsFake(async () => {})
+      stubFlagWorkPeriodClawback = sinon.stub(workPeriodService, 'flagWorkPeriodClawback').callsFake(async () => undefined)
+      sinon.stub(helper, 'getUserId').callsFake(async () => '79a39efd-91af-494a-b0f6-62310495effd')
+      sinon.stub(workCalendarService, 'extractWorkPeriods').callsFake(async () => testData.T44.weeks)
+      sinon.stub(WorkPeriod, 'findAll').callsFake(async () => _.map(testData.T44.workPeriods, wp => ({ toJSON: () => wp })))
+    })
+
+    it('T44:Fail to cancel the cancelled resource booking', async () => {
+      const resourceBooking = buildResourceBookingInstance({ ...testData.T44.resourceBooking, status: 'cancelled' })
+      sinon.stub(ResourceBooking, 'findById').callsFake(async () => resourceBooking)
+      try {
+        await service.cancelResourceBooking(commonData.userWithManagePermission, resourceBooking.id, testData.T44.data)
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.BadRequestError)
+        expect(err.message).to.eq('The resource booking is already cancelled.')
+        expect(models.sequelize.transaction.notCalled).to.be.true
+        return
+      }
+      throw new Error('should not reach here')
+    })
+
+    it('T45:Cancel the resource booking with all the work period changes in one transaction', async () => {
+      const data = testData.T44
+      const resourceBooking = buildResourceBookingInstance(data.resourceBooking)
+      sinon.stub(ResourceBooking, 'findById').callsFake(async () => resourceBooking)
+      const result = await service.cancelResourceBooking(commonData.userWithManagePermission, resourceBooking.id, data.data)
+      expect(result).to.deep.include({ status: 'cancelled', endDate: '2022-01-12' })
+      expect(result.cancellation).to.deep.eq(data.cancellation)
+      expect(models.sequelize.transaction.calledOnce).to.be.true
+      expect(stubDeleteWorkPeriodService.getCall(0).args).to.deep.eq(['3b5e0b8c-8e3c-4b8f-9a8c-1f7e2e2d5c11', transaction, false])
+      expect(stubUpdateWorkPeriodService.callCount).to.eq(1)
+      expect(stubUpdateWorkPeriodService.getCall(0).args.slice(1)).to.deep.eq(['4c6f1c9d-9f4d-4c90-8b9d-2a8f3f3e6d22', { daysWorked: 2 }, transaction, false])
+      expect(stubFlagWorkPeriodClawback.callCount).to.eq(2)
+      expect(stubFlagWorkPeriodClawback.getCall(0).args).to.deep.eq(['2f6a2e8c-2c6f-4bd5-a8e5-d5f1e0b6c1a4', { days: 2, hours: null, amount: 200 }, transaction, false])
+      expect(resourceBooking.update.getCall(0).args[1]).to.deep.eq({ transaction })
+      expect(stubHelperPostEvent.calledOnce).to.be.true
+      expect(stubHelperPostEvent.getCall(0).args[0]).to.eq(config.TAAS_RESOURCE_BOOKING_CANCEL_TOPIC)
+    })
+
+    it('T46:Do not cancel the resource booking if a work period change fails', async () => {
+      const resourceBooking = buildResourceBookingInstance(testData.T44.resourceBooking)
+      sinon.stub(ResourceBooking, 'findById').callsFake(async () => resourceBooking)
+      stubFlagWorkPeriodClawback.rejects(new Error('Failed to flag the clawback'))
+      try {
+        await service.cancelResourceBooking(commonData.userWithManagePermission, resourceBooking.id, testData.T44.data)
+      } catch (err) {
+        expect(err.message).to.eq('Failed to flag the clawback')
+        expect(resourceBooking.update.notCalled).to.be.true
+        expect(stubHelperPostEvent.notCalled).to.be.true
+        return
+      }
+      throw new Error('should not reach here')
+    })
+  })
 })
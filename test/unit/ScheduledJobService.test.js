@@ -0,0 +1,119 @@
+/* eslint-disable no-unused-expressions */
+const _ = require('lodash')
+const expect = require('chai').expect
+const sinon = require('sinon')
+const moment = require('moment')
+const { Op } = require('sequelize')
+const models = require('../../src/models')
+const service = require('../../src/services/ScheduledJobService')
+const eventOutboxService = require('../../src/services/EventOutboxService')
+const commonData = require('./common/CommonData')
+const helper = require('../../src/common/helper')
+const errors = require('../../src/common/errors')
+const ScheduledJob = models.ScheduledJob
+const ScheduledJobRun = models.ScheduledJobRun
+
+describe('scheduledJob service test', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('Trigger scheduled job', () => {
+    let run
+
+    beforeEach(() => {
+      run = {
+        id: 'a40cd1fe-8f2d-4e48-a0e5-0c7e6fc3a2de',
+        jobName: 'processEventOutbox',
+        startedAt: new Date(),
+        update: sinon.stub().callsFake(async function (data) { Object.assign(this, data) }),
+        toJSON: function () { return { id: this.id, jobName: this.jobName, status: this.status } }
+      }
+      sinon.stub(ScheduledJob, 'findByName').callsFake(async () => ({ name: 'processEventOutbox', enabled: true }))
+      sinon.stub(helper, 'getUserId').callsFake(async () => '79a39efd-91af-494a-b0f6-62310495effd')
+    })
+
+    it('T01:Trigger the job and record the run when the lease is acquired', async () => {
+      const stubProcessOutbox = sinon.stub(eventOutboxService, 'processOutbox').callsFake(async () => {})
+      const stubScheduledJobUpdate = sinon.stub(ScheduledJob, 'update').callsFake(async () => [1])
+      const stubRunCreate = sinon.stub(ScheduledJobRun, 'create').callsFake(async (data) => Object.assign(run, data))
+      const result = await service.triggerScheduledJob(commonData.userWithManagePermission, 'processEventOutbox')
+      expect(result).to.deep.eq({ id: run.id, jobName: 'processEventOutbox', status: 'running' })
+      expect(stubRunCreate.calledOnce).to.be.true
+      expect(stubRunCreate.firstCall.args[0].trigger).to.eq('manual')
+      // the job runs in the background
+      await new Promise(resolve => setImmediate(resolve))
+      expect(stubProcessOutbox.calledOnce).to.be.true
+      expect(run.status).to.eq('completed')
+      expect(stubScheduledJobUpdate.calledTwice).to.be.true
+      expect(stubScheduledJobUpdate.secondCall.args[0]).to.include({ leaseOwner: null, lastRunStatus: 'completed' })
+    })
+
+    it('T02:Fail to trigger the job which is running by another instance', async () => {
+      sinon.stub(ScheduledJob, 'update').callsFake(async () => [0])
+      const stubRunCreate = sinon.stub(ScheduledJobRun, 'create')
+      try {
+        await service.triggerScheduledJob(commonData.userWithManagePermission, 'processEventOutbox')
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.ConflictError)
+        expect(err.message).to.eq('Job "processEventOutbox" is running')
+        expect(stubRunCreate.called).to.be.false
+        return
+      }
+      throw new Error('should not reach here')
+    })
+
+    it('T03:Fail to trigger the job by the user without manage permission', async () => {
+      try {
+        await service.triggerScheduledJob(commonData.UserTCConnCopilot, 'processEventOutbox')
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.ForbiddenError)
+        return
+      }
+      throw new Error('should not reach here')
+    })
+
+    it('T05:Record the run as failed if the job fails', async () => {
+      sinon.stub(eventOutboxService, 'processOutbox').callsFake(async () => { throw new Error('db is not available') })
+      const stubScheduledJobUpdate = sinon.stub(ScheduledJob, 'update').callsFake(async () => [1])
+      sinon.stub(ScheduledJobRun, 'create').callsFake(async (data) => Object.assign(run, data))
+      await service.triggerScheduledJob(commonData.userWithManagePermission, 'processEventOutbox')
+      await new Promise(resolve => setImmediate(resolve))
+      expect(run.status).to.eq('failed')
+      expect(run.error).to.eq('db is not available')
+      expect(stubScheduledJobUpdate.secondCall.args[0]).to.include({ leaseOwner: null, lastRunStatus: 'failed' })
+    })
+
+    it('T06:Renew the lease while the job is running', async () => {
+      const clock = sinon.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] })
+      let finishJob
+      sinon.stub(eventOutboxService, 'processOutbox').callsFake(() => new Promise(resolve => { finishJob = resolve }))
+      const stubScheduledJobUpdate = sinon.stub(ScheduledJob, 'update').callsFake(async () => [1])
+      sinon.stub(ScheduledJobRun, 'create').callsFake(async (data) => Object.assign(run, data))
+      await service.triggerScheduledJob(commonData.userWithManagePermission, 'processEventOutbox')
+      // the lease lasts 1 hour and is renewed every 30 minutes
+      clock.tick(moment.duration(30, 'minutes').asMilliseconds())
+      expect(stubScheduledJobUpdate.calledTwice).to.be.true
+      expect(_.keys(stubScheduledJobUpdate.secondCall.args[0])).to.deep.eq(['leaseExpiresAt'])
+      expect(stubScheduledJobUpdate.secondCall.args[1].where).to.include({ name: 'processEventOutbox' })
+      expect(moment(stubScheduledJobUpdate.secondCall.args[0].leaseExpiresAt).diff(moment(), 'minutes', true)).to.be.closeTo(60, 1)
+      finishJob()
+      await new Promise(resolve => setImmediate(resolve))
+      expect(run.status).to.eq('completed')
+      // the lease is released and not renewed any more
+      clock.tick(moment.duration(30, 'minutes').asMilliseconds())
+      expect(stubScheduledJobUpdate.callCount).to.eq(3)
+      expect(stubScheduledJobUpdate.thirdCall.args[0]).to.include({ leaseOwner: null })
+    })
+  })
+
+  describe('Clean up scheduled job runs', () => {
+    it('T04:Remove the runs started before the retention period', async () => {
+      const stubRunDestroy = sinon.stub(ScheduledJobRun, 'destroy').callsFake(async () => 2880)
+      await service.cleanUpScheduledJobRuns()
+      expect(stubRunDestroy.calledOnce).to.be.true
+      const startedBefore = stubRunDestroy.firstCall.args[0].where.startedAt[Op.lt]
+      expect(moment().diff(startedBefore, 'days')).to.eq(30)
+    })
+  })
+})
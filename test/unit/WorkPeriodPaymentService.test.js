@@ -1,6 +1,7 @@
 /* eslint-disable no-unused-expressions */
 const expect = require('chai').expect
 const sinon = require('sinon')
+const rewire = require('rewire')
 const models = require('../../src/models')
 const service = require('../../src/services/WorkPeriodPaymentService')
 const commonData = require('./common/CommonData')
@@ -56,5 +57,241 @@ describe('workPeriodPayment service test', () => {
         expect(err.message).to.include('"ResourceBooking" Billing account is not assigned to the resource booking')
       }
     })
+    it('fail to create work period payment if the timesheet of work period is not approved', async () => {
+      stubEnsureWorkPeriodById.restore()
+      sinon.stub(helper, 'ensureWorkPeriodById').callsFake(async () => testData.workPeriodPayment01.ensureWorkPeriodByIdResponse02)
+
+      try {
+        await service.createWorkPeriodPayment(commonData.currentUser, testData.workPeriodPayment01.request)
+        expect.fail('should throw error')
+      } catch (err) {
+        expect(err.message).to.include('The timesheet must be approved')
+      }
+      expect(stubCreateWorkPeriodPayment.notCalled).to.be.true
+    })
+    it('create work period payment for the not paid hours of hourly work period', async () => {
+      stubEnsureWorkPeriodById.restore()
+      sinon.stub(helper, 'ensureWorkPeriodById').callsFake(async () => testData.workPeriodPayment01.ensureWorkPeriodByIdResponse03)
+      sinon.stub(models.WorkPeriod, 'findOne').callsFake(async () => testData.workPeriodPayment01.workPeriodWithPayments)
+      sinon.stub(testData.workPeriodPayment01.workPeriodWithPayments, 'update').callsFake(async () => testData.workPeriodPayment01.workPeriodUpdateResponse)
+      sinon.stub(commonData.ESClient, 'search').callsFake(async () => testData.workPeriodPayment01.workPeriodUpdateESSearchResponse)
+      await service.createWorkPeriodPayment(commonData.currentUser, testData.workPeriodPayment01.request)
+      expect(stubCreateWorkPeriodPayment.calledOnce).to.be.true
+      expect(stubCreateWorkPeriodPayment.args[0][0]).to.include({
+        days: 0,
+        hours: 24,
+        amount: 317.52
+      })
+    })
+    it('create work period payment with the rates which applied at the start of work period', async () => {
+      stubEnsureWorkPeriodById.restore()
+      stubEnsureResourceBookingById.restore()
+      sinon.stub(helper, 'ensureWorkPeriodById').callsFake(async () => testData.workPeriodPayment01.ensureWorkPeriodByIdResponse03)
+      sinon.stub(helper, 'ensureResourceBookingById').callsFake(async () => testData.workPeriodPayment01.ensureResourceBookingByIdResponse03)
+      sinon.stub(models.WorkPeriod, 'findOne').callsFake(async () => testData.workPeriodPayment01.workPeriodWithPayments)
+      sinon.stub(testData.workPeriodPayment01.workPeriodWithPayments, 'update').callsFake(async () => testData.workPeriodPayment01.workPeriodUpdateResponse)
+      sinon.stub(commonData.ESClient, 'search').callsFake(async () => testData.workPeriodPayment01.workPeriodUpdateESSearchResponse)
+      await service.createWorkPeriodPayment(commonData.currentUser, testData.workPeriodPayment01.request)
+      expect(stubCreateWorkPeriodPayment.calledOnce).to.be.true
+      expect(stubCreateWorkPeriodPayment.args[0][0]).to.include({
+        memberRate: 13.23,
+        customerRate: 13,
+        hours: 24,
+        amount: 317.52
+      })
+    })
+    it('create work period payment pending approval if the amount is more than the approval threshold', async () => {
+      sinon.stub(models.WorkPeriod, 'findOne').callsFake(async () => testData.workPeriodPayment01.workPeriodWithPayments)
+      sinon.stub(testData.workPeriodPayment01.workPeriodWithPayments, 'update').callsFake(async () => testData.workPeriodPayment01.workPeriodUpdateResponse)
+      sinon.stub(commonData.ESClient, 'search').callsFake(async () => testData.workPeriodPayment01.workPeriodUpdateESSearchResponse)
+      await service.createWorkPeriodPayment(commonData.currentUser, testData.workPeriodPayment01.request)
+      expect(stubCreateWorkPeriodPayment.calledOnce).to.be.true
+      expect(stubCreateWorkPeriodPayment.args[0][0]).to.include({
+        status: 'pending-approval',
+        createdBy: testData.workPeriodPayment01.getUserIdResponse
+      })
+    })
+    it('create adjustment work period payment without approved timesheet', async () => {
+      stubEnsureWorkPeriodById.restore()
+      sinon.stub(helper, 'ensureWorkPeriodById').callsFake(async () => testData.workPeriodPayment01.ensureWorkPeriodByIdResponse02)
+      sinon.stub(models.WorkPeriod, 'findOne').callsFake(async () => testData.workPeriodPayment01.workPeriodWithPayments)
+      sinon.stub(testData.workPeriodPayment01.workPeriodWithPayments, 'update').callsFake(async () => testData.workPeriodPayment01.workPeriodUpdateResponse)
+      sinon.stub(commonData.ESClient, 'search').callsFake(async () => testData.workPeriodPayment01.workPeriodUpdateESSearchResponse)
+      await service.createAdjustmentWorkPeriodPayment(commonData.currentUser, {
+        workPeriodId: testData.workPeriodPayment01.request.workPeriodId,
+        amount: 100,
+        reasonCode: 'bonus'
+      })
+      expect(stubCreateWorkPeriodPayment.calledOnce).to.be.true
+      expect(stubCreateWorkPeriodPayment.args[0][0]).to.include({
+        type: 'adjustment',
+        reasonCode: 'bonus',
+        days: 0,
+        amount: 100,
+        billingAccountId: testData.workPeriodPayment01.ensureResourceBookingByIdResponse.billingAccountId
+      })
+    })
+    it('preview work period payments in bulk without creating them', async () => {
+      const result = await service.createBulkOfWorkPeriodPayments(commonData.currentUser, [testData.workPeriodPayment01.request], true)
+      expect(stubCreateWorkPeriodPayment.notCalled).to.be.true
+      expect(result.total).to.eq(1)
+      expect(result.skipped).to.be.empty
+      expect(result.payments[0]).to.include({
+        workPeriodId: testData.workPeriodPayment01.request.workPeriodId,
+        billingAccountId: testData.workPeriodPayment01.ensureResourceBookingByIdResponse.billingAccountId,
+        status: 'pending-approval'
+      })
+      expect(result.totalAmount).to.eq(result.payments[0].amount)
+      expect(helper.verifyWorkPeriodPaymentPreviewToken(result.previewToken)).to.include({
+        userId: testData.workPeriodPayment01.getUserIdResponse
+      })
+    })
+    it('fail to create work period payment by days for hourly work period', async () => {
+      stubEnsureWorkPeriodById.restore()
+      sinon.stub(helper, 'ensureWorkPeriodById').callsFake(async () => testData.workPeriodPayment01.ensureWorkPeriodByIdResponse03)
+
+      try {
+        await service.createWorkPeriodPayment(commonData.currentUser, { ...testData.workPeriodPayment01.request, days: 2 })
+        expect.fail('should throw error')
+      } catch (err) {
+        expect(err.message).to.include('"hours" should be provided instead of "days"')
+      }
+      expect(stubCreateWorkPeriodPayment.notCalled).to.be.true
+    })
+  })
+
+  describe('approve work period payment test', () => {
+    const id = '4e7a2d3b-b9f7-4e0a-8d6e-1b2c3d4e5f60'
+    let stubFindWorkPeriodPayment
+
+    beforeEach(async () => {
+      sinon.stub(helper, 'getUserId').callsFake(async () => testData.workPeriodPayment01.getUserIdResponse)
+      sinon.stub(models.sequelize, 'transaction').callsFake(async (fn) => fn({ LOCK: { UPDATE: 'UPDATE' } }))
+    })
+
+    it('fail to approve work period payment by the user who created it', async () => {
+      stubFindWorkPeriodPayment = sinon.stub(models.WorkPeriodPayment, 'findById').callsFake(async () => ({
+        toJSON: () => ({ id, status: 'pending-approval', createdBy: testData.workPeriodPayment01.getUserIdResponse })
+      }))
+      try {
+        await service.approveWorkPeriodPayment(commonData.currentUser, id)
+        expect.fail('should throw error')
+      } catch (err) {
+        expect(err.message).to.include('should be approved by the user other than the one who created it')
+      }
+      expect(stubFindWorkPeriodPayment.calledOnce).to.be.true
+      expect(stubFindWorkPeriodPayment.firstCall.args[1].lock).to.eq('UPDATE')
+    })
+    it('fail to approve work period payment by the user who last changed the amount of it', async () => {
+      stubFindWorkPeriodPayment = sinon.stub(models.WorkPeriodPayment, 'findById').callsFake(async () => ({
+        toJSON: () => ({
+          id,
+          status: 'pending-approval',
+          createdBy: '00000000-0000-0000-0000-000000000000',
+          changedBy: testData.workPeriodPayment01.getUserIdResponse
+        })
+      }))
+      try {
+        await service.approveWorkPeriodPayment(commonData.currentUser, id)
+        expect.fail('should throw error')
+      } catch (err) {
+        expect(err.message).to.include('should be approved by the user other than the one who last changed the amount')
+      }
+      expect(stubFindWorkPeriodPayment.calledOnce).to.be.true
+    })
+    it('fail to approve work period payment which is not pending approval', async () => {
+      stubFindWorkPeriodPayment = sinon.stub(models.WorkPeriodPayment, 'findById').callsFake(async () => ({
+        toJSON: () => ({ id, status: 'scheduled', createdBy: '00000000-0000-0000-0000-000000000000' })
+      }))
+      try {
+        await service.approveWorkPeriodPayment(commonData.currentUser, id)
+        expect.fail('should throw error')
+      } catch (err) {
+        expect(err.message).to.include('You cannot approve a WorkPeriodPayment which is scheduled')
+      }
+      expect(stubFindWorkPeriodPayment.calledOnce).to.be.true
+    })
+  })
+
+  describe('update work period payment test', () => {
+    const data = testData.workPeriodPayment02
+    let workPeriodPayment
+
+    beforeEach(async () => {
+      workPeriodPayment = {
+        ...data.value,
+        toJSON: () => data.value,
+        update: sinon.stub().callsFake(async (changes) => ({ toJSON: () => ({ ...data.value, ...changes }) }))
+      }
+      sinon.stub(models.WorkPeriodPayment, 'findById').callsFake(async () => workPeriodPayment)
+      sinon.stub(models.sequelize, 'transaction').callsFake(async (fn) => fn({}))
+      sinon.stub(helper, 'postEvent').callsFake(async () => {})
+      sinon.stub(helper, 'getUserId').callsFake(async () => testData.workPeriodPayment01.getUserIdResponse)
+      sinon.stub(commonData.ESClient, 'search').callsFake(async () => data.workPeriodPaymentESSearchResponse)
+    })
+
+    it('require the approval again when the amount of the approved payment is changed', async () => {
+      const response = await service.partiallyUpdateWorkPeriodPayment(commonData.currentUser, data.value.id, { amount: 100 })
+      expect(response).to.deep.include({
+        amount: 100,
+        status: 'pending-approval',
+        approvedBy: null,
+        approvedAt: null,
+        changedBy: testData.workPeriodPayment01.getUserIdResponse
+      })
+    })
+    it('fail to change the amount of the approved payment which does not require the approval', async () => {
+      const rewiredService = rewire('../../src/services/WorkPeriodPaymentService')
+      rewiredService.__set__('_isApprovalRequired', () => false)
+      try {
+        await rewiredService.partiallyUpdateWorkPeriodPayment(commonData.currentUser, data.value.id, { amount: 60 })
+        expect.fail('should throw error')
+      } catch (err) {
+        expect(err.message).to.eq('The amount, days, hours or billingAccountId of the approved WorkPeriodPayment cannot be updated')
+      }
+      expect(workPeriodPayment.update.notCalled).to.be.true
+    })
+  })
+
+  describe('update hourly work period payment test', () => {
+    const data = testData.workPeriodPayment03
+    let workPeriodPayment
+
+    beforeEach(async () => {
+      workPeriodPayment = {
+        ...data.value,
+        toJSON: () => data.value,
+        update: sinon.stub().callsFake(async (changes) => ({ toJSON: () => ({ ...data.value, ...changes }) }))
+      }
+      sinon.stub(models.WorkPeriodPayment, 'findById').callsFake(async () => workPeriodPayment)
+      sinon.stub(models.sequelize, 'transaction').callsFake(async (fn) => fn({}))
+      sinon.stub(helper, 'postEvent').callsFake(async () => {})
+      sinon.stub(helper, 'getUserId').callsFake(async () => testData.workPeriodPayment01.getUserIdResponse)
+      sinon.stub(helper, 'ensureWorkPeriodById').callsFake(async () => testData.workPeriodPayment01.ensureWorkPeriodByIdResponse03)
+      sinon.stub(commonData.ESClient, 'search').callsFake(async () => data.workPeriodPaymentESSearchResponse)
+    })
+
+    it('recalculate the amount when the hours are changed', async () => {
+      const response = await service.partiallyUpdateWorkPeriodPayment(commonData.currentUser, data.value.id, { hours: 10.5 })
+      expect(response).to.deep.include({ hours: 10.5, amount: 210, status: 'pending-approval' })
+    })
+    it('fail to change the hours with the amount which does not match them', async () => {
+      try {
+        await service.partiallyUpdateWorkPeriodPayment(commonData.currentUser, data.value.id, { hours: 10, amount: 160 })
+        expect.fail('should throw error')
+      } catch (err) {
+        expect(err.message).to.eq('The amount of 10 hours should be 200')
+      }
+      expect(workPeriodPayment.update.notCalled).to.be.true
+    })
+    it('fail to change the days of the hourly payment', async () => {
+      try {
+        await service.partiallyUpdateWorkPeriodPayment(commonData.currentUser, data.value.id, { days: 2 })
+        expect.fail('should throw error')
+      } catch (err) {
+        expect(err.message).to.eq(`WorkPeriod: ${testData.workPeriodPayment01.ensureWorkPeriodByIdResponse03.id} is paid by hours, "hours" should be updated instead of "days"`)
+      }
+      expect(workPeriodPayment.update.notCalled).to.be.true
+    })
   })
 })
@@ -0,0 +1,108 @@
+/* eslint-disable no-unused-expressions */
+const expect = require('chai').expect
+const sinon = require('sinon')
+const models = require('../../src/models')
+const service = require('../../src/services/WorkPeriodService')
+const commonData = require('./common/CommonData')
+const testData = require('./common/WorkPeriodData')
+const helper = require('../../src/common/helper')
+const errors = require('../../src/common/errors')
+const WorkPeriod = models.WorkPeriod
+
+describe('workPeriod service test', () => {
+  let stubPostEvent
+  beforeEach(() => {
+    sinon.stub(models.sequelize, 'transaction').callsFake(async (fn) => fn({}))
+    stubPostEvent = sinon.stub(helper, 'postEvent').callsFake(async () => {})
+  })
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('Submit work period timesheet', () => {
+    /**
+     * Stub the models used to get the work period and the working calendar of the member.
+     * @param {Object} data the test data
+     */
+    function stubWorkPeriod (data) {
+      sinon.stub(WorkPeriod, 'findById').callsFake(async () => data.workPeriod)
+      sinon.stub(helper, 'ensureResourceBookingById').callsFake(async () => data.resourceBooking)
+      sinon.stub(helper, 'getUserId').callsFake(async () => data.resourceBooking.userId)
+      sinon.stub(models.Holiday, 'findAll').callsFake(async () => data.holidays)
+      sinon.stub(models.TimeOff, 'findAll').callsFake(async () => [])
+    }
+
+    it('T01:Fail to submit more days than the booked working days without the holidays', async () => {
+      const data = testData.T01
+      stubWorkPeriod(data)
+      try {
+        await service.submitWorkPeriodTimesheet(commonData.regularUser, data.id, data.data)
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.BadRequestError)
+        expect(err.message).to.eq(data.error)
+        expect(stubPostEvent.notCalled).to.be.true
+        return
+      }
+      throw new Error('should not reach here')
+    })
+
+    it('T02:Submit the booked working days', async () => {
+      const data = testData.T02
+      stubWorkPeriod(data)
+      sinon.stub(commonData.ESClient, 'search').callsFake(async () => data.resourceBookingESSearchResponse)
+      const result = await service.submitWorkPeriodTimesheet(commonData.regularUser, data.id, data.data)
+      expect(result).to.deep.include({ daysWorked: 4, timesheetStatus: 'submitted' })
+      expect(stubPostEvent.calledOnce).to.be.true
+    })
+  })
+
+  describe('Flag work period clawback', () => {
+    it('T03:Flag the clawback in the transaction of the caller', async () => {
+      const data = testData.T03
+      const transaction = { id: 'cancellation' }
+      const stubFindById = sinon.stub(WorkPeriod, 'findById').callsFake(async () => data.workPeriod)
+      const spyUpdate = sinon.spy(data.workPeriod, 'update')
+      sinon.stub(commonData.ESClient, 'search').callsFake(async () => data.resourceBookingESSearchResponse)
+      const result = await service.flagWorkPeriodClawback(data.id, data.clawback, transaction)
+      expect(result).to.deep.include({ clawbackStatus: 'pending-review', clawbackDays: 3, clawbackHours: null, clawbackAmount: 300 })
+      expect(stubFindById.getCall(0).args[1].transaction).to.eq(transaction)
+      expect(spyUpdate.getCall(0).args[1].transaction).to.eq(transaction)
+      expect(models.sequelize.transaction.notCalled).to.be.true
+      expect(stubPostEvent.getCall(0).args[2].transaction).to.eq(transaction)
+    })
+
+    it('T04:Do not flag the same clawback again', async () => {
+      const data = testData.T04
+      sinon.stub(WorkPeriod, 'findById').callsFake(async () => data.workPeriod)
+      const spyUpdate = sinon.spy(data.workPeriod, 'update')
+      const result = await service.flagWorkPeriodClawback(data.id, data.clawback)
+      expect(result).to.deep.include({ clawbackStatus: 'pending-review', clawbackDays: 3 })
+      expect(spyUpdate.notCalled).to.be.true
+      expect(stubPostEvent.notCalled).to.be.true
+    })
+
+    it('T06:Flag the clawback without the event of the work period when the caller posts its own event', async () => {
+      const data = testData.T06
+      sinon.stub(WorkPeriod, 'findById').callsFake(async () => data.workPeriod)
+      const stubSearch = sinon.stub(commonData.ESClient, 'search').callsFake(async () => data.resourceBookingESSearchResponse)
+      const result = await service.flagWorkPeriodClawback(data.id, data.clawback, { id: 'cancellation' }, false)
+      expect(result).to.deep.include({ clawbackStatus: 'pending-review', clawbackDays: 3 })
+      expect(stubSearch.calledOnce).to.be.true
+      expect(stubPostEvent.notCalled).to.be.true
+    })
+  })
+
+  describe('Update work period', () => {
+    it('T05:Send the approved timesheet back for approval when the days worked are changed', async () => {
+      const data = testData.T05
+      sinon.stub(WorkPeriod, 'findById').callsFake(async () => data.workPeriod)
+      sinon.stub(helper, 'ensureResourceBookingById').callsFake(async () => data.resourceBooking)
+      sinon.stub(helper, 'getUserId').callsFake(async () => '79a39efd-91af-494a-b0f6-62310495effd')
+      sinon.stub(commonData.ESClient, 'search').callsFake(async () => data.resourceBookingESSearchResponse)
+      const result = await service.partiallyUpdateWorkPeriod(commonData.userWithManagePermission, data.id, data.data)
+      expect(result).to.deep.include({ daysWorked: 3, timesheetStatus: 'submitted', timesheetReviewedAt: null, timesheetReviewedBy: null })
+      expect(stubPostEvent.getCall(0).args[2].oldValue).to.deep.include({ timesheetStatus: 'approved' })
+    })
+  })
+})
@@ -0,0 +1,77 @@
+/* eslint-disable no-unused-expressions */
+const expect = require('chai').expect
+const sinon = require('sinon')
+const rewire = require('rewire')
+const models = require('../../src/models')
+const errors = require('../../src/common/errors')
+const service = rewire('../../src/services/ZoomService')
+const commonData = require('./common/CommonData')
+const Interview = models.Interview
+const ZoomAccount = models.ZoomAccount
+
+describe('zoom service test', () => {
+  const startTime = new Date('2022-01-03T09:00:00Z')
+  let revert
+  let zoomAccounts
+
+  beforeEach(() => {
+    revert = service.__set__({
+      ALL_ZOOM_ACCOUNTS: ['key-1:secret-1', 'key-2:secret-2', 'key-3:secret-3'],
+      currentZoomAccountIndex: -1
+    })
+    // the account records keep the reservations between the calls like the database
+    zoomAccounts = ['key-1', 'key-2', 'key-3'].map(apiKey => commonData.buildInstance({ apiKey, reservations: [] }))
+    sinon.stub(models.sequelize, 'transaction').callsFake(async (fn) => fn({ LOCK: { UPDATE: 'UPDATE' } }))
+    sinon.stub(ZoomAccount, 'bulkCreate').callsFake(async () => {})
+    sinon.stub(ZoomAccount, 'findAll').callsFake(async () => zoomAccounts)
+  })
+
+  afterEach(() => {
+    revert()
+    sinon.restore()
+  })
+
+  describe('Pick available Zoom account', () => {
+    const pickAvailableZoomAccount = service.__get__('pickAvailableZoomAccount')
+
+    it('T01:Skip the accounts which have overlapping meetings', async () => {
+      const stubFindAll = sinon.stub(Interview, 'findAll').callsFake(async () => [{ zoomAccountApiKey: 'key-1' }])
+      const result = await pickAvailableZoomAccount(startTime, 30)
+      expect(result).to.deep.eq({ zoomAccountApiKey: 'key-2', zoomAccountApiSecret: 'secret-2' })
+      expect(stubFindAll.firstCall.args[0].where.startTimestamp).to.exist
+    })
+
+    it('T02:Do not pick the account reserved for the meeting which is not saved yet', async () => {
+      sinon.stub(Interview, 'findAll').callsFake(async () => [])
+      const first = await pickAvailableZoomAccount(startTime, 30)
+      const second = await pickAvailableZoomAccount(new Date('2022-01-03T09:15:00Z'), 30)
+      expect(first.zoomAccountApiKey).to.eq('key-1')
+      expect(second.zoomAccountApiKey).to.eq('key-2')
+      expect(zoomAccounts[0].reservations).to.have.lengthOf(1)
+      expect(ZoomAccount.findAll.firstCall.args[0].lock).to.eq('UPDATE')
+    })
+
+    it('T03:Release the reservation after the timeout', async () => {
+      sinon.stub(Interview, 'findAll').callsFake(async () => [{ zoomAccountApiKey: 'key-2' }, { zoomAccountApiKey: 'key-3' }])
+      const clock = sinon.useFakeTimers({ now: new Date('2022-01-01T00:00:00Z'), toFake: ['Date'] })
+      const first = await pickAvailableZoomAccount(startTime, 30)
+      expect(first.zoomAccountApiKey).to.eq('key-1')
+      clock.tick(service.__get__('PendingReservationTimeout') + 1)
+      const second = await pickAvailableZoomAccount(startTime, 30)
+      expect(second.zoomAccountApiKey).to.eq('key-1')
+    })
+
+    it('T04:Fail if all the accounts have meetings at the time', async () => {
+      sinon.stub(Interview, 'findAll').callsFake(async () => [{ zoomAccountApiKey: 'key-1' }, { zoomAccountApiKey: 'key-2' }])
+      await pickAvailableZoomAccount(startTime, 30)
+      try {
+        await pickAvailableZoomAccount(startTime, 30)
+      } catch (err) {
+        expect(err).to.be.instanceOf(errors.ConflictError)
+        expect(err.message).to.eq('All the 3 Zoom accounts already have meetings between 2022-01-03T09:00:00Z and 2022-01-03T09:30:00Z.')
+        return
+      }
+      throw new Error('should not reach here')
+    })
+  })
+})
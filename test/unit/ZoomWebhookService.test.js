@@ -0,0 +1,133 @@
+/* eslint-disable no-unused-expressions */
+const expect = require('chai').expect
+const sinon = require('sinon')
+const rewire = require('rewire')
+const crypto = require('crypto')
+const moment = require('moment')
+const models = require('../../src/models')
+const helper = require('../../src/common/helper')
+const InterviewService = require('../../src/services/InterviewService')
+const service = rewire('../../src/services/ZoomWebhookService')
+const Interview = models.Interview
+
+describe('zoom webhook service test', () => {
+  const secretToken = 'zoom-webhook-secret-token'
+  const interview = {
+    id: '9ff8d8b4-54a7-4d8f-a3f5-bd3c8d2f0b1e',
+    zoomMeetingId: 85467213092,
+    status: 'Scheduled',
+    hostUserId: '57646ff9-1cd3-4d3c-88ba-eb09a395366c',
+    hosts: [
+      { userId: '57646ff9-1cd3-4d3c-88ba-eb09a395366c', required: true },
+      { userId: '79a39efd-91af-494a-b0f6-62310495effd', required: false }
+    ],
+    attendance: {}
+  }
+  const hostEmails = {
+    '57646ff9-1cd3-4d3c-88ba-eb09a395366c': 'host@topcoder.com',
+    '79a39efd-91af-494a-b0f6-62310495effd': 'co-host@topcoder.com'
+  }
+  let revert
+  let stubUpdateInterview
+
+  beforeEach(() => {
+    revert = service.__set__('config', { ZOOM_WEBHOOK_SECRET_TOKEN: secretToken })
+    sinon.stub(Interview, 'findOne').callsFake(async () => interview)
+    sinon.stub(helper, 'getUserDetailsByUserUUID').callsFake(async (userId) => ({ id: userId, email: hostEmails[userId] }))
+    stubUpdateInterview = sinon.stub(InterviewService, 'internallyUpdateInterviewById').callsFake(async () => {})
+  })
+
+  afterEach(() => {
+    revert()
+    sinon.restore()
+  })
+
+  /**
+   * Build the webhook request signed with the secret token.
+   * @param {Object} body the webhook body
+   * @param {String} token the token to sign the request with
+   * @returns {Object} the request
+   */
+  function buildRequest (body, token = secretToken) {
+    const rawBody = JSON.stringify(body)
+    const timestamp = `${moment().unix()}`
+    const signature = crypto.createHmac('sha256', token).update(`v0:${timestamp}:${rawBody}`).digest('hex')
+    const headers = { 'x-zm-request-timestamp': timestamp, 'x-zm-signature': `v0=${signature}` }
+    return { body, rawBody, get: (name) => headers[name] }
+  }
+
+  /**
+   * Build the response recording the sent status.
+   * @returns {Object} the response
+   */
+  function buildResponse () {
+    const res = {}
+    res.status = sinon.stub().returns(res)
+    res.send = sinon.stub().returns(res)
+    res.sendStatus = sinon.stub().returns(res)
+    return res
+  }
+
+  /**
+   * Build the participant event of the interview meeting.
+   * @param {String} event the event name
+   * @param {Object} participant the participant
+   * @returns {Object} the webhook body
+   */
+  function buildParticipantEvent (event, participant) {
+    return {
+      event,
+      event_ts: 1641200400000,
+      payload: { object: { id: `${interview.zoomMeetingId}`, host_id: 'zoom-host-id', participant } }
+    }
+  }
+
+  it('T01:Reject the request with invalid signature', async () => {
+    const req = buildRequest(buildParticipantEvent('meeting.participant_joined', { id: 'zoom-host-id' }), 'other-token')
+    const res = buildResponse()
+    await service.zoomWebhook(req, res)
+    expect(res.status.firstCall.args[0]).to.eq(401)
+    expect(Interview.findOne.notCalled).to.be.true
+    expect(stubUpdateInterview.notCalled).to.be.true
+  })
+
+  it('T02:Record the co-host joined with the guest link as the host', async () => {
+    const req = buildRequest(buildParticipantEvent('meeting.participant_joined', {
+      id: '',
+      email: 'Co-Host@topcoder.com',
+      join_time: '2022-01-03T09:01:00Z'
+    }))
+    const res = buildResponse()
+    await service.zoomWebhook(req, res)
+    expect(res.sendStatus.firstCall.args[0]).to.eq(200)
+    expect(stubUpdateInterview.firstCall.args[2]).to.deep.eq({ attendance: { hostJoinedAt: '2022-01-03T09:01:00Z' } })
+  })
+
+  it('T03:Record the guest joined', async () => {
+    const req = buildRequest(buildParticipantEvent('meeting.participant_joined', {
+      id: '',
+      email: 'candidate@topcoder.com',
+      join_time: '2022-01-03T09:02:00Z'
+    }))
+    const res = buildResponse()
+    await service.zoomWebhook(req, res)
+    expect(res.sendStatus.firstCall.args[0]).to.eq(200)
+    expect(stubUpdateInterview.firstCall.args[2]).to.deep.eq({ attendance: { guestJoinedAt: '2022-01-03T09:02:00Z' } })
+  })
+
+  it('T04:Record the main host and the guest left', async () => {
+    await service.zoomWebhook(buildRequest(buildParticipantEvent('meeting.participant_left', {
+      id: 'zoom-host-id',
+      leave_time: '2022-01-03T09:30:00Z'
+    })), buildResponse())
+    await service.zoomWebhook(buildRequest(buildParticipantEvent('meeting.participant_left', {
+      id: '',
+      email: 'candidate@topcoder.com',
+      leave_time: '2022-01-03T09:31:00Z'
+    })), buildResponse())
+    expect(stubUpdateInterview.firstCall.args[2]).to.deep.eq({ attendance: { hostLeftAt: '2022-01-03T09:30:00Z' } })
+    expect(stubUpdateInterview.secondCall.args[2]).to.deep.eq({ attendance: { guestLeftAt: '2022-01-03T09:31:00Z' } })
+    // the main host is recognized without looking up the host emails
+    expect(helper.getUserDetailsByUserUUID.callCount).to.eq(2)
+  })
+})
@@ -1,3 +1,5 @@
+const _ = require('lodash')
+
 const currentUser = {
   userId: '00000000-0000-0000-0000-000000000000',
   isMachine: true,
@@ -20,7 +22,23 @@ const ESClient = {
   search: () => {}
 }
 
+/**
+ * Build a model instance from the values, like the sequelize instance the update changes the instance itself.
+ * @param {Object} values the instance values
+ * @returns {Object} the instance
+ */
+function buildInstance (values) {
+  const instance = {
+    ...values,
+    toJSON: () => _.omit(instance, ['dataValues', 'toJSON', 'update']),
+    update: async (data) => _.assign(instance, data)
+  }
+  Object.defineProperty(instance, 'dataValues', { get: instance.toJSON })
+  return instance
+}
+
 module.exports = {
+  buildInstance,
   currentUser,
   UserTCConnCopilot,
   userWithManagePermission,
@@ -0,0 +1,127 @@
+const { buildInstance } = require('./CommonData')
+
+const jobCandidate = {
+  id: 'a0ca5cfc-1e38-4d9a-8a86-4d1d4bb2f8b6',
+  jobId: '36762910-4efa-4db4-9b2a-c9ab54c232ed',
+  userId: 'a55fe1bc-1754-45fa-9adc-cf3d6d7c377a',
+  status: 'interview'
+}
+
+const job = {
+  id: '36762910-4efa-4db4-9b2a-c9ab54c232ed',
+  projectId: 111,
+  skills: ['23e00d92-207a-4b5b-b3c9-4c5662644941', '7d076384-ccf6-4e43-a45d-1b24b1e624aa']
+}
+
+const interview = {
+  id: '2d5ea5f4-4d3a-4e7c-a4b3-27e5c6c6f1f1',
+  jobCandidateId: jobCandidate.id,
+  round: 1,
+  status: 'Completed',
+  hostUserId: '79a39efd-91af-494a-b0f6-62310495effd',
+  hosts: [{ userId: '79a39efd-91af-494a-b0f6-62310495effd', required: true }]
+}
+
+/**
+ * Build a job candidate instance which also returns the job.
+ * @param {Object} values the job candidate values
+ * @returns {Object} the job candidate instance
+ */
+function buildJobCandidateInstance (values) {
+  return {
+    ...buildInstance(values),
+    getJob: async () => job
+  }
+}
+
+const feedbackList = [
+  {
+    ratings: [
+      { skillId: '23e00d92-207a-4b5b-b3c9-4c5662644941', rating: 4 },
+      { skillId: '7d076384-ccf6-4e43-a45d-1b24b1e624aa', rating: 3 }
+    ],
+    recommendation: 'hire'
+  },
+  {
+    ratings: [
+      { skillId: '23e00d92-207a-4b5b-b3c9-4c5662644941', rating: 5 }
+    ],
+    recommendation: 'strong-hire'
+  }
+]
+
+const T01 = {
+  feedbackList,
+  summary: {
+    feedbackCount: 2,
+    averageRating: 4,
+    skills: [
+      { skillId: '23e00d92-207a-4b5b-b3c9-4c5662644941', averageRating: 4.5, ratingCount: 2 },
+      { skillId: '7d076384-ccf6-4e43-a45d-1b24b1e624aa', averageRating: 3, ratingCount: 1 }
+    ],
+    recommendations: { hire: 1, 'strong-hire': 1 }
+  }
+}
+
+const T02 = {
+  feedbackList: [{ ratings: [], recommendation: 'no-hire' }],
+  summary: {
+    feedbackCount: 1,
+    averageRating: null,
+    skills: [],
+    recommendations: { 'no-hire': 1 }
+  }
+}
+
+const T03 = {
+  jobCandidateId: jobCandidate.id,
+  round: interview.round,
+  userId: interview.hostUserId,
+  jobCandidate: buildJobCandidateInstance(jobCandidate),
+  interview,
+  data: feedbackList[0],
+  otherFeedback: buildInstance({ ...feedbackList[1], interviewId: interview.id, jobCandidateId: jobCandidate.id, hostUserId: '4709473d-f060-4102-87f8-4d51ff0b34c1' }),
+  feedbackSummary: T01.summary
+}
+
+const T04 = {
+  jobCandidateId: jobCandidate.id,
+  round: interview.round,
+  userId: '4709473d-f060-4102-87f8-4d51ff0b34c1',
+  jobCandidate: buildJobCandidateInstance(jobCandidate),
+  interview,
+  data: feedbackList[0],
+  error: 'Only the hosts of the interview are allowed to submit feedback.'
+}
+
+const T05 = {
+  jobCandidateId: jobCandidate.id,
+  round: interview.round,
+  userId: interview.hostUserId,
+  jobCandidate: buildJobCandidateInstance(jobCandidate),
+  interview: { ...interview, status: 'Scheduled', endTimestamp: new Date(Date.now() + 3600 * 1000) },
+  data: feedbackList[0],
+  error: 'Feedback cannot be submitted for the interview with status "Scheduled" before it\'s over.'
+}
+
+const T06 = {
+  jobCandidateId: jobCandidate.id,
+  round: interview.round,
+  userId: interview.hostUserId,
+  jobCandidate: buildJobCandidateInstance(jobCandidate),
+  interview,
+  data: {
+    ratings: [{ skillId: 'b4a1b2c4-2a1f-4a7a-9b2c-1f0a2f3e6d5c', rating: 4 }],
+    recommendation: 'hire'
+  },
+  error: 'The skills are not required by the job: b4a1b2c4-2a1f-4a7a-9b2c-1f0a2f3e6d5c'
+}
+
+module.exports = {
+  T01,
+  T02,
+  T03,
+  T04,
+  T05,
+  T06
+}
@@ -0,0 +1,112 @@
+const { buildInstance } = require('./CommonData')
+
+// the customer rate is raised from the second week
+const resourceBooking = {
+  id: '8694a939-45fe-482e-bee2-3b530acf4139',
+  projectId: 17234,
+  jobId: '13c1fcd2-7bbb-4623-8643-ef025dac4c88',
+  customerRate: 1200,
+  rateType: 'weekly',
+  billingAccountId: 80000071,
+  rates: [
+    { effectiveFrom: '2022-01-02', memberRate: 800, customerRate: 1000 },
+    { effectiveFrom: '2022-01-09', memberRate: 900, customerRate: 1200 }
+  ]
+}
+
+const workPeriods = [
+  {
+    id: '467b4df7-ced4-41b9-9710-b83808cddaf4',
+    resourceBookingId: resourceBooking.id,
+    userHandle: 'pshah_manager',
+    startDate: '2022-01-02',
+    endDate: '2022-01-08',
+    daysWorked: 5,
+    ResourceBooking: resourceBooking
+  },
+  {
+    id: '2d5ea5f4-4d3a-4e7c-a4b3-27e5c6c6f1f1',
+    resourceBookingId: resourceBooking.id,
+    userHandle: 'pshah_manager',
+    startDate: '2022-01-09',
+    endDate: '2022-01-15',
+    daysWorked: 4,
+    ResourceBooking: resourceBooking
+  }
+]
+
+const draftInvoice = {
+  id: '5c0a7d7e-2f1b-4ab6-9a8e-0e6c3f1d2b3a',
+  billingAccountId: resourceBooking.billingAccountId,
+  periodStart: '2022-01-01',
+  periodEnd: '2022-01-31',
+  status: 'draft',
+  currency: 'USD',
+  totalDays: 5,
+  totalAmount: 1000,
+  createdBy: '57646ff9-1cd3-4d3c-88ba-eb09a395366c'
+}
+
+const T01 = {
+  userId: '79a39efd-91af-494a-b0f6-62310495effd',
+  data: { month: '2022-01' },
+  workPeriods,
+  result: {
+    billingAccountId: resourceBooking.billingAccountId,
+    periodStart: '2022-01-01',
+    periodEnd: '2022-01-31',
+    status: 'draft',
+    totalDays: 9,
+    totalAmount: 1960,
+    createdBy: '79a39efd-91af-494a-b0f6-62310495effd'
+  },
+  lineItems: [
+    { customerRate: 1000, days: 5, amount: 1000, workPeriodIds: [workPeriods[0].id] },
+    { customerRate: 1200, days: 4, amount: 960, workPeriodIds: [workPeriods[1].id] }
+  ]
+}
+
+const T02 = {
+  userId: '79a39efd-91af-494a-b0f6-62310495effd',
+  data: { month: '2022-01', billingAccountId: resourceBooking.billingAccountId },
+  workPeriods,
+  draft: buildInstance(draftInvoice),
+  result: { id: draftInvoice.id, status: 'draft', totalDays: 9, totalAmount: 1960, updatedBy: '79a39efd-91af-494a-b0f6-62310495effd' }
+}
+
+// the only work period is billed by the invoice of the other month
+const T03 = {
+  userId: '79a39efd-91af-494a-b0f6-62310495effd',
+  data: { month: '2022-01' },
+  workPeriods: [workPeriods[0]],
+  draft: buildInstance(draftInvoice),
+  billedInvoices: [{ id: 'd6b7d4e5-7f5a-4a4c-9f67-1b4c6b1f5a9e', lineItems: [{ workPeriodIds: [workPeriods[0].id] }] }]
+}
+
+const T04 = {
+  userId: '79a39efd-91af-494a-b0f6-62310495effd',
+  data: { month: '2022-01' },
+  workPeriods,
+  issued: buildInstance({ ...draftInvoice, status: 'issued', issuedAt: '2022-02-01T00:00:00.000Z' })
+}
+
+const T05 = {
+  userId: '79a39efd-91af-494a-b0f6-62310495effd',
+  invoice: buildInstance(draftInvoice),
+  data: { status: 'issued' }
+}
+
+const T06 = {
+  invoice: buildInstance({ ...draftInvoice, status: 'void', voidedAt: '2022-02-01T00:00:00.000Z' }),
+  data: { status: 'issued' },
+  error: 'Invoice status cannot be changed from "void" to "issued"'
+}
+
+module.exports = {
+  T01,
+  T02,
+  T03,
+  T04,
+  T05,
+  T06
+}
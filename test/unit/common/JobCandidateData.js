@@ -0,0 +1,48 @@
+const jobCandidate = {
+  id: 'a0ca5cfc-1e38-4d9a-8a86-4d1d4bb2f8b6',
+  jobId: '36762910-4efa-4db4-9b2a-c9ab54c232ed',
+  userId: 'a55fe1bc-1754-45fa-9adc-cf3d6d7c377a',
+  status: 'applied',
+  createdAt: '2022-02-01T00:00:00.000Z',
+  updatedAt: '2022-02-01T00:00:00.000Z'
+}
+
+/**
+ * Build a job candidate instance returned by the model, the update returns the updated instance.
+ * @param {Object} values the job candidate values
+ * @returns {Object} the job candidate instance
+ */
+function buildJobCandidateInstance (values) {
+  return {
+    ...values,
+    dataValues: values,
+    toJSON: () => values,
+    update: async (data) => buildJobCandidateInstance({ ...values, ...data, updatedAt: '2022-02-02T00:00:00.000Z' })
+  }
+}
+
+const T01 = {
+  id: jobCandidate.id,
+  userId: '79a39efd-91af-494a-b0f6-62310495effd',
+  jobCandidateFindById: buildJobCandidateInstance(jobCandidate),
+  data: { status: 'open' },
+  statusHistory: {
+    jobCandidateId: jobCandidate.id,
+    jobId: jobCandidate.jobId,
+    fromStatus: 'applied',
+    toStatus: 'open',
+    changedBy: '79a39efd-91af-494a-b0f6-62310495effd',
+    changedAt: '2022-02-02T00:00:00.000Z'
+  }
+}
+
+const T02 = {
+  id: jobCandidate.id,
+  jobCandidateFindById: buildJobCandidateInstance(jobCandidate),
+  data: { remark: 'good candidate' }
+}
+
+module.exports = {
+  T01,
+  T02
+}
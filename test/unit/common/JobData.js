@@ -0,0 +1,42 @@
+const T01 = {
+  id: '36762910-4efa-4db4-9b2a-c9ab54c232ed',
+  jobFindById: {
+    id: '36762910-4efa-4db4-9b2a-c9ab54c232ed',
+    projectId: 21
+  },
+  jobCandidateFindAll: [
+    { id: 'a0ca5cfc-1e38-4d9a-8a86-4d1d4bb2f8b6', status: 'placed' },
+    { id: 'b5a3f31e-1c9a-4d6f-9e0b-38c49a4a2bd4', status: 'interview' },
+    { id: 'c2d0d8fb-6a2e-4b93-8a8c-6a6a0f1e3c11', status: 'applied' }
+  ],
+  jobCandidateStatusHistoryFindAll: [
+    { jobCandidateId: 'a0ca5cfc-1e38-4d9a-8a86-4d1d4bb2f8b6', fromStatus: null, toStatus: 'applied', changedAt: '2022-02-01T00:00:00.000Z' },
+    { jobCandidateId: 'b5a3f31e-1c9a-4d6f-9e0b-38c49a4a2bd4', fromStatus: null, toStatus: 'applied', changedAt: '2022-02-01T00:00:00.000Z' },
+    { jobCandidateId: 'c2d0d8fb-6a2e-4b93-8a8c-6a6a0f1e3c11', fromStatus: null, toStatus: 'applied', changedAt: '2022-02-01T00:00:00.000Z' },
+    { jobCandidateId: 'b5a3f31e-1c9a-4d6f-9e0b-38c49a4a2bd4', fromStatus: 'applied', toStatus: 'open', changedAt: '2022-02-01T04:00:00.000Z' },
+    { jobCandidateId: 'b5a3f31e-1c9a-4d6f-9e0b-38c49a4a2bd4', fromStatus: 'open', toStatus: 'interview', changedAt: '2022-02-01T08:00:00.000Z' },
+    { jobCandidateId: 'a0ca5cfc-1e38-4d9a-8a86-4d1d4bb2f8b6', fromStatus: 'applied', toStatus: 'open', changedAt: '2022-02-01T10:00:00.000Z' },
+    { jobCandidateId: 'a0ca5cfc-1e38-4d9a-8a86-4d1d4bb2f8b6', fromStatus: 'open', toStatus: 'interview', changedAt: '2022-02-02T06:00:00.000Z' },
+    { jobCandidateId: 'a0ca5cfc-1e38-4d9a-8a86-4d1d4bb2f8b6', fromStatus: 'interview', toStatus: 'placed', changedAt: '2022-02-03T02:00:00.000Z' }
+  ],
+  result: {
+    jobId: '36762910-4efa-4db4-9b2a-c9ab54c232ed',
+    totalCandidates: 3,
+    statusCounts: { placed: 1, interview: 1, applied: 1 },
+    stages: [
+      { status: 'applied', count: 1, reached: 3, medianHoursInStage: 7, conversionRate: null },
+      { status: 'skills-test', count: 0, reached: 2, medianHoursInStage: null, conversionRate: 0.6667 },
+      { status: 'phone-screen', count: 0, reached: 2, medianHoursInStage: null, conversionRate: 1 },
+      { status: 'open', count: 0, reached: 2, medianHoursInStage: 12, conversionRate: 1 },
+      { status: 'interview', count: 1, reached: 2, medianHoursInStage: 20, conversionRate: 1 },
+      { status: 'selected', count: 0, reached: 1, medianHoursInStage: null, conversionRate: 0.5 },
+      { status: 'offered', count: 0, reached: 1, medianHoursInStage: null, conversionRate: 1 },
+      { status: 'placed', count: 1, reached: 1, medianHoursInStage: null, conversionRate: 1 }
+    ],
+    placementRate: 0.3333
+  }
+}
+
+module.exports = {
+  T01
+}
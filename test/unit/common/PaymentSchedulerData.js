@@ -0,0 +1,57 @@
+const workPeriod = {
+  id: '467b4df7-ced4-41b9-9710-b83808cddaf4',
+  resourceBookingId: '8694a939-45fe-482e-bee2-3b530acf4139',
+  userHandle: 'pshah_manager',
+  startDate: '2022-01-02',
+  endDate: '2022-01-08'
+}
+
+const failedPayment = {
+  id: '0a5bfc2c-4a5c-4a3c-9ad6-8d8f1c9b4b1e',
+  workPeriodId: workPeriod.id,
+  billingAccountId: 80000071,
+  status: 'failed',
+  statusDetails: { errorMessage: 'Ledger is not available', errorCode: 503, retry: 11, step: 'settle-ledger-entry', challengeId: null }
+}
+
+// the ledger entry is created, then the settlement fails
+const failedPaymentScheduler = {
+  id: '5c0a7d7e-2f1b-4ab6-9a8e-0e6c3f1d2b3a',
+  workPeriodPaymentId: failedPayment.id,
+  provider: 'ledger',
+  payoutId: 'c3f6d6b8-1c4e-4f7a-9a0a-6f4c5d2b7e81',
+  userHandle: workPeriod.userHandle,
+  step: 'create-ledger-entry',
+  status: 'failed',
+  lastError: { errorMessage: 'Ledger is not available', errorCode: 503, retry: 11, step: 'settle-ledger-entry', at: '2022-01-10T10:00:05.000Z' },
+  timeline: [
+    { step: 'create-ledger-entry', status: 'completed', at: '2022-01-10T10:00:00.000Z' },
+    { errorMessage: 'Ledger is not available', errorCode: 503, retry: 11, step: 'settle-ledger-entry', at: '2022-01-10T10:00:05.000Z', status: 'failed' }
+  ]
+}
+
+const T03 = {
+  workPeriodPayment: failedPayment,
+  paymentScheduler: failedPaymentScheduler
+}
+
+const T04 = {
+  workPeriodPayment: {
+    ...failedPayment,
+    statusDetails: { errorMessage: 'Ledger is not available', errorCode: 503, retry: 11, step: 'create-ledger-entry', challengeId: null }
+  }
+}
+
+// the failed ledger payment which is scheduled again
+const T07 = {
+  workPeriod,
+  workPeriodPayment: { ...failedPayment, status: 'scheduled' },
+  paymentScheduler: failedPaymentScheduler
+}
+
+module.exports = {
+  paymentScheduler: failedPaymentScheduler,
+  T03,
+  T04,
+  T07
+}
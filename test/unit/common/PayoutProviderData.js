@@ -0,0 +1,43 @@
+const { buildInstance } = require('./CommonData')
+
+const workPeriod = {
+  id: '467b4df7-ced4-41b9-9710-b83808cddaf4',
+  resourceBookingId: '8694a939-45fe-482e-bee2-3b530acf4139',
+  projectId: 17234,
+  userHandle: 'pshah_manager',
+  startDate: '2022-01-02',
+  endDate: '2022-01-08'
+}
+
+const workPeriodPayment = {
+  id: '0a5bfc2c-4a5c-4a3c-9ad6-8d8f1c9b4b1e',
+  workPeriodId: workPeriod.id,
+  billingAccountId: 80000071,
+  amount: 400,
+  days: 5
+}
+
+const T01 = {
+  workPeriod,
+  workPeriodPayment,
+  payoutId: 'c3f6d6b8-1c4e-4f7a-9a0a-6f4c5d2b7e81'
+}
+
+// the payout recorded in the ledger, the entry is settled once the payout is exported
+const T02 = {
+  workPeriod,
+  workPeriodPayment,
+  payoutId: 'c3f6d6b8-1c4e-4f7a-9a0a-6f4c5d2b7e81',
+  pendingEntry: buildInstance({ id: 'c3f6d6b8-1c4e-4f7a-9a0a-6f4c5d2b7e81', workPeriodPaymentId: workPeriodPayment.id, status: 'pending' }),
+  settledEntry: buildInstance({
+    id: 'c3f6d6b8-1c4e-4f7a-9a0a-6f4c5d2b7e81',
+    workPeriodPaymentId: workPeriodPayment.id,
+    status: 'settled',
+    settledAt: '2022-01-10T10:00:05.000Z'
+  })
+}
+
+module.exports = {
+  T01,
+  T02
+}
@@ -35,6 +35,7 @@ const T01 = {
       startDate: '2021-03-28',
       endDate: '2021-04-03',
       daysWorked: 0,
+      hoursWorked: 0,
       paymentStatus: 'no-days'
     },
     {
@@ -42,6 +43,7 @@ const T01 = {
       startDate: '2021-04-04',
       endDate: '2021-04-10',
       daysWorked: 5,
+      hoursWorked: 40,
       paymentStatus: 'pending'
     },
     {
@@ -49,6 +51,7 @@ const T01 = {
       startDate: '2021-04-11',
       endDate: '2021-04-17',
       daysWorked: 5,
+      hoursWorked: 40,
       paymentStatus: 'pending'
     },
     {
@@ -56,6 +59,7 @@ const T01 = {
       startDate: '2021-04-18',
       endDate: '2021-04-24',
       daysWorked: 5,
+      hoursWorked: 40,
       paymentStatus: 'pending'
     },
     {
@@ -63,6 +67,7 @@ const T01 = {
       startDate: '2021-04-25',
       endDate: '2021-05-01',
       daysWorked: 5,
+      hoursWorked: 40,
       paymentStatus: 'pending'
     },
     {
@@ -70,6 +75,7 @@ const T01 = {
       startDate: '2021-05-02',
       endDate: '2021-05-08',
       daysWorked: 0,
+      hoursWorked: 0,
       paymentStatus: 'no-days'
     }]
   }
@@ -112,6 +118,7 @@ const T02 = {
       startDate: '2021-04-11',
       endDate: '2021-04-17',
       daysWorked: 5,
+      hoursWorked: 40,
       paymentStatus: 'pending'
     }]
   }
@@ -263,7 +270,7 @@ const T06 = {
     request: [
       {
         id: '10faf505-d0e3-4d13-a817-7f1319625e91',
-        data: { daysWorked: 3 }
+        data: { daysWorked: 3, hoursWorked: 24 }
       }
     ]
   }
@@ -339,13 +346,15 @@ const T07 = {
           startDate: '2021-04-04',
           endDate: '2021-04-10',
           daysWorked: 0,
+          hoursWorked: 0,
           paymentStatus: 'no-days'
         }
       },
       {
         id: '10faf505-d0e3-4d13-a817-7f1319625e91',
         data: {
-          daysWorked: 4
+          daysWorked: 4,
+          hoursWorked: 32
         }
       }
     ]
@@ -422,6 +431,7 @@ const T08 = {
           startDate: '2021-04-18',
           endDate: '2021-04-24',
           daysWorked: 0,
+          hoursWorked: 0,
           paymentStatus: 'no-days'
         }
       }
@@ -517,7 +527,8 @@ const T09 = {
       {
         id: '10faf505-d0e3-4d13-a817-7f1319625e91',
         data: {
-          daysWorked: 4
+          daysWorked: 4,
+          hoursWorked: 32
         }
       }
     ]
@@ -612,7 +623,8 @@ const T10 = {
       {
         id: '10faf505-d0e3-4d13-a817-7f1319625e90',
         data: {
-          daysWorked: 2
+          daysWorked: 2,
+          hoursWorked: 16
         }
       }
     ]
@@ -703,11 +715,11 @@ const T11 = {
     request: [
       {
         id: '10faf505-d0e3-4d13-a817-7f1319625e90',
-        data: { daysWorked: 2 }
+        data: { daysWorked: 2, hoursWorked: 16 }
       },
       {
         id: '10faf505-d0e3-4d13-a817-7f1319625e91',
-        data: { daysWorked: 2 }
+        data: { daysWorked: 2, hoursWorked: 16 }
       }
     ]
   }
@@ -800,7 +812,7 @@ const T12 = {
       },
       {
         id: '10faf505-d0e3-4d13-a817-7f1319625e91',
-        data: { daysWorked: 3 }
+        data: { daysWorked: 3, hoursWorked: 24 }
       },
       {
         data: {
@@ -808,6 +820,7 @@ const T12 = {
           startDate: '2021-04-18',
           endDate: '2021-04-24',
           daysWorked: 5,
+          hoursWorked: 40,
           paymentStatus: 'pending'
         }
       }
@@ -843,7 +856,7 @@ const T13 = {
   error: {
     httpStatus: 400,
     message: `Can't delete associated WorkPeriods 10faf505-d0e3-4d13-a817-7f1319625e91
-       as they have associated WorkPeriodsPayment with one of statuses scheduled, in-progress, completed.`
+       as they have associated WorkPeriodsPayment with one of statuses pending-approval, scheduled, in-progress, completed.`
   },
   workPeriod: {
     response: [{
@@ -930,7 +943,7 @@ const T14 = {
   error: {
     httpStatus: 400,
     message: `Can't delete associated WorkPeriods 10faf505-d0e3-4d13-a817-7f1319625e91
-       as they have associated WorkPeriodsPayment with one of statuses scheduled, in-progress, completed.`
+       as they have associated WorkPeriodsPayment with one of statuses pending-approval, scheduled, in-progress, completed.`
   },
   workPeriod: {
     response: [{
@@ -1100,7 +1113,7 @@ const T16 = {
   error: {
     httpStatus: 400,
     message: `Can't delete associated WorkPeriods 10faf505-d0e3-4d13-a817-7f1319625e91
-       as they have associated WorkPeriodsPayment with one of statuses scheduled, in-progress, completed.`
+       as they have associated WorkPeriodsPayment with one of statuses pending-approval, scheduled, in-progress, completed.`
   },
   workPeriod: {
     response: [{
@@ -1660,6 +1673,371 @@ const T38 = {
 T38.resourceBooking.value.toJSON = () => T38.resourceBooking.value.dataValues
 T38.resourceBooking.value.update = () => T38.resourceBooking.response
 T38.resourceBooking.response.toJSON = () => T38.resourceBooking.response.dataValues
+const T39 = {
+  criteria: {
+    groupBy: 'month',
+    format: 'json'
+  },
+  resourceBookingFindAll: [{
+    toJSON: () => ({
+      id: 'fbe133dd-0e36-4d0c-8197-49307b13ce75',
+      projectId: 17234,
+      jobId: '05232809-3693-44c1-a0cc-9a79f2672385',
+      userId: 'a55fe1bc-1754-45fa-9adc-cf3d6d7c377a',
+      rateType: 'weekly',
+      memberRate: 60,
+      customerRate: 100,
+      rates: [],
+      workPeriods: [{
+        id: '10faf505-d0e3-4d13-a817-7f1319625e91',
+        startDate: '2021-02-28',
+        endDate: '2021-03-06',
+        userHandle: 'pshah_manager',
+        daysWorked: 5,
+        hoursWorked: null,
+        paymentTotal: 60
+      }, {
+        id: '2f6a2e8c-2c6f-4bd5-a8e5-d5f1e0b6c1a4',
+        startDate: '2021-03-28',
+        endDate: '2021-04-03',
+        userHandle: 'pshah_manager',
+        daysWorked: 3,
+        hoursWorked: null,
+        paymentTotal: 30
+      }]
+    })
+  }],
+  result: {
+    groupBy: 'month',
+    totals: { revenue: 160, cost: 90, margin: 70, marginPercent: 43.75 },
+    result: [
+      { month: '2021-03', revenue: 100, cost: 60, margin: 40, marginPercent: 40, days: 5, hours: 0 },
+      { month: '2021-04', revenue: 60, cost: 30, margin: 30, marginPercent: 50, days: 3, hours: 0 }
+    ]
+  }
+}
+const T40 = {
+  criteria: {
+    fromDate: '2021-03-07',
+    toDate: '2021-04-03',
+    extendWeeks: 1,
+    projectId: 17234
+  },
+  resourceBookingFindAll: [{
+    id: 'fbe133dd-0e36-4d0c-8197-49307b13ce75',
+    projectId: 17234,
+    billingAccountId: 80000071,
+    jobId: '05232809-3693-44c1-a0cc-9a79f2672385',
+    userId: 'a55fe1bc-1754-45fa-9adc-cf3d6d7c377a',
+    status: 'placed',
+    startDate: '2021-03-01',
+    endDate: '2021-03-18',
+    rateType: 'weekly',
+    memberRate: 60,
+    customerRate: 100,
+    rates: []
+  }],
+  workPeriodFindAll: [{
+    id: '10faf505-d0e3-4d13-a817-7f1319625e91',
+    resourceBookingId: 'fbe133dd-0e36-4d0c-8197-49307b13ce75',
+    startDate: '2021-03-07',
+    endDate: '2021-03-13',
+    daysWorked: 5,
+    hoursWorked: null
+  }, {
+    id: '2f6a2e8c-2c6f-4bd5-a8e5-d5f1e0b6c1a4',
+    resourceBookingId: 'fbe133dd-0e36-4d0c-8197-49307b13ce75',
+    startDate: '2021-03-14',
+    endDate: '2021-03-20',
+    daysWorked: 4,
+    hoursWorked: null
+  }],
+  result: {
+    fromDate: '2021-03-07',
+    toDate: '2021-04-03',
+    extendWeeks: 1,
+    totals: { customerSpend: 280, memberPayout: 168 },
+    weekly: [
+      { week: '2021-03-07', projectId: 17234, billingAccountId: 80000071, customerSpend: 100, memberPayout: 60 },
+      { week: '2021-03-14', projectId: 17234, billingAccountId: 80000071, customerSpend: 100, memberPayout: 60 },
+      { week: '2021-03-21', projectId: 17234, billingAccountId: 80000071, customerSpend: 80, memberPayout: 48 }
+    ],
+    monthly: [
+      { month: '2021-03', projectId: 17234, billingAccountId: 80000071, customerSpend: 280, memberPayout: 168 }
+    ]
+  }
+}
+const T44 = {
+  resourceBooking: {
+    id: '8694a939-45fe-482e-bee2-3b530acf4139',
+    projectId: 21,
+    userId: 'a55fe1bc-1754-45fa-9adc-cf3d6d7c377a',
+    status: 'placed',
+    startDate: '2022-01-02',
+    endDate: '2022-01-29',
+    rateType: 'weekly',
+    memberRate: 500,
+    customerRate: 800,
+    rates: []
+  },
+  data: { effectiveDate: '2022-01-12', reason: 'The project is closed.' },
+  // the weeks until the effective date
+  weeks: [
+    { startDate: '2022-01-02', endDate: '2022-01-08', daysWorked: 5, hoursWorked: null },
+    { startDate: '2022-01-09', endDate: '2022-01-15', daysWorked: 3, hoursWorked: null }
+  ],
+  workPeriods: [{
+    id: '10faf505-d0e3-4d13-a817-7f1319625e91',
+    startDate: '2022-01-02',
+    daysWorked: 5,
+    daysPaid: 5,
+    hoursWorked: null,
+    hoursPaid: 0,
+    payments: [{ status: 'completed' }]
+  }, {
+    id: '2f6a2e8c-2c6f-4bd5-a8e5-d5f1e0b6c1a4',
+    startDate: '2022-01-09',
+    daysWorked: 5,
+    daysPaid: 5,
+    hoursWorked: null,
+    hoursPaid: 0,
+    payments: [{ status: 'completed' }]
+  }, {
+    id: '3b5e0b8c-8e3c-4b8f-9a8c-1f7e2e2d5c11',
+    startDate: '2022-01-16',
+    daysWorked: 5,
+    daysPaid: 0,
+    hoursWorked: null,
+    hoursPaid: 0,
+    payments: []
+  }, {
+    id: '4c6f1c9d-9f4d-4c90-8b9d-2a8f3f3e6d22',
+    startDate: '2022-01-23',
+    daysWorked: 5,
+    daysPaid: 2,
+    hoursWorked: null,
+    hoursPaid: 0,
+    payments: [{ status: 'completed' }]
+  }],
+  cancellation: {
+    effectiveDate: '2022-01-12',
+    reason: 'The project is closed.',
+    previousStatus: 'placed',
+    previousEndDate: '2022-01-29',
+    trimmedWorkPeriods: [
+      { id: '4c6f1c9d-9f4d-4c90-8b9d-2a8f3f3e6d22', startDate: '2022-01-23', previousDaysWorked: 5, daysWorked: 2 }
+    ],
+    deletedWorkPeriodIds: ['3b5e0b8c-8e3c-4b8f-9a8c-1f7e2e2d5c11'],
+    clawbackWorkPeriods: [
+      { id: '2f6a2e8c-2c6f-4bd5-a8e5-d5f1e0b6c1a4', startDate: '2022-01-09', days: 2, hours: null, amount: 200 },
+      { id: '4c6f1c9d-9f4d-4c90-8b9d-2a8f3f3e6d22', startDate: '2022-01-23', days: 2, hours: null, amount: 200 }
+    ],
+    totalClawbackAmount: 400
+  }
+}
+// the customer doesn't see the member payouts
+const T47 = {
+  criteria: T40.criteria,
+  resourceBookingFindAll: T40.resourceBookingFindAll,
+  workPeriodFindAll: T40.workPeriodFindAll,
+  result: {
+    fromDate: '2021-03-07',
+    toDate: '2021-04-03',
+    extendWeeks: 1,
+    totals: { customerSpend: 280 },
+    weekly: [
+      { week: '2021-03-07', projectId: 17234, billingAccountId: 80000071, customerSpend: 100 },
+      { week: '2021-03-14', projectId: 17234, billingAccountId: 80000071, customerSpend: 100 },
+      { week: '2021-03-21', projectId: 17234, billingAccountId: 80000071, customerSpend: 80 }
+    ],
+    monthly: [
+      { month: '2021-03', projectId: 17234, billingAccountId: 80000071, customerSpend: 280 }
+    ]
+  }
+}
+// the resource booking without end date is forecast from the calendar until toDate
+const T48 = {
+  criteria: {
+    fromDate: '2021-03-07',
+    toDate: '2021-03-20',
+    extendWeeks: 0,
+    projectId: 17234
+  },
+  resourceBookingFindAll: [{
+    ...T40.resourceBookingFindAll[0],
+    startDate: '2021-02-01',
+    endDate: null
+  }],
+  workPeriodFindAll: [],
+  calendarWeeks: [
+    { startDate: '2021-03-07', endDate: '2021-03-13', daysWorked: 5, hoursWorked: null },
+    { startDate: '2021-03-14', endDate: '2021-03-20', daysWorked: 4, hoursWorked: null }
+  ],
+  calendarRange: { startDate: '2021-03-07', endDate: '2021-03-20' },
+  result: {
+    fromDate: '2021-03-07',
+    toDate: '2021-03-20',
+    extendWeeks: 0,
+    totals: { customerSpend: 180, memberPayout: 108 },
+    weekly: [
+      { week: '2021-03-07', projectId: 17234, billingAccountId: 80000071, customerSpend: 100, memberPayout: 60 },
+      { week: '2021-03-14', projectId: 17234, billingAccountId: 80000071, customerSpend: 80, memberPayout: 48 }
+    ],
+    monthly: [
+      { month: '2021-03', projectId: 17234, billingAccountId: 80000071, customerSpend: 180, memberPayout: 108 }
+    ]
+  }
+}
+// the extension from the last week of the resource booking is cut at toDate,
+// the last week is counted in the month it ends
+const T49 = {
+  criteria: {
+    fromDate: '2021-03-07',
+    toDate: '2021-04-03',
+    extendWeeks: 4,
+    projectId: 17234
+  },
+  resourceBookingFindAll: T40.resourceBookingFindAll,
+  workPeriodFindAll: T40.workPeriodFindAll,
+  calendarWeeks: [
+    { startDate: '2021-03-14', endDate: '2021-03-20', daysWorked: 5, hoursWorked: null },
+    { startDate: '2021-03-21', endDate: '2021-03-27', daysWorked: 5, hoursWorked: null },
+    { startDate: '2021-03-28', endDate: '2021-04-03', daysWorked: 5, hoursWorked: null }
+  ],
+  calendarRange: { startDate: '2021-03-14', endDate: '2021-04-03' },
+  result: {
+    fromDate: '2021-03-07',
+    toDate: '2021-04-03',
+    extendWeeks: 4,
+    totals: { customerSpend: 400, memberPayout: 240 },
+    weekly: [
+      { week: '2021-03-07', projectId: 17234, billingAccountId: 80000071, customerSpend: 100, memberPayout: 60 },
+      { week: '2021-03-14', projectId: 17234, billingAccountId: 80000071, customerSpend: 100, memberPayout: 60 },
+      { week: '2021-03-21', projectId: 17234, billingAccountId: 80000071, customerSpend: 100, memberPayout: 60 },
+      { week: '2021-03-28', projectId: 17234, billingAccountId: 80000071, customerSpend: 100, memberPayout: 60 }
+    ],
+    monthly: [
+      { month: '2021-03', projectId: 17234, billingAccountId: 80000071, customerSpend: 300, memberPayout: 180 },
+      { month: '2021-04', projectId: 17234, billingAccountId: 80000071, customerSpend: 100, memberPayout: 60 }
+    ]
+  }
+}
+// the resource bookings of the margin reports, the jobs share the first role
+const marginReportResourceBookings = [{
+  toJSON: () => ({
+    id: 'fbe133dd-0e36-4d0c-8197-49307b13ce75',
+    projectId: 17234,
+    jobId: '05232809-3693-44c1-a0cc-9a79f2672385',
+    userId: 'a55fe1bc-1754-45fa-9adc-cf3d6d7c377a',
+    rateType: 'weekly',
+    memberRate: 60,
+    customerRate: 100,
+    rates: [],
+    workPeriods: [{
+      id: '10faf505-d0e3-4d13-a817-7f1319625e91',
+      startDate: '2021-02-28',
+      endDate: '2021-03-06',
+      userHandle: 'pshah_manager',
+      daysWorked: 5,
+      hoursWorked: null,
+      paymentTotal: 60
+    }, {
+      id: '2f6a2e8c-2c6f-4bd5-a8e5-d5f1e0b6c1a4',
+      startDate: '2021-03-28',
+      endDate: '2021-04-03',
+      userHandle: 'pshah_manager',
+      daysWorked: 3,
+      hoursWorked: null,
+      paymentTotal: 30
+    }]
+  })
+}, {
+  toJSON: () => ({
+    id: 'a0b36a9b-3cdc-4c77-9b8c-28e25b2d1fb4',
+    projectId: 17235,
+    jobId: '6d0509c7-5f12-4d84-9a19-8e80ef7ddd66',
+    userId: '247b5c3a-3a95-4a38-8f0b-7e4e5b2f3c9d',
+    rateType: 'hourly',
+    memberRate: 12,
+    customerRate: 20,
+    rates: [],
+    workPeriods: [{
+      id: '3b5e0b8c-8e3c-4b8f-9a8c-1f7e2e2d5c11',
+      startDate: '2021-03-07',
+      endDate: '2021-03-13',
+      userHandle: 'TCConnCopilot',
+      daysWorked: 5,
+      hoursWorked: 10,
+      paymentTotal: 120
+    }]
+  })
+}]
+const marginReportJobs = [
+  { id: '05232809-3693-44c1-a0cc-9a79f2672385', title: 'Java Developer', roleIds: ['fd1c2b9c-3e3e-4f3e-8c1f-3f6f8e2a4b5c', 'c2a8e0f1-7b4d-4e6a-9f1e-5d3c2b1a0f9e'] },
+  { id: '6d0509c7-5f12-4d84-9a19-8e80ef7ddd66', title: 'Senior Java Developer', roleIds: ['fd1c2b9c-3e3e-4f3e-8c1f-3f6f8e2a4b5c'] }
+]
+const T50 = {
+  criteria: {
+    groupBy: 'job',
+    format: 'json'
+  },
+  resourceBookingFindAll: marginReportResourceBookings,
+  jobFindAll: marginReportJobs,
+  roleFindAll: [],
+  result: {
+    groupBy: 'job',
+    totals: { revenue: 360, cost: 210, margin: 150, marginPercent: 41.67 },
+    result: [
+      { jobId: '6d0509c7-5f12-4d84-9a19-8e80ef7ddd66', jobTitle: 'Senior Java Developer', revenue: 200, cost: 120, margin: 80, marginPercent: 40, days: 5, hours: 10 },
+      { jobId: '05232809-3693-44c1-a0cc-9a79f2672385', jobTitle: 'Java Developer', revenue: 160, cost: 90, margin: 70, marginPercent: 43.75, days: 8, hours: 0 }
+    ]
+  }
+}
+// the resource bookings are counted only in the first role of the job
+const T51 = {
+  criteria: {
+    groupBy: 'role',
+    format: 'json'
+  },
+  resourceBookingFindAll: marginReportResourceBookings,
+  jobFindAll: marginReportJobs,
+  roleFindAll: [{ id: 'fd1c2b9c-3e3e-4f3e-8c1f-3f6f8e2a4b5c', name: 'Java Developer' }],
+  roleIds: ['fd1c2b9c-3e3e-4f3e-8c1f-3f6f8e2a4b5c'],
+  result: {
+    groupBy: 'role',
+    totals: { revenue: 360, cost: 210, margin: 150, marginPercent: 41.67 },
+    result: [
+      { roleId: 'fd1c2b9c-3e3e-4f3e-8c1f-3f6f8e2a4b5c', roleName: 'Java Developer', revenue: 360, cost: 210, margin: 150, marginPercent: 41.67, days: 13, hours: 10 }
+    ]
+  }
+}
+const T52 = {
+  criteria: {
+    groupBy: 'project',
+    format: 'csv'
+  },
+  resourceBookingFindAll: marginReportResourceBookings,
+  result: 'projectId,revenue,cost,margin,marginPercent,days,hours\n' +
+    '17235,200,120,80,40,5,10\n' +
+    '17234,160,90,70,43.75,8,0'
+}
+// the work periods are counted if they end between fromDate and toDate
+const T53 = {
+  criteria: {
+    groupBy: 'month',
+    format: 'json',
+    fromDate: '2021-03-06',
+    toDate: '2021-03-31'
+  },
+  resourceBookingFindAll: marginReportResourceBookings,
+  result: {
+    groupBy: 'month',
+    totals: { revenue: 300, cost: 180, margin: 120, marginPercent: 40 },
+    result: [
+      { month: '2021-03', revenue: 300, cost: 180, margin: 120, marginPercent: 40, days: 10, hours: 10 }
+    ]
+  }
+}
 module.exports = {
   T01,
   T02,
@@ -1698,5 +2076,15 @@ module.exports = {
   T35,
   T36,
   T37,
-  T38
+  T38,
+  T39,
+  T40,
+  T44,
+  T47,
+  T48,
+  T49,
+  T50,
+  T51,
+  T52,
+  T53
 }
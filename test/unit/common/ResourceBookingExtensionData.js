@@ -0,0 +1,61 @@
+const { buildInstance } = require('./CommonData')
+
+const resourceBooking = {
+  id: '8694a939-45fe-482e-bee2-3b530acf4139',
+  projectId: 17234,
+  userId: 'a55fe1bc-1754-45fa-9adc-cf3d6d7c377a',
+  jobId: '13c1fcd2-7bbb-4623-8643-ef025dac4c88',
+  status: 'placed',
+  startDate: '2022-01-02',
+  endDate: '2022-01-29',
+  memberRate: 13.23,
+  customerRate: 13,
+  rateType: 'weekly',
+  rates: [{ effectiveFrom: '2022-01-02', memberRate: 13.23, customerRate: 13 }]
+}
+
+const extension = {
+  id: '2a30b5a1-3558-4795-b516-d03cb098fc0f',
+  resourceBookingId: resourceBooking.id,
+  endDate: '2022-02-26',
+  customerRate: 15,
+  previousEndDate: resourceBooking.endDate,
+  status: 'pending',
+  createdBy: '57646ff9-1cd3-4d3c-88ba-eb09a395366c'
+}
+
+const T01 = {
+  resourceBookingId: resourceBooking.id,
+  id: extension.id,
+  userId: '79a39efd-91af-494a-b0f6-62310495effd',
+  resourceBooking: buildInstance(resourceBooking),
+  extension: buildInstance(extension),
+  data: { comment: 'approved' },
+  resourceBookingChanges: { endDate: new Date('2022-02-26'), customerRate: 15 },
+  result: { status: 'approved', customerRate: 15, reviewComment: 'approved', previousEndDate: '2022-01-29' }
+}
+
+const T02 = {
+  resourceBookingId: resourceBooking.id,
+  id: extension.id,
+  userId: '79a39efd-91af-494a-b0f6-62310495effd',
+  resourceBooking: buildInstance(resourceBooking),
+  extension: buildInstance(extension),
+  data: {},
+  error: new Error('update extension failed')
+}
+
+const T03 = {
+  resourceBookingId: resourceBooking.id,
+  id: extension.id,
+  resourceBooking: buildInstance({ ...resourceBooking, status: 'cancelled' }),
+  extension: buildInstance(extension),
+  data: {},
+  error: 'The cancelled resource booking cannot be extended.'
+}
+
+module.exports = {
+  T01,
+  T02,
+  T03
+}
@@ -0,0 +1,107 @@
+const { buildInstance } = require('./CommonData')
+
+const resourceBooking = {
+  id: '8694a939-45fe-482e-bee2-3b530acf4139',
+  userId: 'a55fe1bc-1754-45fa-9adc-cf3d6d7c377a',
+  startDate: '2022-01-03',
+  endDate: '2022-01-09',
+  rateType: 'weekly',
+  holidayRegion: 'US-CA'
+}
+
+const workPeriod = {
+  id: '467b4df7-ced4-41b9-9710-b83808cddaf4',
+  resourceBookingId: resourceBooking.id,
+  startDate: '2022-01-02',
+  endDate: '2022-01-08',
+  daysWorked: 4,
+  daysPaid: 0,
+  hoursPaid: 0,
+  timesheetStatus: 'none',
+  paymentStatus: 'pending',
+  payments: []
+}
+
+// the holiday of the country applies to the resource booking region
+const holidays = [{ region: 'US', date: '2022-01-06' }]
+
+// the resource booking document of the work period in ES
+const resourceBookingESSearchResponse = {
+  body: {
+    hits: {
+      hits: [{ _id: resourceBooking.id }],
+      total: { value: 1 }
+    }
+  }
+}
+
+const T01 = {
+  id: workPeriod.id,
+  workPeriod: buildInstance(workPeriod),
+  resourceBooking,
+  holidays,
+  data: { daysWorked: 5 },
+  error: 'Cannot submit daysWorked (5) more than the booked working days (4)'
+}
+
+const T02 = {
+  id: workPeriod.id,
+  workPeriod: buildInstance(workPeriod),
+  resourceBooking,
+  holidays,
+  resourceBookingESSearchResponse,
+  data: { daysWorked: 4 }
+}
+
+// the paid work period of the cancelled resource booking, only 2 days are worked before the cancellation
+const paidWorkPeriod = { ...workPeriod, daysWorked: 5, daysPaid: 5, paymentStatus: 'completed' }
+
+const T03 = {
+  id: workPeriod.id,
+  workPeriod: buildInstance(paidWorkPeriod),
+  resourceBookingESSearchResponse,
+  clawback: { days: 3, hours: null, amount: 300 }
+}
+
+const T04 = {
+  id: workPeriod.id,
+  workPeriod: buildInstance({
+    ...paidWorkPeriod,
+    clawbackStatus: 'pending-review',
+    clawbackDays: 3,
+    clawbackHours: null,
+    clawbackAmount: 300
+  }),
+  clawback: { days: 3, hours: null, amount: 300 }
+}
+
+// the admin changes the days worked of the approved timesheet
+const T05 = {
+  id: workPeriod.id,
+  workPeriod: buildInstance({
+    ...workPeriod,
+    timesheetStatus: 'approved',
+    timesheetReviewedAt: '2022-01-10T10:00:00.000Z',
+    timesheetReviewedBy: '79a39efd-91af-494a-b0f6-62310495effd'
+  }),
+  resourceBooking,
+  resourceBookingESSearchResponse,
+  data: { daysWorked: 3 }
+}
+
+// the clawback flagged by the cancellation, which posts the cancellation event instead
+const T06 = {
+  id: workPeriod.id,
+  workPeriod: buildInstance(paidWorkPeriod),
+  resourceBookingESSearchResponse,
+  clawback: { days: 3, hours: null, amount: 300 }
+}
+
+module.exports = {
+  T01,
+  T02,
+  T03,
+  T04,
+  T05,
+  T06
+}
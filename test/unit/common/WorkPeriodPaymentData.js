@@ -1,3 +1,5 @@
+const { buildInstance } = require('./CommonData')
+
 const workPeriodPayment01 = {
   request: {
     workPeriodId: '467b4df7-ced4-41b9-9710-b83808cddaf4'
@@ -33,6 +35,7 @@ const workPeriodPayment01 = {
     projectId: 17234,
     startDate: '2020-10-25',
     paymentStatus: 'partially-completed',
+    timesheetStatus: 'approved',
     updatedAt: '2021-06-13T18:25:08.492Z'
   },
   workPeriodWithPayments: {
@@ -49,6 +52,7 @@ const workPeriodPayment01 = {
     projectId: 17234,
     startDate: '2020-10-25',
     paymentStatus: 'partially-completed',
+    timesheetStatus: 'approved',
     updatedAt: '2021-06-13T18:25:08.492Z',
     payments: [
       {
@@ -132,6 +136,7 @@ const workPeriodPayment01 = {
   },
   workPeriodUpdateRequest: {
     daysPaid: 5,
+    hoursPaid: 0,
     paymentTotal: 12.6,
     paymentStatus: 'in-progress'
   },
@@ -176,6 +181,65 @@ workPeriodPayment01.workPeriodUpdateResponse.toJSON = function () {
 workPeriodPayment01.ensureResourceBookingByIdResponse02.toJSON = function () {
   return workPeriodPayment01.ensureResourceBookingByIdResponse02
 }
+workPeriodPayment01.ensureWorkPeriodByIdResponse02 = buildInstance({
+  ...workPeriodPayment01.ensureWorkPeriodByIdResponse,
+  timesheetStatus: 'submitted'
+})
+workPeriodPayment01.ensureWorkPeriodByIdResponse03 = buildInstance({
+  ...workPeriodPayment01.ensureWorkPeriodByIdResponse,
+  hoursWorked: 40,
+  hoursPaid: 16
+})
+workPeriodPayment01.ensureResourceBookingByIdResponse03 = buildInstance({
+  ...workPeriodPayment01.ensureResourceBookingByIdResponse,
+  memberRate: 20,
+  customerRate: 25,
+  rates: [
+    { effectiveFrom: '2020-09-27', memberRate: 10, customerRate: 12 },
+    { effectiveFrom: '2020-10-25', memberRate: 13.23, customerRate: 13 },
+    { effectiveFrom: '2020-11-01', memberRate: 20, customerRate: 25 }
+  ]
+})
+// the scheduled payment which is approved already
+const workPeriodPayment02 = {
+  value: {
+    id: '4e7a2d3b-b9f7-4e0a-8d6e-1b2c3d4e5f60',
+    workPeriodId: '467b4df7-ced4-41b9-9710-b83808cddaf4',
+    billingAccountId: 80000071,
+    type: 'regular',
+    status: 'scheduled',
+    days: 4,
+    memberRate: 100,
+    amount: 80,
+    challengeId: null,
+    createdBy: '57646ff9-1cd3-4d3c-88ba-eb09a395366c',
+    approvedBy: '79a39efd-91af-494a-b0f6-62310495effd',
+    approvedAt: '2022-01-10T10:00:00.000Z'
+  },
+  workPeriodPaymentESSearchResponse: workPeriodPayment01.workPeriodUpdateESSearchResponse
+}
+// the hourly payment waiting for the approval
+const workPeriodPayment03 = {
+  value: {
+    id: '9b1f0c2e-6a7d-4c8b-a3e5-2f4d6b8c0e1a',
+    workPeriodId: '467b4df7-ced4-41b9-9710-b83808cddaf4',
+    billingAccountId: 80000071,
+    type: 'regular',
+    status: 'pending-approval',
+    days: 0,
+    hours: 8,
+    memberRate: 20,
+    amount: 160,
+    challengeId: null,
+    createdBy: '57646ff9-1cd3-4d3c-88ba-eb09a395366c',
+    approvedBy: null,
+    approvedAt: null
+  },
+  workPeriodPaymentESSearchResponse: workPeriodPayment01.workPeriodUpdateESSearchResponse
+}
+
 module.exports = {
-  workPeriodPayment01
+  workPeriodPayment01,
+  workPeriodPayment02,
+  workPeriodPayment03
 }
@@ -6,6 +6,7 @@ const sinon = require('sinon')
 const rewire = require('rewire')
 const expect = require('chai').expect
 const helper = rewire('../../src/common/helper')
+const errors = require('../../src/common/errors')
 
 describe('helper test', () => {
   before(() => {
@@ -44,4 +45,230 @@ describe('helper test', () => {
       expect(res.fn).to.be.a('function')
     })
   })
+
+  describe('convertToCSV test', () => {
+    it('convertToCSV with header row and field order', () => {
+      const res = helper.convertToCSV([{ b: 2, a: 1 }, { a: 3 }], ['a', 'b'])
+      expect(res).to.eql('a,b\n1,2\n3,')
+    })
+
+    it('convertToCSV escapes special characters and joins arrays', () => {
+      const res = helper.convertToCSV([{ name: 'say "hi", ok', ids: ['x', 'y'] }], ['name', 'ids'])
+      expect(res).to.eql('name,ids\n"say ""hi"", ok",x;y')
+    })
+  })
+
+  describe('checkJobCandidateStatusTransition test', () => {
+    it('checkJobCandidateStatusTransition allows same status and allowed next status', () => {
+      helper.checkJobCandidateStatusTransition('placed', 'placed')
+      helper.checkJobCandidateStatusTransition('open', 'interview')
+    })
+
+    it('checkJobCandidateStatusTransition rejects illegal transition with allowed next statuses', () => {
+      expect(() => helper.checkJobCandidateStatusTransition('placed', 'applied'))
+        .to.throw(errors.ConflictError, 'Job candidate status cannot be changed from "placed" to "applied". Allowed next statuses: "cancelled".')
+    })
+  })
+
+  describe('extractWorkPeriods test', () => {
+    it('extractWorkPeriods excludes non working week days inside the resource booking dates', () => {
+      const res = helper.extractWorkPeriods('2022-07-01', '2022-07-15', ['2022-06-30', '2022-07-04', '2022-07-09', '2022-07-14', '2022-07-14'])
+      expect(res).to.eql([
+        { startDate: '2022-06-26', endDate: '2022-07-02', daysWorked: 1 },
+        { startDate: '2022-07-03', endDate: '2022-07-09', daysWorked: 4 },
+        { startDate: '2022-07-10', endDate: '2022-07-16', daysWorked: 4 }
+      ])
+    })
+  })
+
+  describe('getEffectiveRates test', () => {
+    const resourceBooking = {
+      memberRate: 20,
+      customerRate: 25,
+      rates: [
+        { effectiveFrom: '2022-03-01', memberRate: 15, customerRate: 18 },
+        { effectiveFrom: '2022-01-01', memberRate: 10, customerRate: 12 }
+      ]
+    }
+
+    it('getEffectiveRates returns the rates effective on the date', () => {
+      expect(helper.getEffectiveRates(resourceBooking, '2022-02-27')).to.eql({ memberRate: 10, customerRate: 12 })
+      expect(helper.getEffectiveRates(resourceBooking, '2022-03-01')).to.eql({ memberRate: 15, customerRate: 18 })
+      expect(helper.getEffectiveRates(resourceBooking, '2021-12-26')).to.eql({ memberRate: 10, customerRate: 12 })
+    })
+
+    it('getEffectiveRates returns the current rates without rate schedule', () => {
+      expect(helper.getEffectiveRates({ memberRate: 20, customerRate: 25 }, '2022-03-01')).to.eql({ memberRate: 20, customerRate: 25 })
+    })
+
+    it('addRateToSchedule inserts the entry by date and keeps the entries effective later', () => {
+      const rates = helper.addRateToSchedule(resourceBooking.rates, { effectiveFrom: '2022-02-01', memberRate: 11, customerRate: 13 })
+      expect(rates).to.eql([
+        { effectiveFrom: '2022-01-01', memberRate: 10, customerRate: 12 },
+        { effectiveFrom: '2022-02-01', memberRate: 11, customerRate: 13 },
+        { effectiveFrom: '2022-03-01', memberRate: 15, customerRate: 18 }
+      ])
+    })
+
+    it('addRateToSchedule replaces the entry effective from the same date', () => {
+      const rates = helper.addRateToSchedule(resourceBooking.rates, { effectiveFrom: '2022-03-01', memberRate: 16, customerRate: 19 })
+      expect(rates).to.eql([
+        { effectiveFrom: '2022-01-01', memberRate: 10, customerRate: 12 },
+        { effectiveFrom: '2022-03-01', memberRate: 16, customerRate: 19 }
+      ])
+    })
+  })
+
+  describe('getPeakAllocation test', () => {
+    it('getWorkloadAllocation weighs the fractional jobs by the weekly hours', () => {
+      expect(helper.getWorkloadAllocation(null)).to.eq(1)
+      expect(helper.getWorkloadAllocation({ workload: 'full-time', hoursPerWeek: 20 })).to.eq(1)
+      expect(helper.getWorkloadAllocation({ workload: 'fractional', hoursPerWeek: 10 })).to.eq(0.25)
+      expect(helper.getWorkloadAllocation({ workload: 'fractional' })).to.eq(0.5)
+    })
+
+    it('getPeakAllocation sums the allocations of the overlapping resource bookings only', () => {
+      expect(helper.getPeakAllocation([
+        { startDate: '2022-01-01', endDate: '2022-01-31', allocation: 0.5 },
+        { startDate: '2022-02-01', endDate: null, allocation: 1 },
+        { startDate: '2022-01-15', endDate: '2022-01-31', allocation: 0.5 }
+      ])).to.eq(1)
+      expect(helper.getPeakAllocation([
+        { startDate: '2022-01-01', endDate: '2022-01-31', allocation: 1 },
+        { startDate: null, endDate: '2022-01-01', allocation: 0.25 }
+      ])).to.eq(1.25)
+    })
+  })
+
+  describe('getInterviewAttendanceResult test', () => {
+    it('getInterviewAttendanceResult completes interview when both sides joined', () => {
+      const res = helper.getInterviewAttendanceResult({ hostJoinedAt: '2022-02-01T10:00:00Z', guestJoinedAt: '2022-02-01T10:01:00Z' })
+      expect(res).to.eql({ status: 'Completed', noShowBy: null })
+    })
+
+    it('getInterviewAttendanceResult records who failed to attend', () => {
+      expect(helper.getInterviewAttendanceResult({ hostJoinedAt: '2022-02-01T10:00:00Z' })).to.eql({ status: 'No Show', noShowBy: 'guest' })
+      expect(helper.getInterviewAttendanceResult({ guestJoinedAt: '2022-02-01T10:00:00Z' })).to.eql({ status: 'No Show', noShowBy: 'host' })
+      expect(helper.getInterviewAttendanceResult({})).to.eql({ status: 'No Show', noShowBy: 'both' })
+    })
+  })
+
+  describe('postEvent test', () => {
+    let revert
+    let savedEvent
+    let busApiClient
+    let eventDispatcher
+    let afterCommitHooks
+
+    beforeEach(() => {
+      savedEvent = {
+        id: 1,
+        topic: 'taas.workperiod.update',
+        entityKey: null,
+        payload: { id: 'wp-1' },
+        options: {},
+        attempts: 0,
+        handledAt: null,
+        update: async function (data) { Object.assign(this, data) }
+      }
+      busApiClient = { postEvent: sinon.stub().resolves() }
+      eventDispatcher = { handleEvent: sinon.stub().resolves() }
+      afterCommitHooks = []
+      revert = helper.__set__({
+        busApiClient,
+        eventDispatcher,
+        models: {
+          sequelize: { transaction: async (fn) => fn({ LOCK: { UPDATE: 'UPDATE' } }) },
+          EventOutbox: {
+            create: async (data) => Object.assign(savedEvent, data),
+            findOne: async () => savedEvent.status === 'pending' ? savedEvent : null,
+            count: async () => 0
+          }
+        }
+      })
+    })
+
+    afterEach(() => {
+      revert()
+    })
+
+    it('postEvent sends the event and handles it locally', async () => {
+      await helper.postEvent('taas.workperiod.update', { id: 'wp-1' })
+      expect(busApiClient.postEvent.calledOnce).to.be.true
+      expect(eventDispatcher.handleEvent.calledOnce).to.be.true
+      expect(savedEvent.status).to.eq('sent')
+      expect(savedEvent.handledAt).to.be.a('date')
+    })
+
+    it('postEvent handles the event locally even if the bus API call fails, and relaying it later does not handle it again', async () => {
+      busApiClient.postEvent.rejects(new Error('bus api error'))
+      await helper.postEvent('taas.workperiod.update', { id: 'wp-1' })
+      expect(eventDispatcher.handleEvent.calledOnce).to.be.true
+      expect(savedEvent.status).to.eq('pending')
+      expect(savedEvent.attempts).to.eq(1)
+      expect(savedEvent.lastError).to.eq('bus api error')
+
+      busApiClient.postEvent.resolves()
+      const relayed = await helper.relayEvent(savedEvent.id)
+      expect(relayed).to.be.true
+      expect(savedEvent.status).to.eq('sent')
+      expect(eventDispatcher.handleEvent.calledOnce).to.be.true
+    })
+
+    it('postEvent handles the event locally right away if the earlier events of the entity are pending, and only defers sending it', async () => {
+      const revertCount = helper.__set__('models.EventOutbox.count', async () => 1)
+      try {
+        await helper.postEvent('taas.workperiod.update', { id: 'wp-1' })
+        expect(busApiClient.postEvent.called).to.be.false
+        expect(eventDispatcher.handleEvent.calledOnceWith('taas.workperiod.update', { value: { id: 'wp-1' }, options: {} })).to.be.true
+        expect(savedEvent.status).to.eq('pending')
+        expect(savedEvent.handledAt).to.be.a('date')
+      } finally {
+        revertCount()
+      }
+
+      // the earlier events are sent, the event is sent but not handled again
+      const relayed = await helper.relayEvent(savedEvent.id)
+      expect(relayed).to.be.true
+      expect(busApiClient.postEvent.calledOnce).to.be.true
+      expect(eventDispatcher.handleEvent.calledOnce).to.be.true
+      expect(savedEvent.status).to.eq('sent')
+    })
+
+    it('relayEvent handles the event which is not handled yet', async () => {
+      Object.assign(savedEvent, { status: 'pending' })
+      const relayed = await helper.relayEvent(savedEvent.id)
+      expect(relayed).to.be.true
+      expect(eventDispatcher.handleEvent.calledOnceWith('taas.workperiod.update', { value: { id: 'wp-1' }, options: {} })).to.be.true
+    })
+
+    it('postEvent within transaction relays the event after commit and only logs the failure of local handling', async () => {
+      eventDispatcher.handleEvent.rejects(new Error('handler error'))
+      await helper.postEvent('taas.workperiod.update', { id: 'wp-1' }, { transaction: { afterCommit: (fn) => afterCommitHooks.push(fn) } })
+      expect(busApiClient.postEvent.called).to.be.false
+      expect(afterCommitHooks).to.have.lengthOf(1)
+      await afterCommitHooks[0]()
+      expect(busApiClient.postEvent.calledOnce).to.be.true
+      expect(eventDispatcher.handleEvent.calledOnce).to.be.true
+      expect(savedEvent.status).to.eq('sent')
+    })
+  })
+
+  describe('work period payment preview token test', () => {
+    it('signWorkPeriodPaymentPreviewToken signs the token which verifyWorkPeriodPaymentPreviewToken accepts', () => {
+      const token = helper.signWorkPeriodPaymentPreviewToken({ userId: '00000000-0000-0000-0000-000000000000', payments: [] })
+      expect(helper.verifyWorkPeriodPaymentPreviewToken(token)).to.include({ userId: '00000000-0000-0000-0000-000000000000' })
+    })
+
+    it('signWorkPeriodPaymentPreviewToken and verifyWorkPeriodPaymentPreviewToken fail if the secret is not configured', () => {
+      const token = helper.signWorkPeriodPaymentPreviewToken({ userId: '00000000-0000-0000-0000-000000000000', payments: [] })
+      const revert = helper.__set__('config', { PAYMENT_PREVIEW_TOKEN_EXPIRY: '1h' })
+      try {
+        expect(() => helper.signWorkPeriodPaymentPreviewToken({ payments: [] })).to.throw(errors.InternalServerError, 'PAYMENT_PREVIEW_SECRET is not configured')
+        expect(() => helper.verifyWorkPeriodPaymentPreviewToken(token)).to.throw(errors.InternalServerError, 'PAYMENT_PREVIEW_SECRET is not configured')
+      } finally {
+        revert()
+      }
+    })
+  })
 })